@@ -18,15 +18,12 @@ app.get('/health', (req, res) => {
 });
 
 app.post('/echo', (req, res) => {
-  // In Node.js, we need to parse body manually (v1 simplicity)
-  let body = '';
-  req.on('data', (chunk) => {
-    body += chunk.toString();
-  });
-  req.on('end', () => {
-    const data = body ? JSON.parse(body) : {};
-    response.success(res, { echo: data });
-  });
+  // Body is parsed by NavisApp before the handler runs
+  response.success(res, { echo: req.body });
+});
+
+app.get('/hello/:name', (req, res) => {
+  res.status(200).json({ hello: req.params.name });
 });
 
 // Start server
@@ -0,0 +1,129 @@
+/**
+ * Benchmark Script for v5.9: Radix-Tree Route Matching
+ * Compares AdvancedRouter against a linear regex scan (the pre-v5.9 matcher)
+ *
+ * Usage: node scripts/benchmark-router.js [routeCount] [iterations]
+ */
+
+const { AdvancedRouter } = require('../src/index');
+
+const ROUTE_COUNT = parseInt(process.argv[2], 10) || 500;
+const ITERATIONS = parseInt(process.argv[3], 10) || 200000;
+
+/**
+ * Linear matcher: one regex per route, tried in specificity order
+ */
+class LinearRouter {
+  constructor() {
+    this.routes = [];
+  }
+
+  get(pattern, handler) {
+    const params = [];
+    const regexParts = pattern.split('/').filter(p => p !== '').map((part) => {
+      if (part.startsWith(':')) {
+        params.push(part.substring(1));
+        return '([^/]+)';
+      }
+      if (part === '*') {
+        return '.*';
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    });
+
+    this.routes.push({ pattern, regex: new RegExp('^/' + regexParts.join('/') + '/?$'), params, handler });
+  }
+
+  find(method, path) {
+    for (const route of this.routes) {
+      const match = path.match(route.regex);
+      if (match) {
+        const params = {};
+        route.params.forEach((param, index) => {
+          params[param] = match[index + 1];
+        });
+        return { handler: route.handler, params };
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Build a realistic route table: static, param and wildcard routes per resource
+ */
+function buildPatterns(count) {
+  const patterns = [];
+  for (let i = 0; patterns.length < count; i++) {
+    patterns.push(`/api/v1/resource${i}`);
+    patterns.push(`/api/v1/resource${i}/:id`);
+    patterns.push(`/api/v1/resource${i}/:id/children`);
+    patterns.push(`/api/v1/resource${i}/:id/children/:childId`);
+    patterns.push(`/static/resource${i}/*`);
+  }
+  return patterns.slice(0, count);
+}
+
+function bench(name, router, paths) {
+  // Warm up
+  for (let i = 0; i < 1000; i++) {
+    router.find('GET', paths[i % paths.length]);
+  }
+
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < ITERATIONS; i++) {
+    router.find('GET', paths[i % paths.length]);
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  const opsPerSec = Math.round(ITERATIONS / (elapsedMs / 1000));
+
+  console.log(`  ${name.padEnd(12)} ${opsPerSec.toLocaleString().padStart(14)} ops/sec  (${elapsedMs.toFixed(1)} ms)`);
+  return opsPerSec;
+}
+
+console.log('='.repeat(60));
+console.log(`Router benchmark: ${ROUTE_COUNT} routes, ${ITERATIONS} lookups per case`);
+console.log('='.repeat(60));
+
+const patterns = buildPatterns(ROUTE_COUNT);
+const radix = new AdvancedRouter();
+const linear = new LinearRouter();
+
+patterns.forEach((pattern) => {
+  radix.get(pattern, () => {});
+  linear.get(pattern, () => {});
+});
+
+// The linear matcher relies on the same specificity order as AdvancedRouter
+const ordered = radix.getAllRoutes().GET.map(route => route.pattern);
+linear.routes.sort((a, b) => ordered.indexOf(a.pattern) - ordered.indexOf(b.pattern));
+
+const last = Math.floor(ROUTE_COUNT / 5) - 1;
+const cases = {
+  'static (first)': ['/api/v1/resource0'],
+  'static (last)': [`/api/v1/resource${last}`],
+  'param': [`/api/v1/resource${last}/42/children/7`],
+  'wildcard': [`/static/resource${last}/css/app.css`],
+  'not found': ['/does/not/exist'],
+};
+
+// Sanity check: both matchers agree
+for (const paths of Object.values(cases)) {
+  for (const path of paths) {
+    const a = radix.find('GET', path);
+    const b = linear.find('GET', path);
+    if (Boolean(a) !== Boolean(b) || (a && JSON.stringify(a.params) !== JSON.stringify(b.params))) {
+      console.error(`❌ Matchers disagree on ${path}`);
+      process.exit(1);
+    }
+  }
+}
+
+for (const [name, paths] of Object.entries(cases)) {
+  console.log(`\n${name}`);
+  const radixOps = bench('radix', radix, paths);
+  const linearOps = bench('linear', linear, paths);
+  console.log(`  speedup      ${(radixOps / linearOps).toFixed(1)}x`);
+}
+
+console.log('\n' + '='.repeat(60));
@@ -0,0 +1,2479 @@
+/**
+ * Verification Script for v5.9 Features
+ * Tests request handling, routing, messaging and database features
+ *
+ * Tests run one after another (each awaited) before the summary. Databases
+ * and brokers are replaced by in-memory fakes, so nothing needs to be running.
+ */
+
+const http = require('http');
+const navis = require('../src/index');
+
+const { NavisApp } = navis;
+
+let testsPassed = 0;
+let testsFailed = 0;
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${message}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Send a request to an app through a real Node.js HTTP server
+ */
+function nodeRequest(app, { method = 'GET', path = '/', headers = {}, body = null }) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => app.handleRequest(req, res));
+    server.listen(0, () => {
+      const request = http.request({ port: server.address().port, method, path, headers }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          server.close();
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: parseBody(res.headers['content-type'], data) });
+        });
+      });
+      request.on('error', (error) => {
+        server.close();
+        reject(error);
+      });
+      request.end(body);
+    });
+  });
+}
+
+/**
+ * Send a request to an app as an API Gateway HTTP API (v2) event
+ */
+async function lambdaRequest(app, { method = 'GET', path = '/', headers = {}, body = null }) {
+  const response = await app.handleLambda({
+    version: '2.0',
+    rawPath: path,
+    rawQueryString: '',
+    headers,
+    requestContext: { http: { method, path } },
+    body,
+    isBase64Encoded: false,
+  });
+  const typeHeader = Object.keys(response.headers || {}).find(name => name.toLowerCase() === 'content-type');
+  return {
+    statusCode: response.statusCode,
+    headers: response.headers,
+    body: response.isBase64Encoded ? response.body : parseBody(typeHeader && response.headers[typeHeader], response.body),
+  };
+}
+
+/**
+ * JSON bodies parsed, other bodies as text (null when empty)
+ */
+function parseBody(contentType, body) {
+  if (!body) {
+    return null;
+  }
+  return /json/.test(contentType || '') ? JSON.parse(body) : body;
+}
+
+// ============================================================
+// Body parsing (user-001)
+// ============================================================
+
+function echoApp(options) {
+  const app = new NavisApp(options);
+  app.post('/echo', (req) => ({ body: req.body }));
+  return app;
+}
+
+test('Body parser - JSON, urlencoded and text bodies parse the same on Node.js and Lambda', async () => {
+  const app = echoApp();
+  const cases = [
+    { headers: { 'content-type': 'application/json' }, body: '{"a":1}', expected: { a: 1 } },
+    { headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: 'a=1&b=2&b=3', expected: { a: '1', b: ['2', '3'] } },
+    { headers: { 'content-type': 'text/plain; charset=utf-8' }, body: 'hello', expected: 'hello' },
+  ];
+
+  for (const { headers, body, expected } of cases) {
+    const node = await nodeRequest(app, { method: 'POST', path: '/echo', headers, body });
+    const lambda = await lambdaRequest(app, { method: 'POST', path: '/echo', headers, body });
+    assertEqual(node.body, { body: expected }, `Node.js ${headers['content-type']}`);
+    assertEqual(lambda.body, { body: expected }, `Lambda ${headers['content-type']}`);
+  }
+});
+
+test('Body parser - Invalid JSON is a 400, oversized bodies a 413', async () => {
+  const app = echoApp({ bodyParser: { limit: 10 } });
+  const headers = { 'content-type': 'application/json' };
+
+  const invalid = await nodeRequest(app, { method: 'POST', path: '/echo', headers, body: '{"a":' });
+  assertEqual(invalid.statusCode, 400, 'Invalid JSON on Node.js');
+  assertEqual((await lambdaRequest(app, { method: 'POST', path: '/echo', headers, body: '{"a":' })).statusCode, 400, 'Invalid JSON on Lambda');
+
+  const large = JSON.stringify({ data: 'x'.repeat(100) });
+  assertEqual((await nodeRequest(app, { method: 'POST', path: '/echo', headers, body: large })).statusCode, 413, 'Large body on Node.js');
+  assertEqual((await lambdaRequest(app, { method: 'POST', path: '/echo', headers, body: large })).statusCode, 413, 'Large body on Lambda');
+});
+
+test('Body parser - Unsupported content types are a 415, multipart is passed through', async () => {
+  const app = echoApp();
+  const xml = { method: 'POST', path: '/echo', headers: { 'content-type': 'application/xml' }, body: '<a/>' };
+
+  assertEqual((await nodeRequest(app, xml)).statusCode, 415, 'XML on Node.js');
+  assertEqual((await lambdaRequest(app, xml)).statusCode, 415, 'XML on Lambda');
+
+  const multipart = { ...xml, headers: { 'content-type': 'multipart/form-data; boundary=x' } };
+  assertEqual((await nodeRequest(app, multipart)).statusCode, 200, 'Multipart on Node.js');
+  assertEqual((await lambdaRequest(app, multipart)).statusCode, 200, 'Multipart on Lambda');
+
+  const xmlApp = echoApp({ bodyParser: { text: { type: ['text/plain', 'application/xml'] } } });
+  assertEqual((await nodeRequest(xmlApp, xml)).body, { body: '<a/>' }, 'XML configured as text');
+});
+
+// ============================================================
+// Responses and middleware errors (user-002)
+// ============================================================
+
+test('Middleware - An error caught around await next() is not rethrown', async () => {
+  const app = new NavisApp();
+  app.use(async (req, res, next) => {
+    try {
+      await next();
+    } catch (error) {
+      res.status(418).json({ caught: error.message });
+    }
+  });
+  app.get('/boom', () => {
+    throw new Error('boom');
+  });
+
+  const response = await lambdaRequest(app, { path: '/boom' });
+  assertEqual(response.statusCode, 418, 'Status');
+  assertEqual(response.body, { caught: 'boom' }, 'Body');
+});
+
+test('Middleware - next().catch() handles the error; an ignored next() still reports it', async () => {
+  const handled = new NavisApp();
+  handled.use((req, res, next) => next().catch(() => res.status(409).json({ handled: true })));
+  handled.get('/boom', () => {
+    throw new Error('boom');
+  });
+  assertEqual((await lambdaRequest(handled, { path: '/boom' })).statusCode, 409, 'Handled with catch()');
+
+  const ignored = new NavisApp();
+  ignored.use((req, res, next) => {
+    next();
+  });
+  ignored.get('/boom', async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    throw new Error('late');
+  });
+  assertEqual((await lambdaRequest(ignored, { path: '/boom' })).statusCode, 500, 'Not awaited');
+});
+
+test('Response - redirect() sets Location on Node.js and Lambda', async () => {
+  const app = new NavisApp();
+  app.get('/old', (req, res) => res.redirect('/new', 301));
+
+  for (const response of [await nodeRequest(app, { path: '/old' }), await lambdaRequest(app, { path: '/old' })]) {
+    assertEqual(response.statusCode, 301, 'Status');
+    assertEqual(response.headers.location || response.headers.Location, '/new', 'Location');
+    assertEqual(response.body, null, 'Body');
+  }
+});
+
+test('Response - stream() pipes on Node.js and is buffered for Lambda', async () => {
+  const { Readable } = require('stream');
+  const app = new NavisApp();
+  app.get('/text', (req, res) => res.stream(Readable.from(['a', 'b', 'c']), 'text/plain'));
+  app.get('/bytes', (req, res) => res.stream(Readable.from([Buffer.from([0, 1, 2])])));
+
+  assertEqual((await nodeRequest(app, { path: '/text' })).body, 'abc', 'Node.js text stream');
+  assertEqual((await lambdaRequest(app, { path: '/text' })).body, 'abc', 'Lambda text stream');
+
+  const bytes = await app.handleLambda({
+    version: '2.0',
+    rawPath: '/bytes',
+    requestContext: { http: { method: 'GET', path: '/bytes' } },
+  });
+  assertEqual([bytes.body, bytes.isBase64Encoded], ['AAEC', true], 'Lambda binary stream is base64');
+});
+
+test('Response - HEAD keeps the headers and drops the body', async () => {
+  const app = new NavisApp();
+  app.get('/users', () => ({ users: ['ann'] }));
+
+  const node = await nodeRequest(app, { method: 'HEAD', path: '/users' });
+  assertEqual([node.statusCode, node.body], [200, null], 'Node.js');
+  assertEqual(node.headers['content-length'], String('{"users":["ann"]}'.length), 'Node.js Content-Length');
+
+  const lambda = await lambdaRequest(app, { method: 'HEAD', path: '/users' });
+  assertEqual([lambda.statusCode, lambda.body], [200, null], 'Lambda');
+});
+
+test('Response - toLambda() serializes JSON, text and buffered writes', async () => {
+  const { NavisResponse } = navis;
+
+  assertEqual(await new NavisResponse().status(201).json({ id: 1 }).toLambda(), {
+    statusCode: 201,
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"id":1}',
+  }, 'JSON');
+
+  const written = new NavisResponse();
+  written.set('Content-Type', 'text/plain');
+  written.write('a');
+  written.end('b');
+  assertEqual((await written.toLambda()).body, 'ab', 'write() and end()');
+
+  const empty = await new NavisResponse().status(204).send({ ignored: true }).toLambda();
+  assertEqual([empty.statusCode, empty.body], [204, ''], 'No body for 204');
+});
+
+// ============================================================
+// HTTP methods (user-003)
+// ============================================================
+
+test('HTTP methods - HEAD runs the GET route, OPTIONS and 405 list the allowed methods', async () => {
+  const app = new NavisApp();
+  const seen = [];
+  app.use((req, res, next) => {
+    seen.push(req.method);
+    return next();
+  });
+  app.get('/items', () => ({ items: [] }));
+  app.post('/items', () => ({ created: true }));
+
+  const head = await lambdaRequest(app, { method: 'HEAD', path: '/items' });
+  assertEqual([head.statusCode, head.body], [200, null], 'HEAD');
+
+  const options = await lambdaRequest(app, { method: 'OPTIONS', path: '/items' });
+  assertEqual(options.statusCode, 204, 'Automatic OPTIONS status');
+  assertEqual(options.headers.Allow, 'GET, POST, HEAD, OPTIONS', 'Automatic OPTIONS Allow');
+  assertEqual(seen, ['HEAD', 'OPTIONS'], 'Middleware runs for automatic OPTIONS');
+
+  const notAllowed = await nodeRequest(app, { method: 'DELETE', path: '/items' });
+  assertEqual(notAllowed.statusCode, 405, '405 for a known path');
+  assertEqual(notAllowed.headers.allow, 'GET, POST, HEAD, OPTIONS', '405 Allow');
+  assertEqual((await nodeRequest(app, { method: 'DELETE', path: '/nothing' })).statusCode, 404, '404 for an unknown path');
+});
+
+test('HTTP methods - all(), custom verbs and route() chaining', async () => {
+  const app = new NavisApp();
+  app.all('/any', req => ({ method: req.method }));
+  app.register('PROPFIND', '/dav', () => ({ dav: true }));
+  app.route('/users/:id')
+    .get(req => ({ show: req.params.id }))
+    .put(req => ({ update: req.params.id }));
+
+  for (const method of ['GET', 'POST', 'PATCH', 'DELETE']) {
+    assertEqual((await lambdaRequest(app, { method, path: '/any' })).body, { method }, `all() answers ${method}`);
+  }
+  assertEqual((await nodeRequest(app, { method: 'PROPFIND', path: '/dav' })).body, { dav: true }, 'Custom verb');
+  assertEqual((await lambdaRequest(app, { path: '/users/7' })).body, { show: '7' }, 'Chained GET');
+  assertEqual((await lambdaRequest(app, { method: 'PUT', path: '/users/7' })).body, { update: '7' }, 'Chained PUT');
+  assertEqual((await lambdaRequest(app, { method: 'DELETE', path: '/users/7' })).statusCode, 405, 'Unchained method');
+});
+
+// ============================================================
+// Route matching (user-004)
+// ============================================================
+
+test('Route matching - static beats param beats wildcard, whatever the registration order', async () => {
+  const router = new navis.AdvancedRouter();
+  router.get('/files/*', () => 'wildcard');
+  router.get('/files/:name', () => 'param');
+  router.get('/files/:id<int>', () => 'int');
+  router.get('/files/readme', () => 'static');
+  router.get('/files/:name', () => 'second');
+
+  const route = path => router.find('GET', path).route;
+  assertEqual(route('/files/readme'), '/files/readme', 'Static');
+  assertEqual(route('/files/42'), '/files/:id<int>', 'Constrained param');
+  assertEqual(route('/files/notes'), '/files/:name', 'Param (first registration)');
+  assertEqual(router.find('GET', '/files/notes').handler(), 'param', 'First handler for a pattern');
+  assertEqual(route('/files/a/b'), '/files/*', 'Wildcard');
+  assertEqual(router.find('GET', '/other'), null, 'No match');
+});
+
+test('Route matching - earlier segments decide before later ones', async () => {
+  const router = new navis.AdvancedRouter();
+  router.get('/:org/repos/settings', () => {});
+  router.get('/acme/:repo/:tab', () => {});
+  router.get('/acme/*rest', () => {});
+
+  assertEqual(router.find('GET', '/acme/repos/settings').route, '/acme/:repo/:tab', 'Static first segment wins');
+  assertEqual(router.find('GET', '/other/repos/settings').route, '/:org/repos/settings', 'Param first segment');
+  assertEqual(router.find('GET', '/acme/a/b/c').params, { rest: 'a/b/c' }, 'Wildcard after backtracking');
+});
+
+// ============================================================
+// Route middleware and groups (user-005)
+// ============================================================
+
+test('Route groups - Prefixes nest and middleware runs global, group (outer first), route, handler', async () => {
+  const app = new NavisApp();
+  const mark = name => (req, res, next) => {
+    req.trail = [...(req.trail || []), name];
+    return next();
+  };
+  app.use(mark('global'));
+  app.get('/plain', mark('route'), req => ({ trail: req.trail }));
+  app.group('/api', [mark('api')], (api) => {
+    api.group('/admin', (admin) => {
+      admin.use(mark('admin'));
+      admin.get('/users/:id', mark('route'), req => ({ trail: req.trail, id: req.params.id }));
+    });
+  });
+
+  assertEqual((await lambdaRequest(app, { path: '/plain' })).body, { trail: ['global', 'route'] }, 'Route middleware');
+  assertEqual((await nodeRequest(app, { path: '/api/admin/users/7' })).body, {
+    trail: ['global', 'api', 'admin', 'route'],
+    id: '7',
+  }, 'Nested groups on Node.js');
+  assertEqual((await lambdaRequest(app, { path: '/api/admin/users/7' })).body.trail, ['global', 'api', 'admin', 'route'], 'Nested groups on Lambda');
+  assertEqual((await lambdaRequest(app, { path: '/admin/users/7' })).statusCode, 404, 'Routes only exist under the prefix');
+});
+
+test('Route middleware - A response sent without next() ends the chain', async () => {
+  const app = new NavisApp();
+  let handled = false;
+  const deny = (req, res) => res.status(403).json({ denied: true });
+  app.group('/private', [deny], (group) => {
+    group.get('/data', () => {
+      handled = true;
+      return { data: true };
+    });
+  });
+
+  const response = await lambdaRequest(app, { path: '/private/data' });
+  assertEqual([response.statusCode, response.body, handled], [403, { denied: true }, false]);
+});
+
+test('Middleware - next() is observed when awaited, and surfaced when fired and forgotten', async () => {
+  const { executeMiddleware } = require('../src/core/middleware');
+
+  // Awaited: the middleware's own outcome wins, with the downstream result
+  const awaited = await executeMiddleware([async (req, res, next) => {
+    const result = await next();
+    return { wrapped: result };
+  }], {}, {}, () => 'handler');
+  assertEqual(awaited, { wrapped: 'handler' }, 'Awaited next()');
+
+  // Fire-and-forget: the downstream result is still returned...
+  const forgotten = await executeMiddleware([(req, res, next) => {
+    next();
+  }], {}, {}, async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return 'late';
+  });
+  assertEqual(forgotten, 'late', 'Unawaited next() result');
+
+  // ...and so is its error, once the handler fails
+  let error = null;
+  await executeMiddleware([(req, res, next) => {
+    next();
+  }], {}, {}, async () => {
+    throw new Error('late failure');
+  }).catch((e) => {
+    error = e;
+  });
+  assertEqual(error && error.message, 'late failure', 'Unawaited next() error');
+});
+
+// ============================================================
+// Route params and wildcards (user-006)
+// ============================================================
+
+test('Routing - Params and wildcards are URL-decoded', async () => {
+  const app = new NavisApp();
+  app.get('/users/:name', req => ({ name: req.params.name }));
+  app.get('/ids/:id<int>', req => ({ id: req.params.id }));
+  app.get('/files/*path', req => ({ path: req.params.path }));
+
+  assertEqual((await lambdaRequest(app, { path: '/users/a%20b' })).body, { name: 'a b' }, 'Param');
+  assertEqual((await lambdaRequest(app, { path: '/ids/%34%32' })).body, { id: 42 }, 'Typed param');
+  assertEqual((await lambdaRequest(app, { path: '/files/docs/read%20me.txt' })).body, { path: 'docs/read me.txt' }, 'Wildcard');
+  assertEqual((await lambdaRequest(app, { path: '/users/%E0%A4%A' })).body, { name: '%E0%A4%A' }, 'Malformed escape');
+});
+
+test('Routing - * inside a segment is literal', async () => {
+  const app = new NavisApp();
+  app.get('/assets/*.js', () => ({ literal: true }));
+  app.get('/static/*', () => ({ wildcard: true }));
+
+  assertEqual((await lambdaRequest(app, { path: '/assets/*.js' })).body, { literal: true }, 'Literal path');
+  assertEqual((await lambdaRequest(app, { path: '/assets/app.js' })).statusCode, 404, 'Other file');
+  assertEqual((await lambdaRequest(app, { path: '/static/app.js' })).body, { wildcard: true }, 'Whole-segment wildcard');
+});
+
+test('Routing - Optional params match both paths and are documented as two OpenAPI paths', async () => {
+  const app = new NavisApp();
+  app.get('/:lang?/docs/:id<int>', req => ({ lang: req.params.lang || null, id: req.params.id }));
+
+  assertEqual((await lambdaRequest(app, { path: '/en/docs/3' })).body, { lang: 'en', id: 3 }, 'With the param');
+  assertEqual((await lambdaRequest(app, { path: '/docs/3' })).body, { lang: null, id: 3 }, 'Without the param');
+
+  const { paths } = new navis.SwaggerGenerator().addApp(app).generate();
+  assertEqual(Object.keys(paths), ['/{lang}/docs/{id}', '/docs/{id}'], 'Paths');
+  assertEqual(paths['/{lang}/docs/{id}'].get.parameters.map(p => [p.name, p.required, p.schema.type]),
+    [['lang', true, 'string'], ['id', true, 'integer']], 'Parameters with the optional param');
+  assertEqual(paths['/docs/{id}'].get.parameters.map(p => p.name), ['id'], 'Parameters without it');
+});
+
+// ============================================================
+// Mounted apps (user-007)
+// ============================================================
+
+test('Mount - The parent keeps its own routes under a mounted prefix', async () => {
+  const billing = new NavisApp();
+  billing.get('/invoices', () => ({ from: 'child' }));
+
+  const app = new NavisApp();
+  app.get('/billing/status', () => ({ from: 'parent' }));
+  app.mount('/billing', billing);
+
+  assertEqual((await lambdaRequest(app, { path: '/billing/status' })).body, { from: 'parent' }, 'Parent route');
+  assertEqual((await lambdaRequest(app, { path: '/billing/invoices' })).body, { from: 'child' }, 'Child route');
+  assertEqual((await lambdaRequest(app, { path: '/billing/missing' })).statusCode, 404, 'Unknown path');
+  assertEqual((await lambdaRequest(app, { method: 'POST', path: '/billing/status' })).statusCode, 405, 'Parent path, other method');
+});
+
+test('Mount - An app mounted at / does not hide the parent routes', async () => {
+  const child = new NavisApp();
+  child.get('/invoices', () => ({ from: 'child' }));
+
+  const app = new NavisApp();
+  app.get('/health', () => ({ from: 'parent' }));
+  app.mount('/', child);
+
+  assertEqual((await lambdaRequest(app, { path: '/health' })).body, { from: 'parent' }, 'Parent route');
+  assertEqual((await lambdaRequest(app, { path: '/invoices' })).body, { from: 'child' }, 'Child route');
+});
+
+// ============================================================
+// Lifecycle hooks and metrics (user-008)
+// ============================================================
+
+test('Metrics - requestHook labels by route pattern, and unmatched requests share one label', async () => {
+  const metrics = new navis.Metrics();
+  const app = new NavisApp();
+  app.addHook('onResponse', metrics.requestHook());
+  app.get('/users/:id', req => ({ id: req.params.id }));
+
+  for (const path of ['/users/1', '/users/2', '/probe/a', '/probe/b', '/wp-login.php']) {
+    await lambdaRequest(app, { path });
+  }
+
+  const counters = metrics.getAll().counters;
+  const paths = Object.keys(counters).map(key => JSON.parse(key.split('::')[1]).path);
+  assertEqual(Array.from(new Set(paths)).sort(), ['/users/:id', 'unmatched'], 'Path labels');
+  assertEqual(Object.values(counters).reduce((sum, value) => sum + value, 0), 5, 'Requests counted');
+});
+
+// ============================================================
+// Lambda events (user-009)
+// ============================================================
+
+test('Lambda events - API Gateway v1/v2, ALB and Function URL events normalize the same', async () => {
+  const { normalizeEvent } = navis.lambdaEvents;
+
+  const v1 = normalizeEvent({
+    httpMethod: 'get',
+    path: '/search',
+    headers: { Accept: 'text/html' },
+    multiValueHeaders: { Accept: ['text/html'], 'X-Tag': ['a', 'b'], Cookie: ['a=1', 'b=2'] },
+    multiValueQueryStringParameters: { tag: ['x', 'y'], q: ['one'] },
+  });
+  assertEqual([v1.source, v1.method, v1.path], ['apigateway-v1', 'GET', '/search'], 'v1 request line');
+  assertEqual(v1.headers, { accept: 'text/html', 'x-tag': 'a, b', cookie: 'a=1; b=2' }, 'v1 multiValueHeaders');
+  assertEqual(v1.query, { tag: ['x', 'y'], q: 'one' }, 'v1 multiValue query');
+
+  const v2 = normalizeEvent({
+    version: '2.0',
+    rawPath: '/search',
+    rawQueryString: 'tag=x&tag=y&q=a%20b',
+    cookies: ['a=1', 'b=2'],
+    headers: { 'x-tag': 'a,b' },
+    requestContext: { http: { method: 'POST', path: '/search' }, domainName: 'abc.execute-api.us-east-1.amazonaws.com' },
+    body: 'eyJhIjoxfQ==',
+    isBase64Encoded: true,
+  });
+  assertEqual([v2.source, v2.method], ['apigateway-v2', 'POST'], 'v2 request line');
+  assertEqual(v2.headers.cookie, 'a=1; b=2', 'v2 cookies become the Cookie header');
+  assertEqual(v2.query, { tag: ['x', 'y'], q: 'a b' }, 'v2 raw query string');
+  assertEqual([v2.body, v2.isBase64Encoded], ['eyJhIjoxfQ==', true], 'v2 base64 body is kept for the parser');
+
+  const functionUrl = normalizeEvent({
+    version: '2.0',
+    rawPath: '/',
+    requestContext: { http: { method: 'GET', path: '/' }, domainName: 'abc.lambda-url.us-east-1.on.aws' },
+  });
+  assertEqual(functionUrl.source, 'function-url', 'Function URL');
+
+  const alb = normalizeEvent({
+    httpMethod: 'GET',
+    path: '/search',
+    requestContext: { elb: { targetGroupArn: 'arn' } },
+    queryStringParameters: { q: 'a%20b', 'sort+by': 'name+asc' },
+    headers: { host: 'example.com' },
+  });
+  assertEqual([alb.source, alb.multiValue], ['alb', false], 'ALB');
+  assertEqual(alb.query, { q: 'a b', 'sort by': 'name asc' }, 'ALB query values are decoded');
+});
+
+test('Lambda events - Responses use each source\'s shape for cookies, headers and binary bodies', async () => {
+  const app = new NavisApp();
+  app.post('/login', (req, res) => {
+    res.set('Set-Cookie', ['session=abc', 'theme=dark']);
+    res.set('Vary', ['Accept', 'Origin']);
+    return { user: req.body.user, query: req.query };
+  });
+  app.get('/logo', (req, res) => res.type('image/png').send(Buffer.from([137, 80, 78, 71])));
+
+  const body = Buffer.from('{"user":"ann"}').toString('base64');
+
+  const v1 = await app.handleLambda({
+    httpMethod: 'POST',
+    path: '/login',
+    headers: { 'Content-Type': 'application/json' },
+    multiValueQueryStringParameters: { r: ['1', '2'] },
+    body,
+    isBase64Encoded: true,
+  });
+  assertEqual(JSON.parse(v1.body), { user: 'ann', query: { r: ['1', '2'] } }, 'v1 base64 body and multiValue query');
+  assertEqual(v1.multiValueHeaders['Set-Cookie'], ['session=abc', 'theme=dark'], 'v1 repeated Set-Cookie');
+  assertEqual(v1.multiValueHeaders.Vary, ['Accept', 'Origin'], 'v1 repeated header');
+
+  const v2 = await app.handleLambda({
+    version: '2.0',
+    rawPath: '/login',
+    rawQueryString: '',
+    headers: { 'content-type': 'application/json' },
+    requestContext: { http: { method: 'POST', path: '/login' } },
+    body,
+    isBase64Encoded: true,
+  });
+  assertEqual(v2.cookies, ['session=abc', 'theme=dark'], 'v2 cookies array');
+  assertEqual([v2.headers['Set-Cookie'], v2.headers.Vary], [undefined, 'Accept, Origin'], 'v2 headers');
+
+  const albEvent = {
+    httpMethod: 'POST',
+    path: '/login',
+    requestContext: { elb: { targetGroupArn: 'arn' } },
+    body: '{"user":"ann"}',
+    isBase64Encoded: false,
+  };
+  const alb = await app.handleLambda({ ...albEvent, headers: { 'content-type': 'application/json' } });
+  assertEqual([alb.statusDescription, alb.headers['Set-Cookie']], ['200 OK', 'theme=dark'], 'ALB single-value headers');
+  const albMulti = await app.handleLambda({ ...albEvent, multiValueHeaders: { 'content-type': ['application/json'] } });
+  assertEqual(albMulti.multiValueHeaders['Set-Cookie'], ['session=abc', 'theme=dark'], 'ALB multi-value headers');
+
+  const logo = await app.handleLambda({
+    version: '2.0',
+    rawPath: '/logo',
+    requestContext: { http: { method: 'GET', path: '/logo' }, domainName: 'abc.lambda-url.us-east-1.on.aws' },
+  });
+  assertEqual([logo.body, logo.isBase64Encoded], ['iVBORw==', true], 'Binary body is base64');
+});
+
+// ============================================================
+// Non-HTTP Lambda events (user-010)
+// ============================================================
+
+test('Event routing - app.on() routes each source by ARN, name, pattern or detail-type', async () => {
+  const { testApp, mockEvents } = navis;
+  const app = new NavisApp();
+  const seen = [];
+  app.on('sqs', 'orders', message => seen.push(['orders', message.body]));
+  app.on('sqs', message => seen.push(['any queue', message.body]));
+  app.on('sns', /alerts$/, message => seen.push(['sns', message.body, message.subject]));
+  app.on('s3', 'uploads', ({ key, size }) => seen.push(['s3', key, size]));
+  app.on('dynamodb', 'Users', ({ eventName, keys }) => seen.push(['dynamodb', eventName, keys]));
+  app.on('eventbridge', 'OrderPlaced', ({ detail }) => seen.push(['eventbridge', detail]));
+  app.on('schedule', 'nightly', () => seen.push(['schedule']));
+  app.get('/health', () => ({ ok: true }));
+
+  const client = testApp(app);
+  await client.invoke(mockEvents.sqs([{ id: 1 }], { queue: 'orders' }));
+  await client.invoke(mockEvents.sqs('plain text', { queue: 'arn:aws:sqs:eu-west-1:123456789012:audit' }));
+  await client.invoke(mockEvents.sns({ level: 'high' }, { topic: 'prod-alerts', subject: 'CPU' }));
+  await client.invoke(mockEvents.s3('uploads', ['photos/a b+c.png'], { size: 10 }));
+  await client.invoke(mockEvents.dynamodb('Users', [{ eventName: 'MODIFY', keys: { id: { S: 'u1' } } }]));
+  await client.invoke(mockEvents.eventBridge('orders.service', 'OrderPlaced', { orderId: 7 }));
+  await client.invoke(mockEvents.schedule('nightly'));
+
+  assertEqual(seen, [
+    ['orders', { id: 1 }],
+    ['any queue', 'plain text'],
+    ['sns', { level: 'high' }, 'CPU'],
+    ['s3', 'photos/a b+c.png', 10],
+    ['dynamodb', 'MODIFY', { id: { S: 'u1' } }],
+    ['eventbridge', { orderId: 7 }],
+    ['schedule'],
+  ]);
+
+  const httpResponse = await app.handleEvent({
+    version: '2.0',
+    rawPath: '/health',
+    requestContext: { http: { method: 'GET', path: '/health' } },
+  });
+  assertEqual(httpResponse.statusCode, 200, 'HTTP events still reach the routes');
+});
+
+test('Event routing - A malformed S3 key is passed through as sent', async () => {
+  const app = new NavisApp();
+  let received = null;
+  app.on('s3', ({ key }) => {
+    received = key;
+  });
+
+  const event = navis.mockEvents.s3('uploads', ['report.csv']);
+  event.Records[0].s3.object.key = '100%+done.csv';
+  await app.handleEvent(event);
+  assertEqual(received, '100%+done.csv');
+});
+
+test('Event routing - SQS reports failed records; FIFO queues stop at the first failure', async () => {
+  const { mockEvents } = navis;
+  const processed = [];
+  const app = new NavisApp();
+  app.on('sqs', 'standard', (message) => {
+    processed.push(message.messageId);
+    if (message.body.fail) {
+      throw new Error('bad message');
+    }
+  });
+  app.on('sqs', 'orders.fifo', (message) => {
+    processed.push(message.messageId);
+    if (message.body.fail) {
+      throw new Error('bad message');
+    }
+  });
+  app.on('sqs', 'strict', () => {
+    throw new Error('whole batch');
+  }, { batchItemFailures: false });
+
+  const bodies = [{}, { fail: true }, {}];
+  const messageIds = ['m1', 'm2', 'm3'];
+
+  const standard = await quietly(() => app.handleEvent(mockEvents.sqs(bodies, { queue: 'standard', messageIds })));
+  assertEqual(standard, { batchItemFailures: [{ itemIdentifier: 'm2' }] }, 'Standard queue');
+  assertEqual(processed.sort(), ['m1', 'm2', 'm3'], 'Every standard record runs');
+
+  processed.length = 0;
+  const fifo = await quietly(() => app.handleEvent(mockEvents.sqs(bodies, { queue: 'orders.fifo', messageIds })));
+  assertEqual(fifo, { batchItemFailures: [{ itemIdentifier: 'm2' }, { itemIdentifier: 'm3' }] }, 'FIFO queue');
+  assertEqual(processed, ['m1', 'm2'], 'FIFO records after a failure are not run');
+
+  let error = null;
+  await quietly(() => app.handleEvent(mockEvents.sqs([{}], { queue: 'strict' }))).catch((e) => {
+    error = e;
+  });
+  assertEqual(error && error.message, 'whole batch', 'batchItemFailures: false fails the invocation');
+});
+
+// ============================================================
+// In-memory messaging (user-011)
+// ============================================================
+
+test('Messaging - In-memory queues deliver each message to one consumer and redeliver failures', async () => {
+  const bus = new navis.InMemoryMessaging({ mode: 'queue', retry: { maxAttempts: 3, initialDelay: 1 } });
+  const received = [];
+  const consumer = name => async (body, metadata) => {
+    if (body.n === 2 && metadata.attempt === 1) {
+      throw new Error('try again');
+    }
+    received.push([name, body.n, metadata.attempt]);
+  };
+
+  await bus.subscribe('jobs', consumer('a'));
+  await bus.subscribe('jobs', consumer('b'));
+
+  for (let n = 1; n <= 4; n++) {
+    await bus.publish('jobs', { n });
+  }
+  await quietly(async () => {
+    await bus.drain();
+    // The failed message comes back once its retry delay has passed
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await bus.drain();
+  });
+
+  assertEqual(received.map(([, n]) => n).sort(), [1, 2, 3, 4], 'Each message handled exactly once');
+  assertEqual(new Set(received.map(([name]) => name)).size, 2, 'Both consumers should receive messages');
+  assertEqual(received.find(([, n]) => n === 2).slice(1), [2, 2], 'Redelivered message with its attempt');
+  assertEqual(bus.getQueueStats('jobs'), { visible: 0, inFlight: 0, delayed: 0 }, 'Queue stats');
+  await bus.disconnect();
+});
+
+test('Messaging - In-memory topics fan out to consumer groups and commit offsets', async () => {
+  const bus = new navis.InMemoryMessaging({ mode: 'topic', partitions: 2 });
+  const billing = [];
+  const audit = [];
+
+  await bus.publish('orders', { id: 'before' }, { key: 'a' });
+  await bus.subscribe('orders', async (body, metadata) => { billing.push([body.id, metadata.partition]); }, { groupId: 'billing' });
+  await bus.subscribe('orders', async (body) => { audit.push(body.id); }, { groupId: 'audit', fromBeginning: true });
+
+  await bus.publish('orders', { id: 'a1' }, { key: 'a' });
+  await bus.publish('orders', { id: 'b1' }, { key: 'b' });
+  await bus.publish('orders', { id: 'a2' }, { key: 'a' });
+  await bus.drain();
+
+  assertEqual(audit.slice().sort(), ['a1', 'a2', 'b1', 'before'], 'fromBeginning group reads the whole log');
+  assertEqual(billing.map(([id]) => id).sort(), ['a1', 'a2', 'b1'], 'New group starts at the end');
+  const partitionOf = id => billing.find(([seen]) => seen === id)[1];
+  assertEqual(partitionOf('a1'), partitionOf('a2'), 'Same key, same partition');
+  assert(billing.findIndex(([id]) => id === 'a1') < billing.findIndex(([id]) => id === 'a2'), 'Order kept within a partition');
+
+  const offsets = bus.getOffsets('orders', 'audit');
+  assertEqual(offsets.reduce((sum, offset) => sum + offset, 0), 4, 'Audit offsets cover every record');
+  assertEqual(bus.getOffsets('orders', 'billing'), offsets, 'Both groups end at the same offsets');
+
+  // Seeking back replays the partition for that group only
+  bus.seek('orders', 'billing', partitionOf('a1'), 0);
+  await bus.drain();
+  assert(billing.filter(([id]) => id === 'a1').length === 2, 'Seek should replay a1');
+  assertEqual(audit.length, 4, 'Other groups are unaffected');
+  await bus.disconnect();
+});
+
+test('Messaging - In-memory topics keep the offset when dead-lettering fails', async () => {
+  let dlqDown = true;
+  const deadLettered = [];
+  const bus = new navis.InMemoryMessaging({ mode: 'topic', retry: { maxAttempts: 1, initialDelay: 5 }, deadLetter: 'orders.dlq' });
+  const handled = [];
+
+  await bus.subscribe('orders.dlq', async (body) => {
+    if (dlqDown) {
+      throw new Error('unreachable');
+    }
+    deadLettered.push(body.id);
+  }, { fromBeginning: true });
+  const publish = bus.publish.bind(bus);
+  bus.publish = async (destination, ...args) => {
+    if (destination === 'orders.dlq' && dlqDown) {
+      throw new Error('broker unavailable');
+    }
+    return publish(destination, ...args);
+  };
+
+  await bus.subscribe('orders', async (body) => {
+    handled.push(body.id);
+    if (body.id === 1) {
+      throw new Error('handler failed');
+    }
+  }, { groupId: 'billing' });
+  await bus.publish('orders', { id: 1 });
+  await bus.publish('orders', { id: 2 });
+
+  await quietly(() => bus.drain());
+  assertEqual(bus.getOffsets('orders', 'billing'), [0], 'Offset not committed while the DLQ is down');
+  assertEqual(handled, [1], 'Later records wait behind the failed one');
+
+  dlqDown = false;
+  await quietly(async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await bus.drain();
+  });
+  assertEqual(bus.getOffsets('orders', 'billing'), [2], 'Offsets after the retry');
+  assertEqual(handled, [1, 2], 'The failed record is dead-lettered without rerunning the handler');
+  assertEqual(deadLettered, [1], 'Dead-lettered records');
+  await bus.disconnect();
+});
+
+test('Messaging - In-memory subjects match wildcards and split queue groups', async () => {
+  const bus = new navis.InMemoryMessaging({ mode: 'subject' });
+  const seen = { star: [], tail: [], workers: 0 };
+
+  await bus.subscribe('orders.*', async (body, metadata) => { seen.star.push(metadata.subject); });
+  await bus.subscribe('orders.>', async (body, metadata) => { seen.tail.push(metadata.subject); });
+  await bus.subscribe('orders.created', async () => { seen.workers++; }, { queue: 'workers' });
+  await bus.subscribe('orders.created', async () => { seen.workers++; }, { queue: 'workers' });
+
+  await bus.publish('orders.created', { id: 1 });
+  await bus.publish('orders.eu.created', { id: 2 });
+  await bus.publish('payments.created', { id: 3 });
+  await bus.drain();
+
+  assertEqual(seen.star, ['orders.created'], '* matches one token');
+  assertEqual(seen.tail.sort(), ['orders.created', 'orders.eu.created'], '> matches the rest');
+  assertEqual(seen.workers, 1, 'One queue group member per message');
+  await bus.disconnect();
+});
+
+test('Messaging - In-memory request/reply encodes both ways and times out', async () => {
+  const registry = navis.createSchemaRegistry();
+  registry.register('quotes', { symbol: { type: 'string', required: true } });
+  const bus = new navis.InMemoryMessaging({ mode: 'subject', schemaRegistry: registry });
+  const requests = [];
+
+  await bus.subscribe('quotes', async (body, metadata) => {
+    requests.push(metadata.event.type);
+    metadata.respond({ symbol: body.symbol, price: 42 });
+  });
+
+  assertEqual(await bus.request('quotes', { symbol: 'ACME' }), { symbol: 'ACME', price: 42 }, 'Reply payload');
+  assertEqual(requests, ['quotes'], 'Requests arrive as envelopes');
+
+  let invalid = null;
+  try {
+    await bus.request('quotes', { price: 1 });
+  } catch (error) {
+    invalid = error;
+  }
+  assert(invalid && invalid.name === 'ValidationError', 'Requests are validated like publishes');
+
+  await bus.subscribe('slow', async () => {});
+  const started = Date.now();
+  let timedOut = null;
+  try {
+    await bus.request('slow', {}, { timeout: 20 });
+  } catch (error) {
+    timedOut = error;
+  }
+  assert(timedOut && /timed out after 20ms/.test(timedOut.message), `Expected a timeout, got ${timedOut && timedOut.message}`);
+  assert(Date.now() - started < 1000, 'Timeout should not wait for the default');
+  assert(!bus.subscriptions.some(subscription => subscription.subject.startsWith('_INBOX.')), 'Inbox removed after the timeout');
+
+  let noResponders = null;
+  try {
+    await bus.request('nobody', {});
+  } catch (error) {
+    noResponders = error;
+  }
+  assert(noResponders && /No responders/.test(noResponders.message), 'No responders');
+  await bus.disconnect();
+});
+
+test('Messaging - In-memory drain() waits for deliveries and times out on stuck handlers', async () => {
+  const bus = new navis.InMemoryMessaging({ mode: 'queue' });
+  const done = [];
+  let release;
+
+  await bus.subscribe('work', async (body) => {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    done.push(body.n);
+  });
+  await bus.publish('work', { n: 1 });
+  await bus.publish('work', { n: 2 });
+  await bus.drain();
+  assertEqual(done.sort(), [1, 2], 'drain() waits for slow handlers');
+
+  await bus.subscribe('stuck', () => new Promise((resolve) => { release = resolve; }));
+  await bus.publish('stuck', {});
+  let error = null;
+  try {
+    await bus.drain({ timeout: 30 });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /drain\(\) timed out after 30ms/.test(error.message), 'drain() should time out');
+  release();
+  await bus.drain();
+  await bus.disconnect();
+});
+
+// ============================================================
+// Dead-letter queues (user-012)
+// ============================================================
+
+/**
+ * Run fn with console.error silenced (adapters log every failed attempt)
+ */
+async function quietly(fn) {
+  const error = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = error;
+  }
+}
+
+test('Messaging - Kafka leaves a message uncommitted when dead-lettering fails, then resumes', async () => {
+  let dlqDown = true;
+  const deadLettered = [];
+  let handlerCalls = 0;
+  let eachMessage = null;
+
+  const kafka = new navis.KafkaMessaging({ retry: { maxAttempts: 2, initialDelay: 1 }, deadLetter: 'orders.dlq' });
+  kafka.isConnected = true;
+  kafka.producer = {
+    send: async ({ topic, messages }) => {
+      if (dlqDown) {
+        throw new Error('broker unavailable');
+      }
+      deadLettered.push({ topic, headers: messages[0].headers });
+      return [{ partition: 0, offset: '0' }];
+    },
+  };
+  kafka.consumer = {
+    subscribe: async () => {},
+    run: async (config) => {
+      eachMessage = config.eachMessage;
+    },
+  };
+
+  await kafka.subscribe('orders', async () => {
+    handlerCalls++;
+    throw new Error('handler failed');
+  });
+  const delivery = () => eachMessage({ topic: 'orders', partition: 0, message: { offset: '7', value: Buffer.from('{"id":1}'), headers: {} } });
+
+  const first = await quietly(() => delivery().then(() => null, error => error));
+  assert(first && first.message === 'broker unavailable', 'eachMessage should reject so the offset is not committed');
+  assertEqual(handlerCalls, 2, 'Handler calls before dead-lettering');
+
+  dlqDown = false;
+  await quietly(delivery);
+  assertEqual(handlerCalls, 2, 'Handler calls after redelivery');
+  assertEqual(deadLettered.map(message => [message.topic, message.headers['x-attempts']]), [['orders.dlq', '2']], 'Dead-lettered');
+});
+
+test('Messaging - NATS retries a failed dead-lettering in-process', async () => {
+  let publishFailures = 1;
+  const published = [];
+  let push = null;
+
+  const nats = new navis.NATSMessaging({ retry: { maxAttempts: 1, initialDelay: 1 }, deadLetter: 'orders.dlq' });
+  nats.isConnected = true;
+  nats.nc = {
+    publish: (subject) => {
+      if (publishFailures-- > 0) {
+        throw new Error('connection draining');
+      }
+      published.push(subject);
+    },
+    subscribe: () => ({
+      [Symbol.asyncIterator]: () => ({
+        next: () => new Promise((resolve) => {
+          push = msg => resolve({ value: msg, done: false });
+        }),
+      }),
+    }),
+  };
+
+  await nats.subscribe('orders', async () => {
+    throw new Error('handler failed');
+  });
+  await quietly(async () => {
+    push({ subject: 'orders', data: Buffer.from('{"id":1}'), headers: null });
+    for (let i = 0; i < 50 && published.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  });
+
+  assertEqual(published, ['orders.dlq'], 'Published to the DLQ after a retry');
+});
+
+test('Messaging - A retry reruns only the handler that failed', async () => {
+  const calls = { index: 0, email: 0 };
+  let eachMessage = null;
+
+  const kafka = new navis.KafkaMessaging({ retry: { maxAttempts: 3, initialDelay: 1 } });
+  kafka.isConnected = true;
+  kafka.consumer = {
+    subscribe: async () => {},
+    run: async (config) => {
+      eachMessage = config.eachMessage;
+    },
+  };
+
+  await kafka.subscribe('orders', async () => { calls.index++; });
+  await kafka.subscribe('orders', async () => {
+    if (++calls.email < 3) {
+      throw new Error('smtp down');
+    }
+  });
+  await quietly(() => eachMessage({ topic: 'orders', partition: 0, message: { offset: '1', value: Buffer.from('{"id":1}'), headers: {} } }));
+  assertEqual(calls, { index: 1, email: 3 }, 'In-process retries');
+
+  // Brokers that redeliver (SQS): succeeded handlers are remembered by delivery id
+  const bus = new navis.InMemoryMessaging({ retry: { maxAttempts: 3, initialDelay: 1 } });
+  const handled = [];
+  const handlers = [
+    async () => { handled.push('index'); },
+    async (body, metadata) => {
+      handled.push(`email#${metadata.attempt}`);
+      if (metadata.attempt === 1) {
+        throw new Error('smtp down');
+      }
+    },
+  ];
+  const deliver = attempt => bus._deliver('orders', '{"id":2}', {}, { handlers, attempt, redelivers: true, id: 'message-2' });
+  const first = await quietly(() => deliver(1).then(() => null, error => error));
+  assert(first && first.retryDelay !== undefined, 'First delivery should ask for a redelivery');
+  assertEqual(await deliver(2), 'processed', 'Redelivery result');
+  assertEqual(handled, ['index', 'email#1', 'email#2'], 'Handlers run per delivery');
+  assertEqual(bus.completedHandlers.size, 0, 'Forgotten once processed');
+});
+
+// ============================================================
+// Outbox (user-013)
+// ============================================================
+
+/**
+ * better-sqlite3 stand-in over an array of rows: supports the simple
+ * SELECT ... WHERE "col" op ? AND ... ORDER BY LIMIT queries the outbox reads
+ * with, and accepts (ignores) writes
+ */
+function fakeSqliteTable(rows) {
+  const operators = {
+    '=': (a, b) => a === b,
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b,
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b,
+  };
+
+  return {
+    prepare(sql) {
+      return {
+        reader: /^\s*SELECT/i.test(sql),
+        run: () => ({ changes: 1 }),
+        all: (...params) => {
+          const where = /WHERE (.*?)(?: ORDER BY| LIMIT|$)/.exec(sql);
+          const limit = /LIMIT (\d+)/.exec(sql);
+          let index = 0;
+          const checks = (where ? where[1].split(' AND ') : []).map((condition) => {
+            const [, field, operator] = /"(\w+)" (IS NOT NULL|[=<>]+)/.exec(condition);
+            if (operator === 'IS NOT NULL') {
+              return row => row[field] !== null && row[field] !== undefined;
+            }
+            const value = params[index++];
+            return row => operators[operator](row[field], value);
+          });
+          const matched = rows.filter(row => checks.every(check => check(row))).sort((a, b) => a.id - b.id);
+          return limit ? matched.slice(0, Number(limit[1])) : matched;
+        },
+      };
+    },
+  };
+}
+
+test('Outbox - pending() skips events held back by a retry so other aggregates still flow', async () => {
+  const now = Date.now();
+  const row = (id, aggregateId, availableAt = now - 1000) => ({
+    id,
+    event_id: `e${id}`,
+    destination: 'orders',
+    aggregate_type: aggregateId === null ? null : 'order',
+    aggregate_id: aggregateId,
+    payload: JSON.stringify({ id }),
+    status: 'pending',
+    attempts: 0,
+    created_at: now - 1000,
+    available_at: availableAt,
+  });
+  // Order 1's first event waits for a retry, so the two after it must wait too
+  const rows = [row(1, '1', now + 60000), row(2, '1'), row(3, '1'), row(4, '2'), row(5, '2'), row(6, null)];
+
+  const db = new navis.DatabasePool({ type: 'sqlite' });
+  db.pool = fakeSqliteTable(rows);
+  const outbox = new navis.Outbox(db);
+
+  assertEqual((await outbox.pending(2, now)).map(event => event.rowId), [4, 5], 'First batch');
+  assertEqual((await outbox.pending(10, now)).map(event => event.rowId), [4, 5, 6], 'All due events');
+
+  const published = [];
+  const relay = outbox.relay({
+    _headerOptions: headers => ({ headers }),
+    publish: async (destination, payload) => published.push(payload.id),
+  });
+  const stats = await relay.runOnce();
+  // Aggregates are published concurrently: only the order within one is fixed
+  assertEqual(published.sort((a, b) => a - b), [4, 5, 6], 'Published');
+  assertEqual(stats.sent, 3, 'Sent count');
+});
+
+test('Outbox - A failing aggregate group does not end the batch while others still publish', async () => {
+  const now = Date.now();
+  const rows = [1, 2].map(id => ({
+    id,
+    event_id: `e${id}`,
+    destination: 'orders',
+    aggregate_type: 'order',
+    aggregate_id: String(id),
+    payload: JSON.stringify({ id }),
+    status: 'pending',
+    attempts: 0,
+    created_at: now - 1000,
+    available_at: now - 1000,
+  }));
+
+  const db = new navis.DatabasePool({ type: 'sqlite' });
+  db.pool = fakeSqliteTable(rows);
+  const outbox = new navis.Outbox(db);
+  const markSent = outbox._markSent.bind(outbox);
+  outbox._markSent = async (event, remove) => {
+    if (event.rowId === 1) {
+      throw new Error('database unavailable');
+    }
+    return markSent(event, remove);
+  };
+
+  let slowPublished = false;
+  const relay = outbox.relay({
+    _headerOptions: headers => ({ headers }),
+    publish: async (destination, payload) => {
+      if (payload.id === 2) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        slowPublished = true;
+      }
+    },
+  });
+
+  let error = null;
+  try {
+    await relay.runOnce();
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message === 'database unavailable', 'The storage error is reported');
+  assert(slowPublished, 'The batch ends only after every group has finished');
+  assertEqual(relay.current, null, 'The next batch can start');
+});
+
+// ============================================================
+// Query builder and SQLite driver (user-013)
+// ============================================================
+
+test('Query builder - UPDATE binds SET values before WHERE values for ? placeholders', () => {
+  const update = type => navis.queryBuilder({ type })
+    .where('id', '=', 7)
+    .update('outbox', { status: 'sent', attempts: 2 })
+    .toSQL();
+
+  const sqlite = update('sqlite');
+  assertEqual(sqlite.sql, 'UPDATE "outbox" SET "status" = ?, "attempts" = ? WHERE "id" = ?', 'SQLite SQL');
+  assertEqual(sqlite.params, ['sent', 2, 7], 'SQLite params');
+  assertEqual(update('mysql').params, ['sent', 2, 7], 'MySQL params');
+
+  const postgres = update('postgres');
+  assertEqual(postgres.sql, 'UPDATE "outbox" SET "status" = $2, "attempts" = $3 WHERE "id" = $1', 'PostgreSQL SQL');
+  assertEqual(postgres.params, [7, 'sent', 2], 'PostgreSQL params');
+});
+
+test('DatabasePool - SQLite writes use run() and report the inserted row id on both drivers', async () => {
+  const calls = [];
+
+  // better-sqlite3: all() throws for statements that return no rows
+  const betterSqlite = new navis.DatabasePool({ type: 'sqlite' });
+  betterSqlite.pool = {
+    prepare: sql => ({
+      reader: /^SELECT/.test(sql),
+      all: () => {
+        if (!/^SELECT/.test(sql)) {
+          throw new TypeError('This statement does not return data. Use run() instead');
+        }
+        return [{ id: 1 }];
+      },
+      run: () => ({ changes: 1, lastInsertRowid: 41 }),
+    }),
+  };
+
+  // sqlite: the async wrapper around sqlite3
+  const sqlite = new navis.DatabasePool({ type: 'sqlite' });
+  sqlite.pool = {
+    getDatabaseInstance: () => ({}),
+    prepare: async () => ({}),
+    all: async (sql) => {
+      calls.push(`all ${sql.split(' ')[0]}`);
+      return [{ id: 1 }];
+    },
+    run: async (sql) => {
+      calls.push(`run ${sql.split(' ')[0]}`);
+      return { changes: 1, lastID: 42 };
+    },
+  };
+
+  for (const [db, id] of [[betterSqlite, 41], [sqlite, 42]]) {
+    const inserted = await navis.queryBuilder(db).insert('users', { name: 'ann' }).execute();
+    assertEqual(Number(inserted.lastInsertRowid), id, `Inserted id (${id})`);
+    assertEqual(await db.query('SELECT id FROM users'), [{ id: 1 }], `Select (${id})`);
+  }
+  assertEqual(calls, ['run INSERT', 'all SELECT'], 'sqlite driver calls');
+});
+
+// ============================================================
+// Idempotent consumers (user-014)
+// ============================================================
+
+/**
+ * PostgreSQL stand-in for the idempotency table: runs the single-table
+ * INSERT/SELECT/UPDATE/DELETE statements SQLIdempotencyStore issues and
+ * rejects duplicate keys with error code 23505
+ */
+function fakeIdempotencyPool(rows = new Map()) {
+  const pool = {
+    type: 'postgres',
+    rows,
+    query: async (sql, params = []) => {
+      await new Promise(resolve => setImmediate(resolve));
+
+      const value = token => params[Number(token.slice(1)) - 1];
+      const conditions = (/WHERE (.*)$/.exec(sql) || [, ''])[1].split(' AND ').filter(Boolean).map((condition) => {
+        const [, field, operator, token] = /"(\w+)" (<=|>|=) (\$\d+)/.exec(condition);
+        return row => (operator === '=' ? row[field] === value(token)
+          : operator === '>' ? row[field] > value(token) : row[field] <= value(token));
+      });
+      const matching = () => Array.from(rows.values()).filter(row => conditions.every(check => check(row)));
+
+      if (/^INSERT/.test(sql)) {
+        const columns = /\(([^)]*)\) VALUES/.exec(sql)[1].split(', ').map(column => column.replace(/"/g, ''));
+        const row = {};
+        columns.forEach((column, i) => { row[column] = params[i]; });
+        if (rows.has(row.idempotency_key)) {
+          const error = new Error('duplicate key value violates unique constraint');
+          error.code = '23505';
+          throw error;
+        }
+        rows.set(row.idempotency_key, row);
+        return { rows: [], rowCount: 1 };
+      }
+      if (/^SELECT/.test(sql)) {
+        return { rows: matching().map(row => ({ ...row })) };
+      }
+      if (/^DELETE/.test(sql)) {
+        const deleted = matching();
+        deleted.forEach(row => rows.delete(row.idempotency_key));
+        return { rows: [], rowCount: deleted.length };
+      }
+      const sets = /SET (.*) WHERE/.exec(sql)[1].split(', ').map(set => /"(\w+)" = (\$\d+)/.exec(set));
+      const updated = matching();
+      updated.forEach(row => sets.forEach(([, field, token]) => { row[field] = value(token); }));
+      return { rows: [], rowCount: updated.length };
+    },
+  };
+  return pool;
+}
+
+const idempotencyBackends = {
+  memory: () => new navis.Cache(),
+  sql: () => fakeIdempotencyPool(),
+};
+
+for (const [backendName, createBackend] of Object.entries(idempotencyBackends)) {
+  test(`Idempotent consumer (${backendName}) - processes a duplicate delivery once`, async () => {
+    const duplicates = [];
+    let calls = 0;
+    const handler = navis.idempotentConsumer(async (body) => {
+      calls++;
+      return { charged: body.amount };
+    }, {
+      store: createBackend(),
+      namespace: 'billing',
+      onDuplicate: ({ key, status }) => duplicates.push([key, status]),
+    });
+
+    assertEqual(await handler({ amount: 5 }, { messageId: 'm1' }), { charged: 5 }, 'First delivery');
+    assertEqual(await handler({ amount: 5 }, { messageId: 'm1' }), { charged: 5 }, 'Duplicate returns the first result');
+    await handler({ amount: 7 }, { messageId: 'm2' });
+    await handler({ amount: 9 }, {});
+    await handler({ amount: 9 }, {});
+    assertEqual(calls, 4, 'm1 once, m2 once and both unidentified messages');
+    assertEqual(duplicates, [['billing:m1', 'completed']], 'onDuplicate');
+  });
+
+  test(`Idempotent consumer (${backendName}) - a concurrent duplicate waits for the first delivery`, async () => {
+    const store = createBackend();
+    let calls = 0;
+    let release;
+    const handler = navis.idempotentConsumer(async () => {
+      calls++;
+      await new Promise((resolve) => { release = resolve; });
+      return 'done';
+    }, { store, pollInterval: 5 });
+
+    const first = handler({}, { messageId: 'm1' });
+    const second = handler({}, { messageId: 'm1' });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assertEqual(calls, 1, 'Only one delivery runs the handler');
+    release();
+    assertEqual(await Promise.all([first, second]), ['done', 'done'], 'The waiting duplicate gets the result');
+
+    // 'skip' returns at once instead of waiting
+    const skipping = navis.idempotentConsumer(async () => {
+      calls++;
+      await new Promise((resolve) => { release = resolve; });
+    }, { store, inFlight: 'skip' });
+    const running = skipping({}, { messageId: 'm2' });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assertEqual(await skipping({}, { messageId: 'm2' }), undefined, 'Skipped duplicate');
+    release();
+    await running;
+    assertEqual(calls, 2, 'Handler calls');
+
+    // A claim that is never completed times out the waiting duplicate
+    const stuck = navis.idempotentConsumer(() => new Promise((resolve) => { release = resolve; }), {
+      store, lockTimeout: 30, pollInterval: 5,
+    });
+    const holder = stuck({}, { messageId: 'm3' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    let error = null;
+    try {
+      await navis.idempotentConsumer(async () => 'late', { store, lockTimeout: 20, pollInterval: 5 })({}, { messageId: 'm3' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /Timed out waiting for in-flight message m3/.test(error.message), 'Wait loop timeout');
+    release();
+    await holder;
+  });
+
+  test(`Idempotent consumer (${backendName}) - a failed handler releases its claim`, async () => {
+    let calls = 0;
+    const handler = navis.idempotentConsumer(async () => {
+      if (++calls === 1) {
+        throw new Error('payment gateway down');
+      }
+      return 'charged';
+    }, { store: createBackend() });
+
+    let error = null;
+    try {
+      await handler({}, { messageId: 'm1' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message === 'payment gateway down', 'The handler error propagates');
+    assertEqual(await handler({}, { messageId: 'm1' }), 'charged', 'The retry runs the handler again');
+    assertEqual(calls, 2, 'Handler calls');
+  });
+}
+
+test('Idempotency store (SQL) - concurrent claims, expiry and non-duplicate errors', async () => {
+  const pool = fakeIdempotencyPool();
+  const store = new navis.SQLIdempotencyStore(pool);
+
+  const claims = await Promise.all([store.claim('k', 1000, 'a'), store.claim('k', 1000, 'b')]);
+  assertEqual(claims.map(claim => claim.claimed).sort(), [false, true], 'Exactly one concurrent claim wins');
+  const lost = claims.find(claim => !claim.claimed);
+  assertEqual(lost.record.status, 'in-flight', 'The loser sees the in-flight record');
+
+  await store.complete('k', { ok: true }, 1000);
+  assertEqual((await store.get('k')).result, { ok: true }, 'Completed result');
+
+  // An expired claim can be taken over
+  pool.rows.get('k').expires_at = Date.now() - 1;
+  assertEqual(await store.claim('k', 1000), { claimed: true }, 'Expired records are replaced');
+
+  // A lost connection is not a duplicate, even when the key is held
+  const lostConnection = new Error('Connection terminated unexpectedly');
+  const query = pool.query;
+  pool.query = async (sql, params) => {
+    if (/^INSERT/.test(sql)) {
+      throw lostConnection;
+    }
+    return query(sql, params);
+  };
+  let error = null;
+  try {
+    await store.claim('k', 1000);
+  } catch (e) {
+    error = e;
+  }
+  assert(error === lostConnection, 'Non-duplicate insert errors are rethrown');
+});
+
+// ============================================================
+// Event envelopes and schema registry (user-015)
+// ============================================================
+
+test('Envelopes - createEnvelope sets CloudEvents attributes and validates its input', () => {
+  const traceparent = navis.createTraceparent();
+  const event = navis.createEnvelope({ id: 1 }, {
+    type: 'order.created',
+    source: '/orders',
+    id: 'e1',
+    time: new Date(0),
+    subject: 42,
+    traceparent,
+    correlationId: 'c1',
+    version: 2,
+    extensions: { tenant: 'acme' },
+  });
+
+  assertEqual(event, {
+    specversion: '1.0',
+    id: 'e1',
+    source: '/orders',
+    type: 'order.created',
+    time: '1970-01-01T00:00:00.000Z',
+    datacontenttype: 'application/json',
+    subject: '42',
+    traceparent,
+    correlationid: 'c1',
+    dataversion: 2,
+    tenant: 'acme',
+    data: { id: 1 },
+  }, 'Envelope');
+  assert(navis.isEnvelope(JSON.parse(JSON.stringify(event))), 'Round-tripped envelope is recognized');
+  assert(!navis.isEnvelope({ id: 1, type: 'order.created' }), 'Plain payloads are not envelopes');
+
+  const child = navis.createTraceparent(traceparent);
+  assertEqual(child.split('-')[1], traceparent.split('-')[1], 'Child keeps the trace id');
+  assert(child.split('-')[2] !== traceparent.split('-')[2], 'Child gets a new span id');
+
+  const rejects = (options) => {
+    try {
+      navis.createEnvelope({}, options);
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  };
+  assertEqual(rejects({ source: '/orders' }), 'CloudEvents require a type', 'Missing type');
+  assertEqual(rejects({ type: 't' }), 'CloudEvents require a source', 'Missing source');
+  assertEqual(rejects({ type: 't', source: 's', traceparent: 'nope' }), 'Invalid traceparent: nope', 'Bad traceparent');
+  assertEqual(rejects({ type: 't', source: 's', extensions: { 'Tenant-Id': 1 } }), 'Invalid CloudEvents extension name: Tenant-Id', 'Bad extension');
+});
+
+test('Envelopes - Adapters wrap published messages and unwrap them for handlers', async () => {
+  const bus = new navis.InMemoryMessaging({ mode: 'topic', envelope: { source: '/orders' } });
+  const received = [];
+  await bus.subscribe('orders', async (body, metadata) => { received.push([body, metadata.event]); }, { fromBeginning: true });
+
+  await bus.publish('orders', { id: 1 }, { type: 'order.created', correlationId: 'c1' });
+  // Already an envelope (e.g. a dead-lettered event): sent as it is
+  await bus.publish('orders', navis.createEnvelope({ id: 2 }, { type: 'order.replayed', source: '/replay', id: 'e2' }));
+  await bus.drain();
+
+  assertEqual(received.map(([body]) => body), [{ id: 1 }, { id: 2 }], 'Handlers get the data');
+  const [first, second] = received.map(([, event]) => event);
+  assertEqual([first.type, first.source, first.correlationid], ['order.created', '/orders', 'c1'], 'Attributes of the wrapped message');
+  assertEqual([second.type, second.source, second.id], ['order.replayed', '/replay', 'e2'], 'Existing envelope kept');
+  assertEqual(JSON.parse(bus.topics.get('orders').partitions[0][0].data).data, { id: 1 }, 'Stored as one JSON envelope');
+  await bus.disconnect();
+});
+
+test('Schema registry - backward, forward and full compatibility', () => {
+  const v1 = { id: { type: 'string', required: true }, amount: { type: 'number', min: 0 } };
+  const withOptional = { ...v1, note: { type: 'string' } };
+  const withRequired = { ...v1, currency: { type: 'string', required: true } };
+  const withoutAmount = { id: v1.id };
+  const withoutId = { amount: v1.amount };
+
+  const attempt = (compatibility, v2) => {
+    const registry = new navis.SchemaRegistry({ compatibility });
+    registry.register('order.created', v1);
+    try {
+      return registry.register('order.created', v2);
+    } catch (error) {
+      assert(error instanceof navis.SchemaCompatibilityError, `Expected SchemaCompatibilityError, got ${error.name}`);
+      return error.issues;
+    }
+  };
+
+  // backward: the new schema must read old data
+  assertEqual(attempt('backward', withOptional), 2, 'backward: optional field added');
+  assertEqual(attempt('backward', withoutId), 2, 'backward: required field removed');
+  assertEqual(attempt('backward', withRequired), ['backward: currency is required but was not in the previous schema'], 'backward: required field added');
+
+  // forward: the old schema must read new data
+  assertEqual(attempt('forward', withRequired), 2, 'forward: required field added');
+  assertEqual(attempt('forward', withoutAmount), 2, 'forward: optional field removed');
+  assertEqual(attempt('forward', withoutId), ['forward: id is required but was not in the previous schema'], 'forward: required field removed');
+
+  // full: both directions
+  assertEqual(attempt('full', withOptional), 2, 'full: optional field added');
+  assertEqual(attempt('full', withRequired).length, 1, 'full: required field added');
+  assertEqual(attempt('full', withoutId).length, 1, 'full: required field removed');
+  assertEqual(attempt('full', { ...v1, amount: { type: 'string' } }), [
+    'backward: amount changed type from number to string',
+    'forward: amount changed type from string to number',
+  ], 'full: type change');
+  assertEqual(attempt('full', { ...v1, amount: { type: 'number', min: 10 } }), ['backward: amount min was raised to 10'], 'full: narrowed bound');
+
+  assertEqual(attempt('none', withRequired), 2, 'none: no check');
+});
+
+test('Schema registry - versions, per-version validation and rejected payloads', async () => {
+  const registry = navis.createSchemaRegistry({ compatibility: 'backward' });
+  registry.register('order.created', { id: { type: 'string', required: true } });
+  registry.register('order.created', { id: { type: 'string', required: true }, total: { type: 'number', min: 0 } });
+
+  const registerError = (version) => {
+    try {
+      registry.register('order.created', { id: { type: 'string', required: true } }, { version });
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  };
+  assertEqual(registerError(2), 'Schema order.created v2 is already registered', 'Duplicate version');
+  assertEqual(registerError(1), 'Schema order.created v1 is already registered', 'Old version');
+  assertEqual(registry.list(), { 'order.created': [1, 2] }, 'Registered versions');
+
+  assertEqual(registry.validate('order.created', { id: 'a', total: -1 }, 1), [], 'v1 data is checked against v1');
+  assertEqual(registry.validate('order.created', { id: 'a', total: -1 }, 2).length, 1, 'v2 rejects a negative total');
+  assertEqual(registry.validate('order.created', { id: 'a', total: -1 }, 9).length, 1, 'Unknown versions use the latest');
+  assertEqual(registry.validate('unknown', {}), [], 'Unknown types pass when not strict');
+  assertEqual(new navis.SchemaRegistry({ strict: true }).validate('unknown', {})[0].code, 'UNKNOWN_TYPE', 'Strict registries reject them');
+
+  // Adapters validate on publish and dead-letter invalid events on consume
+  const bus = new navis.InMemoryMessaging({ mode: 'topic', schemaRegistry: registry, deadLetter: 'orders.dlq' });
+  const handled = [];
+  const deadLettered = [];
+  bus.onDeadLetter(({ reason }) => deadLettered.push(reason));
+  await bus.subscribe('orders', async (body, metadata) => { handled.push([body.id, metadata.event.dataversion]); }, { fromBeginning: true });
+
+  let publishError = null;
+  try {
+    await bus.publish('orders', { total: 5 }, { type: 'order.created' });
+  } catch (error) {
+    publishError = error;
+  }
+  assert(publishError && publishError.name === 'ValidationError', 'Invalid payloads are not published');
+
+  await bus.publish('orders', { id: 'a', total: 5 }, { type: 'order.created' });
+  await bus.publish('orders', navis.createEnvelope({ id: 'b', total: -1 }, { type: 'order.created', source: '/legacy', version: 2 }));
+  await quietly(() => bus.drain());
+
+  assertEqual(handled, [['a', 2]], 'Valid events reach the handler with the latest version');
+  assertEqual(deadLettered, ['schema-validation'], 'Invalid events are dead-lettered');
+  await bus.disconnect();
+});
+
+// ============================================================
+// Idempotency keys (user-016)
+// ============================================================
+
+test('Idempotency - A repeated key replays the first response', async () => {
+  let calls = 0;
+  const app = new NavisApp();
+  app.use(navis.idempotency());
+  app.post('/orders', () => ({ order: ++calls }));
+
+  const request = { method: 'POST', path: '/orders', headers: { 'content-type': 'application/json', 'idempotency-key': 'k1' }, body: '{}' };
+  const first = await lambdaRequest(app, request);
+  const second = await lambdaRequest(app, request);
+  assertEqual([first.body, second.body], [{ order: 1 }, { order: 1 }], 'Bodies');
+  assertEqual(calls, 1, 'Handler calls');
+});
+
+test('Idempotency - The default in-memory store does not keep the process alive', async () => {
+  const { execFile } = require('child_process');
+  const script = `require(${JSON.stringify(require.resolve('../src/index'))}).idempotency();`;
+
+  const error = await new Promise((resolve) => {
+    execFile(process.execPath, ['-e', script], { timeout: 5000 }, resolve);
+  });
+  assert(!error, error && error.killed ? 'Process did not exit within 5s' : String(error));
+});
+
+test('Idempotency - ServiceClient sends an Idempotency-Key only when enabled', async () => {
+  const keys = [];
+  const server = http.createServer((req, res) => {
+    keys.push(req.headers['idempotency-key'] || null);
+    // Fail every first attempt so the call is retried
+    res.statusCode = keys.length % 2 === 1 ? 503 : 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.end('{}');
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  try {
+    await new navis.ServiceClient(baseUrl, { retryBaseDelay: 1 }).post('/orders', {});
+    assertEqual(keys, [null, null], 'No key by default');
+
+    keys.length = 0;
+    const client = new navis.ServiceClient(baseUrl, { retryBaseDelay: 1, idempotencyKeys: true });
+    await client.post('/orders', {});
+    assert(typeof keys[0] === 'string' && keys[0] === keys[1], `Expected one key for both attempts, got ${JSON.stringify(keys)}`);
+
+    keys.length = 0;
+    await client.patch('/orders/1', {}, { headers: { 'Idempotency-Key': 'mine' } });
+    assertEqual(keys, ['mine', 'mine'], 'A caller key is kept');
+  } finally {
+    server.close();
+  }
+});
+
+// ============================================================
+// Load balancing and outlier ejection (user-017)
+// ============================================================
+
+/**
+ * Count which URL getNext() picks over n calls
+ */
+function pickCounts(discovery, name, n, context = () => ({})) {
+  const counts = {};
+  for (let i = 0; i < n; i++) {
+    const url = discovery.getNext(name, context(i));
+    counts[url] = (counts[url] || 0) + 1;
+  }
+  return counts;
+}
+
+test('Load balancing - weighted spreads requests by weight, interleaved', () => {
+  const discovery = new navis.ServiceDiscovery({ enabled: false, strategy: 'weighted' });
+  discovery.register('api', [{ url: 'http://a', weight: 3 }, { url: 'http://b', weight: 1 }, 'http://c']);
+
+  assertEqual(pickCounts(discovery, 'api', 50), { 'http://a': 30, 'http://b': 10, 'http://c': 10 }, 'Picks per endpoint');
+  const sequence = Array.from({ length: 5 }, () => discovery.getNext('api'));
+  assert(sequence.slice(0, 3).filter(url => url === 'http://a').length < 3, `Weighted picks should interleave, got ${sequence}`);
+
+  let error = null;
+  try {
+    discovery.register('bad', [{ url: 'http://a', weight: -1 }]);
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /positive weight/.test(error.message), 'Negative weights are rejected');
+});
+
+test('Load balancing - least-outstanding picks the endpoint with the fewest in-flight requests', () => {
+  const discovery = new navis.ServiceDiscovery({ enabled: false, strategy: 'least-outstanding' });
+  discovery.register('api', ['http://a', 'http://b', { url: 'http://c', weight: 2 }]);
+
+  discovery.startRequest('api', 'http://a');
+  discovery.startRequest('api', 'http://a');
+  discovery.startRequest('api', 'http://b');
+  discovery.startRequest('api', 'http://c');
+  // Load per unit of weight: a 3, b 2, c 1
+  assertEqual(pickCounts(discovery, 'api', 4), { 'http://c': 4 }, 'Least loaded endpoint');
+
+  discovery.startRequest('api', 'http://c');
+  discovery.startRequest('api', 'http://c');
+  discovery.endRequest('api', 'http://a');
+  discovery.endRequest('api', 'http://a');
+  // a 1, b 2, c 2
+  assertEqual(discovery.getNext('api'), 'http://a', 'After requests finish');
+  assertEqual(discovery.getStats('api').map(stats => stats.outstanding), [0, 1, 3], 'Outstanding counts');
+
+  // Ties rotate instead of always going to the first endpoint
+  const idle = new navis.ServiceDiscovery({ enabled: false, strategy: 'least-outstanding' });
+  idle.register('api', ['http://a', 'http://b']);
+  assertEqual(Object.keys(pickCounts(idle, 'api', 4)).sort(), ['http://a', 'http://b'], 'Ties are spread');
+});
+
+test('Load balancing - consistent hashing only moves the keys of an endpoint that leaves', () => {
+  const urls = ['http://a', 'http://b', 'http://c', 'http://d'];
+  const discovery = new navis.ServiceDiscovery({ enabled: false, strategy: 'consistent-hash' });
+  discovery.register('api', urls);
+
+  const keys = Array.from({ length: 200 }, (_, i) => `user-${i}`);
+  const route = () => keys.map(key => discovery.getNext('api', { key }));
+  const before = route();
+  assertEqual(route(), before, 'The same key keeps its endpoint');
+  assertEqual(new Set(before).size, 4, 'Keys are spread over every endpoint');
+
+  const unmoved = (after, leaving) => keys.every((key, i) => before[i] === leaving || after[i] === before[i]);
+
+  // Unavailable (ejected or unhealthy): only its keys move
+  discovery.markUnhealthy('api', 'http://b');
+  const withoutB = route();
+  assert(!withoutB.includes('http://b'), 'Unhealthy endpoint gets no keys');
+  assert(unmoved(withoutB, 'http://b'), 'Other keys stay put while b is unhealthy');
+  discovery.markHealthy('api', 'http://b');
+  assertEqual(route(), before, 'Keys return when b recovers');
+
+  // Deregistered: the ring is rebuilt without it
+  discovery.register('api', ['http://a', 'http://b', 'http://d']);
+  const withoutC = route();
+  assert(unmoved(withoutC, 'http://c'), 'Other keys stay put when c leaves');
+  const moved = keys.filter((key, i) => withoutC[i] !== before[i]).length;
+  assertEqual(moved, before.filter(url => url === 'http://c').length, 'Only the keys of c moved');
+});
+
+test('Load balancing - outliers are ejected, readmitted and capped by maxEjectionPercent', async () => {
+  const discovery = new navis.ServiceDiscovery({
+    enabled: false,
+    outlierDetection: { consecutiveErrors: 3, ejectionTime: 40, maxEjectionPercent: 50 },
+  });
+  discovery.register('api', ['http://a', 'http://b', 'http://c', 'http://d']);
+  const fail = (url, times) => {
+    for (let i = 0; i < times; i++) {
+      discovery.startRequest('api', url);
+      discovery.endRequest('api', url, { failed: true });
+    }
+  };
+  const ejected = () => discovery.getStats('api').filter(stats => stats.ejected).map(stats => stats.url);
+
+  fail('http://a', 2);
+  assertEqual(ejected(), [], 'Below the threshold');
+  fail('http://a', 1);
+  assertEqual(ejected(), ['http://a'], 'Ejected after 3 consecutive errors');
+  assert(!Object.keys(pickCounts(discovery, 'api', 12)).includes('http://a'), 'Ejected endpoints get no requests');
+
+  // Cancelled attempts (a losing hedge) don't count as failures
+  for (let i = 0; i < 3; i++) {
+    discovery.startRequest('api', 'http://b');
+    discovery.endRequest('api', 'http://b', { failed: true, cancelled: true });
+  }
+  assertEqual(ejected(), ['http://a'], 'Cancelled requests are ignored');
+
+  // 50% of 4 endpoints: at most two ejected at once
+  fail('http://b', 3);
+  fail('http://c', 3);
+  assertEqual(ejected(), ['http://a', 'http://b'], 'Capped at maxEjectionPercent');
+  assertEqual(Object.keys(pickCounts(discovery, 'api', 12)).sort(), ['http://c', 'http://d'], 'Traffic goes to the rest');
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assertEqual(Object.keys(pickCounts(discovery, 'api', 12)).sort(), ['http://a', 'http://b', 'http://c', 'http://d'], 'Readmitted after the ejection time');
+  assertEqual(ejected(), [], 'Nothing ejected after readmission');
+
+  // A repeat offender is ejected for longer
+  fail('http://a', 3);
+  const [stats] = discovery.getStats('api');
+  assert(stats.ejectedUntil - Date.now() > 45, 'Second ejection lasts twice as long');
+});
+
+// ============================================================
+// Discovery providers (user-018)
+// ============================================================
+
+/**
+ * Poll until condition() is true, failing after ms
+ */
+async function waitFor(condition, ms, message) {
+  const deadline = Date.now() + ms;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out after ${ms}ms: ${message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const endpointsOf = (discovery, name) => discovery.getStats(name).map(stats => [stats.url, stats.weight]);
+
+test('Discovery - FileDiscoveryProvider reloads a changed file and keeps services on invalid JSON', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'navis-discovery-'));
+  const file = path.join(dir, 'services.json');
+  const write = services => fs.writeFileSync(file, typeof services === 'string' ? services : JSON.stringify(services));
+
+  write({
+    services: {
+      users: ['http://10.0.0.1:3000', 'http://10.0.0.2:3000'],
+      orders: { strategy: 'weighted', endpoints: [{ url: 'http://10.0.1.1:3000', weight: 3 }] },
+    },
+  });
+
+  const errors = [];
+  const discovery = new navis.ServiceDiscovery({ enabled: false });
+  try {
+    await discovery.use(new navis.FileDiscoveryProvider({ path: file, debounce: 10, onError: error => errors.push(error) }));
+    assertEqual(endpointsOf(discovery, 'users'), [['http://10.0.0.1:3000', 1], ['http://10.0.0.2:3000', 1]], 'Initial users');
+    assertEqual(discovery.services.get('orders').strategy.name, 'weighted', 'Per-service strategy');
+
+    // Live reload; the top-level "services" key is optional
+    write({ users: ['http://10.0.0.3:3000'] });
+    await waitFor(() => discovery.getNext('users') === 'http://10.0.0.3:3000', 3000, 'file change not applied');
+    assertEqual(discovery.list(), ['users'], 'Services missing from the file are unregistered');
+
+    // Replaced rather than written in place, as editors do
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ users: ['http://10.0.0.4:3000'] }));
+    fs.renameSync(`${file}.tmp`, file);
+    await waitFor(() => discovery.getNext('users') === 'http://10.0.0.4:3000', 3000, 'replaced file not applied');
+
+    write('{ "users": [');
+    await waitFor(() => errors.length > 0, 3000, 'invalid JSON not reported');
+    assert(errors[0] instanceof SyntaxError, `Expected a SyntaxError, got ${errors[0]}`);
+    assertEqual(endpointsOf(discovery, 'users'), [['http://10.0.0.4:3000', 1]], 'Previous services kept');
+  } finally {
+    discovery.close();
+    // fs.rmSync() is Node.js 14.14+
+    (fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true });
+  }
+});
+
+test('Discovery - EnvDiscoveryProvider parses URLs, weights and strategies', async () => {
+  const env = {
+    SERVICE_USER_SERVICE_URLS: 'http://10.0.0.1:3000, http://10.0.0.2:3000;weight=3',
+    SERVICE_USER_SERVICE_STRATEGY: 'weighted',
+    SERVICE_ORDERS_URLS: 'http://10.0.1.1:3000;weight=0,http://10.0.1.2:3000;weight=abc,http://10.0.1.3:3000;weight=1.5,http://10.0.1.4:3000;weight=-2',
+    SERVICE__URLS: 'http://ignored',
+    OTHER_URLS: 'http://ignored',
+  };
+  const errors = [];
+  const discovery = new navis.ServiceDiscovery({ enabled: false });
+  const provider = new navis.EnvDiscoveryProvider({ env, interval: 10, onError: (error, name) => errors.push([name, error.message]) });
+
+  try {
+    await discovery.use(provider);
+    assertEqual(discovery.list().sort(), ['orders', 'user-service'], 'Service names');
+    assertEqual(endpointsOf(discovery, 'user-service'), [['http://10.0.0.1:3000', 1], ['http://10.0.0.2:3000', 3]], 'user-service endpoints');
+    assertEqual(discovery.services.get('user-service').strategy.name, 'weighted', 'Strategy variable');
+
+    // Invalid weights fall back to 1 and are reported; the rest of the service still registers
+    assertEqual(endpointsOf(discovery, 'orders'), [
+      ['http://10.0.1.1:3000', 1], ['http://10.0.1.2:3000', 1], ['http://10.0.1.3:3000', 1.5], ['http://10.0.1.4:3000', 1],
+    ], 'orders endpoints');
+    assertEqual(errors, [
+      ['orders', 'SERVICE_ORDERS_URLS: invalid weight "0" for http://10.0.1.1:3000, using 1'],
+      ['orders', 'SERVICE_ORDERS_URLS: invalid weight "abc" for http://10.0.1.2:3000, using 1'],
+      ['orders', 'SERVICE_ORDERS_URLS: invalid weight "-2" for http://10.0.1.4:3000, using 1'],
+    ], 'Reported weights');
+
+    // Re-read on the interval
+    delete env.SERVICE_ORDERS_URLS;
+    env.SERVICE_USER_SERVICE_URLS = 'http://10.0.0.9:3000';
+    await waitFor(() => discovery.list().length === 1, 2000, 'env change not applied');
+    assertEqual(endpointsOf(discovery, 'user-service'), [['http://10.0.0.9:3000', 1]], 'Updated endpoints');
+  } finally {
+    discovery.close();
+  }
+});
+
+test('Discovery - DnsDiscoveryProvider resolves SRV and A records and refreshes on TTL', async () => {
+  // Stub resolver: answers from a table the test edits; TTLs are in seconds
+  const records = {
+    srv: {
+      '_http._tcp.users.internal': [
+        { name: 'u1.internal', port: 8080, priority: 10, weight: 5 },
+        { name: 'u2.internal', port: 8081, priority: 10, weight: 0 },
+        { name: 'backup.internal', port: 8080, priority: 20, weight: 1 },
+      ],
+    },
+    a: {
+      'u1.internal': [{ address: '10.0.0.1', ttl: 0.03 }],
+      'u2.internal': [{ address: '10.0.0.2', ttl: 60 }],
+      'orders.internal': [{ address: '10.0.1.1', ttl: 0.03 }, { address: '10.0.1.2', ttl: 60 }],
+    },
+  };
+  const lookups = { srv: 0, a: 0 };
+  const fail = error => Object.assign(new Error(error), { code: 'ENOTFOUND' });
+  const resolver = {
+    resolveSrv: async (name) => {
+      lookups.srv++;
+      if (!records.srv[name]) throw fail(`querySrv ENOTFOUND ${name}`);
+      return records.srv[name];
+    },
+    resolve4: async (host, options) => {
+      lookups.a++;
+      assert(options && options.ttl, 'A lookups ask for TTLs');
+      if (!records.a[host]) throw fail(`queryA ENOTFOUND ${host}`);
+      return records.a[host];
+    },
+  };
+
+  const errors = [];
+  const discovery = new navis.ServiceDiscovery({ enabled: false });
+  const provider = new navis.DnsDiscoveryProvider({
+    resolver,
+    minTtl: 10,
+    maxTtl: 60,
+    services: {
+      users: { srv: '_http._tcp.users.internal', strategy: 'weighted' },
+      orders: { host: 'orders.internal', port: 3000, protocol: 'https' },
+    },
+    onError: (error, name) => errors.push([name, error.code]),
+  });
+
+  try {
+    await discovery.use(provider);
+    assertEqual(endpointsOf(discovery, 'users'), [['http://u1.internal:8080', 5], ['http://u2.internal:8081', 1]], 'Lowest SRV priority, weight 0 raised to 1');
+    assertEqual(endpointsOf(discovery, 'orders'), [['https://10.0.1.1:3000', 1], ['https://10.0.1.2:3000', 1]], 'A records');
+
+    // Both services refresh at the shortest record TTL (30ms)
+    const srvLookups = lookups.srv;
+    records.a['orders.internal'] = [{ address: '10.0.1.3', ttl: 0.03 }];
+    records.srv['_http._tcp.users.internal'] = [{ name: 'u1.internal', port: 9090, priority: 0, weight: 1 }];
+    await waitFor(() => discovery.getNext('orders') === 'https://10.0.1.3:3000', 2000, 'A records not refreshed');
+    await waitFor(() => discovery.getNext('users') === 'http://u1.internal:9090', 2000, 'SRV records not refreshed');
+    assert(lookups.srv > srvLookups, 'SRV looked up again');
+
+    // A failed lookup is reported and the previous endpoints stay
+    delete records.a['orders.internal'];
+    await waitFor(() => errors.length > 0, 2000, 'failed lookup not reported');
+    assertEqual(errors[0], ['orders', 'ENOTFOUND'], 'Reported error');
+    assertEqual(endpointsOf(discovery, 'orders'), [['https://10.0.1.3:3000', 1]], 'Previous endpoints kept');
+
+    discovery.close();
+    const stopped = lookups.a + lookups.srv;
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assertEqual(lookups.a + lookups.srv, stopped, 'No lookups after close()');
+  } finally {
+    discovery.close();
+  }
+
+  let error = null;
+  try {
+    new navis.DnsDiscoveryProvider({ resolver, services: { bad: { port: 80 } } });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /needs an srv or host name/.test(error.message), 'Services need a name to resolve');
+});
+
+// ============================================================
+// Service clients over discovery (user-019)
+// ============================================================
+
+/**
+ * Local HTTP server answering with status(); resolves to { url, hits, close }
+ */
+async function startInstance(status = () => 200) {
+  const instance = { hits: 0 };
+  const server = http.createServer((req, res) => {
+    instance.hits++;
+    res.statusCode = status(instance.hits);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ port: server.address().port }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  instance.url = `http://127.0.0.1:${server.address().port}`;
+  instance.close = () => new Promise(resolve => server.close(resolve));
+  return instance;
+}
+
+test('ServiceClient.for - a failed attempt fails over to another instance', async () => {
+  const broken = await startInstance(() => 503);
+  const healthy = await startInstance();
+  const discovery = new navis.ServiceDiscovery({ enabled: false, outlierDetection: false });
+  discovery.register('users', [broken.url, healthy.url]);
+
+  const config = new navis.ServiceConfig();
+  config.register('users', null, { retry: { maxRetries: 2, baseDelay: 1 }, circuitBreaker: false });
+  const client = navis.ServiceClient.for('users', { discovery, config });
+
+  try {
+    for (let i = 0; i < 4; i++) {
+      const response = await client.get('/users');
+      assertEqual(response.data.port, Number(healthy.url.split(':')[2]), `Call ${i} is served by the healthy instance`);
+    }
+    assertEqual(healthy.hits, 4, 'Healthy instance calls');
+    assert(broken.hits >= 1 && broken.hits <= 4, `Each call tries the broken instance at most once, got ${broken.hits}`);
+    assertEqual(client.retryConfig.baseDelay, 1, 'Retry settings come from the config');
+  } finally {
+    await broken.close();
+    await healthy.close();
+  }
+});
+
+test('ServiceClient.for - an instance that refuses connections is marked unhealthy', async () => {
+  const down = await startInstance();
+  await down.close();
+  const healthy = await startInstance();
+  const discovery = new navis.ServiceDiscovery({ enabled: false, outlierDetection: false });
+  discovery.register('users', [down.url, healthy.url]);
+  const client = navis.ServiceClient.for('users', { discovery, retryBaseDelay: 1 });
+
+  try {
+    await client.get('/users');
+    await client.get('/users');
+    const stats = discovery.getStats('users');
+    assertEqual(stats.map(endpoint => [endpoint.url, endpoint.healthy]), [[down.url, false], [healthy.url, true]], 'Health after ECONNREFUSED');
+    assertEqual(discovery.getHealthy('users'), [healthy.url], 'Healthy instances');
+
+    // Later calls go straight to the healthy instance
+    const before = stats[0].requests;
+    await client.get('/users');
+    await client.get('/users');
+    assertEqual(discovery.getStats('users')[0].requests, before, 'No requests to the unhealthy instance');
+    assertEqual(healthy.hits, 4, 'Healthy instance calls');
+  } finally {
+    await healthy.close();
+  }
+});
+
+test('ServiceClient.for - each instance has its own circuit breaker', async () => {
+  const broken = await startInstance(() => 500);
+  const healthy = await startInstance();
+  const discovery = new navis.ServiceDiscovery({ enabled: false, outlierDetection: false });
+  discovery.register('users', [broken.url, healthy.url]);
+  const client = navis.ServiceClient.for('users', {
+    discovery,
+    retryBaseDelay: 1,
+    circuitBreakerThreshold: 2,
+  });
+
+  try {
+    for (let i = 0; i < 6; i++) {
+      await client.get('/users');
+    }
+    assertEqual(client.breakers.get(broken.url).getState().state, 'OPEN', 'Broken instance breaker');
+    assertEqual(client.breakers.get(healthy.url).getState().state, 'CLOSED', 'Healthy instance breaker');
+    assert(client.circuitBreaker === undefined, 'No shared breaker for the service');
+
+    // An open breaker takes the instance out of rotation
+    const hits = broken.hits;
+    assertEqual(hits, 2, 'Broken instance calls before its breaker opened');
+    for (let i = 0; i < 4; i++) {
+      await client.get('/users');
+    }
+    assertEqual(broken.hits, hits, 'No calls while its breaker is open');
+
+    // With every breaker open the call fails without a request
+    const onlyBroken = navis.ServiceClient.for('users', { discovery: new navis.ServiceDiscovery({ enabled: false }), retry: false, circuitBreakerThreshold: 1 });
+    onlyBroken.discovery.register('users', broken.url);
+    await onlyBroken.get('/users').catch(() => null);
+    let error = null;
+    try {
+      await onlyBroken.get('/users');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.circuitBreakerOpen, 'Expected an open-breaker error');
+    assert(/every instance of users/.test(error.message), error.message);
+  } finally {
+    await broken.close();
+    await healthy.close();
+  }
+});
+
+// ============================================================
+// Hedged requests (user-020)
+// ============================================================
+
+test('ServiceClient - Hedges a slow GET, and sends it once without AbortController', async () => {
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    received++;
+    setTimeout(() => res.end('{"ok":true}'), 60);
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  const client = new navis.ServiceClient(`http://localhost:${server.address().port}`, {
+    retry: false,
+    hedge: { delay: 10, percentile: null },
+  });
+  const original = global.AbortController;
+
+  try {
+    await client.get('/slow');
+    // Node.js 14 has no global AbortController: hedging is off there
+    assertEqual(received, typeof original === 'function' ? 2 : 1, 'Requests with hedging');
+
+    received = 0;
+    delete global.AbortController;
+    await client.get('/slow');
+    assertEqual(received, 1, 'Requests without AbortController');
+  } finally {
+    if (original) {
+      global.AbortController = original;
+    }
+    server.close();
+  }
+});
+
+// ============================================================
+// Transactions (user-021)
+// ============================================================
+
+/**
+ * Fake pg pool: every client logs its statements to the same array
+ */
+function fakePostgresPool(log) {
+  return {
+    connect: async () => ({
+      query: async (sql) => {
+        log.push(sql);
+        return { rows: [] };
+      },
+      release: (error) => log.push(error ? 'release (error)' : 'release'),
+    }),
+  };
+}
+
+/**
+ * Fake better-sqlite3 database logging its statements
+ */
+function fakeSqlite(log) {
+  return {
+    prepare: sql => ({
+      reader: /^SELECT/.test(sql),
+      all: () => {
+        log.push(sql);
+        return [{ n: 1 }];
+      },
+      run: () => {
+        log.push(sql);
+        return { changes: 1, lastInsertRowid: 1 };
+      },
+    }),
+  };
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+test('Transactions - Commit, rollback and savepoints on PostgreSQL', async () => {
+  const log = [];
+  const db = new navis.DatabasePool({ type: 'postgres' });
+  db.pool = fakePostgresPool(log);
+
+  await db.transaction(async (trx) => {
+    await navis.queryBuilder(trx).update('accounts', { balance: 90 }).where('id', '=', 1).execute();
+    await trx.transaction(async (inner) => {
+      await inner.query('UPDATE audit SET n = 1');
+      throw new Error('inner');
+    }).catch(() => {});
+    await trx.transaction(inner => inner.query('UPDATE audit SET n = 2'));
+  }, { isolationLevel: 'serializable' });
+
+  assertEqual(log, [
+    'BEGIN ISOLATION LEVEL SERIALIZABLE',
+    'UPDATE "accounts" SET "balance" = $2 WHERE "id" = $1',
+    'SAVEPOINT navis_sp_1',
+    'UPDATE audit SET n = 1',
+    'ROLLBACK TO SAVEPOINT navis_sp_1',
+    'SAVEPOINT navis_sp_2',
+    'UPDATE audit SET n = 2',
+    'RELEASE SAVEPOINT navis_sp_2',
+    'COMMIT',
+    'release',
+  ], 'Statements');
+
+  log.length = 0;
+  let thrown = null;
+  await db.transaction(async (trx) => {
+    await trx.query('DELETE FROM sessions');
+    throw new Error('boom');
+  }).catch((error) => {
+    thrown = error;
+  });
+  assertEqual(thrown && thrown.message, 'boom', 'Error rethrown');
+  assertEqual(log, ['BEGIN', 'DELETE FROM sessions', 'ROLLBACK', 'release'], 'Rolled back');
+});
+
+test('Transactions - SQLite pool queries inside the callback run in the transaction', async () => {
+  const log = [];
+  const db = new navis.DatabasePool({ type: 'sqlite' });
+  db.pool = fakeSqlite(log);
+
+  const nested = await withTimeout(db.transaction(async (trx) => {
+    await trx.query('INSERT INTO users (name) VALUES (?)', ['ann']);
+    await db.query('SELECT COUNT(*) AS n FROM users');
+    return db.transaction(async () => {}).then(() => null, error => error.message);
+  }), 1000, 'Pool query inside the transaction deadlocked');
+
+  assertEqual(log, ['BEGIN', 'INSERT INTO users (name) VALUES (?)', 'SELECT COUNT(*) AS n FROM users', 'COMMIT'], 'Statements');
+  assert(/trx\.transaction\(\)/.test(nested), `Nested db.transaction() should throw, got ${nested}`);
+});
+
+test('Transactions - Other SQLite callers wait for the transaction to end', async () => {
+  const log = [];
+  const db = new navis.DatabasePool({ type: 'sqlite' });
+  db.pool = fakeSqlite(log);
+
+  let release;
+  const transaction = db.transaction(async (trx) => {
+    await trx.query('INSERT INTO users (name) VALUES (?)', ['ann']);
+    await new Promise((resolve) => {
+      release = resolve;
+    });
+  });
+  await new Promise(resolve => setImmediate(resolve));
+
+  const outside = db.query('SELECT COUNT(*) AS n FROM users');
+  await new Promise(resolve => setImmediate(resolve));
+  assertEqual(log, ['BEGIN', 'INSERT INTO users (name) VALUES (?)'], 'Query waits');
+
+  release();
+  await Promise.all([transaction, outside]);
+  assertEqual(log.slice(2), ['COMMIT', 'SELECT COUNT(*) AS n FROM users'], 'Query runs after commit');
+});
+
+// ============================================================
+// Eager loading (user-022)
+// ============================================================
+
+/**
+ * Fake MongoDB over arrays of documents, logging every operation. Filters
+ * support equality (null matches a missing field), $in and $ne.
+ */
+function fakeMongo(collections) {
+  const log = [];
+  let nextId = 0;
+
+  const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field] === undefined ? null : doc[field];
+    if (condition && condition.$in) {
+      return condition.$in.map(String).includes(String(value));
+    }
+    if (condition && condition.$ne !== undefined) {
+      return value !== condition.$ne;
+    }
+    return value === condition;
+  });
+
+  const collection = name => ({
+    find(filter) {
+      log.push(`${name}.find ${JSON.stringify(filter)}`);
+      const docs = collections[name].filter(doc => matches(doc, filter)).map(doc => ({ ...doc }));
+      const cursor = {
+        project: () => cursor,
+        sort: () => cursor,
+        limit: () => cursor,
+        skip: () => cursor,
+        toArray: async () => docs,
+      };
+      return cursor;
+    },
+    async countDocuments(filter) {
+      log.push(`${name}.count ${JSON.stringify(filter)}`);
+      return collections[name].filter(doc => matches(doc, filter)).length;
+    },
+    async insertOne(doc) {
+      const _id = `${name}${++nextId}`;
+      collections[name].push({ ...doc, _id });
+      return { insertedId: _id };
+    },
+    async insertMany(docs) {
+      log.push(`${name}.insertMany ${JSON.stringify(docs)}`);
+      collections[name].push(...docs);
+      return { insertedCount: docs.length, insertedIds: {} };
+    },
+    async updateMany(filter, update) {
+      log.push(`${name}.update ${JSON.stringify(filter)}`);
+      const matched = collections[name].filter(doc => matches(doc, filter));
+      matched.forEach(doc => Object.assign(doc, update.$set));
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    },
+    async deleteMany(filter) {
+      log.push(`${name}.delete ${JSON.stringify(filter)}`);
+      const before = collections[name].length;
+      collections[name] = collections[name].filter(doc => !matches(doc, filter));
+      return { deletedCount: before - collections[name].length };
+    },
+  });
+
+  const db = new navis.DatabasePool({ type: 'mongodb' });
+  db.db = { collection };
+  db.pool = {};
+  return { db, log };
+}
+
+test('Eager loading - include loads nested relationships with one query per level', async () => {
+  const { db, log } = fakeMongo({
+    users: [{ _id: 'u1', name: 'ann' }, { _id: 'u2', name: 'bob' }],
+    posts: [{ _id: 'p1', user_id: 'u1' }, { _id: 'p2', user_id: 'u1' }, { _id: 'p3', user_id: 'u2' }],
+  });
+  class User extends navis.Model {
+    static get tableName() { return 'users'; }
+    static get primaryKey() { return '_id'; }
+  }
+  class Post extends navis.Model {
+    static get tableName() { return 'posts'; }
+    static get primaryKey() { return '_id'; }
+  }
+  User.setDatabase(db);
+  Post.setDatabase(db);
+  User.hasMany('posts', Post, 'user_id');
+  Post.belongsTo('author', User, 'user_id');
+
+  const users = await User.find({}, { include: 'posts.author' });
+
+  assertEqual(log, [
+    'users.find {}',
+    'posts.find {"user_id":{"$in":["u1","u2"]}}',
+    'users.find {"_id":{"$in":["u1","u2"]}}',
+  ], 'One query per relationship level');
+  assertEqual(JSON.parse(JSON.stringify(users)), [
+    { _id: 'u1', name: 'ann', posts: [
+      { _id: 'p1', user_id: 'u1', author: { _id: 'u1', name: 'ann' } },
+      { _id: 'p2', user_id: 'u1', author: { _id: 'u1', name: 'ann' } },
+    ] },
+    { _id: 'u2', name: 'bob', posts: [
+      { _id: 'p3', user_id: 'u2', author: { _id: 'u2', name: 'bob' } },
+    ] },
+  ]);
+});
+
+// ============================================================
+// Many-to-many relationships (user-023)
+// ============================================================
+
+test('belongsToMany - attach, sync and detach write the pivot collection', async () => {
+  const { db, log } = fakeMongo({
+    users: [{ _id: 'u1', name: 'ann' }],
+    roles: [{ _id: 'r1', name: 'admin' }, { _id: 'r2', name: 'dev' }, { _id: 'r3', name: 'ops' }],
+    role_user: [],
+  });
+  class User extends navis.Model {
+    static get tableName() { return 'users'; }
+    static get primaryKey() { return '_id'; }
+  }
+  class Role extends navis.Model {
+    static get tableName() { return 'roles'; }
+    static get primaryKey() { return '_id'; }
+  }
+  User.setDatabase(db);
+  Role.setDatabase(db);
+  User.belongsToMany('roles', Role, { through: 'role_user', foreignKey: 'user_id', otherKey: 'role_id' });
+
+  const [user] = await User.find();
+  await user.attach('roles', ['r1', 'r2'], { pivot: { since: 2020 } });
+  const changes = await user.sync('roles', new Map([['r2', { since: 2021 }], ['r3', {}]]));
+  assertEqual(changes, { attached: ['r3'], detached: ['r1'], updated: ['r2'] }, 'sync() changes');
+
+  const [loaded] = await User.find({}, { include: 'roles' });
+  assertEqual(JSON.parse(JSON.stringify(loaded)).roles, [
+    { _id: 'r2', name: 'dev', pivot: { since: 2021, user_id: 'u1', role_id: 'r2' } },
+    { _id: 'r3', name: 'ops', pivot: { user_id: 'u1', role_id: 'r3' } },
+  ], 'Included roles with pivot data');
+
+  log.length = 0;
+  await user.detach('roles', 'r2');
+  assertEqual(log, ['role_user.delete {"user_id":"u1","role_id":{"$in":["r2"]}}']);
+});
+
+// ============================================================
+// Model schema (user-024)
+// ============================================================
+
+test('Model schema - defaults, casting, virtual and hidden fields, validation', async () => {
+  const { db } = fakeMongo({ users: [{ _id: 'u1', email: 'taken@example.com' }] });
+  class User extends navis.Model {
+    static get tableName() { return 'users'; }
+    static get primaryKey() { return '_id'; }
+    static get schema() {
+      return {
+        email: { type: 'string', required: true, unique: true, format: 'email' },
+        first: 'string',
+        last: 'string',
+        active: { type: 'boolean', default: true },
+        age: { type: 'integer', min: 0 },
+        born: 'date',
+        password: { type: 'string', hidden: true },
+        fullName() { return `${this.first} ${this.last}`; },
+      };
+    }
+  }
+  User.setDatabase(db);
+
+  const user = new User({ email: 'ann@example.com', first: 'Ann', last: 'Lee', age: '42', born: '1990-01-02', password: 'x' });
+  assert(user.active === true, 'Default applied');
+  assert(user.age === 42, 'Numeric string cast to integer');
+  assert(user.born instanceof Date, 'Date string cast to Date');
+  assertEqual(JSON.parse(JSON.stringify(user)), {
+    email: 'ann@example.com', first: 'Ann', last: 'Lee', age: 42, born: '1990-01-02T00:00:00.000Z',
+    active: true, fullName: 'Ann Lee',
+  }, 'toJSON() adds virtuals and leaves out hidden fields');
+
+  let error;
+  await User.create({ email: 'taken@example.com', age: -1 }).catch((e) => {
+    error = e;
+  });
+  assert(error instanceof navis.ValidationError, 'ValidationError thrown');
+  assertEqual(error.errors.map(e => `${e.field}:${e.code}`), ['age:MIN', 'email:UNIQUE']);
+});
+
+// ============================================================
+// Soft deletes and optimistic locking (user-025)
+// ============================================================
+
+test('Query builder - nested where groups are parenthesized and keep numbering', async () => {
+  const build = type => navis.queryBuilder(new navis.DatabasePool({ type }))
+    .select('*')
+    .from('users')
+    .where('tenant', '=', 1)
+    .where(qb => qb.where('role', '=', 'admin').orWhere(inner => inner.where('role', '=', 'dev').where('active', '=', true)))
+    .whereNull('deleted_at')
+    .toSQL();
+
+  assertEqual(build('postgres'), {
+    sql: 'SELECT * FROM "users" WHERE "tenant" = $1 AND ("role" = $2 OR ("role" = $3 AND "active" = $4)) AND "deleted_at" IS NULL',
+    params: [1, 'admin', 'dev', true],
+  });
+  assertEqual(build('sqlite').sql,
+    'SELECT * FROM "users" WHERE "tenant" = ? AND ("role" = ? OR ("role" = ? AND "active" = ?)) AND "deleted_at" IS NULL');
+});
+
+test('DatabasePool - mssql statements without a recordset report affectedRows', async () => {
+  const db = new navis.DatabasePool({ type: 'mssql' });
+  db.pool = {
+    request: () => ({
+      input: () => {},
+      query: async sql => (/^SELECT/.test(sql) ? { recordset: [{ id: 1 }], rowsAffected: [1] } : { rowsAffected: [2] }),
+    }),
+  };
+
+  assertEqual(await db.query('SELECT id FROM users'), [{ id: 1 }]);
+  assertEqual(await db.query('UPDATE users SET active = ? WHERE tenant = ?', [0, 1]), { affectedRows: 2 });
+});
+
+test('Optimistic locking - stale save, soft delete and restore throw ConflictError', async () => {
+  const { db, log } = fakeMongo({ docs: [] });
+  class Doc extends navis.Model {
+    static get tableName() { return 'docs'; }
+    static get primaryKey() { return '_id'; }
+    static get softDeletes() { return true; }
+    static get optimisticLocking() { return true; }
+  }
+  Doc.setDatabase(db);
+
+  const { _id: id } = (await Doc.create({ title: 'draft' })).toJSON();
+  const [a, b, c] = [await Doc.findById(id), await Doc.findById(id), await Doc.findById(id)];
+
+  a.title = 'final';
+  await a.save();
+  const conflict = async (fn) => {
+    try {
+      await fn();
+    } catch (error) {
+      return error instanceof navis.ConflictError;
+    }
+    return false;
+  };
+  b.title = 'other';
+  assert(await conflict(() => b.save()), 'Stale save rejected');
+  assert(await conflict(() => b.delete()), 'Stale soft delete rejected');
+
+  log.length = 0;
+  await a.delete();
+  assertEqual(log, ['docs.update {"_id":"docs1","version":2}'], 'Soft delete matches the version');
+  assertEqual(a.version, 3, 'Soft delete bumps the version');
+  assertEqual(await Doc.count(), 0, 'Soft deleted');
+
+  assert(await conflict(() => c.restore()), 'Stale restore rejected');
+  await a.restore();
+  assertEqual([a.version, await Doc.count()], [4, 1], 'Restored');
+});
+
+// Run tests in order, then print the summary
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n')[1]}`);
+      }
+    }
+  }
+
+  console.log('\n=== TEST SUMMARY ===');
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log(`Total: ${testsPassed + testsFailed}`);
+
+  if (testsFailed === 0) {
+    console.log('\n✅ All v5.9 tests passed!');
+    process.exit(0);
+  } else {
+    console.log('\n❌ Some tests failed');
+    process.exit(1);
+  }
+})();
@@ -10,10 +10,11 @@ class Cache {
     this.defaultTTL = options.defaultTTL || 3600000; // 1 hour in ms
     this.cleanupInterval = options.cleanupInterval || 60000; // 1 minute
     
-    // Start cleanup interval
+    // Start cleanup interval (v5.9: unref'd, so a cache alone doesn't keep the process alive)
     this.intervalId = setInterval(() => {
       this._cleanup();
     }, this.cleanupInterval);
+    if (this.intervalId.unref) this.intervalId.unref();
   }
 
   /**
@@ -0,0 +1,313 @@
+/**
+ * Idempotency Stores
+ * v5.9: Record processed keys so duplicate messages and requests are handled
+ * once. Backed by Cache, RedisCache, AdvancedCache or a SQL table.
+ *
+ * A key is claimed ('in-flight') before the work starts and completed with
+ * its result afterwards; releasing a claim lets the next attempt run. Claims
+ * expire after their lock TTL so a crashed worker does not block the key.
+ */
+
+const Cache = require('./cache');
+const RedisCache = require('./redis-cache');
+const AdvancedCache = require('./advanced-cache');
+const { queryBuilder } = require('../db/db-pool');
+const { rowsOf, parseJSON, escapeIdentifier, isUniqueViolation } = require('../db/sql-utils');
+
+const STATUS = {
+  IN_FLIGHT: 'in-flight',
+  COMPLETED: 'completed',
+};
+
+// SQL claims retried when the conflicting record disappears before it can be read
+const MAX_CLAIM_ATTEMPTS = 3;
+
+class CacheIdempotencyStore {
+  /**
+   * @param {Cache|RedisCache|AdvancedCache} cache - Cache holding the records
+   * @param {Object} options - Options
+   * @param {string} options.prefix - Key prefix (default: 'idempotency:')
+   */
+  constructor(cache, options = {}) {
+    this.cache = cache || new Cache();
+    this.prefix = options.prefix || 'idempotency:';
+    this.locks = new Map(); // key -> Promise, serializes claims within the process
+  }
+
+  /**
+   * Claim a key for processing
+   * @param {string} key - Idempotency key
+   * @param {number} ttl - How long the claim holds, in ms
+   * @param {*} data - Extra data kept with the record (e.g. a request fingerprint)
+   * @returns {Promise<Object>} - { claimed: true } or { claimed: false, record }
+   */
+  async claim(key, ttl, data = null) {
+    const fullKey = this.prefix + key;
+    const record = { status: STATUS.IN_FLIGHT, data, result: null, createdAt: Date.now() };
+
+    // Redis: SET NX is atomic across processes
+    if (this.cache instanceof RedisCache) {
+      const created = await this.cache.client.set(this.cache.prefix + fullKey, JSON.stringify(record), {
+        NX: true,
+        PX: ttl,
+      });
+      return created ? { claimed: true } : { claimed: false, record: await this.cache.get(fullKey) };
+    }
+
+    // In-process caches: make the get and set of one claim atomic
+    const previous = this.locks.get(fullKey) || Promise.resolve();
+    const current = previous.then(async () => {
+      const existing = await this.cache.get(fullKey);
+      if (existing) {
+        return { claimed: false, record: existing };
+      }
+      await this._set(fullKey, record, ttl);
+      return { claimed: true };
+    });
+
+    const settled = current.catch(() => {});
+    this.locks.set(fullKey, settled);
+    settled.then(() => {
+      if (this.locks.get(fullKey) === settled) {
+        this.locks.delete(fullKey);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Mark a claimed key as completed
+   * @param {string} key - Idempotency key
+   * @param {*} result - Result to return for duplicates (must be JSON-serializable)
+   * @param {number} ttl - How long to remember the key, in ms
+   */
+  async complete(key, result, ttl) {
+    const fullKey = this.prefix + key;
+    const existing = await this.cache.get(fullKey);
+    await this._set(fullKey, {
+      status: STATUS.COMPLETED,
+      data: existing ? existing.data : null,
+      result: result === undefined ? null : result,
+      createdAt: existing ? existing.createdAt : Date.now(),
+    }, ttl);
+  }
+
+  /**
+   * Drop a claim so the key can be processed again
+   * @param {string} key - Idempotency key
+   */
+  async release(key) {
+    await this.cache.delete(this.prefix + key);
+  }
+
+  /**
+   * Get the record for a key
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} - { status, data, result, createdAt } or null
+   */
+  async get(key) {
+    return (await this.cache.get(this.prefix + key)) || null;
+  }
+
+  /**
+   * Write a record with a TTL in the cache's own unit
+   * @private
+   */
+  async _set(fullKey, record, ttl) {
+    if (this.cache instanceof RedisCache) {
+      // RedisCache TTLs are in seconds
+      await this.cache.set(fullKey, record, Math.max(1, Math.ceil(ttl / 1000)));
+    } else if (this.cache instanceof AdvancedCache) {
+      await this.cache.set(fullKey, record, { ttl, compress: false });
+    } else {
+      await this.cache.set(fullKey, record, ttl);
+    }
+  }
+}
+
+class SQLIdempotencyStore {
+  /**
+   * @param {DatabasePool} dbPool - Database pool
+   * @param {Object} options - Options
+   * @param {string} options.table - Table name (default: 'idempotency_keys')
+   */
+  constructor(dbPool, options = {}) {
+    if (dbPool.type && dbPool.type.toLowerCase() === 'mongodb') {
+      throw new Error('SQLIdempotencyStore requires a SQL database');
+    }
+
+    this.dbPool = dbPool;
+    this.table = options.table || 'idempotency_keys';
+  }
+
+  /**
+   * Claim a key for processing; the primary key makes concurrent claims fail
+   * @param {string} key - Idempotency key
+   * @param {number} ttl - How long the claim holds, in ms
+   * @param {*} data - Extra data kept with the record
+   * @returns {Promise<Object>} - { claimed: true } or { claimed: false, record }
+   */
+  async claim(key, ttl, data = null) {
+    for (let attempt = 1; ; attempt++) {
+      const now = Date.now();
+
+      // Expired records no longer count
+      await queryBuilder(this.dbPool)
+        .delete(this.table)
+        .where('idempotency_key', '=', key)
+        .where('expires_at', '<=', now)
+        .execute();
+
+      try {
+        await queryBuilder(this.dbPool)
+          .insert(this.table, {
+            idempotency_key: key,
+            status: STATUS.IN_FLIGHT,
+            data: JSON.stringify(data),
+            result: null,
+            created_at: now,
+            expires_at: now + ttl,
+          })
+          .execute();
+        return { claimed: true };
+      } catch (error) {
+        // Anything but a duplicate key (connection, missing table) is a real failure
+        if (!isUniqueViolation(error)) {
+          throw error;
+        }
+
+        // Duplicate key: someone else holds it
+        const record = await this.get(key);
+        if (record) {
+          return { claimed: false, record };
+        }
+        // Released or expired since the insert: claim again
+        if (attempt >= MAX_CLAIM_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Mark a claimed key as completed
+   * @param {string} key - Idempotency key
+   * @param {*} result - Result to return for duplicates (must be JSON-serializable)
+   * @param {number} ttl - How long to remember the key, in ms
+   */
+  async complete(key, result, ttl) {
+    await queryBuilder(this.dbPool)
+      .update(this.table, {
+        status: STATUS.COMPLETED,
+        result: JSON.stringify(result === undefined ? null : result),
+        expires_at: Date.now() + ttl,
+      })
+      .where('idempotency_key', '=', key)
+      .execute();
+  }
+
+  /**
+   * Drop a claim so the key can be processed again
+   * @param {string} key - Idempotency key
+   */
+  async release(key) {
+    await queryBuilder(this.dbPool)
+      .delete(this.table)
+      .where('idempotency_key', '=', key)
+      .execute();
+  }
+
+  /**
+   * Get the record for a key
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} - { status, data, result, createdAt } or null
+   */
+  async get(key) {
+    const result = await queryBuilder(this.dbPool, this.table)
+      .select('*')
+      .where('idempotency_key', '=', key)
+      .where('expires_at', '>', Date.now())
+      .execute();
+
+    const row = rowsOf(result)[0];
+    if (!row) {
+      return null;
+    }
+
+    return {
+      status: row.status,
+      data: parseJSON(row.data),
+      result: parseJSON(row.result),
+      createdAt: Number(row.created_at),
+    };
+  }
+
+  /**
+   * Delete expired records
+   */
+  async cleanup() {
+    await queryBuilder(this.dbPool)
+      .delete(this.table)
+      .where('expires_at', '<=', Date.now())
+      .execute();
+  }
+
+  /**
+   * Migration creating the table, for a file in the migrations directory:
+   * module.exports = store.migration();
+   * @returns {Object} - { up(dbPool), down(dbPool) }
+   */
+  migration() {
+    const table = this.table;
+
+    return {
+      async up(dbPool) {
+        const dbType = dbPool.type.toLowerCase();
+        const q = name => escapeIdentifier(dbType, name);
+        const text = dbType === 'mssql' || dbType === 'sqlserver'
+          ? 'NVARCHAR(MAX)'
+          : dbType === 'mysql' || dbType === 'mariadb' ? 'LONGTEXT' : 'TEXT';
+
+        await dbPool.query(`
+          CREATE TABLE ${q(table)} (
+            ${q('idempotency_key')} VARCHAR(255) NOT NULL PRIMARY KEY,
+            ${q('status')} VARCHAR(16) NOT NULL,
+            ${q('data')} ${text},
+            ${q('result')} ${text},
+            ${q('created_at')} BIGINT NOT NULL,
+            ${q('expires_at')} BIGINT NOT NULL
+          )
+        `);
+      },
+
+      async down(dbPool) {
+        await dbPool.query(`DROP TABLE ${escapeIdentifier(dbPool.type.toLowerCase(), table)}`);
+      },
+    };
+  }
+}
+
+/**
+ * Create a store for a cache or a DatabasePool
+ * @param {Cache|RedisCache|AdvancedCache|DatabasePool} backend - Storage backend (default: new Cache())
+ * @param {Object} options - Store options (prefix for caches, table for SQL)
+ * @returns {CacheIdempotencyStore|SQLIdempotencyStore}
+ */
+function createIdempotencyStore(backend = null, options = {}) {
+  if (backend && typeof backend.claim === 'function') {
+    return backend;
+  }
+  // DatabasePool (or a transaction-like object) exposes query() and type
+  if (backend && typeof backend.query === 'function' && typeof backend.type === 'string') {
+    return new SQLIdempotencyStore(backend, options);
+  }
+  return new CacheIdempotencyStore(backend, options);
+}
+
+module.exports = {
+  CacheIdempotencyStore,
+  SQLIdempotencyStore,
+  createIdempotencyStore,
+  IDEMPOTENCY_STATUS: STATUS,
+};
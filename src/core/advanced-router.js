@@ -1,10 +1,17 @@
 /**
  * Advanced Router with Parameters and Path Matching
  * v4: Support for route parameters, wildcards, and path matching
+ * v5.9: Radix-tree matching (see radix-tree.js)
  */
 
+const { RadixTree, tokenize, parseParam, expandOptional } = require('./radix-tree');
+const { composeRoute } = require('./middleware');
+const { normalizeMethod, allowedMethodList } = require('./http-methods');
+
 class AdvancedRouter {
   constructor() {
+    // Method tables are created on demand so custom verbs work too;
+    // '*' holds routes registered with all()
     this.routes = {
       GET: [],
       POST: [],
@@ -12,97 +19,146 @@ class AdvancedRouter {
       DELETE: [],
       PATCH: [],
     };
+    this.tree = new RadixTree();
+    this.routeCount = 0;
   }
 
   /**
    * Register a route handler
-   * @param {string} method - HTTP method
-   * @param {string} path - Route path (supports :param and * wildcards)
-   * @param {Function} handler - Route handler function
+   * @param {string} method - HTTP method (any token, or '*' for all methods)
+   * @param {string} path - Route path (supports :param, :param<type>, :param(regex),
+   *   optional :param? and * / *name wildcards)
+   * @param {...Function} handlers - Route middleware (v5.9) followed by the handler
    */
-  register(method, path, handler) {
-    const normalizedMethod = method.toUpperCase();
+  register(method, path, ...handlers) {
+    const handler = composeRoute(handlers);
+    const normalizedMethod = normalizeMethod(method);
+
     if (!this.routes[normalizedMethod]) {
-      throw new Error(`Unsupported HTTP method: ${method}`);
+      this.routes[normalizedMethod] = [];
     }
 
-    // Parse route pattern
-    const pattern = this._parsePattern(path);
-    
-    this.routes[normalizedMethod].push({
+    // Parse route pattern; optional params register one variant per combination
+    const variants = expandOptional(path);
+    const order = this.routeCount++;
+    const route = {
       pattern: path,
-      regex: pattern.regex,
-      params: pattern.params,
+      params: this._parsePattern(variants[0]).params,
+      specificity: this._calculateSpecificity(variants[0]),
+      order,
       handler,
-    });
+    };
 
-    // Sort routes by specificity (more specific first)
-    this.routes[normalizedMethod].sort((a, b) => {
-      const aSpecificity = this._calculateSpecificity(a.pattern);
-      const bSpecificity = this._calculateSpecificity(b.pattern);
-      return bSpecificity - aSpecificity;
-    });
+    this.routes[normalizedMethod].push(route);
+
+    for (const variant of variants) {
+      const pattern = this._parsePattern(variant);
+      const node = this.tree.insert(pattern.tokens);
+
+      // The first route registered for a method and pattern wins
+      if (!node.routes[normalizedMethod]) {
+        node.routes[normalizedMethod] = {
+          ...route,
+          slots: pattern.slots,
+        };
+      }
+    }
   }
 
   /**
    * Find route handler for a method and path
+   * HEAD falls back to GET routes, then routes registered with all()
    * @param {string} method - HTTP method
    * @param {string} path - Request path
-   * @returns {Object|null} - { handler, params } or null if not found
+   * @returns {Object|null} - { handler, params, route } or null if not found
    */
   find(method, path) {
     const normalizedMethod = method.toUpperCase();
-    const methodRoutes = this.routes[normalizedMethod] || [];
-
-    for (const route of methodRoutes) {
-      const match = path.match(route.regex);
-      if (match) {
-        // Extract parameters
-        const params = {};
-        route.params.forEach((param, index) => {
-          params[param] = match[index + 1];
-        });
-
-        return {
-          handler: route.handler,
-          params,
-        };
-      }
+
+    let result = this._match(normalizedMethod, path);
+    if (!result && normalizedMethod === 'HEAD') {
+      result = this._match('GET', path);
+    }
+    if (!result) {
+      result = this._match('*', path);
+    }
+
+    return result;
+  }
+
+  /**
+   * List the methods that have a route matching a path
+   * @param {string} path - Request path
+   * @returns {Array<string>} - Allowed methods (empty if no route matches)
+   */
+  allowedMethods(path) {
+    return allowedMethodList(Object.keys(this.routes).filter(method => this._match(method, path)));
+  }
+
+  /**
+   * Match a path against the routes of a single method
+   * @private
+   */
+  _match(method, path) {
+    if (!this.routes[method] || this.routes[method].length === 0) {
+      return null;
+    }
+
+    const accept = node => node.routes[method] || null;
+    let match = this.tree.lookup(path, accept);
+
+    // Trailing slash is optional
+    if (!match && path.length > 1 && path.endsWith('/')) {
+      match = this.tree.lookup(path.substring(0, path.length - 1), accept);
     }
 
-    return null;
+    if (!match) {
+      return null;
+    }
+
+    // Extract parameters, coercing typed ones (:id<int>)
+    const route = match.value;
+    const params = {};
+    route.slots.forEach((slot, index) => {
+      if (slot.name !== null) {
+        const value = match.values[index];
+        params[slot.name] = slot.coerce ? slot.coerce(value) : value;
+      }
+    });
+
+    return {
+      handler: route.handler,
+      params,
+      route: route.pattern,
+    };
   }
 
   /**
-   * Parse route pattern into regex and parameter names
+   * Parse route pattern into radix tree tokens and parameter names
    * @private
    */
   _parsePattern(pattern) {
+    const tokens = tokenize(pattern);
     const params = [];
-    const parts = pattern.split('/').filter(p => p !== ''); // Remove empty parts
-    const regexParts = [];
-    
-    for (const part of parts) {
-      if (part.startsWith(':')) {
-        // Parameter
-        const paramName = part.substring(1);
-        params.push(paramName);
-        regexParts.push('([^/]+)');
-      } else if (part === '*') {
-        // Wildcard
-        regexParts.push('.*');
-      } else {
-        // Literal - escape regex special chars
-        regexParts.push(part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    // One slot per captured value; name is null for anonymous wildcards
+    const slots = [];
+
+    for (const token of tokens) {
+      if (token.type === 'param') {
+        params.push(token.name);
+        slots.push({ name: token.name, coerce: token.coerce });
+      } else if (token.type === 'wildcard') {
+        if (token.name) {
+          params.push(token.name);
+        }
+        slots.push({ name: token.name, coerce: null });
       }
     }
-    
-    // Build regex pattern
-    const regexPattern = '^/' + regexParts.join('/') + '/?$';
 
     return {
-      regex: new RegExp(regexPattern),
+      tokens,
       params,
+      slots,
     };
   }
 
@@ -112,19 +168,19 @@ class AdvancedRouter {
    */
   _calculateSpecificity(pattern) {
     let specificity = 0;
+    const segments = pattern.split('/').filter(seg => seg);
     
     // Count static segments
-    const staticSegments = pattern.split('/').filter(seg => 
-      seg && !seg.startsWith(':') && seg !== '*'
-    );
+    const staticSegments = segments.filter(seg => !seg.startsWith(':') && !seg.startsWith('*'));
     specificity += staticSegments.length * 10;
 
-    // Count parameters (less specific)
-    const params = (pattern.match(/:[^/]+/g) || []).length;
-    specificity += params * 5;
+    // Count parameters (less specific); constrained ones rank above plain ones
+    for (const seg of segments.filter(s => s.startsWith(':'))) {
+      specificity += parseParam(seg).test ? 6 : 5;
+    }
 
     // Wildcards are least specific
-    if (pattern.includes('*')) {
+    if (segments.some(seg => seg.startsWith('*'))) {
       specificity -= 10;
     }
 
@@ -138,7 +194,10 @@ class AdvancedRouter {
   getAllRoutes() {
     const allRoutes = {};
     for (const method in this.routes) {
-      allRoutes[method] = this.routes[method].map(route => ({
+      const sorted = this.routes[method].slice().sort((a, b) =>
+        b.specificity - a.specificity || a.order - b.order
+      );
+      allRoutes[method] = sorted.map(route => ({
         pattern: route.pattern,
         params: route.params,
       }));
@@ -149,36 +208,57 @@ class AdvancedRouter {
   /**
    * Register GET route
    */
-  get(path, handler) {
-    this.register('GET', path, handler);
+  get(path, ...handlers) {
+    this.register('GET', path, ...handlers);
   }
 
   /**
    * Register POST route
    */
-  post(path, handler) {
-    this.register('POST', path, handler);
+  post(path, ...handlers) {
+    this.register('POST', path, ...handlers);
   }
 
   /**
    * Register PUT route
    */
-  put(path, handler) {
-    this.register('PUT', path, handler);
+  put(path, ...handlers) {
+    this.register('PUT', path, ...handlers);
   }
 
   /**
    * Register DELETE route
    */
-  delete(path, handler) {
-    this.register('DELETE', path, handler);
+  delete(path, ...handlers) {
+    this.register('DELETE', path, ...handlers);
   }
 
   /**
    * Register PATCH route
    */
-  patch(path, handler) {
-    this.register('PATCH', path, handler);
+  patch(path, ...handlers) {
+    this.register('PATCH', path, ...handlers);
+  }
+
+  /**
+   * Register HEAD route (GET routes answer HEAD automatically)
+   */
+  head(path, ...handlers) {
+    this.register('HEAD', path, ...handlers);
+  }
+
+  /**
+   * Register OPTIONS route (overrides the automatic OPTIONS response)
+   */
+  options(path, ...handlers) {
+    this.register('OPTIONS', path, ...handlers);
+  }
+
+  /**
+   * Register route for all methods
+   */
+  all(path, ...handlers) {
+    this.register('*', path, ...handlers);
   }
 }
 
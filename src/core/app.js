@@ -1,8 +1,17 @@
 ﻿const http = require('http');
 const Router = require('./router');
 const AdvancedRouter = require('./advanced-router');
-const { executeMiddleware } = require('./middleware');
-const { error: errorResponse } = require('../utils/response');
+const { executeMiddleware, composeRoute } = require('./middleware');
+const { RouteGroup, createRouteChain, joinPaths } = require('./route-group');
+const { createBodyParser, parseUrlencoded } = require('./body-parser');
+const { normalizeEvent, formatResponse } = require('./lambda-events');
+const { EventRouter } = require('./event-router');
+const { NavisResponse } = require('./response');
+const { applyDeadline } = require('./deadline');
+const { MethodNotAllowedError, GatewayTimeoutError } = require('../errors/error-handler');
+
+// Lifecycle hooks in the order they run (v5.9)
+const HOOK_NAMES = ['onRequest', 'preHandler', 'onSend', 'onResponse', 'onError'];
 
 /**
  * NavisApp - Main application class
@@ -15,6 +24,15 @@ class NavisApp {
     this.middlewares = [];
     this.server = null;
     this.errorHandler = null;
+    this.mounts = []; // [{ prefix, app }], longest prefix first
+    this.hooks = createHookMap();
+    this.eventRouter = new EventRouter();
+    // Built-in body parsing (v5.9) - pass bodyParser: false to disable
+    this.bodyParser = options.bodyParser === false
+      ? null
+      : createBodyParser(options.bodyParser || {});
+    // Request deadlines (v5.9) - pass deadlines: false to ignore X-Request-Deadline
+    this.deadlines = options.deadlines === false ? null : { ...options.deadlines };
   }
 
   /**
@@ -25,43 +43,220 @@ class NavisApp {
     this.middlewares.push(fn);
   }
 
+  /**
+   * Register a lifecycle hook (v5.9)
+   * - onRequest(req, res): route resolved, before body parsing and middleware
+   * - preHandler(req, res): after middleware, right before the route handler
+   * - onSend(req, res): before the response is serialized; a return value replaces res.body
+   * - onResponse(req, res): after the response is sent; res.elapsedTime holds the duration in ms
+   * - onError(err, req, res): before the error handler runs
+   * onRequest and preHandler hooks end the request early by sending a response.
+   * @param {string} name - Hook name
+   * @param {Function} fn - Hook function (may be async)
+   * @returns {NavisApp} - this (chainable)
+   */
+  addHook(name, fn) {
+    if (!HOOK_NAMES.includes(name)) {
+      throw new Error(`Unknown hook: ${name}. Expected one of ${HOOK_NAMES.join(', ')}`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Hook ${name} must be a function`);
+    }
+    this.hooks[name].push(fn);
+    return this;
+  }
+
   /**
    * Register GET route
+   * @param {string} path - Route path
+   * @param {...Function} handlers - Route middleware (v5.9) followed by the handler
    */
-  get(path, handler) {
-    this.router.get(path, handler);
+  get(path, ...handlers) {
+    this.register('GET', path, ...handlers);
   }
 
   /**
    * Register POST route
    */
-  post(path, handler) {
-    this.router.post(path, handler);
+  post(path, ...handlers) {
+    this.register('POST', path, ...handlers);
   }
 
   /**
    * Register PUT route
    */
-  put(path, handler) {
-    this.router.put(path, handler);
+  put(path, ...handlers) {
+    this.register('PUT', path, ...handlers);
   }
 
   /**
    * Register DELETE route
    */
-  delete(path, handler) {
-    this.router.delete(path, handler);
+  delete(path, ...handlers) {
+    this.register('DELETE', path, ...handlers);
   }
 
   /**
    * Register PATCH route (v4)
    */
-  patch(path, handler) {
-    if (this.router.patch) {
-      this.router.patch(path, handler);
-    } else {
-      throw new Error('PATCH method requires advanced router');
+  patch(path, ...handlers) {
+    this.register('PATCH', path, ...handlers);
+  }
+
+  /**
+   * Register HEAD route (v5.9) - GET routes answer HEAD automatically
+   */
+  head(path, ...handlers) {
+    this.register('HEAD', path, ...handlers);
+  }
+
+  /**
+   * Register OPTIONS route (v5.9) - overrides the automatic OPTIONS response
+   */
+  options(path, ...handlers) {
+    this.register('OPTIONS', path, ...handlers);
+  }
+
+  /**
+   * Register route for every HTTP method (v5.9)
+   */
+  all(path, ...handlers) {
+    this.register('*', path, ...handlers);
+  }
+
+  /**
+   * Register route for any HTTP method, including custom verbs (v5.9)
+   * @param {string} method - HTTP method (e.g. 'PROPFIND')
+   * @param {string} path - Route path
+   * @param {...Function} handlers - Route middleware followed by the handler
+   */
+  register(method, path, ...handlers) {
+    this._addRoute(method, path, handlers, []);
+  }
+
+  /**
+   * Chain several method handlers on one path (v5.9)
+   * @param {string} path - Route path
+   * @returns {Object} - Chainable route with get/post/put/delete/patch/head/options/all/method
+   * @example
+   * app.route('/users/:id').get(getUser).put(auth, updateUser).delete(auth, deleteUser);
+   */
+  route(path) {
+    return createRouteChain((method, ...handlers) => this.register(method, path, ...handlers));
+  }
+
+  /**
+   * Create a route group with a shared prefix and middleware (v5.9)
+   * @param {string} prefix - Path prefix
+   * @param {Array|Function} middlewares - Group middleware, or the callback
+   * @param {Function} callback - Receives the group (supports nested groups)
+   * @returns {RouteGroup} - Route group
+   * @example
+   * app.group('/api/admin', [authenticateJWT(), authorize('admin')], (r) => {
+   *   r.get('/users', listUsers);
+   *   r.group('/reports', (reports) => reports.get('/daily', dailyReport));
+   * });
+   */
+  group(prefix, middlewares, callback) {
+    if (typeof middlewares === 'function' && callback === undefined) {
+      callback = middlewares;
+      middlewares = [];
+    }
+
+    const group = new RouteGroup(this, joinPaths('/', prefix), middlewares || []);
+    if (callback) {
+      callback(group);
+    }
+    return group;
+  }
+
+  /**
+   * Mount a child application under a path prefix (v5.9)
+   * The prefix is stripped from req.path before the child sees the request;
+   * the child runs its own middleware and error handler after this app's middleware.
+   * @param {string} prefix - Path prefix (e.g. '/billing')
+   * @param {NavisApp} app - Child application
+   * @returns {NavisApp} - this (chainable)
+   * @example
+   * const billing = new NavisApp();
+   * billing.get('/invoices/:id', getInvoice);
+   * app.mount('/billing', billing); // GET /billing/invoices/42
+   */
+  mount(prefix, app) {
+    if (!app || typeof app._process !== 'function') {
+      throw new Error('mount() expects a NavisApp instance');
+    }
+    if (app === this) {
+      throw new Error('An app cannot be mounted on itself');
+    }
+
+    const normalized = joinPaths('/', prefix);
+    this.mounts = this.mounts.filter(mount => mount.prefix !== normalized);
+    this.mounts.push({ prefix: normalized, app });
+    this.mounts.sort((a, b) => b.prefix.length - a.prefix.length);
+    return this;
+  }
+
+  /**
+   * List all routes, including those of mounted apps (v5.9)
+   * @returns {Array<Object>} - [{ method, path, params }]
+   */
+  getRoutes() {
+    const routes = [];
+    const byMethod = this.router.getAllRoutes();
+
+    for (const method in byMethod) {
+      for (const route of byMethod[method]) {
+        routes.push({
+          method: method === '*' ? 'ALL' : method,
+          path: route.pattern,
+          params: route.params || [],
+        });
+      }
+    }
+
+    for (const { prefix, app } of this.mounts) {
+      for (const route of app.getRoutes()) {
+        routes.push({ ...route, path: joinPaths(prefix, route.path) });
+      }
     }
+
+    return routes;
+  }
+
+  /**
+   * Compose route middleware and register the route with the router.
+   * Plain objects among the handlers declare route-level hooks:
+   * app.get('/x', { onSend: fn, preHandler: [a, b] }, handler)
+   * @private
+   */
+  _addRoute(method, path, handlers, groups) {
+    const functions = [];
+    let hooks = null;
+
+    for (const entry of handlers.flat(Infinity)) {
+      if (entry && typeof entry === 'object') {
+        hooks = hooks || createHookMap();
+        for (const [name, fns] of Object.entries(entry)) {
+          if (!HOOK_NAMES.includes(name)) {
+            throw new Error(`Unknown route hook: ${name}`);
+          }
+          hooks[name].push(...[fns].flat());
+        }
+      } else {
+        functions.push(entry);
+      }
+    }
+
+    let handler = composeRoute(functions, groups);
+    if (hooks) {
+      // Wrap so hooks never end up on a handler shared between routes
+      const target = handler;
+      handler = (req, res) => target(req, res);
+      handler.hooks = hooks;
+    }
+
+    this.router.register(method, path, handler);
   }
 
   /**
@@ -75,162 +270,406 @@ class NavisApp {
   /**
    * Handle HTTP request (Node.js)
    * @param {Object} req - Node.js HTTP request
-   * @param {Object} res - Node.js HTTP response
+   * @param {Object} rawRes - Node.js HTTP response
    */
-  async handleRequest(req, res) {
+  async handleRequest(req, rawRes) {
+    const res = NavisResponse.from(rawRes);
     const method = req.method;
-    const url = new URL(req.url, `http://${req.headers.host}`);
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
     const path = url.pathname;
+    req.path = path;
 
-    // Parse query string
-    req.query = {};
-    url.searchParams.forEach((value, key) => {
-      req.query[key] = value;
-    });
+    // Parse query string (repeated keys become arrays, as under Lambda)
+    req.query = parseUrlencoded(url.search.substring(1));
+
+    req.params = req.params || {};
+
+    await this._dispatch(req, res, () => this._readNodeBody(req));
+  }
+
+  /**
+   * Handle AWS Lambda event
+   * v5.9: API Gateway v1/v2, ALB and Function URL events are normalized
+   * first, and the response is shaped for the source that sent the event
+   * @param {Object} event - Lambda event
+   * @returns {Object} - Lambda response
+   */
+  async handleLambda(event) {
+    const request = normalizeEvent(event);
+
+    // Create Lambda-compatible req/res objects
+    const req = {
+      method: request.method,
+      path: request.path,
+      headers: request.headers,
+      body: {},
+      query: request.query,
+      params: {},
+      // Store original event for advanced use cases
+      event,
+    };
+    const res = new NavisResponse();
+
+    await this._dispatch(req, res, () => this._parseLambdaBody(req, request));
+    return formatResponse(request, await res.toLambda());
+  }
 
-    // Find route handler
-    let routeResult;
+  /**
+   * Register a handler for non-HTTP Lambda events (v5.9)
+   * @param {string} type - sqs, sns, s3, dynamodb, eventbridge or schedule
+   * @param {string|RegExp|Function} matcher - Queue/topic/table ARN or name, bucket,
+   *   rule name, EventBridge source or detail-type; omit or '*' to match all
+   * @param {Function} handler - async (payload, { event, record, context }) => result
+   * @param {Object} options - { batchItemFailures: false } to fail the whole SQS/DynamoDB batch on error
+   * @returns {NavisApp} - this (chainable)
+   * @example
+   * app.on('sqs', 'orders-queue', async (message) => processOrder(message.body));
+   * app.on('schedule', 'nightly-cleanup', async () => cleanup());
+   */
+  on(type, matcher, handler, options) {
+    this.eventRouter.on(type, matcher, handler, options);
+    return this;
+  }
+
+  /**
+   * Handle any Lambda event: HTTP events are routed like requests,
+   * others go to handlers registered with on() (v5.9)
+   * @param {Object} event - Lambda event
+   * @param {Object} context - Lambda context
+   * @returns {Promise<*>} - Lambda response or event handler result
+   */
+  async handleEvent(event, context = {}) {
+    if (EventRouter.detect(event)) {
+      return this.eventRouter.dispatch(event, context);
+    }
+    return this.handleLambda(event);
+  }
+
+  /**
+   * Find a route for a method and path
+   * @private
+   */
+  _findRoute(method, path) {
     if (this.useAdvancedRouter) {
-      routeResult = this.router.find(method, path);
-      if (routeResult) {
-        req.params = routeResult.params || {};
-        req.handler = routeResult.handler;
-      }
-    } else {
-      const handler = this.router.find(method, path);
-      if (handler) {
-        routeResult = { handler };
-        req.params = {};
-      }
+      return this.router.find(method, path);
     }
 
-    if (!routeResult) {
-      if (this.errorHandler) {
-        const notFoundError = new Error('Not Found');
-        notFoundError.statusCode = 404;
-        await this.errorHandler(notFoundError, req, res, () => {});
-      } else {
-        errorResponse(res, 'Not Found', 404);
+    const handler = this.router.find(method, path);
+    return handler ? { handler, params: {} } : null;
+  }
+
+  /**
+   * Run body parsing, middleware and handler, then serialize the response
+   * @private
+   */
+  async _dispatch(req, res, parseBody) {
+    const startTime = process.hrtime.bigint();
+    // onSend/onResponse hooks collected from this app, mounted apps and the route
+    const lifecycle = { onSend: [], onResponse: [] };
+
+    // HEAD responses keep headers but drop the body
+    res.isHead = req.method && req.method.toUpperCase() === 'HEAD';
+
+    if (this.deadlines) {
+      applyDeadline(req, this.deadlines);
+    }
+
+    await this._process(req, res, parseBody, lifecycle);
+
+    // Streaming responses (e.g. SSE) stay open until they end themselves
+    if (!res.finished && !res.headersSent) {
+      await this._runSendHooks(lifecycle.onSend, req, res);
+      await res.runFinish();
+      res.end();
+    }
+
+    const onResponse = async () => {
+      res.elapsedTime = Number(process.hrtime.bigint() - startTime) / 1e6;
+      for (const hook of lifecycle.onResponse) {
+        try {
+          await hook(req, res);
+        } catch (error) {
+          console.error('onResponse hook error:', error);
+        }
       }
+    };
+
+    if (lifecycle.onResponse.length === 0) {
       return;
     }
 
-    // Execute middleware chain, then route handler
+    // Open Node.js streams report once the socket is done; Lambda waits here
+    const raw = res.raw;
+    if (raw && !raw.writableEnded && typeof raw.once === 'function') {
+      raw.once('close', onResponse);
+      return;
+    }
+    await onResponse();
+  }
+
+  /**
+   * Resolve the handler and run this app's hooks and middleware chain; errors
+   * go to this app's error handler. Mounted apps re-enter here without parseBody.
+   * @private
+   */
+  async _process(req, res, parseBody, lifecycle) {
+    let routeHooks = EMPTY_HOOKS;
+    lifecycle.onSend.push(...this.hooks.onSend);
+    lifecycle.onResponse.push(...this.hooks.onResponse);
+
     try {
-      await executeMiddleware(
+      const handler = this._resolveHandler(req, res, lifecycle);
+      routeHooks = handler.hooks || EMPTY_HOOKS;
+      lifecycle.onSend.push(...routeHooks.onSend);
+      lifecycle.onResponse.push(...routeHooks.onResponse);
+
+      // The caller has already given up: don't start the work
+      if (req.deadline && Date.now() >= req.deadline) {
+        throw new GatewayTimeoutError('Request deadline exceeded');
+      }
+
+      if (await this._runHooks([...this.hooks.onRequest, ...routeHooks.onRequest], req, res)) {
+        return;
+      }
+
+      if (parseBody) {
+        await parseBody();
+      }
+
+      const preHandler = [...this.hooks.preHandler, ...routeHooks.preHandler];
+      const target = preHandler.length === 0
+        ? handler
+        : async (handlerReq, handlerRes) => {
+          if (await this._runHooks(preHandler, handlerReq, handlerRes)) {
+            return undefined;
+          }
+          return handler(handlerReq, handlerRes);
+        };
+
+      const result = await executeMiddleware(
         this.middlewares,
         req,
         res,
-        routeResult.handler,
-        false
+        target,
+        !res.raw
       );
+      this._applyResult(res, result);
     } catch (err) {
-      if (this.errorHandler) {
-        await this.errorHandler(err, req, res, () => {});
-      } else {
-        errorResponse(res, err.message || 'Internal Server Error', err.statusCode || 500);
+      for (const hook of [...this.hooks.onError, ...routeHooks.onError]) {
+        try {
+          await hook(err, req, res);
+        } catch (hookError) {
+          console.error('onError hook error:', hookError);
+        }
       }
+      await this._handleError(err, req, res);
     }
   }
 
   /**
-   * Handle AWS Lambda event
-   * @param {Object} event - Lambda event
-   * @returns {Object} - Lambda response
+   * Run hooks in order; returns true once one of them has sent a response
+   * @private
    */
-  async handleLambda(event) {
-    const method = event.httpMethod || event.requestContext?.http?.method || 'GET';
-    const path = event.path || event.rawPath || '/';
+  async _runHooks(hooks, req, res) {
+    for (const hook of hooks) {
+      await hook(req, res);
+      if (res.finished || res.headersSent || (res.body !== null && res.body !== undefined)) {
+        return true;
+      }
+    }
+    return false;
+  }
 
-    // Find route handler
-    let routeResult;
-    if (this.useAdvancedRouter) {
-      routeResult = this.router.find(method, path);
-    } else {
-      const handler = this.router.find(method, path);
-      if (handler) {
-        routeResult = { handler, params: {} };
+  /**
+   * Run onSend hooks; a hook error replaces the response with an error response
+   * @private
+   */
+  async _runSendHooks(hooks, req, res) {
+    try {
+      for (const hook of hooks) {
+        const payload = await hook(req, res);
+        if (payload !== undefined) {
+          res.body = payload;
+        }
       }
+    } catch (err) {
+      await this._handleError(err, req, res);
     }
+  }
 
-    if (!routeResult) {
-      return {
-        statusCode: 404,
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ error: 'Not Found' }),
-      };
+  /**
+   * Find the handler for a request: own route, mounted app, or automatic OPTIONS.
+   * Paths the app routes itself (for any method) are never handed to a mount
+   * with an overlapping prefix.
+   * @private
+   */
+  _resolveHandler(req, res, lifecycle) {
+    const routeResult = this._findRoute(req.method, req.path);
+    if (routeResult) {
+      req.params = routeResult.params || {};
+      req.handler = routeResult.handler;
+      req.routePath = joinPaths(req.baseUrl || '', routeResult.route || req.path);
+      return routeResult.handler;
     }
 
-    // Create Lambda-compatible req/res objects
-    const req = {
-      method,
-      path,
-      headers: event.headers || {},
-      body: event.body ? (typeof event.body === 'string' ? JSON.parse(event.body) : event.body) : {},
-      query: event.queryStringParameters || {},
-      params: routeResult.params || {},
-      // Store original event for advanced use cases
-      event,
-    };
+    const allowed = this.router.allowedMethods(req.path);
+
+    const mount = allowed.length === 0 ? this._findMount(req.path) : null;
+    if (mount) {
+      return (mountedReq, mountedRes) => this._runMounted(mount, mountedReq, mountedRes, lifecycle);
+    }
+
+    if (allowed.length === 0) {
+      const notFoundError = new Error('Not Found');
+      notFoundError.statusCode = 404;
+      throw notFoundError;
+    }
+
+    res.set('Allow', allowed.join(', '));
+    if (req.method.toUpperCase() !== 'OPTIONS') {
+      throw new MethodNotAllowedError(`Method ${req.method} not allowed`);
+    }
 
-    const res = {
-      statusCode: 200,
-      headers: {},
-      body: null,
+    // Automatic OPTIONS response still runs middleware (e.g. cors())
+    return async () => {
+      res.statusCode = 204;
     };
+  }
+
+  /**
+   * Find the mounted app whose prefix matches a path
+   * @private
+   */
+  _findMount(path) {
+    return this.mounts.find(({ prefix }) =>
+      prefix === '/' || path === prefix || path.startsWith(prefix + '/')
+    ) || null;
+  }
+
+  /**
+   * Hand a request to a mounted app with the prefix stripped from req.path
+   * @private
+   */
+  async _runMounted(mount, req, res, lifecycle) {
+    const originalPath = req.path;
+    const originalBaseUrl = req.baseUrl || '';
+
+    req.originalPath = req.originalPath || originalPath;
+    req.baseUrl = mount.prefix === '/' ? originalBaseUrl : joinPaths(originalBaseUrl, mount.prefix);
+    req.path = mount.prefix === '/' ? originalPath : originalPath.substring(mount.prefix.length) || '/';
 
-    // Execute middleware chain, then route handler
     try {
-      const result = await executeMiddleware(
-        this.middlewares,
-        req,
-        res,
-        routeResult.handler,
-        true
-      );
+      await mount.app._process(req, res, null, lifecycle);
+    } finally {
+      req.path = originalPath;
+      req.baseUrl = originalBaseUrl;
+    }
+  }
+
+  /**
+   * Use a handler's return value as the body when nothing was sent
+   * @private
+   */
+  _applyResult(res, result) {
+    if (result === undefined || res.finished || (res.body !== null && res.body !== undefined)) {
+      return;
+    }
 
-      // If handler returned a Lambda response directly, use it
-      if (result && result.statusCode) {
-        return result;
+    // Handler returned a Lambda-style response
+    if (result && typeof result === 'object' && result.statusCode && 'body' in result) {
+      res.status(result.statusCode);
+      if (result.headers) {
+        res.set(result.headers);
+      }
+      if (!res.get('Content-Type')) {
+        res.set('Content-Type', 'application/json');
       }
+      res.body = result.isBase64Encoded && typeof result.body === 'string'
+        ? Buffer.from(result.body, 'base64')
+        : result.body;
+      return;
+    }
 
-      // Otherwise, construct response from res object
-      return {
-        statusCode: res.statusCode || 200,
-        headers: {
-          'Content-Type': 'application/json',
-          ...res.headers,
-        },
-        body: res.body ? JSON.stringify(res.body) : JSON.stringify(result || {}),
-      };
-    } catch (err) {
-      // Use error handler if set
-      if (this.errorHandler) {
-        // Create a mock res object for error handler
-        const errorRes = {
-          statusCode: err.statusCode || 500,
-          headers: { 'Content-Type': 'application/json' },
-          body: null,
-        };
-        
-        await this.errorHandler(err, req, errorRes, () => {});
-        
-        return {
-          statusCode: errorRes.statusCode,
-          headers: errorRes.headers,
-          body: typeof errorRes.body === 'string' ? errorRes.body : JSON.stringify(errorRes.body || { error: err.message }),
-        };
+    res.send(result);
+  }
+
+  /**
+   * Turn an error into a response via the error handler
+   * @private
+   */
+  async _handleError(err, req, res) {
+    if (res.finished || res.headersSent) {
+      console.error('Error after response was sent:', err);
+      return;
+    }
+
+    res.statusCode = err.statusCode || 500;
+    res.body = null;
+
+    if (this.errorHandler) {
+      await this.errorHandler(err, req, res, () => {});
+      if (res.finished || (res.body !== null && res.body !== undefined)) {
+        return;
       }
+    }
+
+    res.json({ error: err.message || 'Internal Server Error' });
+  }
 
-      return {
-        statusCode: err.statusCode || 500,
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ error: err.message || 'Internal Server Error' }),
-      };
+  /**
+   * Read and parse the body of a Node.js request stream
+   * @private
+   */
+  async _readNodeBody(req) {
+    // Skip when disabled, already parsed, or not a stream (e.g. TestApp)
+    if (!this.bodyParser || req.body !== undefined || typeof req.on !== 'function') {
+      return;
+    }
+
+    const headers = req.headers || {};
+    const hasBody = headers['transfer-encoding'] !== undefined ||
+      parseInt(headers['content-length'] || '0', 10) > 0;
+
+    req.body = {};
+    if (!hasBody) {
+      return;
+    }
+
+    const result = await this.bodyParser.read(req);
+    if (result) {
+      req.body = result.body;
+      req.rawBody = result.rawBody;
+    }
+  }
+
+  /**
+   * Parse the body of a normalized Lambda event with the same rules as Node.js
+   * @private
+   */
+  _parseLambdaBody(req, request) {
+    const body = request.body;
+    if (body === null || body === '') {
+      return;
+    }
+
+    // Direct invocations may pass an already-parsed body
+    if (typeof body !== 'string') {
+      req.body = body;
+      return;
+    }
+
+    const rawBody = Buffer.from(body, request.isBase64Encoded ? 'base64' : 'utf8');
+    req.rawBody = rawBody;
+
+    if (!this.bodyParser) {
+      req.body = request.isBase64Encoded ? rawBody : body;
+      return;
+    }
+
+    const contentType = request.headers['content-type'];
+    this.bodyParser.assertSupported(contentType);
+    if (this.bodyParser.accepts(contentType)) {
+      req.body = this.bodyParser.parse(rawBody, contentType);
     }
   }
 
@@ -262,4 +701,18 @@ class NavisApp {
   }
 }
 
+/**
+ * Create an empty hook list per lifecycle hook
+ * @private
+ */
+function createHookMap() {
+  const hooks = {};
+  for (const name of HOOK_NAMES) {
+    hooks[name] = [];
+  }
+  return hooks;
+}
+
+const EMPTY_HOOKS = Object.freeze(createHookMap());
+
 module.exports = NavisApp;
\ No newline at end of file
@@ -0,0 +1,356 @@
+/**
+ * Request Body Parser
+ * v5.9: Built-in JSON, urlencoded, text and raw body parsing
+ */
+
+const zlib = require('zlib');
+const {
+  BadRequestError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+} = require('../errors/error-handler');
+
+const DEFAULT_TYPES = {
+  json: ['application/json', 'application/*+json'],
+  urlencoded: ['application/x-www-form-urlencoded'],
+  text: ['text/plain'],
+  raw: ['application/octet-stream'],
+};
+
+// Left unparsed (and, on Node.js, on the stream) for middleware such as upload()
+const DEFAULT_PASSTHROUGH = ['multipart/*'];
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+};
+
+/**
+ * Create a body parser
+ * @param {Object} options - Body parser options
+ * @returns {Object} - Body parser with read() and parse() methods
+ */
+function createBodyParser(options = {}) {
+  const {
+    limit = '1mb',
+    defaultType = 'application/json',
+    defaultCharset = 'utf-8',
+    inflate = true,
+    passthrough = DEFAULT_PASSTHROUGH,
+  } = options;
+  const passthroughTypes = Array.isArray(passthrough) ? passthrough : [passthrough];
+
+  // Each parser may be disabled with `false` or configured with { type, limit }
+  const parsers = {};
+  for (const kind of Object.keys(DEFAULT_TYPES)) {
+    const config = options[kind] === undefined ? true : options[kind];
+    if (config === false) continue;
+
+    const types = config.type || DEFAULT_TYPES[kind];
+    parsers[kind] = {
+      types: Array.isArray(types) ? types : [types],
+      limit: parseBytes(config.limit !== undefined ? config.limit : limit),
+    };
+  }
+
+  /**
+   * Find the parser matching a content type
+   * @private
+   */
+  function match(mediaType) {
+    for (const [kind, parser] of Object.entries(parsers)) {
+      if (parser.types.some(type => typeMatches(mediaType, type))) {
+        return { kind, parser };
+      }
+    }
+    return null;
+  }
+
+  return {
+    /**
+     * Check whether a content type would be parsed
+     * @param {string} contentType - Content-Type header value
+     * @returns {boolean} - True if a parser handles this type
+     */
+    accepts(contentType) {
+      const { mediaType } = parseContentType(contentType || defaultType);
+      return match(mediaType) !== null;
+    },
+
+    /**
+     * Check whether a content type is left for other middleware to read
+     * @param {string} contentType - Content-Type header value
+     * @returns {boolean} - True if the body is passed through unparsed
+     */
+    passes(contentType) {
+      const { mediaType } = parseContentType(contentType || defaultType);
+      return passthroughTypes.some(type => typeMatches(mediaType, type));
+    },
+
+    /**
+     * Throw a 415 for a content type that is neither parsed nor passed through
+     * @param {string} contentType - Content-Type header value
+     */
+    assertSupported(contentType) {
+      if (!this.accepts(contentType) && !this.passes(contentType)) {
+        const { mediaType } = parseContentType(contentType || defaultType);
+        throw new UnsupportedMediaTypeError(`Unsupported content type: ${mediaType}`);
+      }
+    },
+
+    /**
+     * Read and parse a Node.js request stream
+     * @param {Object} req - Node.js HTTP request
+     * @returns {Promise<Object>} - { body, rawBody } or null if passed through
+     */
+    async read(req) {
+      const headers = req.headers || {};
+      const contentType = headers['content-type'] || defaultType;
+      const { mediaType } = parseContentType(contentType);
+      const matched = match(mediaType);
+
+      // Leave passthrough types (e.g. multipart) on the stream for other middleware
+      if (!matched) {
+        this.assertSupported(contentType);
+        return null;
+      }
+
+      const declaredLength = headers['content-length'] !== undefined
+        ? parseInt(headers['content-length'], 10)
+        : null;
+
+      if (declaredLength !== null && declaredLength > matched.parser.limit) {
+        throw new PayloadTooLargeError(`Request body exceeds limit of ${matched.parser.limit} bytes`);
+      }
+
+      const encoding = (headers['content-encoding'] || 'identity').toLowerCase();
+      let stream = req;
+      if (encoding !== 'identity') {
+        if (!inflate) {
+          throw new UnsupportedMediaTypeError(`Unsupported content encoding: ${encoding}`);
+        }
+        stream = decodeStream(req, encoding);
+      }
+
+      const buffer = await readStream(stream, matched.parser.limit);
+      return {
+        body: this.parse(buffer, contentType),
+        rawBody: buffer,
+      };
+    },
+
+    /**
+     * Parse a buffered body
+     * @param {Buffer|string} buffer - Raw body
+     * @param {string} contentType - Content-Type header value
+     * @returns {*} - Parsed body
+     */
+    parse(buffer, contentType) {
+      const { mediaType, charset } = parseContentType(contentType || defaultType);
+      const matched = match(mediaType);
+      const data = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || '');
+
+      if (!matched) {
+        return data;
+      }
+
+      if (data.length > matched.parser.limit) {
+        throw new PayloadTooLargeError(`Request body exceeds limit of ${matched.parser.limit} bytes`);
+      }
+
+      if (matched.kind === 'raw') {
+        return data;
+      }
+
+      const text = decodeText(data, charset || defaultCharset);
+
+      if (matched.kind === 'text') {
+        return text;
+      }
+
+      if (matched.kind === 'urlencoded') {
+        return parseUrlencoded(text);
+      }
+
+      // JSON
+      if (text.trim() === '') {
+        return {};
+      }
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new BadRequestError(`Invalid JSON body: ${error.message}`);
+      }
+    },
+  };
+}
+
+/**
+ * Parse a Content-Type header into media type and charset
+ * @param {string} contentType - Content-Type header value
+ * @returns {Object} - { mediaType, charset }
+ */
+function parseContentType(contentType) {
+  const [mediaType, ...params] = String(contentType).split(';');
+  let charset = null;
+
+  for (const param of params) {
+    const [key, value] = param.split('=');
+    if (key && value && key.trim().toLowerCase() === 'charset') {
+      charset = value.trim().replace(/^"|"$/g, '').toLowerCase();
+    }
+  }
+
+  return {
+    mediaType: mediaType.trim().toLowerCase(),
+    charset,
+  };
+}
+
+/**
+ * Check if a media type matches a pattern (supports type/* and type/*+suffix)
+ * @private
+ */
+function typeMatches(mediaType, pattern) {
+  if (pattern === mediaType || pattern === '*/*') {
+    return true;
+  }
+
+  const [type, subtype] = mediaType.split('/');
+  const [patternType, patternSubtype] = pattern.toLowerCase().split('/');
+
+  if (patternType !== '*' && patternType !== type) {
+    return false;
+  }
+
+  if (patternSubtype === '*') {
+    return true;
+  }
+
+  // application/*+json matches application/vnd.api+json
+  if (patternSubtype && patternSubtype.startsWith('*+')) {
+    return Boolean(subtype) && subtype.endsWith(patternSubtype.substring(1));
+  }
+
+  return patternSubtype === subtype;
+}
+
+/**
+ * Decode body bytes using the request charset
+ * @private
+ */
+function decodeText(buffer, charset) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset);
+  } catch (error) {
+    throw new UnsupportedMediaTypeError(`Unsupported charset: ${charset}`);
+  }
+  return decoder.decode(buffer);
+}
+
+/**
+ * Parse urlencoded form data or a query string (repeated keys become arrays)
+ * @param {string} text - Urlencoded text
+ * @returns {Object} - Parsed key/value pairs
+ */
+function parseUrlencoded(text) {
+  const result = {};
+  new URLSearchParams(text).forEach((value, key) => {
+    if (result[key] === undefined) {
+      result[key] = value;
+    } else if (Array.isArray(result[key])) {
+      result[key].push(value);
+    } else {
+      result[key] = [result[key], value];
+    }
+  });
+  return result;
+}
+
+/**
+ * Wrap a request stream with the decompressor for its Content-Encoding
+ * @private
+ */
+function decodeStream(req, encoding) {
+  switch (encoding) {
+    case 'gzip':
+      return req.pipe(zlib.createGunzip());
+    case 'deflate':
+      return req.pipe(zlib.createInflate());
+    case 'br':
+      return req.pipe(zlib.createBrotliDecompress());
+    default:
+      throw new UnsupportedMediaTypeError(`Unsupported content encoding: ${encoding}`);
+  }
+}
+
+/**
+ * Buffer a stream, failing once it exceeds the byte limit
+ * @private
+ */
+function readStream(stream, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+    let done = false;
+
+    const finish = (err, value) => {
+      if (done) return;
+      done = true;
+      stream.removeListener('data', onData);
+      if (err) {
+        // Keep draining so the client can receive the error response
+        stream.resume();
+        reject(err);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const onData = (chunk) => {
+      received += chunk.length;
+      if (received > limit) {
+        finish(new PayloadTooLargeError(`Request body exceeds limit of ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    stream.on('data', onData);
+    stream.on('end', () => finish(null, Buffer.concat(chunks)));
+    stream.on('error', (error) => {
+      finish(error.code && error.code.startsWith('Z_')
+        ? new BadRequestError(`Invalid compressed body: ${error.message}`)
+        : error);
+    });
+  });
+}
+
+/**
+ * Convert a size such as '100kb' or 1024 to bytes
+ * @param {number|string} value - Size value
+ * @returns {number} - Size in bytes
+ */
+function parseBytes(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid size limit: ${value}`);
+  }
+
+  const unit = (match[2] || 'b').toLowerCase();
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[unit]);
+}
+
+module.exports = {
+  createBodyParser,
+  parseContentType,
+  parseBytes,
+  parseUrlencoded,
+};
@@ -0,0 +1,76 @@
+/**
+ * Request Deadlines
+ * v5.9: Callers send an absolute deadline (epoch milliseconds) in the
+ * X-Request-Deadline header, so every service in a chain shares one time budget
+ */
+
+const DEADLINE_HEADER = 'X-Request-Deadline';
+
+/**
+ * Parse a deadline header value
+ * @param {string|number} value - Epoch milliseconds or an HTTP/ISO date
+ * @returns {number|null} - Epoch milliseconds, or null if absent or invalid
+ */
+function parseDeadline(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  const text = String(value).trim();
+  const deadline = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+  return Number.isFinite(deadline) ? deadline : null;
+}
+
+/**
+ * Normalize a deadline option
+ * @param {number|Date|null} deadline - Epoch milliseconds or Date
+ * @returns {number|null}
+ */
+function toDeadline(deadline) {
+  if (deadline instanceof Date) {
+    return deadline.getTime();
+  }
+  return parseDeadline(deadline);
+}
+
+/**
+ * Milliseconds left before a deadline
+ * @param {number|null} deadline - Epoch milliseconds
+ * @returns {number} - Remaining ms (0 when passed, Infinity without a deadline)
+ */
+function remainingTime(deadline) {
+  if (deadline === null || deadline === undefined) {
+    return Infinity;
+  }
+  return Math.max(0, deadline - Date.now());
+}
+
+/**
+ * Set req.deadline from the deadline header, capped by a local timeout,
+ * and add req.remainingTime()
+ * @param {Object} req - Request
+ * @param {Object} options - { timeout: budget in ms for requests without (or with a later) deadline }
+ */
+function applyDeadline(req, options = {}) {
+  const headers = req.headers || {};
+  let deadline = parseDeadline(headers[DEADLINE_HEADER.toLowerCase()]);
+
+  if (options.timeout) {
+    const local = Date.now() + options.timeout;
+    deadline = deadline === null ? local : Math.min(deadline, local);
+  }
+
+  req.deadline = deadline;
+  req.remainingTime = () => remainingTime(req.deadline);
+}
+
+module.exports = {
+  DEADLINE_HEADER,
+  parseDeadline,
+  toDeadline,
+  remainingTime,
+  applyDeadline,
+};
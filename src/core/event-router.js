@@ -0,0 +1,336 @@
+/**
+ * Lambda Event Router
+ * v5.9: Route non-HTTP Lambda events (SQS, SNS, S3, DynamoDB Streams,
+ * EventBridge and scheduled rules) to handlers registered with app.on()
+ */
+
+const EVENT_TYPES = ['sqs', 'sns', 's3', 'dynamodb', 'eventbridge', 'schedule'];
+
+// Sources whose records can be failed individually with batchItemFailures
+const BATCH_SOURCES = new Set(['sqs', 'dynamodb']);
+
+class EventRouter {
+  constructor() {
+    this.handlers = {};
+    for (const type of EVENT_TYPES) {
+      this.handlers[type] = [];
+    }
+  }
+
+  /**
+   * Register a handler for an event source
+   * @param {string} type - Event type (sqs, sns, s3, dynamodb, eventbridge, schedule)
+   * @param {string|RegExp|Function} matcher - ARN, name, pattern or predicate; '*' matches all
+   * @param {Function} handler - async (payload, { event, record, context }) => result
+   * @param {Object} options - Options ({ batchItemFailures: false } fails the whole batch instead)
+   */
+  on(type, matcher, handler, options = {}) {
+    const normalizedType = String(type).toLowerCase();
+    if (!this.handlers[normalizedType]) {
+      throw new Error(`Unknown event type: ${type}. Expected one of ${EVENT_TYPES.join(', ')}`);
+    }
+
+    if (typeof matcher === 'function' && handler === undefined) {
+      handler = matcher;
+      matcher = '*';
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for ${type} events must be a function`);
+    }
+
+    this.handlers[normalizedType].push({
+      matcher,
+      handler,
+      batchItemFailures: options.batchItemFailures !== false,
+    });
+  }
+
+  /**
+   * Detect the source of a non-HTTP event
+   * @param {Object} event - Lambda event
+   * @returns {string|null} - Event type, or null for HTTP and unknown events
+   */
+  static detect(event) {
+    if (!event || typeof event !== 'object') {
+      return null;
+    }
+
+    if (Array.isArray(event.Records) && event.Records.length > 0) {
+      const record = event.Records[0];
+      const source = record.eventSource || record.EventSource;
+      switch (source) {
+        case 'aws:sqs':
+          return 'sqs';
+        case 'aws:sns':
+          return 'sns';
+        case 'aws:s3':
+          return 's3';
+        case 'aws:dynamodb':
+          return 'dynamodb';
+        default:
+          return null;
+      }
+    }
+
+    if (event['detail-type'] !== undefined && event.source !== undefined) {
+      return event.source === 'aws.events' && event['detail-type'] === 'Scheduled Event'
+        ? 'schedule'
+        : 'eventbridge';
+    }
+
+    return null;
+  }
+
+  /**
+   * Dispatch an event to the matching handlers
+   * @param {Object} event - Lambda event
+   * @param {Object} context - Lambda context
+   * @returns {Promise<*>} - Handler result, or { batchItemFailures } for SQS/DynamoDB
+   */
+  async dispatch(event, context = {}) {
+    const type = EventRouter.detect(event);
+    if (!type) {
+      throw new Error('Unrecognized Lambda event');
+    }
+
+    if (type === 'eventbridge' || type === 'schedule') {
+      const { sources, payload } = describe(type, event);
+      const route = this._find(type, sources, event);
+      return route.handler(payload, { event, record: event, context });
+    }
+
+    if (BATCH_SOURCES.has(type)) {
+      return this._dispatchBatch(type, event, context);
+    }
+
+    // SNS and S3 have no partial failure: any error fails the invocation
+    const results = [];
+    for (const record of event.Records) {
+      const { sources, payload } = describe(type, record);
+      const route = this._find(type, sources, record);
+      results.push(await route.handler(payload, { event, record, context }));
+    }
+    return results.length === 1 ? results[0] : results;
+  }
+
+  /**
+   * Process SQS/DynamoDB records, reporting failed ones via batchItemFailures.
+   * FIFO queues stop at the first failure so later messages keep their order.
+   * @private
+   */
+  async _dispatchBatch(type, event, context) {
+    const records = event.Records;
+    const ordered = type === 'dynamodb' || String(records[0].eventSourceARN || '').endsWith('.fifo');
+    const failures = [];
+    let reportFailures = true;
+    let lastError = null;
+
+    const processRecord = async (record) => {
+      const { id, sources, payload } = describe(type, record);
+      try {
+        const route = this._find(type, sources, record);
+        reportFailures = reportFailures && route.batchItemFailures;
+        await route.handler(payload, { event, record, context });
+        return true;
+      } catch (error) {
+        lastError = error;
+        console.error(`Failed to process ${type} record ${id}:`, error.message);
+        failures.push({ itemIdentifier: id });
+        return false;
+      }
+    };
+
+    if (ordered) {
+      for (let i = 0; i < records.length; i++) {
+        if (!(await processRecord(records[i]))) {
+          for (const record of records.slice(i + 1)) {
+            failures.push({ itemIdentifier: describe(type, record).id });
+          }
+          break;
+        }
+      }
+    } else {
+      await Promise.all(records.map(processRecord));
+    }
+
+    if (failures.length > 0 && !reportFailures) {
+      throw lastError;
+    }
+
+    return { batchItemFailures: failures };
+  }
+
+  /**
+   * Find the first handler whose matcher accepts one of the sources
+   * @private
+   */
+  _find(type, sources, record) {
+    const route = this.handlers[type].find(({ matcher }) => matches(matcher, sources, record));
+    if (!route) {
+      throw new Error(`No ${type} handler registered for ${sources[0] || 'event'}`);
+    }
+    return route;
+  }
+}
+
+/**
+ * Check a matcher against the values identifying an event source
+ * (ARN and name, bucket, rule, or EventBridge source and detail-type)
+ * @private
+ */
+function matches(matcher, sources, record) {
+  if (matcher === '*' || matcher === undefined || matcher === null) {
+    return true;
+  }
+  if (matcher instanceof RegExp) {
+    return sources.some(source => source && matcher.test(source));
+  }
+  if (typeof matcher === 'function') {
+    return Boolean(matcher(record, sources));
+  }
+  return sources.includes(matcher);
+}
+
+/**
+ * Describe a record: its id, the values matchers see, and the handler payload
+ * @private
+ */
+function describe(type, record) {
+  switch (type) {
+    case 'sqs': {
+      const arn = record.eventSourceARN || '';
+      return {
+        id: record.messageId,
+        sources: [arn, arnName(arn)],
+        payload: {
+          messageId: record.messageId,
+          body: parseJSON(record.body),
+          attributes: record.attributes || {},
+          messageAttributes: record.messageAttributes || {},
+          receiveCount: parseInt((record.attributes || {}).ApproximateReceiveCount || '1', 10),
+        },
+      };
+    }
+
+    case 'sns': {
+      const sns = record.Sns || {};
+      return {
+        id: sns.MessageId,
+        sources: [sns.TopicArn, arnName(sns.TopicArn || '')],
+        payload: {
+          messageId: sns.MessageId,
+          subject: sns.Subject || null,
+          body: parseJSON(sns.Message),
+          messageAttributes: sns.MessageAttributes || {},
+          timestamp: sns.Timestamp,
+        },
+      };
+    }
+
+    case 's3': {
+      const s3 = record.s3 || {};
+      const bucket = (s3.bucket && s3.bucket.name) || '';
+      const object = s3.object || {};
+      return {
+        id: object.sequencer || `${bucket}/${object.key}`,
+        sources: [bucket, s3.bucket && s3.bucket.arn],
+        payload: {
+          eventName: record.eventName,
+          bucket,
+          key: decodeS3Key(object.key),
+          size: object.size,
+          eTag: object.eTag,
+        },
+      };
+    }
+
+    case 'dynamodb': {
+      const arn = record.eventSourceARN || '';
+      const stream = record.dynamodb || {};
+      // arn:aws:dynamodb:region:account:table/Name/stream/label
+      const table = (/:table\/([^/]+)/.exec(arn) || [])[1] || '';
+      return {
+        id: stream.SequenceNumber,
+        sources: [arn, table],
+        payload: {
+          eventName: record.eventName,
+          table,
+          keys: stream.Keys || {},
+          newImage: stream.NewImage || null,
+          oldImage: stream.OldImage || null,
+          sequenceNumber: stream.SequenceNumber,
+        },
+      };
+    }
+
+    case 'schedule': {
+      const rule = (record.resources || [])[0] || '';
+      return {
+        id: record.id,
+        sources: [rule, arnName(rule)],
+        payload: {
+          id: record.id,
+          rule: arnName(rule),
+          time: record.time,
+        },
+      };
+    }
+
+    default: {
+      // EventBridge: match on source or detail-type
+      return {
+        id: record.id,
+        sources: [record.source, record['detail-type']],
+        payload: {
+          id: record.id,
+          source: record.source,
+          detailType: record['detail-type'],
+          detail: record.detail,
+          time: record.time,
+        },
+      };
+    }
+  }
+}
+
+/**
+ * Last part of an ARN (queue, topic or rule name)
+ * @private
+ */
+function arnName(arn) {
+  return String(arn).split(/[:/]/).pop();
+}
+
+/**
+ * Decode an S3 object key, which arrives URL-encoded with '+' for spaces.
+ * A malformed escape (e.g. a literal '%') keeps the key as sent.
+ * @private
+ */
+function decodeS3Key(key) {
+  const encoded = String(key || '');
+  try {
+    return decodeURIComponent(encoded.replace(/\+/g, ' '));
+  } catch (error) {
+    return encoded;
+  }
+}
+
+/**
+ * Parse JSON message bodies, leaving other strings as they are
+ * @private
+ */
+function parseJSON(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+module.exports = {
+  EventRouter,
+  EVENT_TYPES,
+};
@@ -0,0 +1,64 @@
+/**
+ * HTTP Methods
+ * v5.9: Method names shared by Router and AdvancedRouter
+ */
+
+// Methods a route registered with all() answers
+const STANDARD_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'];
+
+// A method token: standard verbs and custom ones such as PROPFIND
+const METHOD_PATTERN = /^[A-Z][A-Z0-9_-]*$/;
+
+/**
+ * Normalize and validate an HTTP method token ('all' becomes '*')
+ * @param {string} method - HTTP method
+ * @returns {string} - Uppercase method, or '*' for all methods
+ * @throws {Error} - When the method is not a valid token
+ */
+function normalizeMethod(method) {
+  const normalizedMethod = String(method).toUpperCase();
+  if (normalizedMethod === 'ALL') {
+    return '*';
+  }
+  if (normalizedMethod !== '*' && !METHOD_PATTERN.test(normalizedMethod)) {
+    throw new Error(`Invalid HTTP method: ${method}`);
+  }
+  return normalizedMethod;
+}
+
+/**
+ * Methods for an Allow header, from the route methods that match a path:
+ * '*' expands to the standard methods, GET adds HEAD, and OPTIONS is
+ * always allowed
+ * @param {Iterable<string>} matched - Route methods that match the path
+ * @returns {Array<string>} - Allowed methods (empty if nothing matched)
+ */
+function allowedMethodList(matched) {
+  const methods = new Set();
+
+  for (const method of matched) {
+    if (method === '*') {
+      STANDARD_METHODS.forEach(m => methods.add(m));
+    } else {
+      methods.add(method);
+    }
+  }
+
+  if (methods.size === 0) {
+    return [];
+  }
+
+  if (methods.has('GET')) {
+    methods.add('HEAD');
+  }
+  methods.add('OPTIONS');
+
+  return Array.from(methods);
+}
+
+module.exports = {
+  STANDARD_METHODS,
+  METHOD_PATTERN,
+  normalizeMethod,
+  allowedMethodList,
+};
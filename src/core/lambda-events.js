@@ -0,0 +1,235 @@
+/**
+ * Lambda Event Adapters
+ * v5.9: Normalize HTTP events from API Gateway (REST v1 and HTTP API v2),
+ * Application Load Balancer and Lambda Function URLs, and build the
+ * matching response shape for each source.
+ */
+
+const http = require('http');
+const { parseUrlencoded } = require('./body-parser');
+
+const EVENT_SOURCES = {
+  API_GATEWAY_V1: 'apigateway-v1',
+  API_GATEWAY_V2: 'apigateway-v2',
+  ALB: 'alb',
+  FUNCTION_URL: 'function-url',
+};
+
+/**
+ * Detect which service produced an HTTP event
+ * @param {Object} event - Lambda event
+ * @returns {string} - One of EVENT_SOURCES (direct invocations count as API Gateway v1)
+ */
+function detectEventSource(event) {
+  const context = event.requestContext || {};
+
+  if (context.elb) {
+    return EVENT_SOURCES.ALB;
+  }
+
+  if (event.version === '2.0' || (context.http && event.rawPath !== undefined)) {
+    return /\.lambda-url\./.test(context.domainName || '')
+      ? EVENT_SOURCES.FUNCTION_URL
+      : EVENT_SOURCES.API_GATEWAY_V2;
+  }
+
+  return EVENT_SOURCES.API_GATEWAY_V1;
+}
+
+/**
+ * Turn an HTTP Lambda event into a source-independent request description
+ * @param {Object} event - Lambda event
+ * @returns {Object} - { source, method, path, headers, query, cookies, body, isBase64Encoded, multiValue }
+ */
+function normalizeEvent(event) {
+  const source = detectEventSource(event);
+  const isV2 = source === EVENT_SOURCES.API_GATEWAY_V2 || source === EVENT_SOURCES.FUNCTION_URL;
+  const context = event.requestContext || {};
+
+  const headers = normalizeHeaders(event.headers, event.multiValueHeaders);
+
+  // HTTP API v2 and Function URLs move cookies out of the headers
+  const cookies = Array.isArray(event.cookies) ? event.cookies.slice() : [];
+  if (cookies.length > 0) {
+    headers.cookie = headers.cookie
+      ? `${headers.cookie}; ${cookies.join('; ')}`
+      : cookies.join('; ');
+  }
+
+  let query;
+  if (isV2 && typeof event.rawQueryString === 'string') {
+    query = parseUrlencoded(event.rawQueryString);
+  } else {
+    // ALB passes query values through still percent-encoded
+    query = normalizeQuery(
+      event.queryStringParameters,
+      event.multiValueQueryStringParameters,
+      source === EVENT_SOURCES.ALB
+    );
+  }
+
+  return {
+    source,
+    method: (event.httpMethod || (context.http && context.http.method) || 'GET').toUpperCase(),
+    path: event.path || event.rawPath || (context.http && context.http.path) || '/',
+    headers,
+    query,
+    cookies,
+    body: event.body === undefined ? null : event.body,
+    isBase64Encoded: Boolean(event.isBase64Encoded),
+    // Responses must mirror the request format (ALB allows only one of the two)
+    multiValue: Boolean(event.multiValueHeaders),
+  };
+}
+
+/**
+ * Build the response shape expected by the event source
+ * @param {Object} request - Result of normalizeEvent()
+ * @param {Object} response - { statusCode, headers, body, isBase64Encoded } from NavisResponse.toLambda()
+ * @returns {Object} - Lambda response for the source
+ */
+function formatResponse(request, response) {
+  const statusCode = response.statusCode || 200;
+  const body = response.body === undefined || response.body === null ? '' : response.body;
+  const isBase64Encoded = Boolean(response.isBase64Encoded);
+
+  // Header values as arrays; Set-Cookie is the only header that may not be joined
+  const entries = Object.entries(response.headers || {}).map(([name, value]) => [
+    name,
+    (Array.isArray(value) ? value : [value]).map(String),
+  ]);
+
+  switch (request.source) {
+    case EVENT_SOURCES.API_GATEWAY_V2:
+    case EVENT_SOURCES.FUNCTION_URL: {
+      const headers = {};
+      const cookies = [];
+      for (const [name, values] of entries) {
+        if (name.toLowerCase() === 'set-cookie') {
+          cookies.push(...values);
+        } else {
+          headers[name] = values.join(', ');
+        }
+      }
+
+      const result = { statusCode, headers, body, isBase64Encoded };
+      if (cookies.length > 0) {
+        result.cookies = cookies;
+      }
+      return result;
+    }
+
+    case EVENT_SOURCES.ALB: {
+      const result = {
+        statusCode,
+        statusDescription: `${statusCode} ${http.STATUS_CODES[statusCode] || ''}`.trim(),
+        body,
+        isBase64Encoded,
+      };
+
+      if (request.multiValue) {
+        result.multiValueHeaders = Object.fromEntries(entries);
+      } else {
+        result.headers = {};
+        for (const [name, values] of entries) {
+          // Without multi-value headers ALB can only carry one cookie
+          result.headers[name] = name.toLowerCase() === 'set-cookie'
+            ? values[values.length - 1]
+            : values.join(', ');
+        }
+      }
+      return result;
+    }
+
+    default: {
+      // API Gateway v1 merges headers and multiValueHeaders
+      const headers = {};
+      const multiValueHeaders = {};
+      for (const [name, values] of entries) {
+        if (values.length === 1) {
+          headers[name] = values[0];
+        } else {
+          multiValueHeaders[name] = values;
+        }
+      }
+
+      const result = { statusCode, headers, body, isBase64Encoded };
+      if (Object.keys(multiValueHeaders).length > 0) {
+        result.multiValueHeaders = multiValueHeaders;
+      }
+      return result;
+    }
+  }
+}
+
+/**
+ * Merge single and multi-value headers into lowercase, Node.js-style headers
+ * @private
+ */
+function normalizeHeaders(single, multi) {
+  const headers = {};
+
+  const add = (name, values) => {
+    const key = name.toLowerCase();
+    // Same joining rules as Node.js: cookies with '; ', everything else with ', '
+    const separator = key === 'cookie' ? '; ' : ', ';
+    const joined = values.filter(value => value !== undefined && value !== null).map(String).join(separator);
+    headers[key] = headers[key] === undefined ? joined : `${headers[key]}${separator}${joined}`;
+  };
+
+  if (multi) {
+    for (const [name, values] of Object.entries(multi)) {
+      add(name, Array.isArray(values) ? values : [values]);
+    }
+  }
+
+  // Single-value headers duplicate the last multi value; only fill gaps
+  if (single) {
+    for (const [name, value] of Object.entries(single)) {
+      if (headers[name.toLowerCase()] === undefined) {
+        add(name, [value]);
+      }
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Merge single and multi-value query parameters (repeated keys become arrays)
+ * @private
+ */
+function normalizeQuery(single, multi, encoded) {
+  const decode = (value) => {
+    if (!encoded || typeof value !== 'string') {
+      return value;
+    }
+    try {
+      return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (error) {
+      return value;
+    }
+  };
+
+  const query = {};
+
+  if (multi) {
+    for (const [name, values] of Object.entries(multi)) {
+      const list = (Array.isArray(values) ? values : [values]).map(decode);
+      query[decode(name)] = list.length === 1 ? list[0] : list;
+    }
+    return query;
+  }
+
+  for (const [name, value] of Object.entries(single || {})) {
+    query[decode(name)] = decode(value);
+  }
+  return query;
+}
+
+module.exports = {
+  EVENT_SOURCES,
+  detectEventSource,
+  normalizeEvent,
+  formatResponse,
+};
@@ -1,8 +1,11 @@
 /**
  * Optimized Lambda Handler
  * v3.1: Enhanced Lambda handler with cold start optimizations
+ * v5.9: Non-HTTP events (SQS, SNS, S3, DynamoDB, EventBridge) go to app.on() handlers
  */
 
+const { EventRouter } = require('./event-router');
+
 class LambdaHandler {
   constructor(app, options = {}) {
     this.app = app;
@@ -45,12 +48,24 @@ class LambdaHandler {
       }
     }
 
+    // Queue, stream, storage and scheduled events
+    if (EventRouter.detect(event)) {
+      return this.app.handleEvent(event, context);
+    }
+
     // Add cold start headers to response
     const response = await this.app.handleLambda(event);
     
-    if (isColdStart && response.headers) {
-      response.headers['X-Cold-Start'] = 'true';
-      response.headers['X-Init-Time'] = (Date.now() - this.initTime).toString();
+    if (isColdStart) {
+      const initTime = (Date.now() - this.initTime).toString();
+      // ALB multi-value responses carry multiValueHeaders instead of headers
+      if (response.headers) {
+        response.headers['X-Cold-Start'] = 'true';
+        response.headers['X-Init-Time'] = initTime;
+      } else if (response.multiValueHeaders) {
+        response.multiValueHeaders['X-Cold-Start'] = ['true'];
+        response.multiValueHeaders['X-Init-Time'] = [initTime];
+      }
     }
 
     return response;
@@ -71,8 +86,9 @@ class LambdaHandler {
       return true;
     }
     
-    // Check if it's a warm-up HTTP request
-    if (event.httpMethod === 'GET' && 
+    // Check if it's a warm-up HTTP request (v1 or v2 payload)
+    const method = event.httpMethod || (event.requestContext && event.requestContext.http && event.requestContext.http.method);
+    if (method === 'GET' &&
         (event.path === this.warmupPath || event.rawPath === this.warmupPath)) {
       return true;
     }
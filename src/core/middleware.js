@@ -11,9 +11,7 @@
  * @param {boolean} isLambda - Whether this is a Lambda invocation
  */
 async function executeMiddleware(middlewares, req, res, finalHandler, isLambda = false) {
-  let index = 0;
-
-  const next = async () => {
+  const dispatch = async (index) => {
     if (index >= middlewares.length) {
       // All middleware executed, run final handler
       if (finalHandler) {
@@ -22,18 +20,88 @@ async function executeMiddleware(middlewares, req, res, finalHandler, isLambda =
       return;
     }
 
-    const middleware = middlewares[index++];
-    try {
-      await middleware(req, res, next);
-    } catch (err) {
-      // Error in middleware - stop chain
-      throw err;
+    const middleware = middlewares[index];
+    let downstream = null;
+    let observed = false;
+
+    // Middleware often calls next() without awaiting it, so keep hold of
+    // the downstream promise to surface its result and errors here. next()
+    // returns a thenable to tell whether the middleware awaited (or caught)
+    // the result itself: then its own outcome wins.
+    const next = (err) => {
+      if (!downstream) {
+        downstream = err ? Promise.reject(err) : dispatch(index + 1);
+        downstream.catch(() => {});
+      }
+      return {
+        then: (onFulfilled, onRejected) => {
+          observed = true;
+          return downstream.then(onFulfilled, onRejected);
+        },
+        catch: (onRejected) => {
+          observed = true;
+          return downstream.catch(onRejected);
+        },
+        finally: (onFinally) => {
+          observed = true;
+          return downstream.finally(onFinally);
+        },
+      };
+    };
+
+    // Error in middleware - stop chain
+    const returned = await middleware(req, res, next);
+    if (downstream && !observed) {
+      return await downstream;
     }
+    return returned;
   };
 
-  return await next();
+  return await dispatch(0);
+}
+
+/**
+ * Compose route-level middleware and a final handler into one route handler
+ * @param {Array} handlers - Middleware functions followed by the handler (arrays are flattened)
+ * @param {Array} groups - Enclosing route groups, outermost first (their middleware is read per request)
+ * @returns {Function} - Route handler (req, res)
+ */
+function composeRoute(handlers, groups = []) {
+  const list = handlers.flat(Infinity);
+
+  if (list.length === 0) {
+    throw new Error('Route handler is required');
+  }
+
+  const handler = list[list.length - 1];
+  const middlewares = list.slice(0, -1);
+
+  if (middlewares.length === 0 && groups.length === 0) {
+    return handler;
+  }
+
+  for (const fn of list) {
+    if (typeof fn !== 'function') {
+      throw new Error('Route handlers and middleware must be functions');
+    }
+  }
+
+  const composed = (req, res) => {
+    const chain = groups.length > 0
+      ? [...groups.flatMap(group => group.middlewares), ...middlewares]
+      : middlewares;
+    return executeMiddleware(chain, req, res, handler);
+  };
+
+  // Keep the parts around for introspection
+  composed.handler = handler;
+  composed.middlewares = middlewares;
+  composed.groups = groups;
+
+  return composed;
 }
 
 module.exports = {
   executeMiddleware,
+  composeRoute,
 };
\ No newline at end of file
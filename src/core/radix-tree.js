@@ -0,0 +1,359 @@
+/**
+ * Radix Tree for Route Matching
+ * v5.9: Compressed prefix tree with static, param and wildcard nodes
+ *
+ * Static text is stored in compressed nodes (shared prefixes are split on
+ * insert); params match one path segment and wildcards match the rest of
+ * the path. Lookup tries static, then param, then wildcard children and
+ * returns the first match, which is the most specific one.
+ * Constrained params (:id<int>, :id(\d+)) get their own node and are
+ * tried before unconstrained ones; a failed constraint falls through.
+ * Captured values are URL-decoded before constraints are checked.
+ */
+
+// Built-in param types for :name<type>
+const PARAM_TYPES = {
+  int: { pattern: /^-?\d+$/, coerce: value => parseInt(value, 10) },
+  number: { pattern: /^-?\d+(?:\.\d+)?$/, coerce: value => Number(value) },
+  float: { pattern: /^-?\d+(?:\.\d+)?$/, coerce: value => Number(value) },
+  bool: { pattern: /^(?:true|false|1|0)$/, coerce: value => value === 'true' || value === '1' },
+  uuid: { pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, coerce: null },
+  slug: { pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/, coerce: null },
+  alpha: { pattern: /^[a-zA-Z]+$/, coerce: null },
+  string: { pattern: null, coerce: null },
+};
+PARAM_TYPES.boolean = PARAM_TYPES.bool;
+PARAM_TYPES.integer = PARAM_TYPES.int;
+
+// :name, :name<type>, :name(regex), optionally followed by ?
+const PARAM_SEGMENT = /^:([A-Za-z_$][\w$]*)(?:<(\w+)>)?(?:\((.+)\))?(\?)?$/;
+
+// * or *name as a whole segment; a * inside a segment (/assets/*.js) is literal
+const WILDCARD_SEGMENT = /^\*([A-Za-z_$][\w$]*)?$/;
+
+class RadixNode {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.staticChildren = new Map(); // first char code -> RadixNode
+    this.paramChildren = []; // constrained first, then the unconstrained one
+    this.wildcardChild = null;
+    this.key = ''; // constraint key for param nodes
+    this.test = null; // constraint check for param nodes
+    this.routes = {}; // method -> route record
+  }
+}
+
+class RadixTree {
+  constructor() {
+    this.root = new RadixNode();
+  }
+
+  /**
+   * Insert a tokenized pattern and return its terminal node
+   * @param {Array<Object>} tokens - Tokens from tokenize()
+   * @returns {RadixNode} - Node for the end of the pattern
+   */
+  insert(tokens) {
+    let node = this.root;
+
+    for (const token of tokens) {
+      if (token.type === 'static') {
+        node = this._insertStatic(node, token.value);
+      } else if (token.type === 'param') {
+        node = this._insertParam(node, token);
+      } else {
+        if (!node.wildcardChild) {
+          node.wildcardChild = new RadixNode();
+        }
+        node = node.wildcardChild;
+      }
+    }
+
+    return node;
+  }
+
+  /**
+   * Find the most specific terminal node matching a path. Children are tried
+   * static > constrained param > param > wildcard, segment by segment, so the
+   * first match found is the most specific one.
+   * @param {string} path - Request path
+   * @param {Function} accept - (node) => value|null, filters terminal nodes
+   * @returns {Object|null} - { value, values } where values are captured segments
+   */
+  lookup(path, accept) {
+    return this._search(this.root, path, 0, [], accept);
+  }
+
+  /**
+   * Insert static text below a node, splitting compressed nodes as needed
+   * @private
+   */
+  _insertStatic(node, text) {
+    if (text === '') {
+      return node;
+    }
+
+    let child = node.staticChildren.get(text.charCodeAt(0));
+    if (!child) {
+      child = new RadixNode(text);
+      node.staticChildren.set(text.charCodeAt(0), child);
+      return child;
+    }
+
+    const common = commonPrefixLength(child.prefix, text);
+    if (common < child.prefix.length) {
+      // Split: node -> intermediate(common) -> child(rest)
+      const intermediate = new RadixNode(child.prefix.substring(0, common));
+      child.prefix = child.prefix.substring(common);
+      intermediate.staticChildren.set(child.prefix.charCodeAt(0), child);
+      node.staticChildren.set(text.charCodeAt(0), intermediate);
+      child = intermediate;
+    }
+
+    return this._insertStatic(child, text.substring(common));
+  }
+
+  /**
+   * Get or create the param child for a token's constraint
+   * @private
+   */
+  _insertParam(node, token) {
+    const key = token.test ? `${token.paramType || ''}(${token.pattern || ''})` : '';
+    let child = node.paramChildren.find(c => c.key === key);
+
+    if (!child) {
+      child = new RadixNode();
+      child.key = key;
+      child.test = token.test;
+      node.paramChildren.push(child);
+      // Constrained params are tried before the catch-all param
+      node.paramChildren.sort((a, b) => (a.key === '') - (b.key === ''));
+    }
+
+    return child;
+  }
+
+  /**
+   * Depth-first search, stopping at the first match
+   * @private
+   */
+  _search(node, path, pos, values, accept) {
+    // Follow static-only nodes in a loop: there is nothing to backtrack to
+    while (pos < path.length && node.paramChildren.length === 0 && !node.wildcardChild) {
+      const child = node.staticChildren.get(path.charCodeAt(pos));
+      if (!child || !matchesAt(path, child.prefix, pos)) {
+        return null;
+      }
+      node = child;
+      pos += child.prefix.length;
+    }
+
+    if (pos === path.length) {
+      const value = accept(node);
+      if (value) {
+        return { value, values: values.slice() };
+      }
+    }
+
+    if (pos < path.length) {
+      const child = node.staticChildren.get(path.charCodeAt(pos));
+      if (child && matchesAt(path, child.prefix, pos)) {
+        const match = this._search(child, path, pos + child.prefix.length, values, accept);
+        if (match) {
+          return match;
+        }
+      }
+
+      if (node.paramChildren.length > 0) {
+        let end = path.indexOf('/', pos);
+        if (end === -1) {
+          end = path.length;
+        }
+        if (end > pos) {
+          const segment = decodeSegment(path.substring(pos, end));
+          values.push(segment);
+          for (const child of node.paramChildren) {
+            if (!child.test || child.test(segment)) {
+              const match = this._search(child, path, end, values, accept);
+              if (match) {
+                values.pop();
+                return match;
+              }
+            }
+          }
+          values.pop();
+        }
+      }
+    }
+
+    if (node.wildcardChild) {
+      // Greedy: longest remainder first, like /.*/
+      for (let end = path.length; end >= pos; end--) {
+        values.push(decodeSegment(path.substring(pos, end)));
+        const match = this._search(node.wildcardChild, path, end, values, accept);
+        values.pop();
+        if (match) {
+          return match;
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Split a route pattern into static, param and wildcard tokens
+ * @param {string} pattern - Route pattern (e.g. /users/:id/files/*)
+ * @returns {Array<Object>} - Tokens
+ */
+function tokenize(pattern) {
+  const parts = pattern.split('/').filter(p => p !== '');
+  const tokens = [];
+  let text = '/';
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    const separator = i < parts.length - 1 ? '/' : '';
+
+    if (part.startsWith(':')) {
+      tokens.push({ type: 'static', value: text });
+      tokens.push(parseParam(part));
+      text = separator;
+    } else if (WILDCARD_SEGMENT.test(part)) {
+      // * is anonymous, *name captures the rest of the path as params.name
+      tokens.push({ type: 'static', value: text });
+      tokens.push({ type: 'wildcard', name: part.substring(1) || null });
+      text = separator;
+    } else {
+      text += part + separator;
+    }
+  }
+
+  if (text !== '') {
+    tokens.push({ type: 'static', value: text });
+  }
+
+  return tokens.filter(token => token.type !== 'static' || token.value !== '');
+}
+
+/**
+ * Decode a captured path segment (or wildcard remainder); malformed escapes
+ * are kept as they are
+ * @private
+ */
+function decodeSegment(value) {
+  if (value.indexOf('%') === -1) {
+    return value;
+  }
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Parse a :param segment with optional <type> and (regex) constraints
+ * @param {string} segment - Path segment starting with ':'
+ * @returns {Object} - Param token { type, name, paramType, pattern, optional, test, coerce }
+ */
+function parseParam(segment) {
+  const match = PARAM_SEGMENT.exec(segment);
+
+  // Anything else keeps the v4 behaviour: the whole segment is the name
+  if (!match) {
+    return { type: 'param', name: segment.substring(1), optional: false, test: null, coerce: null };
+  }
+
+  const [, name, paramType, pattern, optional] = match;
+  const tests = [];
+  let coerce = null;
+
+  if (paramType) {
+    const definition = PARAM_TYPES[paramType.toLowerCase()];
+    if (!definition) {
+      throw new Error(`Unknown route parameter type: ${paramType}`);
+    }
+    if (definition.pattern) {
+      tests.push(definition.pattern);
+    }
+    coerce = definition.coerce;
+  }
+
+  if (pattern) {
+    tests.push(new RegExp(`^(?:${pattern})$`));
+  }
+
+  return {
+    type: 'param',
+    name,
+    paramType: paramType || null,
+    pattern: pattern || null,
+    optional: Boolean(optional),
+    test: tests.length > 0 ? value => tests.every(regex => regex.test(value)) : null,
+    coerce,
+  };
+}
+
+/**
+ * Expand optional params (/:lang?/docs) into every concrete pattern,
+ * longest first
+ * @param {string} pattern - Route pattern
+ * @returns {Array<string>} - Patterns without optional params
+ */
+function expandOptional(pattern) {
+  let variants = [[]];
+
+  for (const part of pattern.split('/').filter(p => p !== '')) {
+    const optional = part.startsWith(':') && part.endsWith('?') && parseParam(part).optional;
+    const required = optional ? part.substring(0, part.length - 1) : part;
+
+    const next = variants.map(parts => [...parts, required]);
+    if (optional) {
+      next.push(...variants);
+    }
+    variants = next;
+  }
+
+  return variants.map(parts => '/' + parts.join('/'));
+}
+
+/**
+ * Whether text appears in path at pos (faster than startsWith(text, pos)).
+ * The first character was already matched by the child lookup.
+ * @private
+ */
+function matchesAt(path, text, pos) {
+  if (pos + text.length > path.length) {
+    return false;
+  }
+  for (let i = 1; i < text.length; i++) {
+    if (path.charCodeAt(pos + i) !== text.charCodeAt(i)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Length of the shared prefix of two strings
+ * @private
+ */
+function commonPrefixLength(a, b) {
+  const max = Math.min(a.length, b.length);
+  let i = 0;
+  while (i < max && a[i] === b[i]) {
+    i++;
+  }
+  return i;
+}
+
+module.exports = {
+  RadixTree,
+  RadixNode,
+  tokenize,
+  parseParam,
+  expandOptional,
+  PARAM_TYPES,
+};
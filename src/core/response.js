@@ -0,0 +1,426 @@
+/**
+ * Unified Response Writer
+ * v5.9: One response object for Node.js HTTP and AWS Lambda
+ *
+ * Middleware and handlers set statusCode, headers and body (or use the
+ * helper methods); the response is serialized once at the end of the chain.
+ */
+
+const STATUS_WITHOUT_BODY = new Set([204, 304]);
+
+class NavisResponse {
+  /**
+   * @param {Object|null} raw - Node.js ServerResponse, or null for Lambda
+   */
+  constructor(raw = null) {
+    this.raw = raw;
+    this.statusCode = 200;
+    this.headers = {};
+    this.body = null;
+    this.finished = false;
+    this.isHead = false;
+    this._chunks = null;
+    this._finishCalled = false;
+  }
+
+  /**
+   * Wrap a Node.js response (returns the argument if already wrapped)
+   * @param {Object|null} raw - Node.js ServerResponse or NavisResponse
+   * @returns {NavisResponse} - Response writer
+   */
+  static from(raw) {
+    return raw instanceof NavisResponse ? raw : new NavisResponse(raw);
+  }
+
+  /**
+   * Whether headers have already been written to the socket
+   */
+  get headersSent() {
+    return Boolean(this.raw && this.raw.headersSent);
+  }
+
+  /**
+   * Whether the underlying connection is gone
+   */
+  get destroyed() {
+    return Boolean(this.raw && this.raw.destroyed);
+  }
+
+  /**
+   * Set status code
+   * @param {number} code - HTTP status code
+   * @returns {NavisResponse} - this (chainable)
+   */
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  /**
+   * Set one header, or several from an object
+   * @param {string|Object} name - Header name or header map
+   * @param {string} value - Header value
+   * @returns {NavisResponse} - this (chainable)
+   */
+  set(name, value) {
+    if (typeof name === 'object' && name !== null) {
+      for (const [key, val] of Object.entries(name)) {
+        this.set(key, val);
+      }
+      return this;
+    }
+
+    this.headers = this.headers || {};
+    const existing = this._headerKey(name);
+    if (existing && existing !== name) {
+      delete this.headers[existing];
+    }
+    this.headers[name] = Array.isArray(value) ? value : String(value);
+    return this;
+  }
+
+  /**
+   * Get a header value (case-insensitive)
+   * @param {string} name - Header name
+   * @returns {string|undefined} - Header value
+   */
+  get(name) {
+    const key = this._headerKey(name);
+    return key ? this.headers[key] : undefined;
+  }
+
+  /**
+   * Remove a header (case-insensitive)
+   * @param {string} name - Header name
+   * @returns {NavisResponse} - this (chainable)
+   */
+  removeHeader(name) {
+    const key = this._headerKey(name);
+    if (key) {
+      delete this.headers[key];
+    }
+    return this;
+  }
+
+  /**
+   * Set Content-Type header
+   * @param {string} contentType - Content type
+   * @returns {NavisResponse} - this (chainable)
+   */
+  type(contentType) {
+    return this.set('Content-Type', contentType);
+  }
+
+  /**
+   * Send a JSON body
+   * @param {*} data - Data to serialize
+   * @returns {NavisResponse} - this (chainable)
+   */
+  json(data) {
+    this.set('Content-Type', 'application/json');
+    this.body = data === undefined ? null : data;
+    return this;
+  }
+
+  /**
+   * Send a body, inferring Content-Type when none is set
+   * @param {*} data - String, Buffer, stream or JSON-serializable data
+   * @returns {NavisResponse} - this (chainable)
+   */
+  send(data) {
+    if (!this.get('Content-Type')) {
+      if (typeof data === 'string') {
+        this.set('Content-Type', 'text/plain; charset=utf-8');
+      } else if (Buffer.isBuffer(data)) {
+        this.set('Content-Type', 'application/octet-stream');
+      } else if (data !== null && data !== undefined && !isStream(data)) {
+        this.set('Content-Type', 'application/json');
+      }
+    }
+    this.body = data === undefined ? null : data;
+    return this;
+  }
+
+  /**
+   * Redirect to another URL
+   * @param {string} url - Target URL
+   * @param {number} statusCode - Redirect status (default 302)
+   * @returns {NavisResponse} - this (chainable)
+   */
+  redirect(url, statusCode = 302) {
+    if (typeof url === 'number') {
+      [url, statusCode] = [statusCode, url];
+    }
+    this.statusCode = statusCode;
+    this.set('Location', url);
+    this.body = null;
+    return this;
+  }
+
+  /**
+   * Send a readable stream as the body
+   * @param {Object} readable - Readable stream
+   * @param {string} contentType - Optional Content-Type
+   * @returns {NavisResponse} - this (chainable)
+   */
+  stream(readable, contentType = null) {
+    if (contentType) {
+      this.set('Content-Type', contentType);
+    } else if (!this.get('Content-Type')) {
+      this.set('Content-Type', 'application/octet-stream');
+    }
+    this.body = readable;
+    return this;
+  }
+
+  /**
+   * Node.js-compatible writeHead (headers are sent on end or first write)
+   */
+  writeHead(statusCode, headers = {}) {
+    this.statusCode = statusCode;
+    this.set(headers);
+    return this;
+  }
+
+  /**
+   * Node.js-compatible setHeader
+   */
+  setHeader(name, value) {
+    return this.set(name, value);
+  }
+
+  /**
+   * Node.js-compatible getHeader
+   */
+  getHeader(name) {
+    return this.get(name);
+  }
+
+  /**
+   * Write a chunk immediately (Node.js) or buffer it (Lambda)
+   * @param {string|Buffer} chunk - Data chunk
+   * @returns {boolean} - True if written
+   */
+  write(chunk) {
+    if (this.finished) {
+      return false;
+    }
+
+    if (this.raw) {
+      if (!this.raw.headersSent) {
+        this.raw.writeHead(this.statusCode, this.headers);
+      }
+      return this.raw.write(chunk);
+    }
+
+    this._chunks = this._chunks || [];
+    this._chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)));
+    return true;
+  }
+
+  /**
+   * Hook run once before the response is serialized.
+   * Middleware may wrap it (see cache() and rateLimit()).
+   */
+  finish() {}
+
+  /**
+   * Finish the response. On Node.js this writes to the socket;
+   * for Lambda use toLambda() afterwards.
+   * @param {*} chunk - Optional final body
+   * @returns {NavisResponse} - this
+   */
+  end(chunk) {
+    if (this.finished) {
+      return this;
+    }
+
+    if (chunk !== undefined && chunk !== null) {
+      if (this._chunks || this.headersSent) {
+        this.write(chunk);
+      } else {
+        this.body = chunk;
+      }
+    }
+
+    if (!this._finishCalled) {
+      this._runFinish();
+    }
+
+    this.finished = true;
+
+    if (this.raw) {
+      this._flush();
+    }
+
+    return this;
+  }
+
+  /**
+   * Run finish hooks (async hooks are awaited when called from the app)
+   * @returns {Promise<void>}
+   */
+  async runFinish() {
+    if (this._finishCalled) return;
+    await this._runFinish();
+  }
+
+  /**
+   * Serialize to a Lambda proxy response
+   * @returns {Promise<Object>} - { statusCode, headers, body, isBase64Encoded? }
+   */
+  async toLambda() {
+    let body = this._chunks ? Buffer.concat(this._chunks) : this.body;
+
+    if (isStream(body)) {
+      body = await readAll(body);
+    }
+
+    let payload = this._serialize(body);
+    const response = {
+      statusCode: this.statusCode || 200,
+      headers: { ...this.headers },
+    };
+
+    // Buffered text (e.g. from write() or a stream) goes out as a plain string
+    if (Buffer.isBuffer(payload) && !this.get('Content-Encoding') && isTextType(this.get('Content-Type'))) {
+      payload = payload.toString('utf8');
+    }
+
+    if (this.isHead) {
+      response.body = '';
+    } else if (Buffer.isBuffer(payload)) {
+      response.body = payload.toString('base64');
+      response.isBase64Encoded = true;
+    } else {
+      response.body = payload;
+    }
+
+    return response;
+  }
+
+  /**
+   * Write the response to the Node.js socket
+   * @private
+   */
+  _flush() {
+    const raw = this.raw;
+    if (raw.writableEnded) {
+      return;
+    }
+
+    // Streaming already started via write()
+    if (raw.headersSent) {
+      raw.end();
+      return;
+    }
+
+    if (isStream(this.body)) {
+      raw.writeHead(this.statusCode || 200, this._outgoingHeaders(null));
+      if (this.isHead) {
+        if (typeof this.body.destroy === 'function') this.body.destroy();
+        raw.end();
+        return;
+      }
+      this.body.on('error', () => raw.destroy && raw.destroy());
+      this.body.pipe(raw);
+      return;
+    }
+
+    const payload = this._serialize(this.body);
+    raw.writeHead(this.statusCode || 200, this._outgoingHeaders(payload));
+    raw.end(this.isHead ? undefined : payload);
+  }
+
+  /**
+   * Convert body to string/Buffer and fill in a default Content-Type
+   * @private
+   */
+  _serialize(body) {
+    if (STATUS_WITHOUT_BODY.has(this.statusCode) || body === null || body === undefined) {
+      return '';
+    }
+
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      if (!this.get('Content-Type')) {
+        this.set('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/plain; charset=utf-8');
+      }
+      return body;
+    }
+
+    if (!this.get('Content-Type')) {
+      this.set('Content-Type', 'application/json');
+    }
+    return JSON.stringify(body);
+  }
+
+  /**
+   * Headers to send, including Content-Length when known
+   * @private
+   */
+  _outgoingHeaders(payload) {
+    const headers = { ...this.headers };
+    if (payload !== null && !this._headerKey('Content-Length') && !this._headerKey('Transfer-Encoding')) {
+      headers['Content-Length'] = String(Buffer.byteLength(payload));
+    }
+    return headers;
+  }
+
+  /**
+   * @private
+   */
+  _runFinish() {
+    this._finishCalled = true;
+    try {
+      return Promise.resolve(this.finish()).catch((error) => {
+        console.error('Response finish hook error:', error);
+      });
+    } catch (error) {
+      console.error('Response finish hook error:', error);
+      return Promise.resolve();
+    }
+  }
+
+  /**
+   * Find the stored key for a header name (case-insensitive)
+   * @private
+   */
+  _headerKey(name) {
+    if (!this.headers) return null;
+    const lower = String(name).toLowerCase();
+    return Object.keys(this.headers).find(key => key.toLowerCase() === lower) || null;
+  }
+}
+
+/**
+ * Check if a value is a readable stream
+ * @private
+ */
+function isStream(value) {
+  return value !== null && typeof value === 'object' && typeof value.pipe === 'function';
+}
+
+/**
+ * Check if a Content-Type is textual
+ * @private
+ */
+function isTextType(contentType) {
+  return /^text\/|json|xml|javascript|x-www-form-urlencoded/i.test(contentType || '');
+}
+
+/**
+ * Buffer a readable stream
+ * @private
+ */
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+module.exports = {
+  NavisResponse,
+};
@@ -0,0 +1,140 @@
+/**
+ * Route Groups
+ * v5.9: Prefixed route groups with their own middleware
+ */
+
+const ROUTE_METHODS = {
+  get: 'GET',
+  post: 'POST',
+  put: 'PUT',
+  delete: 'DELETE',
+  patch: 'PATCH',
+  head: 'HEAD',
+  options: 'OPTIONS',
+  all: '*',
+};
+
+class RouteGroup {
+  /**
+   * @param {NavisApp} app - Owning application
+   * @param {string} prefix - Full path prefix of this group
+   * @param {Array} middlewares - Group middleware
+   * @param {RouteGroup|null} parent - Enclosing group
+   */
+  constructor(app, prefix, middlewares = [], parent = null) {
+    this.app = app;
+    this.prefix = prefix;
+    this.middlewares = middlewares.flat(Infinity);
+    this.parent = parent;
+
+    for (const [name, method] of Object.entries(ROUTE_METHODS)) {
+      this[name] = (path, ...handlers) => this.register(method, path, ...handlers);
+    }
+  }
+
+  /**
+   * Add middleware to this group (applies to all of its routes and subgroups)
+   * @param {...Function} fns - Middleware functions
+   * @returns {RouteGroup} - this (chainable)
+   */
+  use(...fns) {
+    this.middlewares.push(...fns.flat(Infinity));
+    return this;
+  }
+
+  /**
+   * Register a route for any method under this group's prefix
+   * @param {string} method - HTTP method
+   * @param {string} path - Route path relative to the prefix
+   * @param {...Function} handlers - Middleware followed by the route handler
+   * @returns {RouteGroup} - this (chainable)
+   */
+  register(method, path, ...handlers) {
+    this.app._addRoute(method, joinPaths(this.prefix, path), handlers, this._chain());
+    return this;
+  }
+
+  /**
+   * Chain several method handlers on one path
+   * @param {string} path - Route path relative to the prefix
+   * @returns {Object} - Chainable route
+   */
+  route(path) {
+    return createRouteChain((method, ...handlers) => this.register(method, path, ...handlers));
+  }
+
+  /**
+   * Create a nested group
+   * @param {string} prefix - Prefix relative to this group
+   * @param {Array|Function} middlewares - Group middleware, or the callback
+   * @param {Function} callback - Receives the nested group
+   * @returns {RouteGroup} - Nested group
+   */
+  group(prefix, middlewares, callback) {
+    if (typeof middlewares === 'function' && callback === undefined) {
+      callback = middlewares;
+      middlewares = [];
+    }
+
+    const child = new RouteGroup(this.app, joinPaths(this.prefix, prefix), middlewares || [], this);
+    if (callback) {
+      callback(child);
+    }
+    return child;
+  }
+
+  /**
+   * Groups from the outermost to this one
+   * @private
+   */
+  _chain() {
+    return this.parent ? [...this.parent._chain(), this] : [this];
+  }
+}
+
+/**
+ * Build a chainable route object (route('/x').get(...).post(...))
+ * @param {Function} register - (method, ...handlers) => void
+ * @returns {Object} - Chainable route
+ */
+function createRouteChain(register) {
+  const chain = {
+    method: (method, ...handlers) => {
+      register(method, ...handlers);
+      return chain;
+    },
+  };
+
+  for (const [name, method] of Object.entries(ROUTE_METHODS)) {
+    chain[name] = (...handlers) => {
+      register(method, ...handlers);
+      return chain;
+    };
+  }
+
+  return chain;
+}
+
+/**
+ * Join a prefix and a path with exactly one slash between them
+ * @param {string} prefix - Path prefix
+ * @param {string} path - Path
+ * @returns {string} - Joined path
+ */
+function joinPaths(prefix, path) {
+  const left = (prefix || '').replace(/\/+$/, '');
+  const right = (path || '').replace(/^\/+/, '');
+
+  const joined = right ? `${left}/${right}` : left;
+  if (!joined) {
+    return '/';
+  }
+  return joined.startsWith('/') ? joined : `/${joined}`;
+}
+
+module.exports = {
+  RouteGroup,
+  createRouteChain,
+  joinPaths,
+  ROUTE_METHODS,
+};
@@ -3,6 +3,9 @@
  * v1: No regex, no params (keep it simple)
  */
 
+const { composeRoute } = require('./middleware');
+const { normalizeMethod, allowedMethodList } = require('./http-methods');
+
 class Router {
   constructor() {
     this.routes = {
@@ -17,18 +20,20 @@ class Router {
    * Register a route handler
    * @param {string} method - HTTP method
    * @param {string} path - Route path (exact match only in v1)
-   * @param {Function} handler - Route handler function
+   * @param {...Function} handlers - Route middleware (v5.9) followed by the handler
    */
-  register(method, path, handler) {
-    const normalizedMethod = method.toUpperCase();
+  register(method, path, ...handlers) {
+    const handler = composeRoute(handlers);
+    const normalizedMethod = normalizeMethod(method);
     if (!this.routes[normalizedMethod]) {
-      throw new Error(`Unsupported HTTP method: ${method}`);
+      this.routes[normalizedMethod] = {};
     }
     this.routes[normalizedMethod][path] = handler;
   }
 
   /**
    * Get route handler for a method and path
+   * HEAD falls back to GET, then to routes registered with all()
    * @param {string} method - HTTP method
    * @param {string} path - Route path
    * @returns {Function|null} - Route handler or null if not found
@@ -36,35 +41,96 @@ class Router {
   find(method, path) {
     const normalizedMethod = method.toUpperCase();
     const methodRoutes = this.routes[normalizedMethod] || {};
-    return methodRoutes[path] || null;
+    let handler = methodRoutes[path];
+
+    if (!handler && normalizedMethod === 'HEAD') {
+      handler = (this.routes.GET || {})[path];
+    }
+    if (!handler) {
+      handler = (this.routes['*'] || {})[path];
+    }
+
+    return handler || null;
+  }
+
+  /**
+   * List the methods that have a route for a path
+   * @param {string} path - Route path
+   * @returns {Array<string>} - Allowed methods (empty if no route matches)
+   */
+  allowedMethods(path) {
+    return allowedMethodList(Object.keys(this.routes).filter(method => this.routes[method][path]));
+  }
+
+  /**
+   * Get all registered routes (same shape as AdvancedRouter.getAllRoutes)
+   * @returns {Object} - Routes grouped by method
+   */
+  getAllRoutes() {
+    const allRoutes = {};
+    for (const method in this.routes) {
+      const paths = Object.keys(this.routes[method]);
+      if (paths.length > 0) {
+        allRoutes[method] = paths.map(pattern => ({ pattern, params: [] }));
+      }
+    }
+    return allRoutes;
   }
 
   /**
    * Register GET route
    */
-  get(path, handler) {
-    this.register('GET', path, handler);
+  get(path, ...handlers) {
+    this.register('GET', path, ...handlers);
   }
 
   /**
    * Register POST route
    */
-  post(path, handler) {
-    this.register('POST', path, handler);
+  post(path, ...handlers) {
+    this.register('POST', path, ...handlers);
   }
 
   /**
    * Register PUT route
    */
-  put(path, handler) {
-    this.register('PUT', path, handler);
+  put(path, ...handlers) {
+    this.register('PUT', path, ...handlers);
   }
 
   /**
    * Register DELETE route
    */
-  delete(path, handler) {
-    this.register('DELETE', path, handler);
+  delete(path, ...handlers) {
+    this.register('DELETE', path, ...handlers);
+  }
+
+  /**
+   * Register PATCH route
+   */
+  patch(path, ...handlers) {
+    this.register('PATCH', path, ...handlers);
+  }
+
+  /**
+   * Register HEAD route
+   */
+  head(path, ...handlers) {
+    this.register('HEAD', path, ...handlers);
+  }
+
+  /**
+   * Register OPTIONS route
+   */
+  options(path, ...handlers) {
+    this.register('OPTIONS', path, ...handlers);
+  }
+
+  /**
+   * Register route for all methods
+   */
+  all(path, ...handlers) {
+    this.register('*', path, ...handlers);
   }
 }
 
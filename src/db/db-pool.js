@@ -1,6 +1,7 @@
 /**
  * Database Connection Pool
  * v5.2: Database integration helpers with connection pooling
+ * v5.9: Transactions (see transaction.js)
  */
 
 class DatabasePool {
@@ -11,6 +12,8 @@ class DatabasePool {
     this.maxConnections = options.maxConnections || 10;
     this.minConnections = options.minConnections || 2;
     this.idleTimeout = options.idleTimeout || 30000;
+    // Resolves when the open SQLite transaction ends (SQLite has one connection)
+    this._exclusive = null;
   }
 
   /**
@@ -214,33 +217,62 @@ class DatabasePool {
       await this.connect();
     }
 
+    if (this._exclusive) {
+      // Called from inside the transaction callback: waiting for it to end would deadlock
+      const trx = this._currentSqliteTransaction();
+      if (trx) {
+        return await this._execute(trx.connection, query, params);
+      }
+    }
+
+    // Don't run inside another caller's SQLite transaction
+    while (this._exclusive) {
+      await this._exclusive;
+    }
+
+    return await this._execute(this.pool, query, params);
+  }
+
+  /**
+   * Execute a query on the pool or on a transaction's connection
+   * @param {Object} connection - Pool, pg client, mysql connection, sqlite db or mssql Transaction
+   * @param {string} query - SQL query or MongoDB collection
+   * @param {Array} params - Query parameters
+   * @param {Object} session - MongoDB session (transactions only)
+   * @returns {Promise<*>} - Query result
+   * @protected
+   */
+  async _execute(connection, query, params = [], session = null) {
     switch (this.type.toLowerCase()) {
       case 'postgres':
       case 'postgresql':
-        return await this.pool.query(query, params);
+        return await connection.query(query, params);
       case 'mysql':
       case 'mariadb':
-        const [rows] = await this.pool.execute(query, params);
+        const [rows] = await connection.execute(query, params);
         return rows;
       case 'mongodb':
         // MongoDB uses different query syntax
         // This is a placeholder - implement based on your needs
-        return await this.db.collection(query).find(params[0] || {}).toArray();
+        return await this.db.collection(query).find(params[0] || {}, session ? { session } : {}).toArray();
       case 'sqlite':
       case 'sqlite3':
         // SQLite with better-sqlite3 (synchronous) or sqlite (async)
-        if (this.pool.prepare) {
-          // better-sqlite3
-          const stmt = this.pool.prepare(query);
-          return stmt.all(...params);
-        } else {
+        if (typeof connection.getDatabaseInstance !== 'function') {
+          // better-sqlite3: all() only works for statements returning rows
+          const stmt = connection.prepare(query);
+          return stmt.reader ? stmt.all(...params) : stmt.run(...params);
+        } else if (/^\s*(SELECT|WITH|PRAGMA|EXPLAIN|VALUES)\b|\bRETURNING\b/i.test(query)) {
           // sqlite (async)
-          return await this.pool.all(query, params);
+          return await connection.all(query, params);
+        } else {
+          // sqlite (async): only run() reports the inserted row id, shaped here like better-sqlite3
+          const result = await connection.run(query, params);
+          return { changes: result.changes, lastInsertRowid: result.lastID };
         }
       case 'mssql':
       case 'sqlserver':
-        const sql = require('mssql');
-        const request = this.pool.request();
+        const request = connection.request();
         // For parameterized queries, use proper SQL Server parameter syntax
         // If params is an array, bind them as @p0, @p1, etc.
         if (Array.isArray(params) && params.length > 0) {
@@ -251,16 +283,89 @@ class DatabasePool {
           let paramIndex = 0;
           const modifiedQuery = query.replace(/\?/g, () => `@p${paramIndex++}`);
           const result = await request.query(modifiedQuery);
-          return result.recordset;
+          return mssqlResult(result);
         } else {
           const result = await request.query(query);
-          return result.recordset;
+          return mssqlResult(result);
         }
       default:
         throw new Error(`Unsupported database type: ${this.type}`);
     }
   }
 
+  /**
+   * Run a function in a transaction: committed when it resolves, rolled back
+   * when it throws. Call trx.transaction() inside for a nested transaction
+   * (savepoint). On SQLite, pool queries made inside fn (such as Model
+   * relationship getters) run in the transaction; on other databases they
+   * use another connection and don't see its uncommitted writes.
+   * @param {Function} fn - async (trx) => result; omit to get the Transaction and commit/rollback yourself
+   * @param {Object} options - Options
+   * @param {string} options.isolationLevel - 'read uncommitted', 'read committed', 'repeatable read',
+   *   'serializable' or 'snapshot' (SQL Server, MongoDB)
+   * @param {Object} options.readConcern - MongoDB read concern
+   * @param {Object} options.writeConcern - MongoDB write concern
+   * @returns {Promise<*>} - fn's result, or the Transaction
+   * @example
+   * await db.transaction(async (trx) => {
+   *   const account = await Account.findById(id, { transaction: trx });
+   *   await queryBuilder(trx).update('accounts', { balance: account.balance - 10 }).where('id', '=', id).execute();
+   * }, { isolationLevel: 'serializable' });
+   */
+  async transaction(fn = null, options = {}) {
+    if (fn && typeof fn === 'object') {
+      options = fn;
+      fn = null;
+    }
+
+    if (!this.pool) {
+      await this.connect();
+    }
+
+    if (this._exclusive && this._currentSqliteTransaction()) {
+      throw new Error('A SQLite transaction is already open in this callback: call trx.transaction() for a nested transaction');
+    }
+
+    const { Transaction } = require('./transaction');
+    const trx = await Transaction.begin(this, options);
+    return fn ? trx._run(fn) : trx;
+  }
+
+  /**
+   * The SQLite transaction whose callback the caller is running in, if any
+   * @returns {Transaction|null}
+   * @private
+   */
+  _currentSqliteTransaction() {
+    const dbType = this.type.toLowerCase();
+    if (dbType !== 'sqlite' && dbType !== 'sqlite3') {
+      return null;
+    }
+    const { currentTransaction } = require('./transaction');
+    return currentTransaction(this);
+  }
+
+  /**
+   * Wait for the single SQLite connection and hold it until the returned
+   * function is called
+   * @returns {Promise<Function>} - unlock
+   * @protected
+   */
+  async _lockExclusive() {
+    while (this._exclusive) {
+      await this._exclusive;
+    }
+
+    let unlock;
+    this._exclusive = new Promise(resolve => {
+      unlock = () => {
+        this._exclusive = null;
+        resolve();
+      };
+    });
+    return unlock;
+  }
+
   /**
    * Get a connection from pool
    * @returns {Promise<Object>} - Database connection
@@ -373,6 +478,17 @@ function mongoQueryBuilder(dbPool, collection = null) {
   return createMongoDBQueryBuilder(dbPool, collection);
 }
 
+/**
+ * Rows of an mssql result, or { affectedRows } for statements without a recordset
+ * @private
+ */
+function mssqlResult(result) {
+  if (result.recordset !== undefined) {
+    return result.recordset;
+  }
+  return { affectedRows: (result.rowsAffected || []).reduce((total, count) => total + count, 0) };
+}
+
 module.exports = {
   DatabasePool,
   createPool,
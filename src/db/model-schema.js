@@ -0,0 +1,214 @@
+/**
+ * Model Schema
+ * v5.9: Field types, defaults, casting and validation for Model.schema
+ *
+ * A schema maps field names to definitions using the same rules as
+ * validate() (type, required, minLength, maxLength, pattern, format, min,
+ * max, minItems, maxItems, validator), plus:
+ *   default  - Value (or function returning one) for new records
+ *   unique   - Checked against the database on save
+ *   hidden   - Left out of toJSON()
+ *   virtual  - Computed field with get() (and optional set()), never stored
+ *
+ * Model types extend the validator's with 'integer', 'date' and 'json'.
+ */
+
+const { validateObject } = require('../validation/validator');
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'json', 'object', 'array'];
+
+/**
+ * Validate a schema declaration and fill in shorthands
+ * ('string' -> { type: 'string' }, function -> { virtual: true, get })
+ * @param {Object} schema - Field name -> definition
+ * @param {string} modelName - Model name for error messages
+ * @returns {Object} - Field name -> definition
+ */
+function normalizeSchema(schema, modelName) {
+  const fields = {};
+
+  for (const [field, definition] of Object.entries(schema || {})) {
+    let normalized;
+    if (typeof definition === 'string') {
+      normalized = { type: definition };
+    } else if (typeof definition === 'function') {
+      normalized = { virtual: true, get: definition };
+    } else {
+      normalized = { ...definition };
+    }
+
+    if (normalized.get && normalized.virtual === undefined) {
+      normalized.virtual = true;
+    }
+    if (normalized.virtual && typeof normalized.get !== 'function') {
+      throw new Error(`Virtual field ${modelName}.${field} needs a get() function`);
+    }
+    if (normalized.type && !TYPES.includes(normalized.type)) {
+      throw new Error(`Unknown type "${normalized.type}" for ${modelName}.${field}. Expected one of: ${TYPES.join(', ')}`);
+    }
+
+    fields[field] = normalized;
+  }
+
+  return fields;
+}
+
+/**
+ * Default value for a field (functions are called, objects and arrays copied)
+ * @param {Object} definition - Field definition
+ * @returns {*}
+ */
+function defaultValue(definition) {
+  const value = definition.default;
+  if (typeof value === 'function') {
+    return value();
+  }
+  if (Array.isArray(value)) {
+    return [...value];
+  }
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return { ...value };
+  }
+  return value;
+}
+
+/**
+ * Convert a stored or assigned value to the field type. Values that can't be
+ * converted are returned unchanged, so validation reports them.
+ * @param {string} type - Field type
+ * @param {*} value - Value
+ * @returns {*}
+ */
+function castValue(type, value) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' || typeof value === 'object' ? value : String(value);
+
+    case 'number':
+    case 'integer': {
+      // pg returns NUMERIC and BIGINT as strings
+      if (typeof value === 'string' && value.trim() !== '') {
+        const number = Number(value);
+        return Number.isNaN(number) ? value : number;
+      }
+      return typeof value === 'bigint' ? Number(value) : value;
+    }
+
+    case 'boolean':
+      // SQLite and MySQL store booleans as 0/1
+      if (value === 1 || value === '1' || value === 'true') {
+        return true;
+      }
+      if (value === 0 || value === '0' || value === 'false') {
+        return false;
+      }
+      return value;
+
+    case 'date': {
+      if (value instanceof Date || (typeof value !== 'string' && typeof value !== 'number')) {
+        return value;
+      }
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? value : date;
+    }
+
+    case 'json':
+    case 'object':
+    case 'array':
+      if (typeof value === 'string') {
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          return value;
+        }
+      }
+      return value;
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Convert a value for the database driver. MongoDB stores dates, booleans
+ * and objects natively; SQL drivers get JSON text, and SQLite (which has no
+ * boolean or date type) gets 0/1 and ISO strings.
+ * @param {string} type - Field type
+ * @param {*} value - Value
+ * @param {string} dbType - Database type
+ * @returns {*}
+ */
+function serializeValue(type, value, dbType) {
+  if (value === undefined || value === null || dbType === 'mongodb') {
+    return value;
+  }
+
+  const sqlite = dbType === 'sqlite' || dbType === 'sqlite3';
+
+  switch (type) {
+    case 'boolean':
+      return sqlite && typeof value === 'boolean' ? (value ? 1 : 0) : value;
+    case 'date':
+      return sqlite && value instanceof Date ? value.toISOString() : value;
+    case 'json':
+    case 'object':
+    case 'array':
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate data against the stored fields of a schema
+ * @param {Object} data - Field values
+ * @param {Object} fields - Normalized schema
+ * @param {Array<string>} only - Fields to check (default: all stored fields)
+ * @returns {Array<Object>} - Errors ({ field, message, code }), as validateObject
+ */
+function validateFields(data, fields, only = null) {
+  const errors = [];
+
+  for (const [field, definition] of Object.entries(fields)) {
+    if (definition.virtual || (only && !only.includes(field))) {
+      continue;
+    }
+
+    // integer, date and json aren't validator types: checked here instead
+    const { type, default: _default, unique, hidden, ...rules } = definition;
+    const value = data[field];
+    const present = value !== undefined && value !== null;
+
+    if (type === 'integer') {
+      if (present && typeof value === 'number' && !Number.isInteger(value)) {
+        errors.push({ field, message: `${field} must be an integer`, code: 'TYPE' });
+        continue;
+      }
+      rules.type = 'number';
+    } else if (type === 'date') {
+      if (present && !(value instanceof Date && !Number.isNaN(value.getTime()))) {
+        errors.push({ field, message: `${field} must be a date`, code: 'TYPE' });
+        continue;
+      }
+    } else if (type !== 'json') {
+      rules.type = type;
+    }
+
+    errors.push(...validateObject({ [field]: value }, { [field]: rules }));
+  }
+
+  return errors;
+}
+
+module.exports = {
+  TYPES,
+  normalizeSchema,
+  defaultValue,
+  castValue,
+  serializeValue,
+  validateFields,
+};
@@ -1,9 +1,24 @@
 /**
  * ORM-like Model Base Class
  * v5.7: Model definitions with relationships, hooks, and validation
+ * v5.9: Every query method accepts { transaction: trx } to run in a transaction
+ * v5.9: Eager loading of relationships with find(conditions, { include })
+ * v5.9: Many-to-many relationships through a pivot table (belongsToMany)
+ * v5.9: Declarative schema with types, defaults, casts, virtual and hidden fields
+ * v5.9: Opt-in timestamps, soft deletes and optimistic locking
  */
 
 const { queryBuilder, mongoQueryBuilder } = require('./db-pool');
+const { ValidationError } = require('../validation/validator');
+const { ConflictError } = require('../errors/error-handler');
+const { normalizeSchema, defaultValue, castValue, serializeValue, validateFields } = require('./model-schema');
+const { rowsOf } = require('./sql-utils');
+
+// Keys per whereIn/$in query when eager loading (stays under driver parameter limits)
+const INCLUDE_BATCH_SIZE = 1000;
+
+// Set while building instances from query results: schema defaults are for new records only
+let hydrating = false;
 
 class Model {
   constructor(data = {}) {
@@ -12,27 +27,69 @@ class Model {
     this._changed = {};
     this._isNew = true;
     this._dbPool = null;
+    this._included = {}; // Eager-loaded relationships
+    this._pivot = null; // Pivot row when loaded through belongsToMany
+
+    const fields = this.constructor._schema() || {};
+    const types = this.constructor._fieldTypes();
+    const stored = Object.keys(fields).filter(field => !fields[field].virtual);
+    const virtuals = Object.keys(fields).filter(field => fields[field].virtual);
 
     // Set initial data
     if (data) {
-      Object.assign(this._data, data);
-      Object.assign(this._original, data);
+      Object.keys(data).forEach(key => {
+        if (!virtuals.includes(key)) {
+          this._data[key] = types[key] ? castValue(types[key], data[key]) : data[key];
+        }
+      });
     }
 
-    // Set properties
-    Object.keys(this._data).forEach(key => {
+    if (!hydrating) {
+      stored.forEach(field => {
+        if (this._data[field] === undefined && fields[field].default !== undefined) {
+          this._data[field] = castValue(fields[field].type, defaultValue(fields[field]));
+        }
+      });
+    }
+
+    Object.assign(this._original, this._data);
+
+    // Set properties: data keys, schema fields, the primary key and timestamp/version columns
+    const keys = new Set([...Object.keys(this._data), ...stored, ...Object.keys(types), this.constructor.primaryKey]);
+    keys.forEach(key => {
       if (!key.startsWith('_')) {
         Object.defineProperty(this, key, {
           get: () => this._data[key],
           set: (value) => {
-            this._data[key] = value;
-            this._changed[key] = value;
+            this._data[key] = types[key] ? castValue(types[key], value) : value;
+            this._changed[key] = this._data[key];
           },
           enumerable: true,
           configurable: true,
         });
       }
     });
+
+    virtuals.forEach(field => {
+      const definition = fields[field];
+      Object.defineProperty(this, field, {
+        get: () => definition.get.call(this),
+        set: (value) => {
+          if (!definition.set) {
+            throw new Error(`Virtual field ${this.constructor.name}.${field} is read-only`);
+          }
+          definition.set.call(this, value);
+        },
+        enumerable: true,
+        configurable: true,
+      });
+
+      if (data && data[field] !== undefined && definition.set) {
+        definition.set.call(this, data[field]);
+        Object.assign(this._original, this._data);
+        this._changed = {};
+      }
+    });
   }
 
   /**
@@ -51,6 +108,113 @@ class Model {
     return 'id';
   }
 
+  /**
+   * Set created_at/updated_at on save: true, or { createdAt, updatedAt }
+   * column names (false to leave one out)
+   * @returns {boolean|Object}
+   */
+  static get timestamps() {
+    return false;
+  }
+
+  /**
+   * Soft deletes: true (deleted_at) or a column name. delete() sets the
+   * column instead of removing the row, and queries skip those rows.
+   * @returns {boolean|string}
+   */
+  static get softDeletes() {
+    return false;
+  }
+
+  /**
+   * Optimistic locking: true (version) or a column name. Updates only apply
+   * when the version is unchanged, and increment it.
+   * @returns {boolean|string}
+   */
+  static get optimisticLocking() {
+    return false;
+  }
+
+  /**
+   * Timestamp columns, or null without timestamps
+   * @returns {Object|null} - { createdAt, updatedAt }
+   * @protected
+   */
+  static _timestampColumns() {
+    const option = this.timestamps;
+    if (!option) {
+      return null;
+    }
+
+    const columns = option === true ? {} : option;
+    return {
+      createdAt: columns.createdAt === undefined ? 'created_at' : columns.createdAt,
+      updatedAt: columns.updatedAt === undefined ? 'updated_at' : columns.updatedAt,
+    };
+  }
+
+  /**
+   * Soft delete column, or null without soft deletes
+   * @returns {string|null}
+   * @protected
+   */
+  static _softDeleteColumn() {
+    const option = this.softDeletes;
+    return option ? (typeof option === 'string' ? option : 'deleted_at') : null;
+  }
+
+  /**
+   * Version column, or null without optimistic locking
+   * @returns {string|null}
+   * @protected
+   */
+  static _versionColumn() {
+    const option = this.optimisticLocking;
+    return option ? (typeof option === 'string' ? option : 'version') : null;
+  }
+
+  /**
+   * Cast types by field: schema fields, plus timestamp and soft delete
+   * columns as dates and the version column as an integer
+   * @returns {Object} - Field name -> type
+   * @protected
+   */
+  static _fieldTypes() {
+    if (!Object.prototype.hasOwnProperty.call(this, '_fieldTypeMap')) {
+      const types = {};
+      const timestamps = this._timestampColumns() || {};
+      [timestamps.createdAt, timestamps.updatedAt, this._softDeleteColumn()]
+        .filter(Boolean)
+        .forEach(column => { types[column] = 'date'; });
+      if (this._versionColumn()) {
+        types[this._versionColumn()] = 'integer';
+      }
+
+      const fields = this._schema() || {};
+      Object.keys(fields).forEach(field => {
+        if (!fields[field].virtual && fields[field].type) {
+          types[field] = fields[field].type;
+        }
+      });
+
+      this._fieldTypeMap = types;
+    }
+    return this._fieldTypeMap;
+  }
+
+  /**
+   * Normalized schema of this model, or null without one
+   * (declare with static get schema() or static schema = {...})
+   * @returns {Object|null}
+   * @protected
+   */
+  static _schema() {
+    if (!Object.prototype.hasOwnProperty.call(this, '_schemaFields')) {
+      this._schemaFields = this.schema ? normalizeSchema(this.schema, this.name) : null;
+    }
+    return this._schemaFields;
+  }
+
   /**
    * Set database pool
    * @param {DatabasePool} dbPool
@@ -67,17 +231,111 @@ class Model {
     return this._dbPool;
   }
 
+  /**
+   * Database a call runs on: the transaction in options, else the model's pool
+   * @param {Object} options - { transaction }
+   * @returns {DatabasePool|Transaction}
+   * @protected
+   */
+  static _database(options = {}) {
+    const db = options.transaction || this.getDatabase();
+    if (!db) {
+      throw new Error('Database not set. Use Model.setDatabase(dbPool)');
+    }
+    return db;
+  }
+
+  /**
+   * Run a function in a transaction on the model's database
+   * @param {Function} fn - async (trx) => result
+   * @param {Object} options - Transaction options (isolationLevel, ...)
+   * @returns {Promise<*>} - fn's result
+   */
+  static async transaction(fn, options = {}) {
+    const db = this.getDatabase();
+    if (!db) {
+      throw new Error('Database not set. Use Model.setDatabase(dbPool)');
+    }
+    return await db.transaction(fn, options);
+  }
+
+  /**
+   * Query including soft-deleted records
+   * @returns {Object} - { find, findOne, findById, count }
+   */
+  static withTrashed() {
+    return this._withScope({ withTrashed: true });
+  }
+
+  /**
+   * Query only soft-deleted records
+   * @returns {Object} - { find, findOne, findById, count }
+   */
+  static onlyTrashed() {
+    return this._withScope({ onlyTrashed: true });
+  }
+
+  /**
+   * Query methods with extra options applied
+   * @private
+   */
+  static _withScope(scope) {
+    return {
+      find: (conditions = {}, options = {}) => this.find(conditions, { ...options, ...scope }),
+      findOne: (conditions = {}, options = {}) => this.findOne(conditions, { ...options, ...scope }),
+      findById: (id, options = {}) => this.findById(id, { ...options, ...scope }),
+      count: (conditions = {}, options = {}) => this.count(conditions, { ...options, ...scope }),
+    };
+  }
+
+  /**
+   * Add the soft delete filter to a query builder
+   * @param {QueryBuilder|MongoDBQueryBuilder} qb - Query builder with the caller's conditions
+   * @param {Object} options - { withTrashed, onlyTrashed }
+   * @protected
+   */
+  static _scopeTrashed(qb, options = {}) {
+    const column = this._softDeleteColumn();
+    if (!column || options.withTrashed) {
+      return;
+    }
+
+    // SQL: group the caller's conditions so an OR can't bypass the filter
+    if (Array.isArray(qb.whereConditions) && qb.whereConditions.some(condition => condition.logic === 'OR')) {
+      qb.whereConditions = [{ type: 'nested', conditions: qb.whereConditions, logic: 'AND' }];
+    }
+
+    if (options.onlyTrashed) {
+      qb.whereNotNull(column);
+    } else {
+      qb.whereNull(column);
+    }
+  }
+
   /**
    * Find records
    * @param {Object|Function} conditions - Where conditions
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (select, orderBy/sort, limit, offset/skip, include,
+   *   withTrashed, onlyTrashed, transaction)
    * @returns {Promise<Array>}
    */
   static async find(conditions = {}, options = {}) {
-    const db = this.getDatabase();
-    if (!db) {
-      throw new Error('Database not set. Use Model.setDatabase(dbPool)');
+    const results = await this._findRows(conditions, options);
+    if (options.include) {
+      await this._eagerLoad(results, options.include, options);
     }
+    return results;
+  }
+
+  /**
+   * Run a find query without eager loading
+   * @param {Object|Function} conditions - Where conditions
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>}
+   * @private
+   */
+  static async _findRows(conditions, options) {
+    const db = this._database(options);
 
     const tableName = this.tableName;
     const dbType = db.type.toLowerCase();
@@ -93,6 +351,8 @@ class Model {
         });
       }
 
+      this._scopeTrashed(qb, options);
+
       if (options.select) {
         qb.select(options.select);
       }
@@ -120,7 +380,7 @@ class Model {
       }
 
       const results = await qb.find();
-      return results.map(row => new this(row));
+      return results.map(row => this._hydrate(row));
     } else {
       const qb = queryBuilder(db, tableName);
 
@@ -136,9 +396,8 @@ class Model {
         });
       }
 
-      if (options.select) {
-        qb.select(Array.isArray(options.select) ? options.select : [options.select]);
-      }
+      this._scopeTrashed(qb, options);
+      qb.select(options.select ? (Array.isArray(options.select) ? options.select : [options.select]) : '*');
 
       if (options.orderBy) {
         if (typeof options.orderBy === 'string') {
@@ -159,10 +418,28 @@ class Model {
       }
 
       const results = await qb.execute();
-      return results.map(row => new this(row));
+      return rowsOf(results).map(row => this._hydrate(row));
     }
   }
 
+  /**
+   * Build an instance from a stored row (saving it updates rather than inserts)
+   * @param {Object} row - Database row or document
+   * @returns {Model}
+   * @protected
+   */
+  static _hydrate(row) {
+    let instance;
+    hydrating = true;
+    try {
+      instance = new this(row);
+    } finally {
+      hydrating = false;
+    }
+    instance._isNew = false;
+    return instance;
+  }
+
   /**
    * Find one record
    * @param {Object|Function} conditions - Where conditions
@@ -177,22 +454,21 @@ class Model {
   /**
    * Find by primary key
    * @param {*} id - Primary key value
+   * @param {Object} options - Query options (transaction)
    * @returns {Promise<Model|null>}
    */
-  static async findById(id) {
-    return await this.findOne({ [this.primaryKey]: id });
+  static async findById(id, options = {}) {
+    return await this.findOne({ [this.primaryKey]: id }, options);
   }
 
   /**
    * Count records
    * @param {Object|Function} conditions - Where conditions
+   * @param {Object} options - Query options (transaction)
    * @returns {Promise<number>}
    */
-  static async count(conditions = {}) {
-    const db = this.getDatabase();
-    if (!db) {
-      throw new Error('Database not set. Use Model.setDatabase(dbPool)');
-    }
+  static async count(conditions = {}, options = {}) {
+    const db = this._database(options);
 
     const tableName = this.tableName;
     const dbType = db.type.toLowerCase();
@@ -208,10 +484,11 @@ class Model {
         });
       }
 
+      this._scopeTrashed(qb, options);
       return await qb.count();
     } else {
       // For SQL, we need to use a subquery or COUNT
-      const qb = queryBuilder(db, tableName);
+      const qb = queryBuilder(db, tableName).select('*');
 
       if (typeof conditions === 'function') {
         conditions(qb);
@@ -225,6 +502,7 @@ class Model {
         });
       }
 
+      this._scopeTrashed(qb, options);
       const { sql, params } = qb.toSQL();
       const countSql = `SELECT COUNT(*) as count FROM (${sql}) as subquery`;
       const result = await db.query(countSql, params);
@@ -237,23 +515,22 @@ class Model {
   /**
    * Create a new record
    * @param {Object} data - Record data
+   * @param {Object} options - Save options (transaction)
    * @returns {Promise<Model>}
    */
-  static async create(data) {
+  static async create(data, options = {}) {
     const instance = new this(data);
-    await instance.save();
+    await instance.save(options);
     return instance;
   }
 
   /**
    * Save the model (insert or update)
+   * @param {Object} options - Save options (transaction)
    * @returns {Promise<boolean>}
    */
-  async save() {
-    const db = this.constructor.getDatabase();
-    if (!db) {
-      throw new Error('Database not set. Use Model.setDatabase(dbPool)');
-    }
+  async save(options = {}) {
+    const db = this.constructor._database(options);
 
     // Run beforeSave hook
     if (this.beforeSave) {
@@ -265,8 +542,9 @@ class Model {
     const dbType = db.type.toLowerCase();
 
     // Validate
+    await this._validateSchema(options);
     if (this.validate && !(await this.validate())) {
-      throw new Error('Validation failed');
+      throw new ValidationError('Validation failed');
     }
 
     if (this._isNew || !this._data[primaryKey]) {
@@ -275,9 +553,15 @@ class Model {
         await this.beforeCreate();
       }
 
+      this._touch(true);
+      const versionColumn = this.constructor._versionColumn();
+      if (versionColumn && (this._data[versionColumn] === undefined || this._data[versionColumn] === null)) {
+        this._data[versionColumn] = 1;
+      }
+
       if (dbType === 'mongodb') {
         const result = await mongoQueryBuilder(db, tableName)
-          .insert(this._data)
+          .insert(this._serialize(this._data, dbType))
           .execute();
         
         if (result.insertedId) {
@@ -285,11 +569,12 @@ class Model {
         }
       } else {
         const result = await queryBuilder(db)
-          .insert(tableName, this._data)
+          .insert(tableName, this._serialize(this._data, dbType))
           .execute();
         
-        if (result.insertId || result.id) {
-          this._data[primaryKey] = result.insertId || result.id;
+        if (result.insertId || result.id || result.lastInsertRowid) {
+          // mysql2: insertId; better-sqlite3: lastInsertRowid
+          this._data[primaryKey] = result.insertId || result.id || Number(result.lastInsertRowid);
         } else if (result.rows && result.rows[0]) {
           this._data[primaryKey] = result.rows[0][primaryKey];
         }
@@ -297,6 +582,7 @@ class Model {
 
       this._isNew = false;
       Object.assign(this._original, this._data);
+      this._changed = {};
 
       if (this.afterCreate) {
         await this.afterCreate();
@@ -307,22 +593,12 @@ class Model {
         await this.beforeUpdate();
       }
 
-      const updateData = { ...this._changed };
-      if (Object.keys(updateData).length === 0) {
+      if (Object.keys(this._changed).length === 0) {
         return true; // No changes
       }
 
-      if (dbType === 'mongodb') {
-        await mongoQueryBuilder(db, tableName)
-          .update(updateData)
-          .where(primaryKey, this._data[primaryKey])
-          .execute();
-      } else {
-        await queryBuilder(db)
-          .update(tableName, updateData)
-          .where(primaryKey, '=', this._data[primaryKey])
-          .execute();
-      }
+      this._touch(false);
+      await this._updateRow(db, this._serialize(this._changed, dbType));
 
       Object.assign(this._original, this._data);
       this._changed = {};
@@ -340,15 +616,150 @@ class Model {
   }
 
   /**
-   * Delete the model
-   * @returns {Promise<boolean>}
+   * Update this model's row. With optimistic locking the update only applies
+   * to the version that was read, and increments it.
+   * @param {Object} db - Database pool or transaction
+   * @param {Object} updateData - Serialized column values
+   * @returns {Promise<void>}
+   * @throws {ConflictError} - When another request changed the row first
+   * @private
    */
-  async delete() {
-    const db = this.constructor.getDatabase();
-    if (!db) {
-      throw new Error('Database not set. Use Model.setDatabase(dbPool)');
+  async _updateRow(db, updateData) {
+    const tableName = this.constructor.tableName;
+    const primaryKey = this.constructor.primaryKey;
+    const dbType = db.type.toLowerCase();
+    const id = this._data[primaryKey];
+
+    const versionColumn = this.constructor._versionColumn();
+    const version = versionColumn ? this._original[versionColumn] : undefined;
+    if (versionColumn) {
+      updateData[versionColumn] = (Number(version) || 0) + 1;
+    }
+
+    let result;
+    if (dbType === 'mongodb') {
+      const qb = mongoQueryBuilder(db, tableName)
+        .update(updateData)
+        .where(primaryKey, id);
+      if (versionColumn) {
+        qb.where(versionColumn, version === undefined ? null : version);
+      }
+      result = await qb.execute();
+    } else {
+      const qb = queryBuilder(db)
+        .update(tableName, updateData)
+        .where(primaryKey, '=', id);
+      if (versionColumn) {
+        if (version === undefined || version === null) {
+          qb.whereNull(versionColumn);
+        } else {
+          qb.where(versionColumn, '=', version);
+        }
+      }
+      result = await qb.execute();
+    }
+
+    if (versionColumn) {
+      if (affectedRows(result) === 0) {
+        throw new ConflictError(`${this.constructor.name} ${id} was modified by another request (expected ${versionColumn} ${version})`);
+      }
+      this._data[versionColumn] = updateData[versionColumn];
+    }
+  }
+
+  /**
+   * Set the timestamp columns (created_at only when creating)
+   * @private
+   */
+  _touch(creating) {
+    const columns = this.constructor._timestampColumns();
+    if (!columns) {
+      return;
     }
 
+    const now = new Date();
+    if (creating && columns.createdAt && (this._data[columns.createdAt] === undefined || this._data[columns.createdAt] === null)) {
+      this._data[columns.createdAt] = now;
+      this._changed[columns.createdAt] = now;
+    }
+    if (columns.updatedAt) {
+      this._data[columns.updatedAt] = now;
+      this._changed[columns.updatedAt] = now;
+    }
+  }
+
+  /**
+   * Check the schema rules (all fields on insert, changed fields on update)
+   * and unique fields against the database
+   * @param {Object} options - Save options (transaction)
+   * @throws {ValidationError}
+   * @private
+   */
+  async _validateSchema(options = {}) {
+    const fields = this.constructor._schema();
+    if (!fields) {
+      return;
+    }
+
+    const primaryKey = this.constructor.primaryKey;
+    const creating = this._isNew || !this._data[primaryKey];
+    const only = creating ? null : Object.keys(this._changed);
+    const errors = validateFields(this._data, fields, only);
+
+    for (const [field, definition] of Object.entries(fields)) {
+      const value = this._data[field];
+      if (!definition.unique || definition.virtual || value === undefined || value === null ||
+          (only && !only.includes(field)) || errors.some(error => error.field === field)) {
+        continue;
+      }
+
+      const dbType = this.constructor._database(options).type.toLowerCase();
+      const stored = serializeValue(definition.type, value, dbType);
+      const taken = await this.constructor.count((qb) => {
+        if (dbType === 'mongodb') {
+          qb.where(field, stored);
+          if (!creating) {
+            qb.notEquals(primaryKey, this._data[primaryKey]);
+          }
+        } else {
+          qb.where(field, '=', stored);
+          if (!creating) {
+            qb.where(primaryKey, '!=', this._data[primaryKey]);
+          }
+        }
+      }, { transaction: options.transaction, withTrashed: true });
+
+      if (taken > 0) {
+        errors.push({ field, message: `${field} is already taken`, code: 'UNIQUE' });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(`${this.constructor.name} validation failed`, errors);
+    }
+  }
+
+  /**
+   * Convert typed fields for the database driver
+   * @private
+   */
+  _serialize(data, dbType) {
+    const types = this.constructor._fieldTypes();
+    const serialized = {};
+    Object.keys(data).forEach(key => {
+      serialized[key] = types[key] ? serializeValue(types[key], data[key], dbType) : data[key];
+    });
+    return serialized;
+  }
+
+  /**
+   * Delete the model (soft delete when the model uses soft deletes)
+   * @param {Object} options - Delete options (transaction, force: remove the row even with soft deletes)
+   * @returns {Promise<boolean>}
+   */
+  async delete(options = {}) {
+    const db = this.constructor._database(options);
+
     const primaryKey = this.constructor.primaryKey;
     const id = this._data[primaryKey];
 
@@ -362,8 +773,25 @@ class Model {
 
     const tableName = this.constructor.tableName;
     const dbType = db.type.toLowerCase();
+    const softDeleteColumn = this.constructor._softDeleteColumn();
+
+    if (softDeleteColumn && !options.force) {
+      const now = new Date();
+      const changes = { [softDeleteColumn]: now };
+      const timestamps = this.constructor._timestampColumns();
+      if (timestamps && timestamps.updatedAt) {
+        changes[timestamps.updatedAt] = now;
+      }
 
-    if (dbType === 'mongodb') {
+      await this._updateRow(db, this._serialize(changes, dbType));
+
+      const versionColumn = this.constructor._versionColumn();
+      if (versionColumn) {
+        changes[versionColumn] = this._data[versionColumn];
+      }
+      Object.assign(this._data, changes);
+      Object.assign(this._original, changes);
+    } else if (dbType === 'mongodb') {
       await mongoQueryBuilder(db, tableName)
         .delete()
         .where(primaryKey, id)
@@ -382,11 +810,46 @@ class Model {
     return true;
   }
 
+  /**
+   * Delete the row even when the model uses soft deletes
+   * @param {Object} options - Delete options (transaction)
+   * @returns {Promise<boolean>}
+   */
+  async forceDelete(options = {}) {
+    return await this.delete({ ...options, force: true });
+  }
+
+  /**
+   * Undo a soft delete
+   * @param {Object} options - Save options (transaction)
+   * @returns {Promise<boolean>}
+   */
+  async restore(options = {}) {
+    const column = this.constructor._softDeleteColumn();
+    if (!column) {
+      throw new Error(`${this.constructor.name} does not use soft deletes`);
+    }
+
+    this._data[column] = null;
+    this._changed[column] = null;
+    return await this.save(options);
+  }
+
+  /**
+   * Check whether the model has been soft deleted
+   * @returns {boolean}
+   */
+  isTrashed() {
+    const column = this.constructor._softDeleteColumn();
+    return Boolean(column && this._data[column]);
+  }
+
   /**
    * Reload model from database
+   * @param {Object} options - Query options (transaction)
    * @returns {Promise<Model>}
    */
-  async reload() {
+  async reload(options = {}) {
     const primaryKey = this.constructor.primaryKey;
     const id = this._data[primaryKey];
 
@@ -394,7 +857,7 @@ class Model {
       throw new Error('Cannot reload model without primary key');
     }
 
-    const fresh = await this.constructor.findById(id);
+    const fresh = await this.constructor.findById(id, { withTrashed: true, ...options });
     if (!fresh) {
       throw new Error('Model not found');
     }
@@ -403,16 +866,52 @@ class Model {
     Object.assign(this._original, fresh._data);
     this._changed = {};
     this._isNew = false;
+    this._included = fresh._included;
 
     return this;
   }
 
   /**
-   * Convert model to plain object
+   * Convert model to plain object, with virtual fields and eager-loaded
+   * relationships, without hidden fields
    * @returns {Object}
    */
   toJSON() {
-    return { ...this._data };
+    const fields = this.constructor._schema() || {};
+    const json = {};
+
+    Object.keys(this._data).forEach(key => {
+      if (!(fields[key] && fields[key].hidden)) {
+        json[key] = this._data[key];
+      }
+    });
+
+    Object.keys(fields).forEach(field => {
+      if (fields[field].virtual && !fields[field].hidden) {
+        json[field] = this[field];
+      }
+    });
+
+    Object.keys(this._included).forEach(name => {
+      const value = this._included[name];
+      json[name] = Array.isArray(value)
+        ? value.map(item => item.toJSON())
+        : (value ? value.toJSON() : null);
+    });
+
+    if (this._pivot) {
+      json.pivot = { ...this._pivot };
+    }
+
+    return json;
+  }
+
+  /**
+   * Pivot row this instance was loaded through (belongsToMany), else null
+   * @returns {Object|null}
+   */
+  get pivot() {
+    return this._pivot;
   }
 
   /**
@@ -439,19 +938,17 @@ class Model {
    * @param {string} localKey - Local key field (default: primaryKey)
    */
   static hasMany(name, ModelClass, foreignKey, localKey = null) {
-    const primaryKey = this.primaryKey;
-    const local = localKey || primaryKey;
-
-    Object.defineProperty(this.prototype, name, {
-      async get() {
-        const id = this._data[local];
-        if (!id) {
-          return [];
-        }
-        return await ModelClass.find({ [foreignKey]: id });
+    const local = localKey || this.primaryKey;
+
+    this._defineRelation(name, {
+      type: 'hasMany',
+      ModelClass,
+      ownerKey: local,
+      relatedKey: foreignKey,
+      load: (instance) => {
+        const id = instance._data[local];
+        return id ? ModelClass.find({ [foreignKey]: id }) : [];
       },
-      enumerable: true,
-      configurable: true,
     });
   }
 
@@ -462,16 +959,15 @@ class Model {
    * @param {string} foreignKey - Foreign key field
    */
   static belongsTo(name, ModelClass, foreignKey) {
-    Object.defineProperty(this.prototype, name, {
-      async get() {
-        const id = this._data[foreignKey];
-        if (!id) {
-          return null;
-        }
-        return await ModelClass.findById(id);
+    this._defineRelation(name, {
+      type: 'belongsTo',
+      ModelClass,
+      ownerKey: foreignKey,
+      relatedKey: ModelClass.primaryKey,
+      load: (instance) => {
+        const id = instance._data[foreignKey];
+        return id ? ModelClass.findById(id) : null;
       },
-      enumerable: true,
-      configurable: true,
     });
   }
 
@@ -483,21 +979,510 @@ class Model {
    * @param {string} localKey - Local key field (default: primaryKey)
    */
   static hasOne(name, ModelClass, foreignKey, localKey = null) {
-    const primaryKey = this.primaryKey;
-    const local = localKey || primaryKey;
+    const local = localKey || this.primaryKey;
+
+    this._defineRelation(name, {
+      type: 'hasOne',
+      ModelClass,
+      ownerKey: local,
+      relatedKey: foreignKey,
+      load: (instance) => {
+        const id = instance._data[local];
+        return id ? ModelClass.findOne({ [foreignKey]: id }) : null;
+      },
+    });
+  }
+
+  /**
+   * Define a many-to-many relationship through a pivot table (or collection)
+   * @param {string} name - Relationship name
+   * @param {Function} ModelClass - Related model class
+   * @param {Object} options - Options
+   * @param {string} options.through - Pivot table (default: both table names sorted and joined with _)
+   * @param {string} options.foreignKey - Pivot column referencing this model (default: '<model>_id')
+   * @param {string} options.otherKey - Pivot column referencing the related model (default: '<related>_id')
+   * @param {string} options.localKey - Key on this model (default: primaryKey)
+   * @param {string} options.relatedKey - Key on the related model (default: its primaryKey)
+   */
+  static belongsToMany(name, ModelClass, options = {}) {
+    const relation = {
+      type: 'belongsToMany',
+      ModelClass,
+      through: options.through || [this.tableName, ModelClass.tableName].sort().join('_'),
+      foreignKey: options.foreignKey || `${this.name.toLowerCase()}_id`,
+      otherKey: options.otherKey || `${ModelClass.name.toLowerCase()}_id`,
+      ownerKey: options.localKey || this.primaryKey,
+      relatedKey: options.relatedKey || ModelClass.primaryKey,
+      load: async (instance) => {
+        const id = instance._data[relation.ownerKey];
+        if (!id) {
+          return [];
+        }
+        const byOwner = await this._loadThrough(relation, [id]);
+        return byOwner.get(String(id)) || [];
+      },
+    };
+
+    this._defineRelation(name, relation);
+  }
+
+  /**
+   * Add pivot rows linking this record to related records
+   * @param {string} name - belongsToMany relationship name
+   * @param {*} ids - Id, instance, array of either, or { id: pivotAttributes }
+   * @param {Object} options - Options
+   * @param {Object} options.pivot - Extra pivot columns for every row
+   * @param {Transaction} options.transaction - Transaction to run in
+   * @returns {Promise<boolean>}
+   */
+  async attach(name, ids, options = {}) {
+    const relation = this.constructor._pivotRelation(name);
+    const ownerId = this._pivotOwnerId(relation, 'attach');
+
+    await this._insertPivots(relation, ownerId, pivotEntries(ids, options.pivot, relation.relatedKey), options);
+    delete this._included[name];
+    return true;
+  }
+
+  /**
+   * Remove pivot rows linking this record to related records
+   * @param {string} name - belongsToMany relationship name
+   * @param {*} ids - Id, instance or array of either; omit to remove all
+   * @param {Object} options - Options (transaction)
+   * @returns {Promise<boolean>}
+   */
+  async detach(name, ids = null, options = {}) {
+    const relation = this.constructor._pivotRelation(name);
+    const ownerId = this._pivotOwnerId(relation, 'detach');
+    const db = this.constructor._database(options);
+    const keys = ids === null || ids === undefined
+      ? null
+      : pivotEntries(ids, null, relation.relatedKey).map(entry => entry.id);
+
+    if (keys && keys.length === 0) {
+      return true;
+    }
+
+    if (db.type.toLowerCase() === 'mongodb') {
+      const qb = mongoQueryBuilder(db, relation.through).delete().where(relation.foreignKey, ownerId);
+      if (keys) {
+        qb.in(relation.otherKey, keys);
+      }
+      await qb.execute();
+    } else {
+      const qb = queryBuilder(db).delete(relation.through).where(relation.foreignKey, '=', ownerId);
+      if (keys) {
+        qb.whereIn(relation.otherKey, keys);
+      }
+      await qb.execute();
+    }
+
+    delete this._included[name];
+    return true;
+  }
+
+  /**
+   * Make the pivot rows match a list of related records: missing ones are
+   * attached, others detached, and changed pivot attributes updated.
+   * Runs in a transaction on SQL databases unless one is passed.
+   * @param {string} name - belongsToMany relationship name
+   * @param {*} ids - Id, instance, array of either, or { id: pivotAttributes }
+   * @param {Object} options - Options
+   * @param {Object} options.pivot - Extra pivot columns for attached rows
+   * @param {boolean} options.detaching - Detach records not in ids (default: true)
+   * @param {Transaction} options.transaction - Transaction to run in
+   * @returns {Promise<Object>} - { attached, detached, updated } related ids
+   */
+  async sync(name, ids, options = {}) {
+    const relation = this.constructor._pivotRelation(name);
+    const ownerId = this._pivotOwnerId(relation, 'sync');
+    const db = this.constructor._database(options);
+
+    if (!options.transaction && db.type.toLowerCase() !== 'mongodb') {
+      return await db.transaction(trx => this.sync(name, ids, { ...options, transaction: trx }));
+    }
+
+    const entries = pivotEntries(ids, options.pivot, relation.relatedKey);
+    const current = new Map(
+      (await this.constructor._pivotRows(relation, [ownerId], options))
+        .map(pivot => [String(pivot[relation.otherKey]), pivot])
+    );
+    const wanted = new Set(entries.map(entry => String(entry.id)));
+
+    const detached = options.detaching === false
+      ? []
+      : [...current.values()].filter(pivot => !wanted.has(String(pivot[relation.otherKey]))).map(pivot => pivot[relation.otherKey]);
+    const attach = entries.filter(entry => !current.has(String(entry.id)));
+    const update = entries.filter((entry) => {
+      const pivot = current.get(String(entry.id));
+      return pivot && Object.keys(entry.attributes).some(key => String(pivot[key]) !== String(entry.attributes[key]));
+    });
+
+    if (detached.length > 0) {
+      await this.detach(name, detached, options);
+    }
+    await this._insertPivots(relation, ownerId, attach, options);
+
+    for (const entry of update) {
+      if (db.type.toLowerCase() === 'mongodb') {
+        await mongoQueryBuilder(db, relation.through)
+          .update(entry.attributes)
+          .where(relation.foreignKey, ownerId)
+          .where(relation.otherKey, entry.id)
+          .execute();
+      } else {
+        await queryBuilder(db)
+          .update(relation.through, entry.attributes)
+          .where(relation.foreignKey, '=', ownerId)
+          .where(relation.otherKey, '=', entry.id)
+          .execute();
+      }
+    }
+
+    delete this._included[name];
+    return {
+      attached: attach.map(entry => entry.id),
+      detached,
+      updated: update.map(entry => entry.id),
+    };
+  }
+
+  /**
+   * Insert pivot rows
+   * @private
+   */
+  async _insertPivots(relation, ownerId, entries, options) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const db = this.constructor._database(options);
+    const rows = entries.map(entry => ({
+      ...entry.attributes,
+      [relation.foreignKey]: ownerId,
+      [relation.otherKey]: entry.id,
+    }));
+
+    if (db.type.toLowerCase() === 'mongodb') {
+      await mongoQueryBuilder(db, relation.through).insert(rows).execute();
+    } else {
+      for (const row of rows) {
+        await queryBuilder(db).insert(relation.through, row).execute();
+      }
+    }
+  }
+
+  /**
+   * Owner key value for pivot rows (the record must be saved)
+   * @private
+   */
+  _pivotOwnerId(relation, action) {
+    const id = this._data[relation.ownerKey];
+    if (id === undefined || id === null) {
+      throw new Error(`Cannot ${action} on a ${this.constructor.name} that has not been saved`);
+    }
+    return id;
+  }
+
+  /**
+   * Relationships defined on this model (and inherited from parent models)
+   * @returns {Object} - name -> definition
+   * @protected
+   */
+  static _relations() {
+    if (!Object.prototype.hasOwnProperty.call(this, '_relationDefs')) {
+      const parent = Object.getPrototypeOf(this);
+      this._relationDefs = { ...(parent && parent._relations ? parent._relations() : {}) };
+    }
+    return this._relationDefs;
+  }
+
+  /**
+   * Register a relationship and its getter. The getter resolves to the
+   * eager-loaded value when there is one, else queries the database.
+   * @param {string} name - Relationship name
+   * @param {Object} definition - { type, ModelClass, ownerKey, relatedKey, load(instance) }
+   * @protected
+   */
+  static _defineRelation(name, definition) {
+    this._relations()[name] = definition;
 
     Object.defineProperty(this.prototype, name, {
       async get() {
-        const id = this._data[local];
-        if (!id) {
-          return null;
+        if (Object.prototype.hasOwnProperty.call(this._included, name)) {
+          return this._included[name];
         }
-        return await ModelClass.findOne({ [foreignKey]: id });
+        return await definition.load(this);
       },
       enumerable: true,
       configurable: true,
     });
   }
+
+  /**
+   * Load relationships for a list of instances with one query per
+   * relationship (per batch of keys) and cache them on the instances
+   * @param {Array<Model>} instances - Instances of this model
+   * @param {string|Array|Object} include - 'author', 'comments.user', ['author', { comments: ['user'] }]
+   * @param {Object} options - Query options (transaction)
+   * @returns {Promise<Array<Model>>} - The instances
+   * @protected
+   */
+  static async _eagerLoad(instances, include, options = {}) {
+    const tree = normalizeInclude(include);
+
+    for (const name of Object.keys(tree)) {
+      const relation = this._relations()[name];
+      if (!relation) {
+        throw new Error(`Unknown relationship "${name}" on ${this.name}`);
+      }
+
+      const { type, ModelClass, ownerKey, relatedKey } = relation;
+      const keys = unique(instances.map(instance => instance._data[ownerKey]));
+      const nested = tree[name];
+      let byKey;
+
+      if (type === 'belongsToMany') {
+        byKey = await this._loadThrough(relation, keys, options, nested);
+      } else {
+        const related = await ModelClass._findIn(relatedKey, keys, options);
+        if (related.length > 0 && Object.keys(nested).length > 0) {
+          await ModelClass._eagerLoad(related, nested, options);
+        }
+        byKey = groupBy(related, row => row._data[relatedKey]);
+      }
+
+      for (const instance of instances) {
+        const value = instance._data[ownerKey];
+        const matches = (value !== undefined && value !== null && byKey.get(String(value))) || [];
+        instance._included[name] = type === 'hasMany' || type === 'belongsToMany' ? matches : (matches[0] || null);
+      }
+    }
+
+    return instances;
+  }
+
+  /**
+   * Find records whose field is in a list of keys, in batches
+   * @param {string} field - Field to match
+   * @param {Array} keys - Values
+   * @param {Object} options - Query options (transaction)
+   * @returns {Promise<Array<Model>>}
+   * @protected
+   */
+  static async _findIn(field, keys, options = {}) {
+    const isMongo = this._database(options).type.toLowerCase() === 'mongodb';
+    const results = [];
+
+    for (let i = 0; i < keys.length; i += INCLUDE_BATCH_SIZE) {
+      const batch = keys.slice(i, i + INCLUDE_BATCH_SIZE);
+      const rows = await this._findRows((qb) => {
+        if (isMongo) {
+          qb.in(field, batch);
+        } else {
+          qb.whereIn(field, batch);
+        }
+      }, { transaction: options.transaction });
+      results.push(...rows);
+    }
+
+    return results;
+  }
+
+  /**
+   * Load a belongsToMany relationship for a list of owner keys
+   * @param {Object} relation - Relationship definition
+   * @param {Array} keys - Owner key values
+   * @param {Object} options - Query options (transaction)
+   * @param {Object} include - Normalized nested include for the related models
+   * @returns {Promise<Map>} - String(owner key) -> related instances, each with its pivot row
+   * @protected
+   */
+  static async _loadThrough(relation, keys, options = {}, include = {}) {
+    const { ModelClass, foreignKey, otherKey, relatedKey } = relation;
+    const pivots = await this._pivotRows(relation, keys, options);
+
+    const related = await ModelClass._findIn(relatedKey, unique(pivots.map(pivot => pivot[otherKey])), options);
+    if (related.length > 0 && Object.keys(include).length > 0) {
+      await ModelClass._eagerLoad(related, include, options);
+    }
+    const relatedByKey = groupBy(related, row => row._data[relatedKey]);
+
+    const byOwner = new Map();
+    for (const pivot of pivots) {
+      const match = relatedByKey.get(String(pivot[otherKey]));
+      if (!match) {
+        continue;
+      }
+
+      // One instance per pivot row: the same related record can have different pivot data per owner
+      const instance = ModelClass._hydrate(match[0]._data);
+      instance._included = match[0]._included;
+      instance._pivot = pivot;
+
+      const owner = String(pivot[foreignKey]);
+      if (!byOwner.has(owner)) {
+        byOwner.set(owner, []);
+      }
+      byOwner.get(owner).push(instance);
+    }
+
+    return byOwner;
+  }
+
+  /**
+   * Read pivot rows for a list of owner keys
+   * @param {Object} relation - belongsToMany definition
+   * @param {Array} keys - Owner key values
+   * @param {Object} options - Query options (transaction)
+   * @returns {Promise<Array<Object>>}
+   * @protected
+   */
+  static async _pivotRows(relation, keys, options = {}) {
+    const db = this._database(options);
+    const isMongo = db.type.toLowerCase() === 'mongodb';
+    const rows = [];
+
+    for (let i = 0; i < keys.length; i += INCLUDE_BATCH_SIZE) {
+      const batch = keys.slice(i, i + INCLUDE_BATCH_SIZE);
+      if (isMongo) {
+        rows.push(...await mongoQueryBuilder(db, relation.through).in(relation.foreignKey, batch).find());
+      } else {
+        const result = await queryBuilder(db, relation.through)
+          .select('*')
+          .whereIn(relation.foreignKey, batch)
+          .execute();
+        rows.push(...rowsOf(result));
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * belongsToMany definition for a relationship name
+   * @param {string} name - Relationship name
+   * @returns {Object}
+   * @protected
+   */
+  static _pivotRelation(name) {
+    const relation = this._relations()[name];
+    if (!relation || relation.type !== 'belongsToMany') {
+      throw new Error(`"${name}" is not a belongsToMany relationship on ${this.name}`);
+    }
+    return relation;
+  }
+}
+
+/**
+ * Turn an include option into a tree: { comments: { user: {} }, author: {} }
+ * @private
+ */
+function normalizeInclude(include, tree = {}) {
+  if (!include) {
+    return tree;
+  }
+
+  if (typeof include === 'string') {
+    const [name, ...rest] = include.split('.');
+    tree[name] = tree[name] || {};
+    if (rest.length > 0) {
+      normalizeInclude(rest.join('.'), tree[name]);
+    }
+  } else if (Array.isArray(include)) {
+    include.forEach(item => normalizeInclude(item, tree));
+  } else if (typeof include === 'object') {
+    Object.keys(include).forEach(name => {
+      normalizeInclude(name, tree);
+      if (include[name] !== true) {
+        normalizeInclude(include[name], lastNode(tree, name));
+      }
+    });
+  }
+
+  return tree;
+}
+
+/**
+ * Node for a dotted include path
+ * @private
+ */
+function lastNode(tree, path) {
+  return path.split('.').reduce((node, name) => node[name], tree);
+}
+
+/**
+ * Normalize ids for attach/detach/sync to [{ id, attributes }]
+ * @private
+ */
+function pivotEntries(ids, attributes, relatedKey) {
+  const entries = new Map();
+  const add = (value, extra = {}) => {
+    const id = value instanceof Model ? value._data[relatedKey] : value;
+    if (id !== undefined && id !== null) {
+      entries.set(String(id), { id, attributes: { ...attributes, ...extra } });
+    }
+  };
+
+  if (ids instanceof Map) {
+    ids.forEach((extra, id) => add(id, extra));
+  } else if (Array.isArray(ids)) {
+    ids.forEach(id => add(id));
+  } else if (ids && typeof ids === 'object' && !(ids instanceof Model) && ids.constructor === Object) {
+    // { id: pivotAttributes }: object keys are strings
+    Object.keys(ids).forEach(id => add(id, ids[id]));
+  } else {
+    add(ids);
+  }
+
+  return [...entries.values()];
+}
+
+/**
+ * Group records by a key (compared by string value)
+ * @private
+ */
+function groupBy(rows, getKey) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = String(getKey(row));
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+/**
+ * Rows matched by an UPDATE, or undefined when the driver doesn't say
+ * @private
+ */
+function affectedRows(result) {
+  if (!result) {
+    return undefined;
+  }
+  // mysql2/mssql: affectedRows; better-sqlite3: changes; pg: rowCount; MongoDB: matchedCount
+  for (const key of ['affectedRows', 'changes', 'rowCount', 'matchedCount']) {
+    if (typeof result[key] === 'number') {
+      return result[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Distinct non-empty keys (ObjectIds compared by string value)
+ * @private
+ */
+function unique(values) {
+  const seen = new Map();
+  for (const value of values) {
+    if (value !== undefined && value !== null && !seen.has(String(value))) {
+      seen.set(String(value), value);
+    }
+  }
+  return [...seen.values()];
 }
 
 module.exports = { Model };
@@ -1,6 +1,7 @@
 /**
  * MongoDB Query Builder
  * v5.6: Fluent MongoDB query builder
+ * v5.9: Runs in the session of a transaction passed instead of the pool
  */
 
 class MongoDBQueryBuilder {
@@ -251,7 +252,7 @@ class MongoDBQueryBuilder {
     }
 
     const collection = this.dbPool.db.collection(this.collection);
-    let query = collection.find(this.filter);
+    let query = collection.find(this.filter, this._sessionOptions());
 
     if (Object.keys(this.projection).length > 0) {
       query = query.project(this.projection);
@@ -282,7 +283,7 @@ class MongoDBQueryBuilder {
     }
 
     const collection = this.dbPool.db.collection(this.collection);
-    let query = collection.findOne(this.filter);
+    let query = collection.findOne(this.filter, this._sessionOptions());
 
     if (Object.keys(this.projection).length > 0) {
       query = query.project(this.projection);
@@ -305,7 +306,7 @@ class MongoDBQueryBuilder {
     }
 
     const collection = this.dbPool.db.collection(this.collection);
-    return await collection.countDocuments(this.filter);
+    return await collection.countDocuments(this.filter, this._sessionOptions());
   }
 
   /**
@@ -347,10 +348,10 @@ class MongoDBQueryBuilder {
     const collection = this.dbPool.db.collection(this.collection);
     
     if (Array.isArray(this.insertData)) {
-      const result = await collection.insertMany(this.insertData);
+      const result = await collection.insertMany(this.insertData, this._sessionOptions());
       return { insertedCount: result.insertedCount, insertedIds: result.insertedIds };
     } else {
-      const result = await collection.insertOne(this.insertData);
+      const result = await collection.insertOne(this.insertData, this._sessionOptions());
       return { insertedCount: 1, insertedId: result.insertedId };
     }
   }
@@ -381,6 +382,7 @@ class MongoDBQueryBuilder {
     const updateOptions = {
       upsert: this.updateOptions.upsert || false,
       ...this.updateOptions,
+      ...this._sessionOptions(),
     };
 
     if (this.updateOptions.multi !== false) {
@@ -415,10 +417,10 @@ class MongoDBQueryBuilder {
     const collection = this.dbPool.db.collection(this.collection);
     
     if (this.deleteOptions.multi !== false) {
-      const result = await collection.deleteMany(this.filter);
+      const result = await collection.deleteMany(this.filter, this._sessionOptions());
       return { deletedCount: result.deletedCount };
     } else {
-      const result = await collection.deleteOne(this.filter);
+      const result = await collection.deleteOne(this.filter, this._sessionOptions());
       return { deletedCount: result.deletedCount };
     }
   }
@@ -491,7 +493,15 @@ class MongoDBQueryBuilder {
     }
 
     const collection = this.dbPool.db.collection(this.collection);
-    return await collection.aggregate(this.aggregatePipeline).toArray();
+    return await collection.aggregate(this.aggregatePipeline, this._sessionOptions()).toArray();
+  }
+
+  /**
+   * Driver options carrying the transaction's session, if any
+   * @private
+   */
+  _sessionOptions() {
+    return this.dbPool.session ? { session: this.dbPool.session } : {};
   }
 }
 
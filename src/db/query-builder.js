@@ -54,7 +54,9 @@ class QueryBuilder {
     if (typeof field === 'function') {
       // Nested conditions: where(() => qb.where(...).orWhere(...))
       const subBuilder = new QueryBuilder(this.dbPool);
+      subBuilder.paramIndex = this.paramIndex; // Continue numbered placeholders ($n, @pn)
       field(subBuilder);
+      this.paramIndex = subBuilder.paramIndex;
       this.whereConditions.push({
         type: 'nested',
         conditions: subBuilder.whereConditions,
@@ -99,7 +101,9 @@ class QueryBuilder {
   orWhere(field, operator = null, value = null) {
     if (typeof field === 'function') {
       const subBuilder = new QueryBuilder(this.dbPool);
+      subBuilder.paramIndex = this.paramIndex; // Continue numbered placeholders ($n, @pn)
       field(subBuilder);
+      this.paramIndex = subBuilder.paramIndex;
       this.whereConditions.push({
         type: 'nested',
         conditions: subBuilder.whereConditions,
@@ -504,10 +508,18 @@ class QueryBuilder {
    * @private
    */
   _buildUpdate() {
+    // where() bound its values when it was called. $n and @pn placeholders
+    // are numbered, so the SET values can follow them; ? placeholders are
+    // positional, so the SET values go first and the WHERE values after.
+    const dbType = this.dbPool.type.toLowerCase();
+    const numbered = dbType === 'postgres' || dbType === 'postgresql' || dbType === 'mssql' || dbType === 'sqlserver';
+    const whereParams = numbered ? [] : this.params.splice(0);
+
     const sets = Object.keys(this.updateData).map(key => {
       const param = this._addParam(this.updateData[key]);
       return `${this._escapeIdentifier(key)} = ${param}`;
     });
+    this.params.push(...whereParams);
 
     let sql = `UPDATE ${this._escapeIdentifier(this.table)} SET ${sets.join(', ')}`;
 
@@ -536,28 +548,17 @@ class QueryBuilder {
    * Build WHERE clause
    * @private
    */
-  _buildWhereClause() {
+  _buildWhereClause(whereConditions = this.whereConditions) {
     const conditions = [];
-    let currentLogic = 'AND';
 
-    this.whereConditions.forEach((condition, index) => {
-      if (condition.type === 'nested') {
-        if (index > 0) {
-          conditions.push(condition.logic);
-        }
-        const nestedSql = condition.conditions.map((c, i) => {
-          if (i === 0) {
-            return `(${this._buildCondition(c)})`;
-          }
-          return `${c.logic} (${this._buildCondition(c)})`;
-        }).join(' ');
-        conditions.push(nestedSql);
-      } else {
-        if (index > 0) {
-          conditions.push(condition.logic);
-        }
-        conditions.push(this._buildCondition(condition));
+    whereConditions.forEach((condition, index) => {
+      if (index > 0) {
+        conditions.push(condition.logic);
       }
+      // Parenthesize the whole group, so a nested OR can't escape the surrounding ANDs
+      conditions.push(condition.type === 'nested'
+        ? `(${this._buildWhereClause(condition.conditions)})`
+        : this._buildCondition(condition));
     });
 
     return conditions.join(' ');
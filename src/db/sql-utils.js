@@ -0,0 +1,81 @@
+/**
+ * SQL Utilities
+ * v5.9: Helpers shared by the modules that store their own rows through
+ * DatabasePool (outbox, idempotency store, Model)
+ */
+
+/**
+ * Rows from a DatabasePool.query() result (Postgres wraps them in { rows })
+ * @param {*} result - Query result
+ * @returns {Array<Object>}
+ */
+function rowsOf(result) {
+  if (Array.isArray(result)) {
+    return result;
+  }
+  return (result && (result.rows || result.recordset)) || [];
+}
+
+/**
+ * Parse a JSON column. Drivers that decode JSON themselves (pg, mysql2)
+ * return objects, which are passed through; text that isn't JSON is
+ * returned unchanged.
+ * @param {*} value - Column value
+ * @returns {*} - Parsed value, or null when undefined
+ */
+function parseJSON(value) {
+  if (typeof value !== 'string') {
+    return value === undefined ? null : value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Escape identifier for SQL
+ * @param {string} dbType - Database type (lowercase)
+ * @param {string} identifier - Table or column name
+ * @returns {string}
+ */
+function escapeIdentifier(dbType, identifier) {
+  if (dbType === 'mysql' || dbType === 'mariadb') {
+    return `\`${identifier}\``;
+  } else if (dbType === 'mssql' || dbType === 'sqlserver') {
+    return `[${identifier}]`;
+  }
+  return `"${identifier}"`;
+}
+
+/**
+ * Whether a driver error is a primary key or unique constraint violation
+ * (pg, mysql2, better-sqlite3/sqlite3 and mssql error shapes)
+ * @param {Error} error - Driver error
+ * @returns {boolean}
+ */
+function isUniqueViolation(error) {
+  if (!error) {
+    return false;
+  }
+  const code = String(error.code || '');
+  if (code === '23505' || code === 'ER_DUP_ENTRY' || error.errno === 1062) {
+    return true;
+  }
+  if (code === 'SQLITE_CONSTRAINT_PRIMARYKEY' || code === 'SQLITE_CONSTRAINT_UNIQUE' ||
+      (code === 'SQLITE_CONSTRAINT' && /UNIQUE|PRIMARY KEY/i.test(error.message))) {
+    return true;
+  }
+  const number = error.number !== undefined
+    ? error.number
+    : error.originalError && error.originalError.info && error.originalError.info.number;
+  return number === 2627 || number === 2601;
+}
+
+module.exports = {
+  rowsOf,
+  parseJSON,
+  escapeIdentifier,
+  isUniqueViolation,
+};
@@ -0,0 +1,371 @@
+/**
+ * Database Transactions
+ * v5.9: Transactions on a DatabasePool connection, with savepoints for
+ * nested transactions
+ *
+ * A Transaction exposes type and query() like DatabasePool, so it can be
+ * passed anywhere a pool is accepted: queryBuilder(trx), mongoQueryBuilder(trx),
+ * Model methods ({ transaction: trx }) and Outbox.add(trx, event).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Isolation levels as written in SQL; SNAPSHOT is SQL Server (and MongoDB) only
+const ISOLATION_LEVELS = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE', 'SNAPSHOT'];
+
+class Transaction {
+  /**
+   * Use DatabasePool.transaction() rather than constructing directly
+   * @param {DatabasePool} dbPool - Pool the transaction belongs to
+   * @param {Object} state - { connection, session, release, parent, savepoint }
+   */
+  constructor(dbPool, state = {}) {
+    this.dbPool = dbPool;
+    this.type = dbPool.type;
+    this.db = dbPool.db;
+    this.connection = state.connection || null; // pg client, mysql connection, sqlite db or mssql Transaction
+    this.session = state.session || null; // MongoDB ClientSession
+    this.parent = state.parent || null;
+    this.savepoint = state.savepoint || null;
+    this.root = this.parent ? this.parent.root : this;
+    this.savepointCount = 0;
+    this.completed = null; // 'committed' or 'rolled back'
+    this._release = state.release || (() => {});
+  }
+
+  /**
+   * Begin a transaction on a connected pool
+   * @param {DatabasePool} dbPool - Database pool
+   * @param {Object} options - { isolationLevel, readConcern, writeConcern }
+   * @returns {Promise<Transaction>}
+   */
+  static async begin(dbPool, options = {}) {
+    const dbType = dbPool.type.toLowerCase();
+    const level = normalizeIsolationLevel(options.isolationLevel);
+
+    switch (dbType) {
+      case 'postgres':
+      case 'postgresql': {
+        if (level === 'SNAPSHOT') {
+          throw new Error('PostgreSQL does not support the SNAPSHOT isolation level');
+        }
+        const client = await dbPool.pool.connect();
+        try {
+          await client.query(level ? `BEGIN ISOLATION LEVEL ${level}` : 'BEGIN');
+        } catch (error) {
+          client.release(error);
+          throw error;
+        }
+        return new Transaction(dbPool, {
+          connection: client,
+          release: (error) => client.release(error),
+        });
+      }
+
+      case 'mysql':
+      case 'mariadb': {
+        if (level === 'SNAPSHOT') {
+          throw new Error('MySQL does not support the SNAPSHOT isolation level');
+        }
+        const connection = await dbPool.pool.getConnection();
+        try {
+          if (level) {
+            // Applies to the next transaction on this connection only
+            await connection.query(`SET TRANSACTION ISOLATION LEVEL ${level}`);
+          }
+          await connection.beginTransaction();
+        } catch (error) {
+          connection.release();
+          throw error;
+        }
+        return new Transaction(dbPool, {
+          connection,
+          release: () => connection.release(),
+        });
+      }
+
+      case 'sqlite':
+      case 'sqlite3': {
+        if (level && level !== 'SERIALIZABLE') {
+          throw new Error('SQLite transactions are always SERIALIZABLE');
+        }
+        // One connection: other queries wait until this transaction ends
+        const unlock = await dbPool._lockExclusive();
+        try {
+          await dbPool._execute(dbPool.pool, 'BEGIN');
+        } catch (error) {
+          unlock();
+          throw error;
+        }
+        return new Transaction(dbPool, {
+          connection: dbPool.pool,
+          release: unlock,
+        });
+      }
+
+      case 'mssql':
+      case 'sqlserver': {
+        const sql = require('mssql');
+        const transaction = new sql.Transaction(dbPool.pool);
+        await transaction.begin(level ? sql.ISOLATION_LEVEL[level.replace(/ /g, '_')] : undefined);
+        return new Transaction(dbPool, { connection: transaction });
+      }
+
+      case 'mongodb': {
+        if (level && level !== 'SNAPSHOT') {
+          throw new Error('MongoDB transactions only support the SNAPSHOT isolation level (or pass readConcern)');
+        }
+        const session = dbPool.pool.startSession();
+        const transactionOptions = {};
+        if (options.readConcern || level) {
+          transactionOptions.readConcern = options.readConcern || { level: 'snapshot' };
+        }
+        if (options.writeConcern) {
+          transactionOptions.writeConcern = options.writeConcern;
+        }
+        session.startTransaction(transactionOptions);
+        return new Transaction(dbPool, {
+          session,
+          release: () => session.endSession(),
+        });
+      }
+
+      default:
+        throw new Error(`Transactions are not supported for database type: ${dbPool.type}`);
+    }
+  }
+
+  /**
+   * Execute a query on the transaction's connection
+   * @param {string} query - SQL query (or MongoDB collection name)
+   * @param {Array} params - Query parameters
+   * @returns {Promise<*>} - Query result, shaped like DatabasePool.query()
+   */
+  async query(query, params = []) {
+    this._assertActive();
+    return await this.dbPool._execute(this.connection, query, params, this.session);
+  }
+
+  /**
+   * Start a nested transaction (a savepoint). With a function, it is
+   * released when the function resolves and rolled back to when it throws,
+   * leaving the outer transaction open either way.
+   * @param {Function} fn - async (trx) => result; omit to get the nested Transaction
+   * @returns {Promise<*>} - fn's result, or the nested Transaction
+   */
+  async transaction(fn = null) {
+    this._assertActive();
+
+    const dbType = this.type.toLowerCase();
+    if (dbType === 'mongodb') {
+      throw new Error('MongoDB transactions cannot be nested: there are no savepoints');
+    }
+
+    const name = `navis_sp_${++this.root.savepointCount}`;
+    await this._control(dbType === 'mssql' || dbType === 'sqlserver'
+      ? `SAVE TRANSACTION ${name}`
+      : `SAVEPOINT ${name}`);
+
+    const nested = new Transaction(this.dbPool, {
+      connection: this.connection,
+      session: this.session,
+      parent: this,
+      savepoint: name,
+    });
+
+    return fn ? nested._run(fn) : nested;
+  }
+
+  /**
+   * Commit (or release the savepoint of a nested transaction)
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    this._assertActive();
+    const dbType = this.type.toLowerCase();
+
+    if (this.parent) {
+      // SQL Server has no RELEASE SAVEPOINT: the savepoint just stays until the outer commit
+      if (dbType !== 'mssql' && dbType !== 'sqlserver') {
+        await this._control(`RELEASE SAVEPOINT ${this.savepoint}`);
+      }
+      this.completed = 'committed';
+      return;
+    }
+
+    let failure = null;
+    try {
+      switch (dbType) {
+        case 'mysql':
+        case 'mariadb':
+        case 'mssql':
+        case 'sqlserver':
+          await this.connection.commit();
+          break;
+        case 'mongodb':
+          await this.session.commitTransaction();
+          break;
+        default:
+          await this._control('COMMIT');
+      }
+    } catch (error) {
+      failure = error;
+      // Don't hand a connection with an open transaction back to the pool
+      await this._rollbackRoot().catch(() => {});
+      throw error;
+    } finally {
+      this.completed = failure ? 'rolled back' : 'committed';
+      await this._release(failure || undefined);
+    }
+  }
+
+  /**
+   * Roll back (or roll back to the savepoint of a nested transaction)
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    this._assertActive();
+    const dbType = this.type.toLowerCase();
+
+    if (this.parent) {
+      try {
+        await this._control(dbType === 'mssql' || dbType === 'sqlserver'
+          ? `ROLLBACK TRANSACTION ${this.savepoint}`
+          : `ROLLBACK TO SAVEPOINT ${this.savepoint}`);
+      } finally {
+        this.completed = 'rolled back';
+      }
+      return;
+    }
+
+    let failure;
+    try {
+      await this._rollbackRoot();
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      this.completed = 'rolled back';
+      await this._release(failure);
+    }
+  }
+
+  /**
+   * Check whether the transaction has been committed or rolled back
+   * @returns {boolean}
+   */
+  isCompleted() {
+    return this.completed !== null;
+  }
+
+  /**
+   * Run fn, then commit, or roll back if it throws
+   * @private
+   */
+  async _run(fn) {
+    let result;
+    try {
+      result = await running.run(this, () => fn(this));
+    } catch (error) {
+      if (!this.completed) {
+        try {
+          await this.rollback();
+        } catch (rollbackError) {
+          error.rollbackError = rollbackError;
+        }
+      }
+      throw error;
+    }
+
+    if (!this.completed) {
+      await this.commit();
+    }
+    return result;
+  }
+
+  /**
+   * Roll back the outermost transaction
+   * @private
+   */
+  async _rollbackRoot() {
+    switch (this.type.toLowerCase()) {
+      case 'mysql':
+      case 'mariadb':
+      case 'mssql':
+      case 'sqlserver':
+        await this.connection.rollback();
+        break;
+      case 'mongodb':
+        await this.session.abortTransaction();
+        break;
+      default:
+        await this._control('ROLLBACK');
+    }
+  }
+
+  /**
+   * Run a transaction control statement
+   * @private
+   */
+  async _control(statement) {
+    const dbType = this.type.toLowerCase();
+    if (dbType === 'mysql' || dbType === 'mariadb') {
+      // Savepoint statements aren't all allowed as prepared statements
+      await this.connection.query(statement);
+      return;
+    }
+    await this.dbPool._execute(this.connection, statement);
+  }
+
+  /**
+   * Throw when this transaction or an enclosing one has finished
+   * @private
+   */
+  _assertActive() {
+    for (let trx = this; trx; trx = trx.parent) {
+      if (trx.completed) {
+        throw new Error(`Transaction has already been ${trx.completed}`);
+      }
+    }
+  }
+}
+
+// The transaction whose callback is running (see currentTransaction())
+const running = new AsyncLocalStorage();
+
+/**
+ * The open transaction on dbPool whose callback the caller is running in,
+ * if any. Used on SQLite, where the pool's only connection is held by that
+ * transaction until the callback returns.
+ * @param {DatabasePool} dbPool - Database pool
+ * @returns {Transaction|null}
+ */
+function currentTransaction(dbPool) {
+  const trx = running.getStore();
+  if (!trx || trx.dbPool !== dbPool || trx.root.completed) {
+    return null;
+  }
+  return trx;
+}
+
+/**
+ * Normalize 'read committed', 'READ_COMMITTED', 'repeatable-read', ...
+ * @private
+ */
+function normalizeIsolationLevel(level) {
+  if (!level) {
+    return null;
+  }
+
+  const normalized = String(level).trim().toUpperCase().replace(/[_-]+/g, ' ');
+  if (!ISOLATION_LEVELS.includes(normalized)) {
+    throw new Error(`Unknown isolation level: ${level}. Expected one of: ${ISOLATION_LEVELS.join(', ')}`);
+  }
+  return normalized;
+}
+
+module.exports = {
+  Transaction,
+  ISOLATION_LEVELS,
+  currentTransaction,
+};
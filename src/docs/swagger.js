@@ -3,6 +3,8 @@
  * v5.1: Auto-generate OpenAPI 3.0 specification
  */
 
+const { expandOptional } = require('../core/radix-tree');
+
 class SwaggerGenerator {
   constructor(options = {}) {
     this.info = {
@@ -48,6 +50,39 @@ class SwaggerGenerator {
     };
   }
 
+  /**
+   * Add every route of an app, including mounted child apps (v5.9)
+   * Routes that already have a spec are left unchanged; routes registered
+   * with all() are skipped since they have no single operation.
+   * @param {NavisApp} app - Application to document
+   * @param {Object} specs - Optional specs keyed by 'METHOD /path'
+   * @returns {SwaggerGenerator} - this (chainable)
+   */
+  addApp(app, specs = {}) {
+    for (const route of app.getRoutes()) {
+      if (route.method === 'ALL') {
+        continue;
+      }
+
+      // OpenAPI path params are always required: /:lang?/docs is documented
+      // as /{lang}/docs and /docs
+      const spec = specs[`${route.method} ${route.path}`] || {};
+      for (const path of expandOptional(route.path)) {
+        const normalizedPath = this._normalizePath(path);
+        const method = route.method.toLowerCase();
+        if (this.paths[normalizedPath] && this.paths[normalizedPath][method]) {
+          continue;
+        }
+
+        this.addRoute(route.method, path, {
+          parameters: this._pathParameters(path),
+          ...spec,
+        });
+      }
+    }
+    return this;
+  }
+
   /**
    * Add a schema component
    * @param {string} name - Schema name
@@ -90,11 +125,35 @@ class SwaggerGenerator {
   }
 
   /**
-   * Normalize path for OpenAPI (convert :param to {param})
+   * Normalize path for OpenAPI (convert :param, :param<type>, :param(regex) and *name to {param})
    * @private
    */
   _normalizePath(path) {
-    return path.replace(/:([^/]+)/g, '{$1}');
+    return path
+      .replace(/:([A-Za-z_$][\w$]*)(?:<\w+>)?(?:\([^/]*\))?\??/g, '{$1}')
+      .replace(/\*([A-Za-z_$][\w$]*)/g, '{$1}');
+  }
+
+  /**
+   * Build OpenAPI path parameters from a route pattern
+   * @private
+   */
+  _pathParameters(path) {
+    const types = { int: 'integer', integer: 'integer', number: 'number', float: 'number', bool: 'boolean', boolean: 'boolean' };
+    const parameters = [];
+    const pattern = /:([A-Za-z_$][\w$]*)(?:<(\w+)>)?|\*([A-Za-z_$][\w$]*)/g;
+    let match;
+
+    while ((match = pattern.exec(path)) !== null) {
+      const type = match[2] ? types[match[2].toLowerCase()] : null;
+      parameters.push({
+        name: match[1] || match[3],
+        in: 'path',
+        required: true,
+        schema: { type: type || 'string' },
+      });
+    }
+    return parameters;
   }
 }
 
@@ -112,6 +171,7 @@ function swagger(options = {}) {
     uiPath = '/docs',
     servers = [],
     tags = [],
+    app = null,
   } = options;
 
   const generator = new SwaggerGenerator({
@@ -134,6 +194,11 @@ function swagger(options = {}) {
     middleware: async (req, res, next) => {
       const requestPath = req.path || req.url;
 
+      // Pick up routes (including mounted apps) registered since the last request
+      if (app && (requestPath === path || requestPath === uiPath)) {
+        generator.addApp(app);
+      }
+
       // Serve OpenAPI JSON
       if (requestPath === path) {
         res.statusCode = 200;
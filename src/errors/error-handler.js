@@ -38,18 +38,42 @@ class ForbiddenError extends AppError {
   }
 }
 
+class MethodNotAllowedError extends AppError {
+  constructor(message = 'Method not allowed') {
+    super(message, 405, 'METHOD_NOT_ALLOWED');
+  }
+}
+
 class ConflictError extends AppError {
   constructor(message = 'Conflict') {
     super(message, 409, 'CONFLICT');
   }
 }
 
+class PayloadTooLargeError extends AppError {
+  constructor(message = 'Payload too large') {
+    super(message, 413, 'PAYLOAD_TOO_LARGE');
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message = 'Unsupported media type') {
+    super(message, 415, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+}
+
 class InternalServerError extends AppError {
   constructor(message = 'Internal server error') {
     super(message, 500, 'INTERNAL_SERVER_ERROR');
   }
 }
 
+class GatewayTimeoutError extends AppError {
+  constructor(message = 'Gateway timeout') {
+    super(message, 504, 'GATEWAY_TIMEOUT');
+  }
+}
+
 /**
  * Error handler middleware
  * @param {Object} options - Error handler options
@@ -148,8 +172,12 @@ module.exports = {
   BadRequestError,
   UnauthorizedError,
   ForbiddenError,
+  MethodNotAllowedError,
   ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
   InternalServerError,
+  GatewayTimeoutError,
   errorHandler,
   asyncHandler,
   notFoundHandler,
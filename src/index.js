@@ -1,7 +1,16 @@
 ﻿const NavisApp = require('./core/app');
+const { NavisResponse } = require('./core/response');
+const lambdaEvents = require('./core/lambda-events');
 const ServiceClient = require('./utils/service-client');
 const ServiceConfig = require('./utils/service-config');
 const ServiceDiscovery = require('./utils/service-discovery');
+const loadBalancing = require('./utils/load-balancing');
+const {
+  DiscoveryProvider,
+  FileDiscoveryProvider,
+  EnvDiscoveryProvider,
+  DnsDiscoveryProvider,
+} = require('./utils/discovery-providers');
 const CircuitBreaker = require('./utils/circuit-breaker');
 const { success, error } = require('./utils/response');
 const { retry, shouldRetryHttpStatus } = require('./utils/retry');
@@ -10,6 +19,11 @@ const { retry, shouldRetryHttpStatus } = require('./utils/retry');
 const SQSMessaging = require('./messaging/sqs-adapter');
 const KafkaMessaging = require('./messaging/kafka-adapter');
 const NATSMessaging = require('./messaging/nats-adapter');
+const InMemoryMessaging = require('./messaging/in-memory-adapter');
+const { Outbox, OutboxRelay, createOutbox } = require('./messaging/outbox');
+const { idempotentConsumer, defaultMessageKey } = require('./messaging/idempotent-consumer');
+const { createEnvelope, isEnvelope, createTraceparent } = require('./messaging/event-envelope');
+const { SchemaRegistry, SchemaCompatibilityError, createSchemaRegistry } = require('./messaging/schema-registry');
 
 // v3: Observability
 const Logger = require('./observability/logger');
@@ -40,8 +54,12 @@ const {
   BadRequestError,
   UnauthorizedError,
   ForbiddenError,
+  MethodNotAllowedError,
   ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
   InternalServerError,
+  GatewayTimeoutError,
   errorHandler,
   asyncHandler,
   notFoundHandler,
@@ -51,7 +69,13 @@ const {
 const Cache = require('./cache/cache');
 const RedisCache = require('./cache/redis-cache');
 const AdvancedCache = require('./cache/advanced-cache');
+const {
+  CacheIdempotencyStore,
+  SQLIdempotencyStore,
+  createIdempotencyStore,
+} = require('./cache/idempotency-store');
 const cache = require('./middleware/cache-middleware');
+const idempotency = require('./middleware/idempotency');
 const cors = require('./middleware/cors');
 const security = require('./middleware/security');
 const compress = require('./middleware/compression');
@@ -62,13 +86,14 @@ const gracefulShutdown = require('./core/graceful-shutdown');
 const { SwaggerGenerator, swagger } = require('./docs/swagger');
 const { VersionManager, createVersionManager, headerVersioning } = require('./core/versioning');
 const { upload, saveFile } = require('./middleware/upload');
-const { TestApp, testApp } = require('./testing/test-helper');
+const { TestApp, testApp, mockEvents } = require('./testing/test-helper');
 
 // v5.2: Real-time Features
 const WebSocketServer = require('./websocket/websocket-server');
 const { SSEServer, createSSEServer, sse } = require('./sse/server-sent-events');
 const { DatabasePool, createPool, queryBuilder, mongoQueryBuilder } = require('./db/db-pool');
 const { Model } = require('./db/model');
+const { Transaction } = require('./db/transaction');
 const { Migration, createMigration } = require('./db/migration');
 
 // v5.4: GraphQL Support
@@ -85,6 +110,8 @@ const {
 module.exports = {
   // Core
   NavisApp,
+  NavisResponse,
+  lambdaEvents,
   
   // Service Client (v2 enhanced)
   ServiceClient,
@@ -92,12 +119,29 @@ module.exports = {
   // v2 Features
   ServiceConfig,
   ServiceDiscovery,
+  loadBalancing,
+  DiscoveryProvider,
+  FileDiscoveryProvider,
+  EnvDiscoveryProvider,
+  DnsDiscoveryProvider,
   CircuitBreaker,
   
   // v3: Async Messaging
   SQSMessaging,
   KafkaMessaging,
   NATSMessaging,
+  InMemoryMessaging,
+  Outbox,
+  OutboxRelay,
+  createOutbox,
+  idempotentConsumer,
+  defaultMessageKey,
+  createEnvelope,
+  isEnvelope,
+  createTraceparent,
+  SchemaRegistry,
+  SchemaCompatibilityError,
+  createSchemaRegistry,
   
   // v3: Observability
   Logger,
@@ -129,8 +173,12 @@ module.exports = {
   BadRequestError,
   UnauthorizedError,
   ForbiddenError,
+  MethodNotAllowedError,
   ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
   InternalServerError,
+  GatewayTimeoutError,
   errorHandler,
   asyncHandler,
   notFoundHandler,
@@ -139,7 +187,11 @@ module.exports = {
   Cache,
   RedisCache,
   AdvancedCache,
+  CacheIdempotencyStore,
+  SQLIdempotencyStore,
+  createIdempotencyStore,
   cache,
+  idempotency,
   cors,
   security,
   compress,
@@ -157,6 +209,7 @@ module.exports = {
   saveFile,
   TestApp,
   testApp,
+  mockEvents,
   
   // v5.2: Real-time Features
   WebSocketServer,
@@ -167,6 +220,7 @@ module.exports = {
   createPool,
   queryBuilder,
   mongoQueryBuilder,
+  Transaction,
   Model,
   Migration,
   createMigration,
@@ -1,13 +1,76 @@
 /**
  * Base Messaging Interface
  * v3: Abstract base class for async messaging adapters
+ * v5.9: Shared retry, dead-letter and poison-message policy; CloudEvents
+ * envelopes validated against a schema registry
  */
 
+const { createEnvelope, isEnvelope } = require('./event-envelope');
+
+// Headers/attributes added to dead-lettered messages
+const DEAD_LETTER_HEADERS = {
+  source: 'x-original-destination',
+  attempts: 'x-attempts',
+  reason: 'x-dead-letter-reason',
+  error: 'x-error-message',
+  failedAt: 'x-failed-at',
+};
+
+// Deliveries remembered for redelivery (after a failed dead-lettering, or
+// with handlers that already succeeded)
+const MAX_FAILED_DELIVERIES = 1000;
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  initialDelay: 100, // ms before the second attempt
+  multiplier: 2,
+  maxDelay: 30000,
+  retryable: null, // (error) => boolean; non-retryable errors dead-letter at once
+  deadLetter: null, // DLQ topic/queue/subject; null drops (or leaves redelivery to the broker)
+};
+
 class BaseMessaging {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {Object} options.retry - Retry policy ({ maxAttempts, initialDelay, multiplier, maxDelay, retryable })
+   * @param {string} options.deadLetter - Dead-letter destination
+   * @param {Function} options.onDeadLetter - Alert hook, see onDeadLetter()
+   * @param {boolean|Object} options.envelope - Publish CloudEvents envelopes ({ source, traceparent: () => string })
+   * @param {SchemaRegistry} options.schemaRegistry - Validate payloads on publish and consume (implies envelope)
+   */
   constructor(options = {}) {
     this.options = options;
     this.subscribers = new Map(); // topic -> [handlers]
     this.isConnected = false;
+    this.retryPolicy = {
+      ...DEFAULT_RETRY_POLICY,
+      ...options.retry,
+      deadLetter: options.deadLetter || (options.retry && options.retry.deadLetter) || null,
+    };
+    this.deadLetterHooks = options.onDeadLetter ? [options.onDeadLetter] : [];
+    // Deliveries that failed every attempt but couldn't be dead-lettered, by
+    // delivery id: a redelivery goes straight back to dead-lettering
+    this.failedDeliveries = new Map();
+    // Handlers that succeeded for a delivery the broker will redeliver, by delivery id
+    this.completedHandlers = new Map();
+    this.schemaRegistry = options.schemaRegistry || null;
+    this.envelope = (options.envelope || this.schemaRegistry)
+      ? {
+        source: process.env.SERVICE_NAME || 'navis-service',
+        traceparent: null,
+        ...(typeof options.envelope === 'object' ? options.envelope : {}),
+      }
+      : null;
+  }
+
+  /**
+   * Register an alert hook called whenever a message is dead-lettered or dropped
+   * @param {Function} fn - async ({ destination, deadLetter, message, error, attempts, reason, headers, metadata }) => void
+   * @returns {BaseMessaging} - this (chainable)
+   */
+  onDeadLetter(fn) {
+    this.deadLetterHooks.push(fn);
+    return this;
   }
 
   /**
@@ -58,6 +121,245 @@ class BaseMessaging {
     throw new Error('unsubscribe() must be implemented by subclass');
   }
 
+  /**
+   * Parse a delivery and run its handlers under the retry/dead-letter policy.
+   * Brokers that redeliver on their own (SQS) get one attempt per delivery and
+   * an error carrying retryDelay; others are retried in-process with backoff.
+   * A retry runs only the handlers that haven't succeeded yet (for redeliveries,
+   * when the delivery has an id).
+   * @protected
+   * @param {string} destination - Topic/queue/subject the message came from
+   * @param {string|Buffer} raw - Raw message body
+   * @param {Object} metadata - Adapter metadata passed to handlers (attempt is added)
+   * @param {Object} delivery - { handlers, attempt (1-based), redelivers, retry (policy overrides),
+   *   id (identifies redeliveries of the message, e.g. Kafka topic/partition/offset) }
+   * @returns {Promise<string>} - 'processed' or 'dead-lettered'; throws when the broker should redeliver,
+   *   including when publishing to the dead-letter destination fails
+   */
+  async _deliver(destination, raw, metadata, delivery = {}) {
+    const policy = { ...this.retryPolicy, ...delivery.retry };
+    const handlers = delivery.handlers || this._getHandlers(destination);
+    const id = delivery.id === undefined ? null : delivery.id;
+    let attempt = delivery.attempt || 1;
+
+    // Redelivered after its dead-lettering failed: don't run the handlers again
+    const failed = id === null ? null : this.failedDeliveries.get(id);
+    if (failed) {
+      await this._deadLetterDelivery(id, failed);
+      return 'dead-lettered';
+    }
+
+    // Poison message: it can never succeed, so skip retries
+    let body;
+    try {
+      body = JSON.parse(raw instanceof Uint8Array ? Buffer.from(raw).toString('utf8') : raw);
+    } catch (error) {
+      await this._deadLetterDelivery(id, {
+        destination, message: raw === undefined ? null : String(raw), metadata, error, attempts: attempt, reason: 'parse-error', policy,
+      });
+      return 'dead-lettered';
+    }
+
+    // Envelopes: handlers get the data, the event attributes go in metadata.event
+    let event = null;
+    if (this.envelope && isEnvelope(body)) {
+      event = body;
+      // The dead-letter destination holds events that already failed validation
+      if (this.schemaRegistry && destination !== policy.deadLetter) {
+        try {
+          this.schemaRegistry.assertValid(event.type, event.data, event.dataversion);
+        } catch (error) {
+          await this._deadLetterDelivery(id, {
+            destination, message: event, metadata, error, attempts: attempt, reason: 'schema-validation', policy,
+          });
+          return 'dead-lettered';
+        }
+      }
+      body = event.data;
+      metadata = { ...metadata, event };
+    }
+
+    // Handlers that already succeeded aren't run again on a retry or redelivery
+    const completed = (id !== null && this.completedHandlers.get(id)) || new Set();
+
+    for (;;) {
+      try {
+        for (const handler of handlers) {
+          if (!completed.has(handler)) {
+            await handler(body, { ...metadata, attempt });
+            completed.add(handler);
+          }
+        }
+        if (id !== null) {
+          this.completedHandlers.delete(id);
+        }
+        return 'processed';
+      } catch (error) {
+        const retryable = !policy.retryable || policy.retryable(error);
+
+        if (!retryable || attempt >= policy.maxAttempts) {
+          if (id !== null) {
+            this.completedHandlers.delete(id);
+          }
+          const reason = retryable ? 'max-attempts' : 'non-retryable';
+          const published = await this._deadLetterDelivery(id, {
+            destination, message: event || body, metadata, error, attempts: attempt, reason, policy,
+          });
+          // Without a DLQ, let a redelivering broker apply its own redrive policy
+          if (!published && delivery.redelivers) {
+            throw error;
+          }
+          return 'dead-lettered';
+        }
+
+        const delay = this._retryDelay(attempt, policy);
+        if (delivery.redelivers) {
+          if (id !== null && completed.size > 0) {
+            remember(this.completedHandlers, id, completed);
+          }
+          error.retryDelay = delay;
+          throw error;
+        }
+
+        console.error(`Message handler failed on ${destination} (attempt ${attempt}/${policy.maxAttempts}), retrying in ${delay}ms:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        attempt++;
+      }
+    }
+  }
+
+  /**
+   * Serialize a message for publishing, wrapping it in a CloudEvents envelope
+   * and validating it when envelopes are enabled. Messages that already are
+   * envelopes (dead-lettered events) are sent as they are.
+   * @protected
+   * @param {string} destination - Topic/queue/subject
+   * @param {*} message - Payload
+   * @param {Object} options - Publish options (type, id, subject, time, traceparent, correlationId, version, extensions)
+   * @returns {string} - JSON message body
+   * @throws {ValidationError} - When the payload fails its schema
+   */
+  _encode(destination, message, options = {}) {
+    if (!this.envelope || isEnvelope(message)) {
+      return JSON.stringify(message);
+    }
+
+    // Default type: the destination name (last segment of an SQS queue URL)
+    const type = options.type || String(destination).split('/').pop();
+    let version = options.version;
+    if (this.schemaRegistry) {
+      if (version === undefined) {
+        const latest = this.schemaRegistry.latestVersion(type);
+        version = latest === null ? undefined : latest;
+      }
+      this.schemaRegistry.assertValid(type, message, version);
+    }
+
+    const traceparent = options.traceparent ||
+      (typeof this.envelope.traceparent === 'function' ? this.envelope.traceparent() : this.envelope.traceparent);
+
+    return JSON.stringify(createEnvelope(message, {
+      type,
+      source: options.source || this.envelope.source,
+      id: options.id,
+      time: options.time,
+      subject: options.subject,
+      traceparent: traceparent || undefined,
+      correlationId: options.correlationId,
+      version,
+      extensions: options.extensions,
+    }));
+  }
+
+  /**
+   * Publish a failed message to the dead-letter destination and run alert hooks
+   * @protected
+   * @returns {Promise<boolean>} - True if the message was published to a DLQ
+   */
+  async _deadLetter(destination, message, metadata, error, attempts, reason, policy = this.retryPolicy) {
+    const headers = {
+      [DEAD_LETTER_HEADERS.source]: destination,
+      [DEAD_LETTER_HEADERS.attempts]: String(attempts),
+      [DEAD_LETTER_HEADERS.reason]: reason,
+      [DEAD_LETTER_HEADERS.error]: String(error && error.message ? error.message : error),
+      [DEAD_LETTER_HEADERS.failedAt]: new Date().toISOString(),
+    };
+
+    let published = false;
+    if (policy.deadLetter && policy.deadLetter !== destination) {
+      await this.publish(policy.deadLetter, message, this._headerOptions(headers));
+      published = true;
+    } else {
+      console.error(`Message on ${destination} failed after ${attempts} attempt(s) (${reason}) and no dead-letter destination is configured:`, headers[DEAD_LETTER_HEADERS.error]);
+    }
+
+    for (const hook of this.deadLetterHooks) {
+      try {
+        await hook({
+          destination,
+          deadLetter: policy.deadLetter,
+          message,
+          error,
+          attempts,
+          reason,
+          headers,
+          metadata,
+        });
+      } catch (hookError) {
+        console.error('Dead-letter hook error:', hookError);
+      }
+    }
+
+    return published;
+  }
+
+  /**
+   * Dead-letter a delivery. When publishing to the dead-letter destination
+   * fails, the delivery is remembered by id and the error rethrown, so the
+   * message isn't acknowledged and its redelivery resumes at this point.
+   * @protected
+   * @param {*} id - Delivery id, or null
+   * @param {Object} failure - { destination, message, metadata, error, attempts, reason, policy }
+   * @returns {Promise<boolean>} - True if the message was published to a DLQ
+   */
+  async _deadLetterDelivery(id, failure) {
+    let published;
+    try {
+      published = await this._deadLetter(failure.destination, failure.message, failure.metadata,
+        failure.error, failure.attempts, failure.reason, failure.policy);
+    } catch (error) {
+      if (id !== null) {
+        remember(this.failedDeliveries, id, failure);
+      }
+      console.error(`Dead-lettering a message from ${failure.destination} failed, leaving it for redelivery:`, error.message);
+      throw error;
+    }
+
+    if (id !== null) {
+      this.failedDeliveries.delete(id);
+    }
+    return published;
+  }
+
+  /**
+   * Publish options carrying message headers (dead-letter and outbox metadata);
+   * adapters override for their format
+   * @protected
+   * @param {Object} headers - Header name -> string value
+   * @returns {Object} - Options for publish()
+   */
+  _headerOptions(headers) {
+    return { headers };
+  }
+
+  /**
+   * Backoff before the next attempt
+   * @protected
+   */
+  _retryDelay(attempt, policy = this.retryPolicy) {
+    return Math.min(policy.initialDelay * Math.pow(policy.multiplier, attempt - 1), policy.maxDelay);
+  }
+
   /**
    * Register a handler for a topic
    * @protected
@@ -76,6 +378,50 @@ class BaseMessaging {
   _getHandlers(topic) {
     return this.subscribers.get(topic) || [];
   }
+
+  /**
+   * Read a header from handler metadata, whatever the adapter's format
+   * (Kafka Buffer values, NATS MsgHdrs, SQS message attributes)
+   * @param {Object} metadata - Handler metadata
+   * @param {string} name - Header name
+   * @returns {string|null} - Header value
+   */
+  static getHeader(metadata, name) {
+    if (!metadata) {
+      return null;
+    }
+
+    const sources = [metadata.headers, metadata.messageAttributes, metadata.attributes];
+    for (const source of sources) {
+      if (!source) {
+        continue;
+      }
+      let value = typeof source.get === 'function' ? source.get(name) : source[name];
+      if (value && typeof value === 'object' && value.StringValue !== undefined) {
+        value = value.StringValue;
+      }
+      if (value !== undefined && value !== null && value !== '') {
+        return Buffer.isBuffer(value) ? value.toString('utf8') : String(value);
+      }
+    }
+
+    return null;
+  }
+}
+
+BaseMessaging.DEAD_LETTER_HEADERS = DEAD_LETTER_HEADERS;
+
+/**
+ * Remember a delivery by id. Bounded: a message that is never redelivered
+ * here (e.g. after a rebalance) is forgotten.
+ * @private
+ */
+function remember(deliveries, id, value) {
+  deliveries.delete(id);
+  deliveries.set(id, value);
+  if (deliveries.size > MAX_FAILED_DELIVERIES) {
+    deliveries.delete(deliveries.keys().next().value);
+  }
 }
 
 module.exports = BaseMessaging;
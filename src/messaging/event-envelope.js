@@ -0,0 +1,111 @@
+/**
+ * Event Envelope
+ * v5.9: CloudEvents 1.0 (structured JSON mode) envelope for published events
+ */
+
+const crypto = require('crypto');
+const { randomUUID } = require('../utils/uuid');
+
+const SPEC_VERSION = '1.0';
+
+// W3C trace context: version-traceid-parentid-flags
+const TRACEPARENT = /^[0-9a-f]{2}-[0-9a-f]{32}-[0-9a-f]{16}-[0-9a-f]{2}$/;
+
+/**
+ * Wrap a payload in a CloudEvents envelope
+ * @param {*} data - Event payload
+ * @param {Object} options - Attributes
+ * @param {string} options.type - Event type (e.g. 'order.created'), required
+ * @param {string} options.source - Producer URI reference (e.g. '/order-service'), required
+ * @param {string} options.id - Event id (default: random UUID)
+ * @param {string|Date} options.time - Event time (default: now)
+ * @param {string} options.subject - Subject within the source (e.g. the aggregate id)
+ * @param {string} options.traceparent - W3C traceparent of the producing request
+ * @param {string} options.correlationId - Correlation id (carried as the correlationid extension)
+ * @param {number} options.version - Schema version (carried as the dataversion extension)
+ * @param {string} options.datacontenttype - Content type of data (default: 'application/json')
+ * @param {Object} options.extensions - Extra extension attributes (lowercase alphanumeric names)
+ * @returns {Object} - CloudEvent
+ */
+function createEnvelope(data, options = {}) {
+  if (!options.type) {
+    throw new Error('CloudEvents require a type');
+  }
+  if (!options.source) {
+    throw new Error('CloudEvents require a source');
+  }
+  if (options.traceparent && !TRACEPARENT.test(options.traceparent)) {
+    throw new Error(`Invalid traceparent: ${options.traceparent}`);
+  }
+
+  const event = {
+    specversion: SPEC_VERSION,
+    id: options.id || randomUUID(),
+    source: options.source,
+    type: options.type,
+    time: options.time instanceof Date ? options.time.toISOString() : (options.time || new Date().toISOString()),
+    datacontenttype: options.datacontenttype || 'application/json',
+  };
+
+  if (options.subject !== undefined && options.subject !== null) {
+    event.subject = String(options.subject);
+  }
+  if (options.traceparent) {
+    event.traceparent = options.traceparent;
+  }
+  if (options.correlationId) {
+    event.correlationid = String(options.correlationId);
+  }
+  if (options.version !== undefined && options.version !== null) {
+    event.dataversion = options.version;
+  }
+
+  for (const [name, value] of Object.entries(options.extensions || {})) {
+    if (!/^[a-z0-9]{1,20}$/.test(name)) {
+      throw new Error(`Invalid CloudEvents extension name: ${name}`);
+    }
+    event[name] = value;
+  }
+
+  event.data = data === undefined ? null : data;
+  return event;
+}
+
+/**
+ * Check whether a parsed message is a CloudEvents envelope
+ * @param {*} value - Parsed message
+ * @returns {boolean}
+ */
+function isEnvelope(value) {
+  return Boolean(
+    value &&
+    typeof value === 'object' &&
+    typeof value.specversion === 'string' &&
+    value.id !== undefined &&
+    typeof value.type === 'string' &&
+    typeof value.source === 'string'
+  );
+}
+
+/**
+ * Create a traceparent for a new trace, or a child of an existing one
+ * @param {string} parent - Incoming traceparent (optional)
+ * @returns {string} - traceparent header value
+ */
+function createTraceparent(parent = null) {
+  const spanId = crypto.randomBytes(8).toString('hex');
+
+  if (parent && TRACEPARENT.test(parent)) {
+    const [version, traceId, , flags] = parent.split('-');
+    return `${version}-${traceId}-${spanId}-${flags}`;
+  }
+
+  return `00-${crypto.randomBytes(16).toString('hex')}-${spanId}-01`;
+}
+
+module.exports = {
+  SPEC_VERSION,
+  createEnvelope,
+  isEnvelope,
+  createTraceparent,
+};
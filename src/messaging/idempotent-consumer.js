@@ -0,0 +1,116 @@
+/**
+ * Idempotent Consumer
+ * v5.9: Wrap subscribe() handlers so duplicate deliveries are processed once
+ */
+
+const BaseMessaging = require('./base-messaging');
+const { createIdempotencyStore, IDEMPOTENCY_STATUS } = require('../cache/idempotency-store');
+const { sleep } = require('../utils/retry');
+
+/**
+ * Default message key: outbox id header, then the CloudEvents id, then the
+ * broker message id, then the Kafka topic/partition/offset
+ * @param {*} body - Message body
+ * @param {Object} metadata - Handler metadata
+ * @returns {string|null} - Key, or null when the message can't be identified
+ */
+function defaultMessageKey(body, metadata = {}) {
+  const outboxId = BaseMessaging.getHeader(metadata, 'x-outbox-id');
+  if (outboxId) {
+    return outboxId;
+  }
+  if (metadata.event && metadata.event.id !== undefined) {
+    return String(metadata.event.id);
+  }
+  if (metadata.messageId) {
+    return String(metadata.messageId);
+  }
+  if (metadata.topic !== undefined && metadata.offset !== undefined) {
+    return `${metadata.topic}:${metadata.partition}:${metadata.offset}`;
+  }
+  return null;
+}
+
+/**
+ * Wrap a message handler so each key is processed once
+ * @param {Function} handler - async (body, metadata) => result
+ * @param {Object} options - Options
+ * @param {Object} options.store - Cache, RedisCache, AdvancedCache, DatabasePool or an idempotency store
+ * @param {Function} options.key - (body, metadata) => string; defaults to defaultMessageKey
+ * @param {string} options.namespace - Prefix so consumers of the same message keep separate records
+ * @param {number} options.ttl - How long processed keys are remembered, in ms (default: 24h)
+ * @param {number} options.lockTimeout - How long an in-flight claim holds, in ms (default: 30000)
+ * @param {string} options.inFlight - 'wait' for the first delivery to finish (default) or 'skip' the duplicate
+ * @param {number} options.pollInterval - How often a waiting duplicate checks the store, in ms (default: 100)
+ * @param {Function} options.onDuplicate - ({ key, status, body, metadata }) => void
+ * @returns {Function} - Handler for subscribe()
+ */
+function idempotentConsumer(handler, options = {}) {
+  const store = createIdempotencyStore(options.store);
+  const keyFn = options.key || defaultMessageKey;
+  const namespace = options.namespace ? `${options.namespace}:` : '';
+  const ttl = options.ttl || 24 * 60 * 60 * 1000;
+  const lockTimeout = options.lockTimeout || 30000;
+  const inFlight = options.inFlight || 'wait';
+  const pollInterval = options.pollInterval || 100;
+
+  if (inFlight !== 'wait' && inFlight !== 'skip') {
+    throw new Error(`Invalid inFlight option: ${inFlight}. Expected 'wait' or 'skip'`);
+  }
+
+  const duplicate = (key, record, body, metadata) => {
+    if (options.onDuplicate) {
+      options.onDuplicate({ key, status: record.status, body, metadata });
+    }
+    return record.status === IDEMPOTENCY_STATUS.COMPLETED ? record.result : undefined;
+  };
+
+  return async function idempotentHandler(body, metadata) {
+    const messageKey = await keyFn(body, metadata);
+    if (messageKey === null || messageKey === undefined) {
+      // Nothing to dedupe on
+      return handler(body, metadata);
+    }
+
+    const key = namespace + messageKey;
+    const deadline = Date.now() + lockTimeout;
+
+    for (;;) {
+      const claim = await store.claim(key, lockTimeout);
+
+      if (claim.claimed) {
+        let result;
+        try {
+          result = await handler(body, metadata);
+        } catch (error) {
+          // Let the retry (or redelivery) process it again
+          await store.release(key);
+          throw error;
+        }
+        await store.complete(key, result, ttl);
+        return result;
+      }
+
+      const record = claim.record;
+      if (record && (record.status === IDEMPOTENCY_STATUS.COMPLETED || inFlight === 'skip')) {
+        return duplicate(key, record, body, metadata);
+      }
+
+      // In flight elsewhere: wait until it completes, fails (released) or its claim expires
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for in-flight message ${key}`);
+      }
+      await sleep(pollInterval);
+
+      const current = await store.get(key);
+      if (current && current.status === IDEMPOTENCY_STATUS.COMPLETED) {
+        return duplicate(key, current, body, metadata);
+      }
+    }
+  };
+}
+
+module.exports = {
+  idempotentConsumer,
+  defaultMessageKey,
+};
@@ -0,0 +1,728 @@
+/**
+ * In-Memory Messaging Adapter
+ * v5.9: Broker-free BaseMessaging implementation for local development and tests
+ *
+ * Modes follow the semantics of the real adapters:
+ * - 'queue' (SQS): competing consumers, visibility timeout and redelivery
+ * - 'topic' (Kafka): partitioned logs, consumer groups and committed offsets
+ * - 'subject' (NATS): wildcard subjects, queue groups and request/reply
+ */
+
+const crypto = require('crypto');
+const { randomUUID } = require('../utils/uuid');
+const BaseMessaging = require('./base-messaging');
+
+const MODES = ['queue', 'topic', 'subject'];
+
+class InMemoryMessaging extends BaseMessaging {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.mode - 'queue' (default), 'topic' or 'subject'
+   * @param {number} options.visibilityTimeout - Default queue visibility timeout in seconds (30)
+   * @param {number} options.partitions - Default partitions per topic (1)
+   * @param {string} options.consumerGroupId - Default consumer group (navis-group)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.mode = options.mode || 'queue';
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown in-memory messaging mode: ${this.mode}. Expected one of ${MODES.join(', ')}`);
+    }
+
+    this.visibilityTimeout = options.visibilityTimeout !== undefined ? options.visibilityTimeout : 30;
+    this.partitions = options.partitions || 1;
+    this.consumerGroupId = options.consumerGroupId || 'navis-group';
+
+    this.queues = new Map(); // name -> { messages, consumers, next, scheduled }
+    this.topics = new Map(); // name -> { partitions: [[record]], groups: Map }
+    this.subscriptions = []; // subject subscriptions
+
+    this._pending = new Set(); // in-flight deliveries, awaited by drain()
+    this._timers = new Set();
+    this._sid = 0;
+  }
+
+  /**
+   * Connect (no broker; marks the adapter as connected)
+   */
+  async connect() {
+    this.isConnected = true;
+    return this;
+  }
+
+  /**
+   * Disconnect: stop deliveries and cancel redelivery timers
+   */
+  async disconnect() {
+    this.isConnected = false;
+    for (const timer of this._timers) {
+      clearTimeout(timer);
+    }
+    this._timers.clear();
+    // Partitions waiting on a cancelled retry resume on the next publish
+    for (const topic of this.topics.values()) {
+      for (const group of topic.groups.values()) {
+        group.busy.fill(false);
+      }
+    }
+  }
+
+  /**
+   * Publish a message
+   * @param {string} destination - Queue, topic or subject
+   * @param {Object} message - Message payload (JSON round-tripped like a real broker)
+   * @param {Object} options - queue: { attributes, delaySeconds }; topic: { key, headers, partition };
+   *   subject: { reply, headers }
+   * @returns {Promise<Object>} - Same result shape as the matching real adapter
+   */
+  async publish(destination, message, options = {}) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    const data = this._encode(destination, message, options);
+
+    if (this.mode === 'topic') {
+      return this._publishTopic(destination, data, options);
+    }
+    if (this.mode === 'subject') {
+      return this._publishSubject(destination, data, options);
+    }
+    return this._publishQueue(destination, data, options);
+  }
+
+  /**
+   * Subscribe to a destination
+   * @param {string} destination - Queue, topic or subject (subjects support * and >)
+   * @param {Function} handler - async (body, metadata) => void
+   * @param {Object} options - queue: { visibilityTimeout, autoDelete }; topic: { groupId, fromBeginning };
+   *   subject: { queue }; all: { retry } overriding the retry policy
+   * @returns {Promise<Object>} - Subscription
+   */
+  async subscribe(destination, handler, options = {}) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    this._registerHandler(destination, handler);
+
+    if (this.mode === 'topic') {
+      return this._subscribeTopic(destination, handler, options);
+    }
+    if (this.mode === 'subject') {
+      return this._subscribeSubject(destination, handler, options);
+    }
+    return this._subscribeQueue(destination, handler, options);
+  }
+
+  /**
+   * Unsubscribe a handler, or every handler of a destination
+   */
+  async unsubscribe(destination, handler = null) {
+    const keep = subscription => subscription.handler !== handler && handler !== null;
+
+    if (handler) {
+      const handlers = this._getHandlers(destination);
+      const index = handlers.indexOf(handler);
+      if (index > -1) {
+        handlers.splice(index, 1);
+      }
+    } else {
+      this.subscribers.delete(destination);
+    }
+
+    if (this.queues.has(destination)) {
+      const queue = this.queues.get(destination);
+      queue.consumers = queue.consumers.filter(keep);
+    }
+
+    if (this.topics.has(destination)) {
+      for (const group of this.topics.get(destination).groups.values()) {
+        group.members = group.members.filter(keep);
+      }
+    }
+
+    this.subscriptions = this.subscriptions.filter(subscription =>
+      subscription.subject !== destination || keep(subscription)
+    );
+  }
+
+  /**
+   * Request/reply over subjects (NATS semantics). Requests and replies are
+   * encoded like publish(); with envelopes on, a reply's type is '<subject>.reply'.
+   * @param {string} subject - Subject
+   * @param {Object} message - Request payload
+   * @param {Object} options - { timeout } in ms (default 5000), plus publish() envelope options
+   * @returns {Promise<Object>} - Reply payload
+   */
+  async request(subject, message, options = {}) {
+    if (this.mode !== 'subject') {
+      throw new Error('request() is only available in subject mode');
+    }
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    if (!this.subscriptions.some(subscription => subjectMatches(subscription.subject, subject))) {
+      throw new Error(`No responders for subject: ${subject}`);
+    }
+
+    const data = this._encode(subject, message, options);
+    const inbox = `_INBOX.${randomUUID()}`;
+    const timeout = options.timeout || 5000;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._timers.delete(timer);
+        this.subscriptions = this.subscriptions.filter(subscription => subscription.subject !== inbox);
+        reject(new Error(`Request to ${subject} timed out after ${timeout}ms`));
+      }, timeout);
+      this._timers.add(timer);
+
+      this.subscriptions.push({
+        subject: inbox,
+        sid: ++this._sid,
+        queue: null,
+        handler: (body) => {
+          clearTimeout(timer);
+          this._timers.delete(timer);
+          this.subscriptions = this.subscriptions.filter(subscription => subscription.subject !== inbox);
+          resolve(body);
+        },
+      });
+
+      this._publishSubject(subject, data, { reply: inbox });
+    });
+  }
+
+  /**
+   * Delete a queue message (for subscriptions with autoDelete: false)
+   * @param {string} queueName - Queue name
+   * @param {string} receiptHandle - Receipt handle from the handler metadata
+   * @returns {boolean} - True if the message was deleted
+   */
+  deleteMessage(queueName, receiptHandle) {
+    const queue = this._queue(queueName);
+    const index = queue.messages.findIndex(message => message.receiptHandle === receiptHandle);
+    if (index === -1) {
+      return false;
+    }
+    queue.messages.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Change how long a received queue message stays invisible
+   * @param {string} queueName - Queue name
+   * @param {string} receiptHandle - Receipt handle from the handler metadata
+   * @param {number} seconds - New visibility timeout (0 makes it visible now)
+   * @returns {boolean} - True if the message was found
+   */
+  changeMessageVisibility(queueName, receiptHandle, seconds) {
+    const message = this._queue(queueName).messages.find(m => m.receiptHandle === receiptHandle);
+    if (!message) {
+      return false;
+    }
+    message.visibleAt = Date.now() + seconds * 1000;
+    this._wakeQueueAt(queueName, message.visibleAt);
+    return true;
+  }
+
+  /**
+   * Queue depth: visible, in-flight and delayed message counts
+   * @param {string} queueName - Queue name
+   * @returns {Object} - { visible, inFlight, delayed }
+   */
+  getQueueStats(queueName) {
+    const now = Date.now();
+    const stats = { visible: 0, inFlight: 0, delayed: 0 };
+    for (const message of this._queue(queueName).messages) {
+      if (message.visibleAt <= now) {
+        stats.visible++;
+      } else if (message.receiveCount > 0) {
+        stats.inFlight++;
+      } else {
+        stats.delayed++;
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * Committed offsets of a consumer group
+   * @param {string} topicName - Topic name
+   * @param {string} groupId - Consumer group (defaults to consumerGroupId)
+   * @returns {Array<number>} - Next offset per partition
+   */
+  getOffsets(topicName, groupId = this.consumerGroupId) {
+    const group = this._topic(topicName).groups.get(groupId);
+    return group ? group.offsets.slice() : [];
+  }
+
+  /**
+   * Move a consumer group to an offset (replays or skips records)
+   * @param {string} topicName - Topic name
+   * @param {string} groupId - Consumer group
+   * @param {number} partition - Partition
+   * @param {number} offset - Next offset to consume
+   */
+  seek(topicName, groupId, partition, offset) {
+    const topic = this._topic(topicName);
+    const group = this._group(topic, groupId, false);
+    group.offsets[partition] = offset;
+    this._pumpTopic(topicName);
+  }
+
+  /**
+   * Wait until every deliverable message has been handled
+   * (messages hidden by a visibility timeout or delay are not waited for)
+   * @param {Object} options - { timeout } in ms (default 5000)
+   * @returns {Promise<void>}
+   */
+  async drain(options = {}) {
+    const timeout = options.timeout || 5000;
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      // Let scheduled deliveries start before checking for work
+      await new Promise(resolve => setImmediate(resolve));
+
+      if (this._pending.size === 0) {
+        return;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`drain() timed out after ${timeout}ms with ${this._pending.size} deliveries pending`);
+      }
+
+      let timer;
+      await Promise.race([
+        Promise.allSettled(Array.from(this._pending)),
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, Math.max(deadline - Date.now(), 0) + 1);
+        }),
+      ]);
+      clearTimeout(timer);
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Queues (SQS semantics)
+  // ---------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  _publishQueue(queueName, data, options) {
+    const queue = this._queue(queueName);
+    const now = Date.now();
+    const message = {
+      id: randomUUID(),
+      data,
+      attributes: options.attributes || {},
+      sentAt: now,
+      visibleAt: now + (options.delaySeconds || 0) * 1000,
+      receiveCount: 0,
+      receiptHandle: null,
+    };
+
+    queue.messages.push(message);
+    this._wakeQueueAt(queueName, message.visibleAt);
+
+    return {
+      messageId: message.id,
+      md5OfBody: crypto.createHash('md5').update(data).digest('hex'),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _subscribeQueue(queueName, handler, options) {
+    const subscription = {
+      handler,
+      visibilityTimeout: options.visibilityTimeout !== undefined ? options.visibilityTimeout : this.visibilityTimeout,
+      autoDelete: options.autoDelete !== false,
+      retry: options.retry,
+    };
+    this._queue(queueName).consumers.push(subscription);
+    this._pumpQueue(queueName);
+    return { queueUrl: queueName, handler };
+  }
+
+  /**
+   * Deliver each visible message to one consumer (round-robin)
+   * @private
+   */
+  _pumpQueue(queueName) {
+    const queue = this._queue(queueName);
+    if (queue.scheduled) {
+      return;
+    }
+    queue.scheduled = true;
+
+    this._track(async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      queue.scheduled = false;
+      if (!this.isConnected || queue.consumers.length === 0) {
+        return;
+      }
+
+      const now = Date.now();
+      for (const message of queue.messages) {
+        if (message.visibleAt > now) {
+          continue;
+        }
+
+        const consumer = queue.consumers[queue.next++ % queue.consumers.length];
+        message.receiveCount++;
+        message.receiptHandle = crypto.randomBytes(16).toString('hex');
+        message.visibleAt = now + consumer.visibilityTimeout * 1000;
+        // Redeliver if not deleted before the visibility timeout expires
+        this._wakeQueueAt(queueName, message.visibleAt);
+
+        this._track(() => this._deliverQueueMessage(queueName, message, consumer));
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _deliverQueueMessage(queueName, message, consumer) {
+    const receiptHandle = message.receiptHandle;
+    try {
+      await this._deliver(queueName, message.data, {
+        messageId: message.id,
+        receiptHandle,
+        attributes: {
+          ApproximateReceiveCount: String(message.receiveCount),
+          SentTimestamp: String(message.sentAt),
+          ...message.attributes,
+        },
+      }, {
+        handlers: [consumer.handler],
+        attempt: message.receiveCount,
+        redelivers: true,
+        retry: consumer.retry,
+      });
+
+      if (consumer.autoDelete) {
+        this.deleteMessage(queueName, receiptHandle);
+      }
+    } catch (error) {
+      console.error('Error processing in-memory queue message:', error);
+      // Back off before redelivery; otherwise wait for the visibility timeout
+      if (error.retryDelay !== undefined && message.receiptHandle === receiptHandle) {
+        message.visibleAt = Date.now() + error.retryDelay;
+        this._wakeQueueAt(queueName, message.visibleAt);
+      }
+    }
+  }
+
+  /**
+   * Schedule a delivery pass for when a message becomes visible
+   * @private
+   */
+  _wakeQueueAt(queueName, visibleAt) {
+    const delay = visibleAt - Date.now();
+    if (delay <= 0) {
+      this._pumpQueue(queueName);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this._timers.delete(timer);
+      this._pumpQueue(queueName);
+    }, delay);
+    if (timer.unref) timer.unref();
+    this._timers.add(timer);
+  }
+
+  /**
+   * @private
+   */
+  _queue(queueName) {
+    if (!this.queues.has(queueName)) {
+      this.queues.set(queueName, { messages: [], consumers: [], next: 0, scheduled: false });
+    }
+    return this.queues.get(queueName);
+  }
+
+  // ---------------------------------------------------------------------
+  // Topics (Kafka semantics)
+  // ---------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  _publishTopic(topicName, data, options) {
+    const topic = this._topic(topicName);
+    const count = topic.partitions.length;
+    const partition = options.partition !== undefined
+      ? options.partition
+      : options.key !== undefined && options.key !== null
+        ? hashKey(String(options.key)) % count
+        : topic.nextPartition++ % count;
+
+    if (!topic.partitions[partition]) {
+      throw new Error(`Partition ${partition} does not exist for topic ${topicName}`);
+    }
+
+    const log = topic.partitions[partition];
+    const offset = log.length;
+    log.push({
+      key: options.key !== undefined ? options.key : null,
+      data,
+      headers: options.headers || {},
+      timestamp: Date.now(),
+    });
+
+    this._pumpTopic(topicName);
+    return { topic: topicName, partition, offset: String(offset) };
+  }
+
+  /**
+   * @private
+   */
+  _subscribeTopic(topicName, handler, options) {
+    const topic = this._topic(topicName);
+    const group = this._group(topic, options.groupId || this.consumerGroupId, options.fromBeginning);
+    group.members.push({ handler, retry: options.retry });
+    this._pumpTopic(topicName);
+    return { topic: topicName, handler, groupId: group.id };
+  }
+
+  /**
+   * Each group reads every partition in order; partitions are split between members
+   * @private
+   */
+  _pumpTopic(topicName) {
+    if (!this.isConnected) {
+      return;
+    }
+
+    const topic = this._topic(topicName);
+    for (const group of topic.groups.values()) {
+      topic.partitions.forEach((log, partition) => {
+        if (group.busy[partition] || group.members.length === 0 || group.offsets[partition] >= log.length) {
+          return;
+        }
+
+        group.busy[partition] = true;
+        this._track(async () => {
+          let retryDelay = null;
+          try {
+            while (this.isConnected && group.members.length > 0 && group.offsets[partition] < log.length) {
+              const offset = group.offsets[partition];
+              const record = log[offset];
+              const member = group.members[partition % group.members.length];
+
+              try {
+                await this._deliver(topicName, record.data, {
+                  topic: topicName,
+                  partition,
+                  offset: String(offset),
+                  key: record.key === null ? undefined : String(record.key),
+                  headers: record.headers,
+                }, {
+                  id: `${topicName}:${group.id}:${partition}:${offset}`,
+                  handlers: [member.handler],
+                  retry: member.retry,
+                });
+              } catch (error) {
+                // Dead-lettering failed: leave the offset uncommitted and
+                // redeliver the record after a backoff, like the Kafka adapter
+                console.error('Error processing in-memory topic message:', error);
+                retryDelay = this._retryDelay(1, { ...this.retryPolicy, ...member.retry });
+                break;
+              }
+
+              // Commit only once the record was handled or dead-lettered
+              group.offsets[partition] = Math.max(group.offsets[partition], offset + 1);
+            }
+          } finally {
+            if (retryDelay === null) {
+              group.busy[partition] = false;
+            } else {
+              // The partition stays busy until the retry so new records don't skip the backoff
+              this._retryPartitionAfter(topicName, group, partition, retryDelay);
+            }
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * Resume a partition that stopped on an error
+   * @private
+   */
+  _retryPartitionAfter(topicName, group, partition, delay) {
+    const timer = setTimeout(() => {
+      this._timers.delete(timer);
+      group.busy[partition] = false;
+      this._pumpTopic(topicName);
+    }, delay);
+    if (timer.unref) timer.unref();
+    this._timers.add(timer);
+  }
+
+  /**
+   * @private
+   */
+  _topic(topicName) {
+    if (!this.topics.has(topicName)) {
+      this.topics.set(topicName, {
+        partitions: Array.from({ length: this.partitions }, () => []),
+        groups: new Map(),
+        nextPartition: 0,
+      });
+    }
+    return this.topics.get(topicName);
+  }
+
+  /**
+   * Get or create a consumer group; new groups start at the end unless fromBeginning
+   * @private
+   */
+  _group(topic, groupId, fromBeginning) {
+    if (!topic.groups.has(groupId)) {
+      topic.groups.set(groupId, {
+        id: groupId,
+        members: [],
+        offsets: topic.partitions.map(log => (fromBeginning ? 0 : log.length)),
+        busy: topic.partitions.map(() => false),
+      });
+    }
+    return topic.groups.get(groupId);
+  }
+
+  // ---------------------------------------------------------------------
+  // Subjects (NATS semantics)
+  // ---------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  _publishSubject(subject, data, options) {
+    const matching = this.subscriptions.filter(subscription => subjectMatches(subscription.subject, subject));
+    const queueGroups = new Map();
+
+    for (const subscription of matching) {
+      if (subscription.queue) {
+        // Queue groups: one member receives each message
+        if (!queueGroups.has(subscription.queue)) {
+          queueGroups.set(subscription.queue, []);
+        }
+        queueGroups.get(subscription.queue).push(subscription);
+      } else {
+        this._deliverSubject(subscription, subject, data, options);
+      }
+    }
+
+    for (const members of queueGroups.values()) {
+      const member = members[Math.floor(Math.random() * members.length)];
+      this._deliverSubject(member, subject, data, options);
+    }
+
+    return { subject, published: true };
+  }
+
+  /**
+   * @private
+   */
+  _subscribeSubject(subject, handler, options) {
+    const subscription = {
+      subject,
+      handler,
+      queue: options.queue || null,
+      retry: options.retry,
+      sid: ++this._sid,
+    };
+    this.subscriptions.push(subscription);
+    return { subject, handler, subscription };
+  }
+
+  /**
+   * @private
+   */
+  _deliverSubject(subscription, subject, data, options) {
+    const reply = options.reply;
+    this._track(async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      try {
+        await this._deliver(subject, data, {
+          subject,
+          reply,
+          sid: subscription.sid,
+          headers: options.headers || {},
+          // Convenience for request/reply handlers
+          respond: reply
+            ? response => this._publishSubject(reply, this._encode(`${subject}.reply`, response), {})
+            : () => false,
+        }, {
+          handlers: [subscription.handler],
+          retry: subscription.retry,
+        });
+      } catch (error) {
+        console.error('Error processing in-memory subject message:', error);
+      }
+    });
+  }
+
+  /**
+   * Queues carry headers as message attributes
+   * @protected
+   */
+  _headerOptions(headers) {
+    return this.mode === 'queue' ? { attributes: headers } : { headers };
+  }
+
+  /**
+   * Track an async delivery so drain() can wait for it
+   * @private
+   */
+  _track(fn) {
+    const promise = Promise.resolve()
+      .then(fn)
+      .catch(error => console.error('In-memory messaging error:', error))
+      .finally(() => this._pending.delete(promise));
+    this._pending.add(promise);
+    return promise;
+  }
+}
+
+/**
+ * Match a NATS-style subject pattern ('*' = one token, '>' = one or more trailing tokens)
+ * @private
+ */
+function subjectMatches(pattern, subject) {
+  const patternTokens = pattern.split('.');
+  const subjectTokens = subject.split('.');
+
+  for (let i = 0; i < patternTokens.length; i++) {
+    const token = patternTokens[i];
+    if (token === '>') {
+      return subjectTokens.length > i;
+    }
+    if (i >= subjectTokens.length || (token !== '*' && token !== subjectTokens[i])) {
+      return false;
+    }
+  }
+
+  return patternTokens.length === subjectTokens.length;
+}
+
+/**
+ * Stable partition hash for message keys
+ * @private
+ */
+function hashKey(key) {
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+module.exports = InMemoryMessaging;
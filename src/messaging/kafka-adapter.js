@@ -78,7 +78,7 @@ class KafkaMessaging extends BaseMessaging {
       topic,
       messages: [{
         key: options.key || null,
-        value: JSON.stringify(message),
+        value: this._encode(topic, message, options),
         headers: options.headers || {},
       }],
     });
@@ -94,7 +94,7 @@ class KafkaMessaging extends BaseMessaging {
    * Subscribe to Kafka topic
    * @param {string} topic - Kafka topic name
    * @param {Function} handler - Message handler function
-   * @param {Object} options - Subscription options
+   * @param {Object} options - Subscription options (retry overrides the adapter's retry policy)
    */
   async subscribe(topic, handler, options = {}) {
     if (!this.isConnected) {
@@ -110,21 +110,22 @@ class KafkaMessaging extends BaseMessaging {
 
     await this.consumer.run({
       eachMessage: async ({ topic, partition, message }) => {
+        // v5.9: retried in-process with backoff, then dead-lettered, before the offset is committed
         try {
-          const body = JSON.parse(message.value.toString());
-          const handlers = this._getHandlers(topic);
-
-          for (const h of handlers) {
-            await h(body, {
-              topic,
-              partition,
-              offset: message.offset,
-              key: message.key?.toString(),
-              headers: message.headers,
-            });
-          }
+          await this._deliver(topic, message.value, {
+            topic,
+            partition,
+            offset: message.offset,
+            key: message.key?.toString(),
+            headers: message.headers,
+          }, {
+            id: `${topic}:${partition}:${message.offset}`,
+            retry: options.retry,
+          });
         } catch (error) {
+          // Dead-lettering failed: leave the offset uncommitted so Kafka redelivers the message
           console.error('Error processing Kafka message:', error);
+          throw error;
         }
       },
     });
@@ -20,8 +20,9 @@ class NATSMessaging extends BaseMessaging {
    */
   async connect() {
     try {
-      const { connect } = require('nats');
+      const { connect, headers } = require('nats');
       this.connectNATS = connect;
+      this.createHeaders = headers;
     } catch (err) {
       throw new Error('nats is required. Install it with: npm install nats');
     }
@@ -50,15 +51,23 @@ class NATSMessaging extends BaseMessaging {
    * Publish message to NATS subject
    * @param {string} subject - NATS subject
    * @param {Object} message - Message payload
-   * @param {Object} options - Publishing options
+   * @param {Object} options - Publishing options ({ headers } since v5.9)
    */
   async publish(subject, message, options = {}) {
     if (!this.isConnected) {
       await this.connect();
     }
 
-    const data = Buffer.from(JSON.stringify(message));
-    this.nc.publish(subject, data);
+    const data = Buffer.from(this._encode(subject, message, options));
+    if (options.headers && this.createHeaders) {
+      const msgHeaders = this.createHeaders();
+      for (const [name, value] of Object.entries(options.headers)) {
+        msgHeaders.set(name, String(value));
+      }
+      this.nc.publish(subject, data, { headers: msgHeaders });
+    } else {
+      this.nc.publish(subject, data);
+    }
     
     return { subject, published: true };
   }
@@ -67,7 +76,7 @@ class NATSMessaging extends BaseMessaging {
    * Subscribe to NATS subject
    * @param {string} subject - NATS subject
    * @param {Function} handler - Message handler function
-   * @param {Object} options - Subscription options
+   * @param {Object} options - Subscription options (queue group; retry overrides the adapter's retry policy)
    */
   async subscribe(subject, handler, options = {}) {
     if (!this.isConnected) {
@@ -80,21 +89,32 @@ class NATSMessaging extends BaseMessaging {
       queue: options.queue || undefined,
     });
 
+    const policy = { ...this.retryPolicy, ...options.retry };
+
     (async () => {
       for await (const msg of subscription) {
-        try {
-          const body = JSON.parse(msg.data.toString());
-          const handlers = this._getHandlers(subject);
-
-          for (const h of handlers) {
-            await h(body, {
+        // v5.9: retried in-process with backoff, then dead-lettered. Core NATS
+        // doesn't redeliver, so a failed dead-lettering is retried here.
+        for (let retries = 1; ; retries++) {
+          try {
+            await this._deliver(subject, msg.data, {
               subject: msg.subject,
               reply: msg.reply,
               sid: msg.sid,
+              headers: msg.headers,
+            }, {
+              id: msg,
+              retry: options.retry,
             });
+            break;
+          } catch (error) {
+            console.error('Error processing NATS message:', error);
+            if (!this.isConnected || !this.failedDeliveries.has(msg)) {
+              this.failedDeliveries.delete(msg);
+              break;
+            }
+            await new Promise(resolve => setTimeout(resolve, this._retryDelay(retries, policy)));
           }
-        } catch (error) {
-          console.error('Error processing NATS message:', error);
         }
       }
     })().catch(console.error);
@@ -0,0 +1,518 @@
+/**
+ * Transactional Outbox
+ * v5.9: Record events in an outbox table in the same transaction as the
+ * business write, and relay them to any BaseMessaging adapter
+ *
+ * Delivery is at-least-once: a relay that crashes between publishing and
+ * marking a row as sent publishes it again, so consumers should dedupe on
+ * the x-outbox-id header. Rows sharing an aggregate are published in insert
+ * order; a failing row holds back the rest of its aggregate until it succeeds.
+ * Run one relay per outbox table.
+ */
+
+const { randomUUID } = require('../utils/uuid');
+const { queryBuilder } = require('../db/db-pool');
+const { rowsOf, parseJSON, escapeIdentifier } = require('../db/sql-utils');
+const { calculateBackoff } = require('../utils/retry');
+
+// Headers added to every relayed message
+const OUTBOX_HEADERS = {
+  id: 'x-outbox-id',
+  type: 'x-event-type',
+  aggregateType: 'x-aggregate-type',
+  aggregateId: 'x-aggregate-id',
+  createdAt: 'x-created-at',
+};
+
+const STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+};
+
+class Outbox {
+  /**
+   * @param {DatabasePool} dbPool - Database pool used by the relay and cleanup
+   * @param {Object} options - Options
+   * @param {string} options.table - Outbox table name (default: 'outbox')
+   */
+  constructor(dbPool, options = {}) {
+    if (!dbPool) {
+      throw new Error('Outbox requires a DatabasePool');
+    }
+    if (dbPool.type && dbPool.type.toLowerCase() === 'mongodb') {
+      throw new Error('Outbox requires a SQL database');
+    }
+
+    this.dbPool = dbPool;
+    this.table = options.table || 'outbox';
+  }
+
+  /**
+   * Record an event. Pass the transaction running the business write
+   * (from db.transaction()) so both commit (or roll back) together.
+   * @param {Object} db - DatabasePool or Transaction (anything queryBuilder() accepts); optional
+   * @param {Object} event - { destination, payload, type, aggregateType, aggregateId, headers }
+   * @returns {Promise<string>} - Event id (sent as the x-outbox-id header)
+   */
+  async add(db, event) {
+    if (event === undefined) {
+      event = db;
+      db = this.dbPool;
+    }
+
+    if (!event || !event.destination) {
+      throw new Error('Outbox events require a destination');
+    }
+
+    const id = event.id || randomUUID();
+    const now = Date.now();
+
+    await queryBuilder(db)
+      .insert(this.table, {
+        event_id: id,
+        destination: event.destination,
+        event_type: event.type || null,
+        aggregate_type: event.aggregateType || null,
+        aggregate_id: event.aggregateId === undefined || event.aggregateId === null
+          ? null
+          : String(event.aggregateId),
+        payload: JSON.stringify(event.payload === undefined ? null : event.payload),
+        headers: event.headers ? JSON.stringify(event.headers) : null,
+        status: STATUS.PENDING,
+        attempts: 0,
+        created_at: now,
+        available_at: now,
+      })
+      .execute();
+
+    return id;
+  }
+
+  /**
+   * Pending events that are due, in insert order. Events queued behind an
+   * event of the same aggregate that is waiting for a retry are left out, so
+   * a failing aggregate can't fill the batch and hold back the others.
+   * @param {number} limit - Maximum number of rows
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {Promise<Array<Object>>} - Outbox rows
+   */
+  async pending(limit = 100, now = Date.now()) {
+    const waiting = await queryBuilder(this.dbPool, this.table)
+      .select(['id', 'aggregate_type', 'aggregate_id'])
+      .where('status', '=', STATUS.PENDING)
+      .where('available_at', '>', now)
+      .whereNotNull('aggregate_id')
+      .execute();
+
+    // Aggregate key -> row id of its first event waiting for a retry
+    const blocked = new Map();
+    for (const event of rowsOf(waiting).map(toEvent)) {
+      const key = aggregateKey(event);
+      if (!blocked.has(key) || Number(event.rowId) < blocked.get(key)) {
+        blocked.set(key, Number(event.rowId));
+      }
+    }
+
+    const events = [];
+    let afterId = null;
+    while (events.length < limit) {
+      const query = queryBuilder(this.dbPool, this.table)
+        .select('*')
+        .where('status', '=', STATUS.PENDING)
+        .where('available_at', '<=', now);
+      if (afterId !== null) {
+        query.where('id', '>', afterId);
+      }
+      const rows = rowsOf(await query.orderBy('id', 'ASC').limit(limit).execute()).map(toEvent);
+
+      for (const event of rows) {
+        const blockedFrom = event.aggregateId === null ? undefined : blocked.get(aggregateKey(event));
+        if (blockedFrom === undefined || Number(event.rowId) < blockedFrom) {
+          events.push(event);
+          if (events.length === limit) {
+            break;
+          }
+        }
+      }
+
+      if (rows.length < limit) {
+        break;
+      }
+      afterId = rows[rows.length - 1].rowId;
+    }
+
+    return events;
+  }
+
+  /**
+   * Delete sent events
+   * @param {Object} options - { olderThan: ms since sending (default: 0, all sent rows) }
+   * @returns {Promise<void>}
+   */
+  async cleanup(options = {}) {
+    const olderThan = options.olderThan || 0;
+
+    await queryBuilder(this.dbPool)
+      .delete(this.table)
+      .where('status', '=', STATUS.SENT)
+      .where('sent_at', '<=', Date.now() - olderThan)
+      .execute();
+  }
+
+  /**
+   * Create a relay publishing this outbox through a messaging adapter
+   * @param {BaseMessaging} messaging - Messaging adapter
+   * @param {Object} options - Relay options, see OutboxRelay
+   * @returns {OutboxRelay}
+   */
+  relay(messaging, options = {}) {
+    return new OutboxRelay(this, messaging, options);
+  }
+
+  /**
+   * Migration creating the outbox table, for a file in the migrations directory:
+   * module.exports = outbox.migration();
+   * @returns {Object} - { up(dbPool), down(dbPool) }
+   */
+  migration() {
+    const table = this.table;
+
+    return {
+      async up(dbPool) {
+        const dbType = dbPool.type.toLowerCase();
+        await dbPool.query(createTableSQL(dbType, table));
+        await dbPool.query(
+          `CREATE INDEX ${escapeIdentifier(dbType, `${table}_status_id`)} ON ${escapeIdentifier(dbType, table)} (${escapeIdentifier(dbType, 'status')}, ${escapeIdentifier(dbType, 'id')})`
+        );
+      },
+
+      async down(dbPool) {
+        const dbType = dbPool.type.toLowerCase();
+        await dbPool.query(`DROP TABLE ${escapeIdentifier(dbType, table)}`);
+      },
+    };
+  }
+
+  /**
+   * Mark an event as sent, or delete it
+   * @private
+   */
+  async _markSent(event, remove) {
+    if (remove) {
+      await queryBuilder(this.dbPool).delete(this.table).where('id', '=', event.rowId).execute();
+      return;
+    }
+
+    await queryBuilder(this.dbPool)
+      .update(this.table, {
+        status: STATUS.SENT,
+        attempts: event.attempts + 1,
+        sent_at: Date.now(),
+        last_error: null,
+      })
+      .where('id', '=', event.rowId)
+      .execute();
+  }
+
+  /**
+   * Record a failed attempt and when the event may be retried
+   * @private
+   */
+  async _markFailed(event, error, retryAt) {
+    await queryBuilder(this.dbPool)
+      .update(this.table, {
+        attempts: event.attempts + 1,
+        available_at: retryAt,
+        last_error: String(error && error.message ? error.message : error).substring(0, 1000),
+      })
+      .where('id', '=', event.rowId)
+      .execute();
+  }
+}
+
+class OutboxRelay {
+  /**
+   * @param {Outbox} outbox - Outbox to relay
+   * @param {BaseMessaging} messaging - Messaging adapter to publish through
+   * @param {Object} options - Options
+   * @param {number} options.interval - Poll interval in ms when idle (default: 1000)
+   * @param {number} options.batchSize - Rows read per poll (default: 100)
+   * @param {number} options.initialDelay - First retry delay in ms (default: 1000)
+   * @param {number} options.maxDelay - Maximum retry delay in ms (default: 60000)
+   * @param {boolean} options.deleteOnSend - Delete rows once published instead of marking them sent
+   * @param {number} options.retention - Keep sent rows this many ms (default: 24h)
+   * @param {number} options.cleanupInterval - Run cleanup every this many ms (default: 60000, 0 disables)
+   * @param {Function} options.onError - (error, event) => void, called when publishing fails
+   */
+  constructor(outbox, messaging, options = {}) {
+    this.outbox = outbox;
+    this.messaging = messaging;
+    this.interval = options.interval || 1000;
+    this.batchSize = options.batchSize || 100;
+    this.initialDelay = options.initialDelay || 1000;
+    this.maxDelay = options.maxDelay || 60000;
+    this.deleteOnSend = options.deleteOnSend || false;
+    this.retention = options.retention !== undefined ? options.retention : 24 * 60 * 60 * 1000;
+    this.cleanupInterval = options.cleanupInterval !== undefined ? options.cleanupInterval : 60000;
+    this.onError = options.onError || null;
+    this.timer = null;
+    this.running = false;
+    this.current = null;
+    this.lastCleanup = 0;
+  }
+
+  /**
+   * Start polling the outbox
+   * @returns {OutboxRelay} - this
+   */
+  start() {
+    if (!this.running) {
+      this.running = true;
+      this._schedule(0);
+    }
+    return this;
+  }
+
+  /**
+   * Stop polling and wait for the batch in progress
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.current) {
+      await this.current.catch(() => {});
+    }
+  }
+
+  /**
+   * Publish one batch of pending events
+   * @returns {Promise<Object>} - { sent, failed, deferred }
+   */
+  async runOnce() {
+    // Never overlap batches: it would break per-aggregate ordering
+    if (this.current) {
+      return this.current;
+    }
+
+    this.current = this._publishBatch().finally(() => {
+      this.current = null;
+    });
+    return this.current;
+  }
+
+  /**
+   * @private
+   */
+  async _publishBatch() {
+    const now = Date.now();
+    const events = await this.outbox.pending(this.batchSize, now);
+    const stats = { sent: 0, failed: 0, deferred: 0, fetched: events.length };
+
+    // Events without an aggregate are unordered and each get their own group
+    const groups = new Map();
+    for (const event of events) {
+      const key = event.aggregateId === null ? `#${event.rowId}` : aggregateKey(event);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(event);
+    }
+
+    // Settle every group before reporting a storage error, so the next batch
+    // can't start while events of this one are still being published
+    const results = await Promise.allSettled(Array.from(groups.values()).map(async (group) => {
+      for (let i = 0; i < group.length; i++) {
+        const event = group[i];
+
+        try {
+          await this._publish(event);
+        } catch (error) {
+          stats.failed++;
+          stats.deferred += group.length - i - 1;
+          await this._fail(event, error);
+          return;
+        }
+
+        stats.sent++;
+        await this.outbox._markSent(event, this.deleteOnSend);
+      }
+    }));
+
+    const rejected = results.find(result => result.status === 'rejected');
+    if (rejected) {
+      throw rejected.reason;
+    }
+
+    if (!this.deleteOnSend && this.cleanupInterval > 0 && now - this.lastCleanup >= this.cleanupInterval) {
+      this.lastCleanup = now;
+      await this.outbox.cleanup({ olderThan: this.retention });
+    }
+
+    return stats;
+  }
+
+  /**
+   * Publish an event with its outbox headers; the aggregate id doubles as the
+   * Kafka key and SQS FIFO message group so brokers keep the order too
+   * @private
+   */
+  async _publish(event) {
+    const headers = {
+      ...event.headers,
+      [OUTBOX_HEADERS.id]: event.id,
+      [OUTBOX_HEADERS.createdAt]: new Date(event.createdAt).toISOString(),
+    };
+    if (event.type) {
+      headers[OUTBOX_HEADERS.type] = event.type;
+    }
+    if (event.aggregateType) {
+      headers[OUTBOX_HEADERS.aggregateType] = event.aggregateType;
+    }
+    if (event.aggregateId !== null) {
+      headers[OUTBOX_HEADERS.aggregateId] = event.aggregateId;
+    }
+
+    // With envelopes enabled the outbox id also becomes the CloudEvents id
+    const options = { ...this.messaging._headerOptions(headers), id: event.id, deduplicationId: event.id };
+    if (event.type) {
+      options.type = event.type;
+    }
+    if (event.aggregateId !== null) {
+      options.key = event.aggregateId;
+      options.messageGroupId = event.aggregateId;
+      options.subject = event.aggregateId;
+    }
+
+    await this.messaging.publish(event.destination, event.payload, options);
+  }
+
+  /**
+   * Schedule the retry of a failed event
+   * @private
+   */
+  async _fail(event, error) {
+    const delay = calculateBackoff(event.attempts, this.initialDelay, this.maxDelay);
+
+    if (this.onError) {
+      try {
+        this.onError(error, event);
+      } catch (hookError) {
+        console.error('Outbox relay error hook failed:', hookError);
+      }
+    } else {
+      console.error(`Outbox relay failed to publish ${event.id} to ${event.destination}, retrying in ${delay}ms:`, error.message);
+    }
+
+    await this.outbox._markFailed(event, error, Date.now() + delay);
+  }
+
+  /**
+   * Poll again after a delay; immediately while full batches keep coming
+   * @private
+   */
+  _schedule(delay) {
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      let stats = null;
+      try {
+        stats = await this.runOnce();
+      } catch (error) {
+        console.error('Outbox relay error:', error);
+      }
+      if (this.running) {
+        const busy = stats && stats.fetched === this.batchSize && stats.deferred < stats.fetched;
+        this._schedule(busy ? 0 : this.interval);
+      }
+    }, delay);
+  }
+}
+
+/**
+ * Convert an outbox row to an event
+ * @private
+ */
+function toEvent(row) {
+  return {
+    rowId: row.id,
+    id: row.event_id,
+    destination: row.destination,
+    type: row.event_type || null,
+    aggregateType: row.aggregate_type || null,
+    aggregateId: row.aggregate_id === undefined || row.aggregate_id === null ? null : String(row.aggregate_id),
+    payload: parseJSON(row.payload),
+    headers: parseJSON(row.headers) || {},
+    attempts: Number(row.attempts) || 0,
+    // BIGINT columns come back as strings from some drivers
+    createdAt: Number(row.created_at),
+    availableAt: Number(row.available_at),
+  };
+}
+
+/**
+ * Key of the aggregate an event belongs to
+ * @private
+ */
+function aggregateKey(event) {
+  return `${event.aggregateType || ''}:${event.aggregateId}`;
+}
+
+/**
+ * CREATE TABLE statement for the outbox (timestamps are epoch milliseconds)
+ * @private
+ */
+function createTableSQL(dbType, table) {
+  const q = name => escapeIdentifier(dbType, name);
+  let id = 'INTEGER PRIMARY KEY AUTOINCREMENT';
+  let text = 'TEXT';
+
+  if (dbType === 'postgres' || dbType === 'postgresql') {
+    id = 'BIGSERIAL PRIMARY KEY';
+  } else if (dbType === 'mysql' || dbType === 'mariadb') {
+    id = 'BIGINT AUTO_INCREMENT PRIMARY KEY';
+    text = 'LONGTEXT';
+  } else if (dbType === 'mssql' || dbType === 'sqlserver') {
+    id = 'BIGINT IDENTITY(1,1) PRIMARY KEY';
+    text = 'NVARCHAR(MAX)';
+  }
+
+  return `
+    CREATE TABLE ${q(table)} (
+      ${q('id')} ${id},
+      ${q('event_id')} VARCHAR(64) NOT NULL,
+      ${q('destination')} VARCHAR(255) NOT NULL,
+      ${q('event_type')} VARCHAR(255),
+      ${q('aggregate_type')} VARCHAR(255),
+      ${q('aggregate_id')} VARCHAR(255),
+      ${q('payload')} ${text} NOT NULL,
+      ${q('headers')} ${text},
+      ${q('status')} VARCHAR(16) NOT NULL,
+      ${q('attempts')} INTEGER NOT NULL DEFAULT 0,
+      ${q('last_error')} ${text},
+      ${q('created_at')} BIGINT NOT NULL,
+      ${q('available_at')} BIGINT NOT NULL,
+      ${q('sent_at')} BIGINT
+    )
+  `;
+}
+
+/**
+ * Create an outbox
+ * @param {DatabasePool} dbPool - Database pool
+ * @param {Object} options - Outbox options
+ * @returns {Outbox}
+ */
+function createOutbox(dbPool, options = {}) {
+  return new Outbox(dbPool, options);
+}
+
+Outbox.HEADERS = OUTBOX_HEADERS;
+
+module.exports = {
+  Outbox,
+  OutboxRelay,
+  createOutbox,
+};
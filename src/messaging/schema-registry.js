@@ -0,0 +1,257 @@
+/**
+ * Message Schema Registry
+ * v5.9: Local registry of versioned event payload schemas, using the same
+ * rules as validate() (type, required, min/max, minLength/maxLength, pattern,
+ * format, minItems/maxItems, validator)
+ *
+ * Compatibility is checked when a new version is registered:
+ * - backward: the new schema accepts data written with the previous one (upgrade consumers first)
+ * - forward: the previous schema accepts data written with the new one (upgrade producers first)
+ * - full: both
+ * - none: no check
+ */
+
+const { validateObject, ValidationError } = require('../validation/validator');
+
+const COMPATIBILITY_MODES = ['backward', 'forward', 'full', 'none'];
+
+// Rules that narrow what a field accepts when raised (lower bounds) or lowered (upper bounds)
+const LOWER_BOUNDS = ['min', 'minLength', 'minItems'];
+const UPPER_BOUNDS = ['max', 'maxLength', 'maxItems'];
+
+class SchemaCompatibilityError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'SchemaCompatibilityError';
+    this.issues = issues;
+  }
+}
+
+class SchemaRegistry {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.compatibility - Default compatibility mode (default: 'backward')
+   * @param {boolean} options.strict - Reject events whose type has no registered schema
+   */
+  constructor(options = {}) {
+    this.compatibility = options.compatibility || 'backward';
+    this.strict = options.strict || false;
+    this.schemas = new Map(); // type -> { compatibility, versions: Map<version, schema> }
+
+    if (!COMPATIBILITY_MODES.includes(this.compatibility)) {
+      throw new Error(`Unknown compatibility mode: ${this.compatibility}`);
+    }
+  }
+
+  /**
+   * Register a schema version for an event type
+   * @param {string} type - Event type
+   * @param {Object} schema - Field name -> validation rules
+   * @param {Object} options - { version (default: latest + 1), compatibility (per type) }
+   * @returns {number} - Registered version
+   * @throws {SchemaCompatibilityError} - When the schema breaks the previous version
+   */
+  register(type, schema, options = {}) {
+    if (!schema || typeof schema !== 'object') {
+      throw new Error(`Schema for ${type} must be an object of field rules`);
+    }
+
+    let entry = this.schemas.get(type);
+    if (!entry) {
+      entry = { compatibility: this.compatibility, versions: new Map() };
+      this.schemas.set(type, entry);
+    }
+    if (options.compatibility) {
+      if (!COMPATIBILITY_MODES.includes(options.compatibility)) {
+        throw new Error(`Unknown compatibility mode: ${options.compatibility}`);
+      }
+      entry.compatibility = options.compatibility;
+    }
+
+    const latest = this.latestVersion(type);
+    const version = options.version !== undefined ? options.version : (latest || 0) + 1;
+
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Schema version for ${type} must be a positive integer`);
+    }
+    if (entry.versions.has(version)) {
+      throw new Error(`Schema ${type} v${version} is already registered`);
+    }
+    if (latest !== null && version < latest) {
+      throw new Error(`Schema ${type} v${version} is older than the latest version v${latest}`);
+    }
+
+    if (latest !== null) {
+      const issues = this.checkCompatibility(type, schema);
+      if (issues.length > 0) {
+        throw new SchemaCompatibilityError(
+          `Schema ${type} v${version} is not ${entry.compatibility}-compatible with v${latest}`,
+          issues
+        );
+      }
+    }
+
+    entry.versions.set(version, schema);
+    return version;
+  }
+
+  /**
+   * List what would break if a schema became the next version of a type
+   * @param {string} type - Event type
+   * @param {Object} schema - Candidate schema
+   * @returns {Array<string>} - Incompatibilities (empty when compatible)
+   */
+  checkCompatibility(type, schema) {
+    const entry = this.schemas.get(type);
+    const latest = this.latestVersion(type);
+    if (!entry || latest === null || entry.compatibility === 'none') {
+      return [];
+    }
+
+    const previous = entry.versions.get(latest);
+    const issues = [];
+
+    if (entry.compatibility === 'backward' || entry.compatibility === 'full') {
+      issues.push(...readIssues(previous, schema).map(issue => `backward: ${issue}`));
+    }
+    if (entry.compatibility === 'forward' || entry.compatibility === 'full') {
+      issues.push(...readIssues(schema, previous).map(issue => `forward: ${issue}`));
+    }
+
+    return issues;
+  }
+
+  /**
+   * Get a schema
+   * @param {string} type - Event type
+   * @param {number} version - Version (default: latest)
+   * @returns {Object|null} - Schema
+   */
+  get(type, version = null) {
+    const entry = this.schemas.get(type);
+    if (!entry) {
+      return null;
+    }
+    return entry.versions.get(version === null ? this.latestVersion(type) : version) || null;
+  }
+
+  /**
+   * Latest registered version of a type
+   * @param {string} type - Event type
+   * @returns {number|null}
+   */
+  latestVersion(type) {
+    const entry = this.schemas.get(type);
+    if (!entry || entry.versions.size === 0) {
+      return null;
+    }
+    return Math.max(...entry.versions.keys());
+  }
+
+  /**
+   * Validate a payload. Versions this registry doesn't know (a newer producer)
+   * are checked against the latest one.
+   * @param {string} type - Event type
+   * @param {*} data - Payload
+   * @param {number} version - Schema version the payload was written with
+   * @returns {Array<Object>} - Errors in validate() format
+   */
+  validate(type, data, version = null) {
+    const schema = this.get(type, version) || this.get(type);
+
+    if (!schema) {
+      return this.strict
+        ? [{ field: 'type', message: `No schema registered for ${type}`, code: 'UNKNOWN_TYPE' }]
+        : [];
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return [{ field: 'data', message: 'data must be an object', code: 'TYPE' }];
+    }
+
+    return validateObject(data, schema);
+  }
+
+  /**
+   * Validate a payload and throw on errors
+   * @throws {ValidationError}
+   */
+  assertValid(type, data, version = null) {
+    const errors = this.validate(type, data, version);
+    if (errors.length > 0) {
+      throw new ValidationError(`Event ${type} failed schema validation`, errors);
+    }
+  }
+
+  /**
+   * Registered types and their versions
+   * @returns {Object} - type -> [versions]
+   */
+  list() {
+    const result = {};
+    for (const [type, entry] of this.schemas) {
+      result[type] = Array.from(entry.versions.keys()).sort((a, b) => a - b);
+    }
+    return result;
+  }
+}
+
+/**
+ * Ways data valid under the writer schema can fail the reader schema
+ * @private
+ */
+function readIssues(writer, reader) {
+  const issues = [];
+
+  for (const [field, rules] of Object.entries(reader)) {
+    const written = writer[field];
+
+    if (!written) {
+      if (rules.required) {
+        issues.push(`${field} is required but was not in the previous schema`);
+      }
+      continue;
+    }
+
+    if (rules.type && rules.type !== written.type) {
+      issues.push(`${field} changed type from ${written.type || 'any'} to ${rules.type}`);
+      continue;
+    }
+    if (rules.required && !written.required) {
+      issues.push(`${field} became required`);
+    }
+
+    for (const rule of LOWER_BOUNDS) {
+      if (rules[rule] !== undefined && (written[rule] === undefined || rules[rule] > written[rule])) {
+        issues.push(`${field} ${rule} was raised to ${rules[rule]}`);
+      }
+    }
+    for (const rule of UPPER_BOUNDS) {
+      if (rules[rule] !== undefined && (written[rule] === undefined || rules[rule] < written[rule])) {
+        issues.push(`${field} ${rule} was lowered to ${rules[rule]}`);
+      }
+    }
+    for (const rule of ['pattern', 'format']) {
+      if (rules[rule] !== undefined && String(rules[rule]) !== String(written[rule])) {
+        issues.push(`${field} ${rule} changed`);
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Create a schema registry
+ * @param {Object} options - Registry options
+ * @returns {SchemaRegistry}
+ */
+function createSchemaRegistry(options = {}) {
+  return new SchemaRegistry(options);
+}
+
+module.exports = {
+  SchemaRegistry,
+  SchemaCompatibilityError,
+  createSchemaRegistry,
+};
@@ -17,11 +17,18 @@ class SQSMessaging extends BaseMessaging {
     
     // Try to load AWS SDK (optional dependency)
     try {
-      const { SQSClient, SendMessageCommand, ReceiveMessageCommand, DeleteMessageCommand } = require('@aws-sdk/client-sqs');
+      const {
+        SQSClient,
+        SendMessageCommand,
+        ReceiveMessageCommand,
+        DeleteMessageCommand,
+        ChangeMessageVisibilityCommand,
+      } = require('@aws-sdk/client-sqs');
       this.SQSClient = SQSClient;
       this.SendMessageCommand = SendMessageCommand;
       this.ReceiveMessageCommand = ReceiveMessageCommand;
       this.DeleteMessageCommand = DeleteMessageCommand;
+      this.ChangeMessageVisibilityCommand = ChangeMessageVisibilityCommand;
     } catch (err) {
       // AWS SDK not installed - will throw error on connect
     }
@@ -59,19 +66,28 @@ class SQSMessaging extends BaseMessaging {
    * Publish message to SQS queue
    * @param {string} queueUrl - SQS queue URL
    * @param {Object} message - Message payload
-   * @param {Object} options - Publishing options
+   * @param {Object} options - Publishing options (attributes, delaySeconds; messageGroupId and deduplicationId for FIFO queues)
    */
   async publish(queueUrl, message, options = {}) {
     if (!this.isConnected) {
       await this.connect();
     }
 
-    const command = new this.SendMessageCommand({
+    const params = {
       QueueUrl: queueUrl || this.queueUrl,
-      MessageBody: JSON.stringify(message),
+      MessageBody: this._encode(queueUrl || this.queueUrl, message, options),
       MessageAttributes: options.attributes || {},
       DelaySeconds: options.delaySeconds || 0,
-    });
+    };
+    // v5.9: FIFO queues order messages per group
+    if (options.messageGroupId) {
+      params.MessageGroupId = String(options.messageGroupId);
+    }
+    if (options.deduplicationId) {
+      params.MessageDeduplicationId = String(options.deduplicationId);
+    }
+
+    const command = new this.SendMessageCommand(params);
 
     const response = await this.sqsClient.send(command);
     return {
@@ -82,9 +98,12 @@ class SQSMessaging extends BaseMessaging {
 
   /**
    * Subscribe to SQS queue (long polling)
+   * v5.9: Failed messages are retried through SQS redelivery (ApproximateReceiveCount
+   * is the attempt number, backoff via the visibility timeout) and sent to the
+   * dead-letter queue once the retry policy is exhausted
    * @param {string} queueUrl - SQS queue URL
    * @param {Function} handler - Message handler function
-   * @param {Object} options - Subscription options
+   * @param {Object} options - Subscription options (retry overrides the adapter's retry policy)
    */
   async subscribe(queueUrl, handler, options = {}) {
     if (!this.isConnected) {
@@ -106,25 +125,30 @@ class SQSMessaging extends BaseMessaging {
           MaxNumberOfMessages: options.maxMessages || 1,
           WaitTimeSeconds: options.waitTimeSeconds || 20, // Long polling
           VisibilityTimeout: options.visibilityTimeout || 30,
+          AttributeNames: ['All'],
+          MessageAttributeNames: ['All'],
         });
 
         const response = await this.sqsClient.send(command);
 
         if (response.Messages && response.Messages.length > 0) {
           for (const message of response.Messages) {
-            try {
-              const body = JSON.parse(message.Body);
-              const handlers = this._getHandlers(targetQueueUrl);
-
-              for (const h of handlers) {
-                await h(body, {
-                  messageId: message.MessageId,
-                  receiptHandle: message.ReceiptHandle,
-                  attributes: message.Attributes,
-                });
-              }
+            const attributes = message.Attributes || {};
 
-              // Delete message after successful processing
+            try {
+              await this._deliver(targetQueueUrl, message.Body, {
+                messageId: message.MessageId,
+                receiptHandle: message.ReceiptHandle,
+                attributes,
+                messageAttributes: message.MessageAttributes || {},
+              }, {
+                id: message.MessageId,
+                attempt: parseInt(attributes.ApproximateReceiveCount || '1', 10),
+                redelivers: true,
+                retry: options.retry,
+              });
+
+              // Delete message after successful processing or dead-lettering
               if (options.autoDelete !== false) {
                 await this.sqsClient.send(new this.DeleteMessageCommand({
                   QueueUrl: targetQueueUrl,
@@ -133,7 +157,15 @@ class SQSMessaging extends BaseMessaging {
               }
             } catch (error) {
               console.error('Error processing SQS message:', error);
-              // Message will become visible again after visibility timeout
+              // Back off by delaying the redelivery
+              if (error.retryDelay !== undefined && this.ChangeMessageVisibilityCommand) {
+                await this.sqsClient.send(new this.ChangeMessageVisibilityCommand({
+                  QueueUrl: targetQueueUrl,
+                  ReceiptHandle: message.ReceiptHandle,
+                  VisibilityTimeout: Math.min(Math.ceil(error.retryDelay / 1000), 43200),
+                })).catch(visibilityError => console.error('Error changing SQS message visibility:', visibilityError));
+              }
+              // Otherwise the message becomes visible again after the visibility timeout
             }
           }
         }
@@ -153,6 +185,18 @@ class SQSMessaging extends BaseMessaging {
     return { queueUrl: targetQueueUrl, handler };
   }
 
+  /**
+   * Headers become SQS string message attributes
+   * @protected
+   */
+  _headerOptions(headers) {
+    const attributes = {};
+    for (const [name, value] of Object.entries(headers)) {
+      attributes[name] = { DataType: 'String', StringValue: value };
+    }
+    return { attributes };
+  }
+
   /**
    * Unsubscribe from queue
    */
@@ -17,7 +17,9 @@ function compress(options = {}) {
     algorithm = 'gzip', // 'gzip' or 'brotli'
     filter = (req, res) => {
       // Default: compress JSON and text responses
-      const contentType = res.headers?.['content-type'] || '';
+      const contentType = (typeof res.get === 'function'
+        ? res.get('Content-Type')
+        : res.headers?.['content-type']) || '';
       return contentType.includes('application/json') ||
              contentType.includes('text/') ||
              contentType.includes('application/javascript');
@@ -36,16 +38,19 @@ function compress(options = {}) {
         return originalEnd.apply(this, args);
       }
 
-      // Get response body
-      let body = res.body;
-      if (typeof body === 'object') {
+      // Get response body (passed to end() or set on res.body)
+      let body = args[0] !== undefined && args[0] !== null ? args[0] : res.body;
+      if (body === null || body === undefined || typeof body.pipe === 'function') {
+        return originalEnd.apply(this, args);
+      }
+      if (typeof body === 'object' && !Buffer.isBuffer(body)) {
         body = JSON.stringify(body);
-      } else if (typeof body !== 'string') {
+      } else if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
         body = String(body);
       }
 
       // Check threshold
-      if (Buffer.byteLength(body, 'utf8') < threshold) {
+      if (Buffer.byteLength(body) < threshold) {
         return originalEnd.apply(this, args);
       }
 
@@ -86,7 +91,7 @@ function compress(options = {}) {
       // Update body with compressed data
       res.body = compressed;
 
-      return originalEnd.apply(this, args);
+      return originalEnd.call(this);
     };
 
     next();
@@ -0,0 +1,177 @@
+/**
+ * Idempotency-Key Middleware
+ * v5.9: Replay the first response for repeated requests carrying the same
+ * Idempotency-Key, so client retries don't create duplicate writes
+ */
+
+const crypto = require('crypto');
+const { createIdempotencyStore, IDEMPOTENCY_STATUS } = require('../cache/idempotency-store');
+
+/**
+ * Create idempotency middleware
+ * @param {Object} options - Options
+ * @param {Object} options.store - Cache, RedisCache, AdvancedCache (or any idempotency store); default: new Cache()
+ * @param {Array<string>} options.methods - Methods to handle (default: ['POST', 'PATCH'])
+ * @param {string} options.header - Key header (default: 'Idempotency-Key')
+ * @param {boolean} options.required - Reject requests without a key with 400 (default: false)
+ * @param {number} options.ttl - How long responses are replayed, in ms (default: 24h)
+ * @param {number} options.lockTimeout - How long an unfinished request holds its key, in ms (default: 60000)
+ * @param {Function} options.caller - (req) => string identifying the caller (default: user, API key or IP)
+ * @param {Function} options.fingerprint - (req) => string identifying the payload (default: SHA-256 of the body)
+ * @returns {Function} - Middleware function
+ */
+function idempotency(options = {}) {
+  const {
+    methods = ['POST', 'PATCH'],
+    header = 'Idempotency-Key',
+    required = false,
+    ttl = 24 * 60 * 60 * 1000,
+    lockTimeout = 60000,
+    caller = defaultCaller,
+    fingerprint = defaultFingerprint,
+  } = options;
+
+  const store = createIdempotencyStore(options.store, { prefix: 'idempotency:http:' });
+  const allowed = new Set(methods.map(method => method.toUpperCase()));
+  const headerName = header.toLowerCase();
+
+  return async (req, res, next) => {
+    if (!allowed.has(req.method)) {
+      return next();
+    }
+
+    const idempotencyKey = (req.headers || {})[headerName];
+    if (!idempotencyKey) {
+      if (required) {
+        res.statusCode = 400;
+        res.body = { error: `${header} header is required` };
+        return;
+      }
+      return next();
+    }
+    if (idempotencyKey.length > 255) {
+      res.statusCode = 400;
+      res.body = { error: `${header} must be at most 255 characters` };
+      return;
+    }
+
+    const key = [req.method, req.routePath || req.path, caller(req), idempotencyKey].join(':');
+    const requestFingerprint = fingerprint(req);
+    const claim = await store.claim(key, lockTimeout, requestFingerprint);
+
+    if (!claim.claimed) {
+      const record = claim.record;
+
+      if (record.data !== requestFingerprint) {
+        res.statusCode = 422;
+        res.body = { error: `${header} was already used with a different request body` };
+        return;
+      }
+
+      if (record.status !== IDEMPOTENCY_STATUS.COMPLETED) {
+        res.statusCode = 409;
+        res.headers = res.headers || {};
+        res.headers['Retry-After'] = '1';
+        res.body = { error: 'A request with this idempotency key is still being processed' };
+        return;
+      }
+
+      replay(res, record.result);
+      return;
+    }
+
+    // Store the final response once the handler (or error handler) has produced it
+    const originalFinish = res.finish || (() => {});
+    res.finish = async function(...args) {
+      try {
+        const stored = snapshot(res);
+        // Server errors and streams aren't replayed: let the client retry
+        if (stored) {
+          await store.complete(key, stored, ttl);
+        } else {
+          await store.release(key);
+        }
+      } catch (error) {
+        console.error('Idempotency store error:', error);
+      }
+
+      return originalFinish.apply(this, args);
+    };
+
+    next();
+  };
+}
+
+/**
+ * Capture a response for replay, or null if it shouldn't be replayed
+ * @private
+ */
+function snapshot(res) {
+  const statusCode = res.statusCode || 200;
+  const body = res.body;
+
+  if (statusCode >= 500 || res._chunks || (body && typeof body.pipe === 'function')) {
+    return null;
+  }
+
+  return {
+    statusCode,
+    headers: { ...res.headers },
+    body: Buffer.isBuffer(body) ? body.toString('base64') : body,
+    base64: Buffer.isBuffer(body),
+  };
+}
+
+/**
+ * Write a stored response
+ * @private
+ */
+function replay(res, stored) {
+  res.statusCode = stored.statusCode;
+  res.headers = { ...res.headers, ...stored.headers, 'Idempotent-Replayed': 'true' };
+  res.body = stored.base64 ? Buffer.from(stored.body, 'base64') : stored.body;
+}
+
+/**
+ * Caller identity: authenticated user, API key (hashed) or client IP
+ * @private
+ */
+function defaultCaller(req) {
+  if (req.user) {
+    const id = req.user.sub || req.user.id || req.user.userId;
+    if (id !== undefined) {
+      return `user:${id}`;
+    }
+  }
+  if (req.apiKey) {
+    return `key:${crypto.createHash('sha256').update(String(req.apiKey)).digest('hex').substring(0, 16)}`;
+  }
+  const headers = req.headers || {};
+  return `ip:${(headers['x-forwarded-for'] || '').split(',')[0].trim() || headers['x-real-ip'] || 'unknown'}`;
+}
+
+/**
+ * SHA-256 of the request body, independent of key order
+ * @private
+ */
+function defaultFingerprint(req) {
+  const body = req.body === undefined ? null : req.body;
+  const text = Buffer.isBuffer(body) ? body.toString('base64') : stableStringify(body);
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * JSON with sorted object keys
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = idempotency;
@@ -95,6 +95,25 @@ class Metrics {
     });
   }
 
+  /**
+   * Create an onResponse hook that records every request (v5.9)
+   * Uses the matched route pattern as the path label to keep cardinality low;
+   * requests no route matched (404s, automatic OPTIONS) share 'unmatched'.
+   * @returns {Function} - Hook for app.addHook('onResponse', ...)
+   * @example
+   * app.addHook('onResponse', metrics.requestHook());
+   */
+  requestHook() {
+    return (req, res) => {
+      this.recordRequest(
+        req.method,
+        req.routePath || 'unmatched',
+        res.elapsedTime,
+        res.statusCode
+      );
+    };
+  }
+
   /**
    * Get all metrics
    * @returns {Object} - All collected metrics
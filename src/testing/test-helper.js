@@ -1,9 +1,15 @@
 /**
  * Testing Utilities
  * v5.1: Test helpers for Navis.js applications
+ * v5.9: Synthetic SQS, SNS, S3, DynamoDB, EventBridge and schedule events
  */
 
 const http = require('http');
+const crypto = require('crypto');
+const { randomUUID } = require('../utils/uuid');
+
+const REGION = 'us-east-1';
+const ACCOUNT = '123456789012';
 
 class TestApp {
   constructor(app) {
@@ -63,6 +69,36 @@ class TestApp {
     return this._request('PATCH', path, data, options);
   }
 
+  /**
+   * Make a HEAD request
+   * @param {string} path - Request path
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - Response object
+   */
+  async head(path, options = {}) {
+    return this._request('HEAD', path, null, options);
+  }
+
+  /**
+   * Make an OPTIONS request
+   * @param {string} path - Request path
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - Response object
+   */
+  async options(path, options = {}) {
+    return this._request('OPTIONS', path, null, options);
+  }
+
+  /**
+   * Invoke the app with a Lambda event (see mockEvents)
+   * @param {Object} event - Lambda event
+   * @param {Object} context - Lambda context
+   * @returns {Promise<*>} - Handler result, e.g. { batchItemFailures } for SQS
+   */
+  async invoke(event, context = {}) {
+    return this.app.handleEvent(event, context);
+  }
+
   /**
    * Make an HTTP request
    * @private
@@ -160,8 +196,171 @@ function testApp(app) {
   return new TestApp(app);
 }
 
+/**
+ * Builders for synthetic non-HTTP Lambda events
+ * Messages and details may be objects (sent as JSON) or strings.
+ */
+const mockEvents = {
+  /**
+   * SQS event
+   * @param {Array} messages - Message bodies
+   * @param {Object} options - { queue: name or ARN, attributes, messageAttributes }
+   * @returns {Object} - SQS event
+   */
+  sqs(messages, options = {}) {
+    const queueArn = toArn('sqs', options.queue || 'test-queue');
+    return {
+      Records: [].concat(messages).map((message, index) => ({
+        messageId: options.messageIds ? options.messageIds[index] : randomUUID(),
+        receiptHandle: crypto.randomBytes(16).toString('hex'),
+        body: stringify(message),
+        attributes: {
+          ApproximateReceiveCount: '1',
+          SentTimestamp: String(Date.now()),
+          ...options.attributes,
+        },
+        messageAttributes: options.messageAttributes || {},
+        md5OfBody: crypto.createHash('md5').update(stringify(message)).digest('hex'),
+        eventSource: 'aws:sqs',
+        eventSourceARN: queueArn,
+        awsRegion: REGION,
+      })),
+    };
+  },
+
+  /**
+   * SNS event
+   * @param {Array} messages - Message bodies
+   * @param {Object} options - { topic: name or ARN, subject, messageAttributes }
+   * @returns {Object} - SNS event
+   */
+  sns(messages, options = {}) {
+    const topicArn = toArn('sns', options.topic || 'test-topic');
+    return {
+      Records: [].concat(messages).map(message => ({
+        EventSource: 'aws:sns',
+        EventVersion: '1.0',
+        EventSubscriptionArn: `${topicArn}:${randomUUID()}`,
+        Sns: {
+          Type: 'Notification',
+          MessageId: randomUUID(),
+          TopicArn: topicArn,
+          Subject: options.subject || null,
+          Message: stringify(message),
+          Timestamp: new Date().toISOString(),
+          MessageAttributes: options.messageAttributes || {},
+        },
+      })),
+    };
+  },
+
+  /**
+   * S3 event
+   * @param {string} bucket - Bucket name
+   * @param {Array<string>} keys - Object keys
+   * @param {Object} options - { eventName, size }
+   * @returns {Object} - S3 event
+   */
+  s3(bucket, keys, options = {}) {
+    return {
+      Records: [].concat(keys).map(key => ({
+        eventVersion: '2.1',
+        eventSource: 'aws:s3',
+        awsRegion: REGION,
+        eventTime: new Date().toISOString(),
+        eventName: options.eventName || 'ObjectCreated:Put',
+        s3: {
+          s3SchemaVersion: '1.0',
+          bucket: { name: bucket, arn: `arn:aws:s3:::${bucket}` },
+          object: {
+            key: encodeURIComponent(key).replace(/%20/g, '+').replace(/%2F/g, '/'),
+            size: options.size || 0,
+            sequencer: crypto.randomBytes(8).toString('hex').toUpperCase(),
+          },
+        },
+      })),
+    };
+  },
+
+  /**
+   * DynamoDB Streams event
+   * @param {string} table - Table name
+   * @param {Array<Object>} changes - [{ eventName, keys, newImage, oldImage }] in DynamoDB JSON
+   * @returns {Object} - DynamoDB Streams event
+   */
+  dynamodb(table, changes) {
+    const streamArn = `arn:aws:dynamodb:${REGION}:${ACCOUNT}:table/${table}/stream/2024-01-01T00:00:00.000`;
+    return {
+      Records: [].concat(changes).map((change, index) => ({
+        eventID: randomUUID(),
+        eventName: change.eventName || 'INSERT',
+        eventSource: 'aws:dynamodb',
+        eventSourceARN: streamArn,
+        awsRegion: REGION,
+        dynamodb: {
+          Keys: change.keys || {},
+          NewImage: change.newImage,
+          OldImage: change.oldImage,
+          SequenceNumber: String(100000 + index),
+          StreamViewType: 'NEW_AND_OLD_IMAGES',
+        },
+      })),
+    };
+  },
+
+  /**
+   * EventBridge event
+   * @param {string} source - Event source (e.g. 'orders.service')
+   * @param {string} detailType - Detail type (e.g. 'OrderPlaced')
+   * @param {Object} detail - Event detail
+   * @returns {Object} - EventBridge event
+   */
+  eventBridge(source, detailType, detail = {}) {
+    return {
+      version: '0',
+      id: randomUUID(),
+      'detail-type': detailType,
+      source,
+      account: ACCOUNT,
+      time: new Date().toISOString(),
+      region: REGION,
+      resources: [],
+      detail,
+    };
+  },
+
+  /**
+   * Scheduled (EventBridge rule) event
+   * @param {string} rule - Rule name or ARN
+   * @returns {Object} - Scheduled event
+   */
+  schedule(rule) {
+    return {
+      ...mockEvents.eventBridge('aws.events', 'Scheduled Event'),
+      resources: [rule.startsWith('arn:') ? rule : `arn:aws:events:${REGION}:${ACCOUNT}:rule/${rule}`],
+    };
+  },
+};
+
+/**
+ * Build an ARN from a name, leaving ARNs unchanged
+ * @private
+ */
+function toArn(service, name) {
+  return name.startsWith('arn:') ? name : `arn:aws:${service}:${REGION}:${ACCOUNT}:${name}`;
+}
+
+/**
+ * Message bodies are strings on the wire
+ * @private
+ */
+function stringify(message) {
+  return typeof message === 'string' ? message : JSON.stringify(message);
+}
+
 module.exports = {
   TestApp,
   testApp,
+  mockEvents,
 };
 
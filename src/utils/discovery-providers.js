@@ -0,0 +1,507 @@
+/**
+ * Service Discovery Providers
+ * v5.9: Keep ServiceDiscovery in sync from a watched file, environment
+ * variables or DNS SRV/A records
+ *
+ * Attach a provider with discovery.use(provider). Services the provider
+ * reports are registered (keeping load and ejection state for endpoints
+ * that stay), and services it stops reporting are unregistered.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+
+class DiscoveryProvider {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.onError - (error, serviceName) => void, called when a refresh fails
+   */
+  constructor(options = {}) {
+    this.onError = options.onError || null;
+    this.discovery = null;
+    this.applied = new Map(); // name -> last registered config (serialized)
+    this.running = false;
+  }
+
+  /**
+   * Load services into a discovery instance and start watching for changes
+   * @param {ServiceDiscovery} discovery - Discovery to keep in sync
+   * @returns {Promise<DiscoveryProvider>} - this
+   */
+  async start(discovery) {
+    this.discovery = discovery;
+    this.running = true;
+    await this.refresh();
+    this._watch();
+    return this;
+  }
+
+  /**
+   * Stop watching for changes. Registered services are left in place.
+   */
+  stop() {
+    this.running = false;
+  }
+
+  /**
+   * Reload services from the source
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    throw new Error('refresh() must be implemented by the provider');
+  }
+
+  /**
+   * Start watching the source (called once after the first load)
+   * @protected
+   */
+  _watch() {}
+
+  /**
+   * Apply a full set of services: register new and changed ones,
+   * unregister the ones that are gone
+   * @protected
+   */
+  _sync(services) {
+    for (const [name, config] of Object.entries(services)) {
+      this._update(name, config);
+    }
+    for (const name of Array.from(this.applied.keys())) {
+      if (!Object.prototype.hasOwnProperty.call(services, name)) {
+        this.discovery.unregister(name);
+        this.applied.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Register one service if its config changed
+   * @protected
+   */
+  _update(name, config) {
+    const serialized = JSON.stringify(config);
+    if (this.applied.get(name) === serialized && this.discovery.services.has(name)) {
+      return;
+    }
+
+    const options = {};
+    if (config.strategy) {
+      options.strategy = config.strategy;
+    }
+    if (config.replicas) {
+      options.replicas = config.replicas;
+    }
+
+    this.discovery.register(name, config.endpoints, options);
+    this.applied.set(name, serialized);
+  }
+
+  /**
+   * Report a refresh error
+   * @protected
+   */
+  _error(error, name = null) {
+    if (this.onError) {
+      try {
+        this.onError(error, name);
+      } catch (hookError) {
+        console.error('Discovery provider error hook failed:', hookError);
+      }
+    } else {
+      console.error(`${this.constructor.name} refresh failed${name ? ` for ${name}` : ''}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Services from a JSON or YAML file, reloaded when the file changes.
+ *
+ * {
+ *   "services": {
+ *     "user-service": ["http://10.0.0.1:3000", "http://10.0.0.2:3000"],
+ *     "order-service": {
+ *       "strategy": "weighted",
+ *       "endpoints": [{ "url": "http://10.0.1.1:3000", "weight": 3 }, "http://10.0.1.2:3000"]
+ *     }
+ *   }
+ * }
+ *
+ * The top-level "services" key is optional. An invalid file is reported
+ * and the previous services are kept.
+ */
+class FileDiscoveryProvider extends DiscoveryProvider {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.path - File path
+   * @param {string} options.format - 'json' or 'yaml' (default: from the extension)
+   * @param {boolean} options.watch - Reload on change (default: true)
+   * @param {number} options.debounce - Wait this many ms after a change before reloading (default: 100)
+   * @param {Function} options.onError - (error) => void
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.path) {
+      throw new Error('FileDiscoveryProvider requires a path');
+    }
+
+    this.path = path.resolve(options.path);
+    this.format = options.format || (/\.ya?ml$/i.test(this.path) ? 'yaml' : 'json');
+    this.watch = options.watch !== false;
+    this.debounce = options.debounce !== undefined ? options.debounce : 100;
+    this.watcher = null;
+    this.pending = null;
+  }
+
+  async refresh() {
+    const text = await fs.promises.readFile(this.path, 'utf8');
+    const raw = this.format === 'yaml' ? parseYaml(text) : JSON.parse(text);
+    this._sync(normalizeServices(raw, this.path));
+  }
+
+  _watch() {
+    if (!this.watch) {
+      return;
+    }
+
+    // Watch the directory: editors and config tools often replace the file
+    // rather than writing to it, which ends a watch on the file itself
+    const filename = path.basename(this.path);
+    this.watcher = fs.watch(path.dirname(this.path), { persistent: false }, (eventType, changed) => {
+      if (changed && changed !== filename) {
+        return;
+      }
+
+      clearTimeout(this.pending);
+      this.pending = setTimeout(() => {
+        this.pending = null;
+        if (this.running) {
+          this.refresh().catch(error => this._error(error));
+        }
+      }, this.debounce);
+      if (this.pending.unref) this.pending.unref();
+    });
+
+    this.watcher.on('error', error => this._error(error));
+  }
+
+  stop() {
+    super.stop();
+    clearTimeout(this.pending);
+    this.pending = null;
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+/**
+ * Services from environment variables:
+ *
+ *   SERVICE_USER_SERVICE_URLS=http://10.0.0.1:3000,http://10.0.0.2:3000;weight=2
+ *   SERVICE_USER_SERVICE_STRATEGY=weighted
+ *
+ * registers "user-service" (the name is lowercased, underscores become dashes).
+ */
+class EnvDiscoveryProvider extends DiscoveryProvider {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.prefix - Variable prefix (default: 'SERVICE_')
+   * @param {Object} options.env - Variables to read (default: process.env)
+   * @param {number} options.interval - Re-read every this many ms (default: 0, never)
+   * @param {Function} options.onError - (error) => void
+   */
+  constructor(options = {}) {
+    super(options);
+    this.prefix = options.prefix !== undefined ? options.prefix : 'SERVICE_';
+    this.env = options.env || process.env;
+    this.interval = options.interval || 0;
+    this.timer = null;
+  }
+
+  async refresh() {
+    const services = {};
+
+    for (const [variable, value] of Object.entries(this.env)) {
+      if (!variable.startsWith(this.prefix) || !variable.endsWith('_URLS') || value === undefined) {
+        continue;
+      }
+
+      const key = variable.slice(this.prefix.length, -'_URLS'.length);
+      if (!key) {
+        continue;
+      }
+
+      const name = key.toLowerCase().replace(/_/g, '-');
+      const invalid = message => this._error(new Error(`${variable}: ${message}`), name);
+      services[name] = {
+        endpoints: String(value).split(',').map(entry => entry.trim()).filter(Boolean)
+          .map(entry => parseEnvEndpoint(entry, invalid)),
+      };
+
+      const strategy = this.env[`${this.prefix}${key}_STRATEGY`];
+      if (strategy) {
+        services[name].strategy = strategy;
+      }
+    }
+
+    this._sync(services);
+  }
+
+  _watch() {
+    if (this.interval > 0) {
+      this.timer = setInterval(() => {
+        this.refresh().catch(error => this._error(error));
+      }, this.interval);
+      if (this.timer.unref) this.timer.unref();
+    }
+  }
+
+  stop() {
+    super.stop();
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Services from DNS, re-resolved when the records' TTL runs out.
+ *
+ * - { srv: '_http._tcp.users.internal' }: one endpoint per SRV target:port
+ *   in the lowest priority group, weighted by the SRV weight
+ * - { host: 'users.internal', port: 3000 }: one endpoint per A record
+ *
+ * Node's resolver doesn't report TTLs for SRV answers, so SRV services
+ * refresh on the TTL of their targets' A records. A failed lookup is
+ * reported and the previous endpoints are kept until the next attempt.
+ */
+class DnsDiscoveryProvider extends DiscoveryProvider {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.services - name -> { srv } or { host, port }, plus optional protocol, strategy, replicas
+   * @param {Array<string>} options.servers - DNS servers (default: system resolvers)
+   * @param {Object} options.resolver - dns.promises.Resolver to use instead
+   * @param {string} options.protocol - URL scheme (default: 'http')
+   * @param {number} options.minTtl - Shortest refresh interval in ms (default: 5000)
+   * @param {number} options.maxTtl - Longest refresh interval in ms (default: 300000)
+   * @param {number} options.defaultTtl - Refresh interval when no TTL is known, in ms (default: 30000)
+   * @param {Function} options.onError - (error, serviceName) => void
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.services = options.services || {};
+    this.protocol = options.protocol || 'http';
+    this.minTtl = options.minTtl || 5000;
+    this.maxTtl = options.maxTtl || 300000;
+    this.defaultTtl = options.defaultTtl || 30000;
+    this.timers = new Map(); // name -> refresh timer
+
+    for (const [name, spec] of Object.entries(this.services)) {
+      if (!spec || (!spec.srv && !spec.host)) {
+        throw new Error(`DNS service ${name} needs an srv or host name`);
+      }
+    }
+
+    this.resolver = options.resolver || new dns.promises.Resolver();
+    if (options.servers) {
+      this.resolver.setServers(options.servers);
+    }
+  }
+
+  async refresh() {
+    await Promise.all(Object.keys(this.services).map(name => this._refreshService(name)));
+  }
+
+  stop() {
+    super.stop();
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Resolve one service and schedule its next refresh
+   * @private
+   */
+  async _refreshService(name) {
+    clearTimeout(this.timers.get(name));
+    const spec = this.services[name];
+    let ttl = null;
+
+    try {
+      const result = spec.srv ? await this._resolveSrv(spec) : await this._resolveHost(spec);
+      ttl = result.ttl;
+
+      const config = { endpoints: result.endpoints };
+      if (spec.strategy) {
+        config.strategy = spec.strategy;
+      }
+      if (spec.replicas) {
+        config.replicas = spec.replicas;
+      }
+      this._update(name, config);
+    } catch (error) {
+      this._error(error, name);
+    }
+
+    if (!this.running) {
+      return;
+    }
+
+    // ttl is in seconds; retry failed lookups at the shortest interval
+    const delay = ttl === null
+      ? (this.applied.has(name) ? this.minTtl : this.defaultTtl)
+      : Math.min(this.maxTtl, Math.max(this.minTtl, ttl * 1000));
+
+    const timer = setTimeout(() => this._refreshService(name), delay);
+    if (timer.unref) timer.unref();
+    this.timers.set(name, timer);
+  }
+
+  /**
+   * Endpoints from SRV records
+   * @private
+   */
+  async _resolveSrv(spec) {
+    const records = await this.resolver.resolveSrv(spec.srv);
+    if (records.length === 0) {
+      throw new Error(`No SRV records for ${spec.srv}`);
+    }
+
+    // Lower priority values are preferred; the rest are fallbacks
+    const priority = Math.min(...records.map(record => record.priority));
+    const selected = records.filter(record => record.priority === priority);
+    const protocol = spec.protocol || this.protocol;
+
+    const ttls = await Promise.all(selected.map(record => this._addressTtl(record.name)));
+    const known = ttls.filter(ttl => ttl !== null);
+
+    return {
+      endpoints: selected.map(record => ({
+        url: `${protocol}://${record.name}:${record.port}`,
+        // Weight 0 means "rarely"; the balancers need positive weights
+        weight: Math.max(record.weight, 1),
+      })),
+      ttl: known.length > 0 ? Math.min(...known) : null,
+    };
+  }
+
+  /**
+   * Endpoints from A records
+   * @private
+   */
+  async _resolveHost(spec) {
+    const records = await this.resolver.resolve4(spec.host, { ttl: true });
+    if (records.length === 0) {
+      throw new Error(`No A records for ${spec.host}`);
+    }
+
+    const protocol = spec.protocol || this.protocol;
+    const port = spec.port ? `:${spec.port}` : '';
+
+    return {
+      endpoints: records.map(record => `${protocol}://${record.address}${port}`),
+      ttl: Math.min(...records.map(record => record.ttl)),
+    };
+  }
+
+  /**
+   * TTL of a host's A records, or null when it can't be resolved
+   * @private
+   */
+  async _addressTtl(host) {
+    try {
+      const records = await this.resolver.resolve4(host, { ttl: true });
+      return records.length > 0 ? Math.min(...records.map(record => record.ttl)) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Normalize a parsed services file to name -> { endpoints, strategy, replicas }
+ * @private
+ */
+function normalizeServices(raw, source) {
+  const services = raw && raw.services !== undefined ? raw.services : raw;
+  if (!services || typeof services !== 'object' || Array.isArray(services)) {
+    throw new Error(`${source}: expected an object mapping service names to endpoints`);
+  }
+
+  const result = {};
+  for (const [name, value] of Object.entries(services)) {
+    let config;
+    if (typeof value === 'string' || Array.isArray(value)) {
+      config = { endpoints: [].concat(value) };
+    } else if (value && typeof value === 'object') {
+      config = { endpoints: [].concat(value.endpoints || value.urls || []) };
+      if (value.strategy) {
+        config.strategy = value.strategy;
+      }
+      if (value.replicas) {
+        config.replicas = value.replicas;
+      }
+    } else {
+      throw new Error(`${source}: service ${name} must be a URL, a list of endpoints or an object with endpoints`);
+    }
+    result[name] = config;
+  }
+
+  return result;
+}
+
+/**
+ * Parse "url" or "url;weight=N". A weight that isn't a positive number is
+ * reported and the endpoint keeps the default weight of 1.
+ * @private
+ */
+function parseEnvEndpoint(entry, onInvalid) {
+  const [url, ...params] = entry.split(';');
+  const endpoint = { url: url.trim(), weight: 1 };
+
+  for (const param of params) {
+    const [key, value] = param.split('=').map(part => part.trim());
+    if (key === 'weight') {
+      const weight = Number(value);
+      if (value && Number.isFinite(weight) && weight > 0) {
+        endpoint.weight = weight;
+      } else {
+        onInvalid(`invalid weight "${value}" for ${endpoint.url}, using 1`);
+      }
+    }
+  }
+
+  return endpoint;
+}
+
+/**
+ * Parse YAML with js-yaml or yaml, whichever is installed
+ * @private
+ */
+function parseYaml(text) {
+  let parse;
+  try {
+    const jsYaml = require('js-yaml');
+    parse = value => jsYaml.load(value);
+  } catch (error) {
+    try {
+      const YAML = require('yaml');
+      parse = value => YAML.parse(value);
+    } catch (fallbackError) {
+      throw new Error('js-yaml is required for YAML service files. Install it with: npm install js-yaml');
+    }
+  }
+  return parse(text);
+}
+
+module.exports = {
+  DiscoveryProvider,
+  FileDiscoveryProvider,
+  EnvDiscoveryProvider,
+  DnsDiscoveryProvider,
+};
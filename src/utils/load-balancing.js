@@ -0,0 +1,239 @@
+/**
+ * Load Balancing Strategies
+ * v5.9: Endpoint selection strategies for ServiceDiscovery
+ *
+ * A strategy is an object with select(endpoints, context) returning one of
+ * the endpoints, or a plain function with the same signature. Endpoints are
+ * the available (healthy, not ejected) instances in registration order:
+ * { url, weight, outstanding }. context.key is the request key for sticky
+ * strategies. Each registered service gets its own strategy instance.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Round-robin over the available endpoints
+ * @returns {Object} - Strategy
+ */
+function roundRobin() {
+  let index = 0;
+
+  return {
+    name: 'round-robin',
+    select(endpoints) {
+      const endpoint = endpoints[index % endpoints.length];
+      index = (index + 1) % Number.MAX_SAFE_INTEGER;
+      return endpoint;
+    },
+  };
+}
+
+/**
+ * Smooth weighted round-robin: each endpoint gets a share of requests
+ * proportional to its weight, interleaved rather than in bursts
+ * @returns {Object} - Strategy
+ */
+function weighted() {
+  const current = new Map(); // url -> current weight
+
+  return {
+    name: 'weighted',
+    select(endpoints) {
+      let total = 0;
+      let best = null;
+
+      for (const endpoint of endpoints) {
+        const value = (current.get(endpoint.url) || 0) + endpoint.weight;
+        current.set(endpoint.url, value);
+        total += endpoint.weight;
+        if (!best || value > current.get(best.url)) {
+          best = endpoint;
+        }
+      }
+
+      current.set(best.url, current.get(best.url) - total);
+      return best;
+    },
+  };
+}
+
+/**
+ * Endpoint with the fewest in-flight requests relative to its weight
+ * @returns {Object} - Strategy
+ */
+function leastOutstanding() {
+  let offset = 0;
+
+  return {
+    name: 'least-outstanding',
+    select(endpoints) {
+      // Rotate the starting point so ties don't always go to the first endpoint
+      offset = (offset + 1) % endpoints.length;
+      let best = null;
+
+      for (let i = 0; i < endpoints.length; i++) {
+        const endpoint = endpoints[(offset + i) % endpoints.length];
+        if (!best || load(endpoint) < load(best)) {
+          best = endpoint;
+        }
+      }
+
+      return best;
+    },
+  };
+}
+
+/**
+ * Power of two random choices: sample two endpoints, use the less loaded one
+ * @returns {Object} - Strategy
+ */
+function randomTwoChoices() {
+  return {
+    name: 'random-two-choices',
+    select(endpoints) {
+      if (endpoints.length === 1) {
+        return endpoints[0];
+      }
+
+      const first = Math.floor(Math.random() * endpoints.length);
+      let second = Math.floor(Math.random() * (endpoints.length - 1));
+      if (second >= first) {
+        second++;
+      }
+
+      const a = endpoints[first];
+      const b = endpoints[second];
+      return load(b) < load(a) ? b : a;
+    },
+  };
+}
+
+/**
+ * Consistent hashing on context.key: the same key keeps going to the same
+ * endpoint, and only keys of an endpoint that leaves move elsewhere.
+ * Requests without a key are spread at random.
+ * @param {Object} options - Options
+ * @param {number} options.replicas - Points on the ring per unit of weight (default: 100)
+ * @returns {Object} - Strategy
+ */
+function consistentHash(options = {}) {
+  const replicas = options.replicas || 100;
+  let ring = [];
+  let signature = null;
+
+  const build = (endpoints) => {
+    ring = [];
+    for (const endpoint of endpoints) {
+      const points = Math.max(1, Math.round(replicas * endpoint.weight));
+      for (let i = 0; i < points; i++) {
+        ring.push({ hash: hash(`${endpoint.url}#${i}`), url: endpoint.url });
+      }
+    }
+    ring.sort((a, b) => a.hash - b.hash);
+  };
+
+  return {
+    name: 'consistent-hash',
+    select(endpoints, context = {}) {
+      if (context.key === undefined || context.key === null) {
+        return endpoints[Math.floor(Math.random() * endpoints.length)];
+      }
+
+      // The ring covers every registered endpoint, so an endpoint being
+      // unavailable only moves its own keys
+      const all = context.all || endpoints;
+      const current = all.map(endpoint => `${endpoint.url}:${endpoint.weight}`).join(',');
+      if (current !== signature) {
+        build(all);
+        signature = current;
+      }
+
+      const available = new Map(endpoints.map(endpoint => [endpoint.url, endpoint]));
+      const start = search(ring, hash(String(context.key)));
+
+      for (let i = 0; i < ring.length; i++) {
+        const endpoint = available.get(ring[(start + i) % ring.length].url);
+        if (endpoint) {
+          return endpoint;
+        }
+      }
+
+      return endpoints[0];
+    },
+  };
+}
+
+const STRATEGIES = {
+  'round-robin': roundRobin,
+  'weighted': weighted,
+  'least-outstanding': leastOutstanding,
+  'random-two-choices': randomTwoChoices,
+  'consistent-hash': consistentHash,
+};
+
+/**
+ * Resolve a strategy option to a strategy instance
+ * @param {string|Object|Function} strategy - Strategy name, strategy object or select function
+ * @param {Object} options - Options for the built-in strategy factory
+ * @returns {Object} - Strategy with select()
+ */
+function createStrategy(strategy = 'round-robin', options = {}) {
+  if (typeof strategy === 'string') {
+    const factory = STRATEGIES[strategy];
+    if (!factory) {
+      throw new Error(`Unknown load balancing strategy: ${strategy}. Expected one of: ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+    return factory(options);
+  }
+  if (typeof strategy === 'function') {
+    return { name: strategy.name || 'custom', select: strategy };
+  }
+  if (strategy && typeof strategy.select === 'function') {
+    return strategy;
+  }
+  throw new Error('A load balancing strategy must be a name, a select function or an object with select()');
+}
+
+/**
+ * In-flight requests per unit of weight
+ * @private
+ */
+function load(endpoint) {
+  return (endpoint.outstanding + 1) / endpoint.weight;
+}
+
+/**
+ * 32-bit hash for ring positions
+ * @private
+ */
+function hash(value) {
+  return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+}
+
+/**
+ * Index of the first ring point at or after a hash (wrapping to 0)
+ * @private
+ */
+function search(ring, value) {
+  let low = 0;
+  let high = ring.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (ring[mid].hash < value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low === ring.length ? 0 : low;
+}
+
+module.exports = {
+  STRATEGIES,
+  createStrategy,
+  roundRobin,
+  weighted,
+  leastOutstanding,
+  randomTwoChoices,
+  consistentHash,
+};
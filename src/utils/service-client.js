@@ -1,13 +1,23 @@
 ﻿const http = require('http');
 const https = require('https');
+const { randomUUID } = require('./uuid');
 const CircuitBreaker = require('./circuit-breaker');
+const ServiceDiscovery = require('./service-discovery');
 const { retry, shouldRetryHttpStatus } = require('./retry');
+const { DEADLINE_HEADER, toDeadline } = require('../core/deadline');
 
 /**
  * ServiceClient - Lightweight HTTP client for service-to-service calls
  * v2: Enhanced with retry logic, circuit breaker, and additional HTTP methods
+ * v5.9: ServiceClient.for(name) resolves endpoints through ServiceDiscovery per request
  */
 
+// Methods safe to send twice, so they can be hedged
+const HEDGE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Errors where the connection itself failed, so the instance is likely down
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT'];
+
 class ServiceClient {
   constructor(baseUrl, options = {}) {
     this.baseUrl = baseUrl;
@@ -21,23 +31,74 @@ class ServiceClient {
       enabled: options.retry !== false, // Enabled by default
     };
 
+    // v5.9: Opt-in: POST/PATCH send one Idempotency-Key for all retries of a call
+    this.idempotencyKeys = options.idempotencyKeys === true;
+
+    // v5.9: Report request outcomes to ServiceDiscovery for load balancing and outlier ejection
+    this.discovery = options.discovery || null;
+    this.serviceName = options.serviceName || null;
+    // Without a baseUrl, each request picks an endpoint of serviceName
+    this.resolvesEndpoints = !baseUrl && Boolean(this.discovery && this.serviceName);
+
+    // v5.9: Hedged requests - a second attempt when the first is slower than
+    // the given percentile of recent latencies (idempotent methods only)
+    this.hedge = options.hedge ? {
+      percentile: 95,
+      delay: 100, // Used until minSamples latencies are known, or always without a percentile
+      minDelay: 10,
+      minSamples: 20,
+      sampleSize: 100,
+      maxAttempts: 2,
+      methods: HEDGE_METHODS,
+      ...(options.hedge === true ? {} : options.hedge),
+    } : null;
+    this.latencies = [];
+
     // Circuit breaker configuration
     this.circuitBreakerEnabled = options.circuitBreaker !== false; // Enabled by default
-    if (this.circuitBreakerEnabled) {
-      this.circuitBreaker = new CircuitBreaker({
-        failureThreshold: options.circuitBreakerThreshold || 5,
-        resetTimeout: options.circuitBreakerResetTimeout || 60000,
-      });
+    this.circuitBreakerOptions = {
+      failureThreshold: options.circuitBreakerThreshold || 5,
+      resetTimeout: options.circuitBreakerResetTimeout || 60000,
+    };
+    if (this.circuitBreakerEnabled && !this.resolvesEndpoints) {
+      this.circuitBreaker = new CircuitBreaker(this.circuitBreakerOptions);
+    }
+    this.breakers = new Map(); // url -> CircuitBreaker, when resolving endpoints
+  }
+
+  /**
+   * Create a client for a logical service name. Each request picks an
+   * endpoint from discovery; a failed attempt is retried on another instance.
+   * @param {string} name - Service name
+   * @param {Object} options - ServiceClient options, plus:
+   * @param {ServiceDiscovery} options.discovery - Discovery to resolve endpoints (default: a new one without health checks)
+   * @param {ServiceConfig} options.config - Service config for timeout, retry and circuit breaker settings, and a baseUrl fallback
+   * @returns {ServiceClient}
+   */
+  static for(name, options = {}) {
+    const { config, discovery: givenDiscovery, ...overrides } = options;
+    const entry = config ? config.get(name) : null;
+    const discovery = givenDiscovery || new ServiceDiscovery({ enabled: false });
+
+    if (!discovery.services.has(name) && entry && entry.baseUrl) {
+      discovery.register(name, entry.baseUrl);
     }
+
+    return new ServiceClient(null, {
+      ...optionsFromConfig(entry),
+      ...overrides,
+      discovery,
+      serviceName: name,
+    });
   }
 
   /**
    * Make HTTP request (internal, without retry/circuit breaker)
    * @private
    */
-  _requestInternal(method, path, data = null, options = {}) {
+  _requestInternal(method, path, data = null, options = {}, baseUrl = this.baseUrl) {
     return new Promise((resolve, reject) => {
-      const url = new URL(path, this.baseUrl);
+      const url = new URL(path, baseUrl);
       const isHttps = url.protocol === 'https:';
       const client = isHttps ? https : http;
 
@@ -52,6 +113,9 @@ class ServiceClient {
         },
         timeout: options.timeout || this.timeout,
       };
+      if (options.signal) {
+        requestOptions.signal = options.signal;
+      }
 
       const req = client.request(requestOptions, (res) => {
         let body = '';
@@ -112,34 +176,24 @@ class ServiceClient {
    * @private
    */
   async _request(method, path, data = null, options = {}) {
-    // Check circuit breaker
-    if (this.circuitBreakerEnabled && this.circuitBreaker) {
-      if (!this.circuitBreaker.canAttempt()) {
-        const error = new Error('Circuit breaker is OPEN - service unavailable');
-        error.circuitBreakerOpen = true;
-        error.circuitState = this.circuitBreaker.getState();
-        throw error;
+    if (this.idempotencyKeys && this.retryConfig.enabled && (method === 'POST' || method === 'PATCH')) {
+      const headers = options.headers || {};
+      if (!Object.keys(headers).some(name => name.toLowerCase() === 'idempotency-key')) {
+        options = { ...options, headers: { ...headers, 'Idempotency-Key': randomUUID() } };
       }
     }
 
+    const deadline = toDeadline(options.deadline);
+    // Endpoints already attempted by this call, so retries and hedges go elsewhere
+    const tried = [];
+
     // Execute request with retry if enabled
     const executeRequest = async () => {
-      try {
-        const result = await this._requestInternal(method, path, data, options);
-        
-        // Record success in circuit breaker
-        if (this.circuitBreakerEnabled && this.circuitBreaker) {
-          this.circuitBreaker.recordSuccess();
-        }
-        
-        return result;
-      } catch (error) {
-        // Record failure in circuit breaker
-        if (this.circuitBreakerEnabled && this.circuitBreaker) {
-          this.circuitBreaker.recordFailure();
-        }
-        throw error;
+      const hedgeDelay = this._hedgeDelay(method, options);
+      if (hedgeDelay === null) {
+        return this._attempt(method, path, data, options, tried, deadline, null);
       }
+      return this._hedge(signal => this._attempt(method, path, data, options, tried, deadline, signal), hedgeDelay);
     };
 
     if (this.retryConfig.enabled) {
@@ -148,8 +202,8 @@ class ServiceClient {
         baseDelay: this.retryConfig.baseDelay,
         maxDelay: this.retryConfig.maxDelay,
         shouldRetry: (error) => {
-          // Don't retry if circuit breaker is open
-          if (error.circuitBreakerOpen) {
+          // Don't retry if circuit breaker is open, there is nowhere to send the request or no time left
+          if (error.circuitBreakerOpen || error.noEndpoints || error.deadlineExceeded) {
             return false;
           }
           // Retry on network errors or 5xx/429 status codes
@@ -165,6 +219,238 @@ class ServiceClient {
     return executeRequest();
   }
 
+  /**
+   * One attempt: pick an endpoint, check its breaker and the deadline, send
+   * @private
+   */
+  async _attempt(method, path, data, options, tried, deadline, signal) {
+    let attemptOptions = signal ? { ...options, signal } : options;
+
+    if (deadline !== null) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw deadlineError();
+      }
+      // Never wait longer than the caller will, and pass the deadline on
+      attemptOptions = {
+        ...attemptOptions,
+        timeout: Math.min(options.timeout || this.timeout, remaining),
+        headers: { ...options.headers, [DEADLINE_HEADER]: String(deadline) },
+      };
+    }
+
+    const { url, breaker } = this._selectEndpoint(tried, options);
+    tried.push(url);
+
+    // Check circuit breaker
+    if (breaker && !breaker.canAttempt()) {
+      const error = new Error(this.resolvesEndpoints
+        ? `Circuit breaker is OPEN for every instance of ${this.serviceName} - service unavailable`
+        : 'Circuit breaker is OPEN - service unavailable');
+      error.circuitBreakerOpen = true;
+      error.circuitState = breaker.getState();
+      throw error;
+    }
+
+    const startTime = Date.now();
+    this._reportStart(url);
+    try {
+      const result = await this._requestInternal(method, path, data, attemptOptions, url);
+      
+      // Record success in circuit breaker
+      if (breaker) {
+        breaker.recordSuccess();
+      }
+      
+      this._reportEnd(url, null);
+      this._recordLatency(Date.now() - startTime);
+      return result;
+    } catch (error) {
+      if (signal && signal.aborted) {
+        // Cancelled because a hedged attempt won: not the instance's fault
+        this._reportEnd(url, null, true);
+        throw error;
+      }
+      if (deadline !== null && Date.now() >= deadline) {
+        error.deadlineExceeded = true;
+      }
+
+      // Record failure in circuit breaker
+      if (breaker) {
+        breaker.recordFailure();
+      }
+      this._reportEnd(url, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delay before a hedged attempt, or null when this request isn't hedged
+   * @private
+   */
+  _hedgeDelay(method, options) {
+    if (!this.hedge || options.hedge === false || !this.hedge.methods.includes(method)) {
+      return null;
+    }
+    // Losing attempts are cancelled with AbortController (global from Node.js 15)
+    if (typeof AbortController !== 'function') {
+      return null;
+    }
+    if (!this.hedge.percentile || this.latencies.length < this.hedge.minSamples) {
+      return this.hedge.delay;
+    }
+
+    const sorted = this.latencies.slice().sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil(sorted.length * this.hedge.percentile / 100) - 1);
+    return Math.max(this.hedge.minDelay, sorted[Math.max(0, index)]);
+  }
+
+  /**
+   * Start an attempt, and another one each time the delay passes without an
+   * answer (up to maxAttempts). The first response wins and the others are
+   * cancelled. Fails once every started attempt has failed, or at once on
+   * an error another attempt wouldn't change (e.g. 4xx).
+   * @private
+   */
+  _hedge(attempt, delay) {
+    return new Promise((resolve, reject) => {
+      const controllers = [];
+      let pending = 0;
+      let settled = false;
+      let timer = null;
+
+      const settle = (winner) => {
+        settled = true;
+        clearTimeout(timer);
+        for (const controller of controllers) {
+          if (controller !== winner) {
+            controller.abort();
+          }
+        }
+      };
+
+      const launch = () => {
+        const controller = new AbortController();
+        controllers.push(controller);
+        pending++;
+
+        attempt(controller.signal).then((result) => {
+          if (!settled) {
+            settle(controller);
+            resolve(result);
+          }
+        }, (error) => {
+          pending--;
+          if (settled) {
+            return;
+          }
+          const final = error.circuitBreakerOpen || error.noEndpoints || error.deadlineExceeded ||
+            (error.statusCode && !shouldRetryHttpStatus(error.statusCode));
+          if (pending === 0 || final) {
+            settle(null);
+            reject(error);
+          }
+        });
+
+        if (controllers.length < this.hedge.maxAttempts) {
+          timer = setTimeout(launch, delay);
+        }
+      };
+
+      launch();
+    });
+  }
+
+  /**
+   * Keep recent latencies for the hedge percentile
+   * @private
+   */
+  _recordLatency(duration) {
+    if (!this.hedge) {
+      return;
+    }
+    this.latencies.push(duration);
+    if (this.latencies.length > this.hedge.sampleSize) {
+      this.latencies.shift();
+    }
+  }
+
+  /**
+   * Pick the endpoint and circuit breaker for an attempt. When resolving
+   * endpoints, instances already tried or with an open breaker are avoided
+   * while others are available.
+   * @private
+   */
+  _selectEndpoint(tried, options) {
+    if (!this.resolvesEndpoints) {
+      return { url: this.baseUrl, breaker: this.circuitBreakerEnabled ? this.circuitBreaker : null };
+    }
+
+    const now = Date.now();
+    const open = [];
+    for (const [url, breaker] of this.breakers) {
+      if (breaker.state === 'OPEN' && now < breaker.nextAttemptTime) {
+        open.push(url);
+      }
+    }
+
+    const url = this.discovery.getNext(this.serviceName, {
+      key: options.routingKey,
+      exclude: tried.concat(open),
+    });
+    if (!url) {
+      const error = new Error(`No endpoints registered for service ${this.serviceName}`);
+      error.noEndpoints = true;
+      throw error;
+    }
+
+    return { url, breaker: this._breakerFor(url) };
+  }
+
+  /**
+   * Circuit breaker of one instance
+   * @private
+   */
+  _breakerFor(url) {
+    if (!this.circuitBreakerEnabled) {
+      return null;
+    }
+    let breaker = this.breakers.get(url);
+    if (!breaker) {
+      breaker = new CircuitBreaker(this.circuitBreakerOptions);
+      this.breakers.set(url, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * Tell ServiceDiscovery a request to an endpoint started
+   * @private
+   */
+  _reportStart(url) {
+    if (this.discovery && this.serviceName) {
+      this.discovery.startRequest(this.serviceName, url);
+    }
+  }
+
+  /**
+   * Tell ServiceDiscovery how a request ended. Network errors, timeouts and
+   * 5xx responses count against the endpoint; 4xx responses don't. An
+   * instance that refuses or drops the connection is marked unhealthy.
+   * Cancelled attempts only release their in-flight slot.
+   * @private
+   */
+  _reportEnd(url, error, cancelled = false) {
+    if (this.discovery && this.serviceName) {
+      const failed = Boolean(error) && (!error.statusCode || error.statusCode >= 500);
+      this.discovery.endRequest(this.serviceName, url, { failed, cancelled });
+
+      if (error && CONNECTION_ERRORS.includes(error.code)) {
+        this.discovery.markUnhealthy(this.serviceName, url);
+      }
+    }
+  }
+
   /**
    * GET request
    * @param {string} path - Request path
@@ -215,10 +501,25 @@ class ServiceClient {
 
   /**
    * Get circuit breaker state
-   * @returns {Object} - Circuit breaker state information
+   * @param {string} url - Instance URL, when resolving endpoints (default: all instances)
+   * @returns {Object} - Circuit breaker state information (url -> state for all instances)
    */
-  getCircuitBreakerState() {
-    if (!this.circuitBreakerEnabled || !this.circuitBreaker) {
+  getCircuitBreakerState(url = null) {
+    if (!this.circuitBreakerEnabled) {
+      return null;
+    }
+    if (this.resolvesEndpoints) {
+      if (url) {
+        const breaker = this.breakers.get(url);
+        return breaker ? breaker.getState() : null;
+      }
+      const states = {};
+      for (const [instance, breaker] of this.breakers) {
+        states[instance] = breaker.getState();
+      }
+      return states;
+    }
+    if (!this.circuitBreaker) {
       return null;
     }
     return this.circuitBreaker.getState();
@@ -226,12 +527,65 @@ class ServiceClient {
 
   /**
    * Reset circuit breaker
+   * @param {string} url - Instance URL, when resolving endpoints (default: all instances)
    */
-  resetCircuitBreaker() {
-    if (this.circuitBreakerEnabled && this.circuitBreaker) {
+  resetCircuitBreaker(url = null) {
+    if (!this.circuitBreakerEnabled) {
+      return;
+    }
+    if (this.resolvesEndpoints) {
+      for (const [instance, breaker] of this.breakers) {
+        if (!url || instance === url) {
+          breaker.reset();
+        }
+      }
+      return;
+    }
+    if (this.circuitBreaker) {
       this.circuitBreaker.reset();
     }
   }
 }
 
+/**
+ * Error for a call whose deadline passed before it could be sent
+ * @private
+ */
+function deadlineError() {
+  const error = new Error('Request deadline exceeded');
+  error.code = 'DEADLINE_EXCEEDED';
+  error.deadlineExceeded = true;
+  return error;
+}
+
+/**
+ * Map a ServiceConfig entry ({ timeout, retry: {...}, circuitBreaker: {...} })
+ * to ServiceClient options
+ * @private
+ */
+function optionsFromConfig(entry) {
+  if (!entry) {
+    return {};
+  }
+
+  const { baseUrl, retry: retryConfig, circuitBreaker, ...options } = entry;
+
+  if (retryConfig === false) {
+    options.retry = false;
+  } else if (retryConfig) {
+    if (retryConfig.maxRetries !== undefined) options.maxRetries = retryConfig.maxRetries;
+    if (retryConfig.baseDelay !== undefined) options.retryBaseDelay = retryConfig.baseDelay;
+    if (retryConfig.maxDelay !== undefined) options.retryMaxDelay = retryConfig.maxDelay;
+  }
+
+  if (circuitBreaker === false) {
+    options.circuitBreaker = false;
+  } else if (circuitBreaker) {
+    if (circuitBreaker.failureThreshold !== undefined) options.circuitBreakerThreshold = circuitBreaker.failureThreshold;
+    if (circuitBreaker.resetTimeout !== undefined) options.circuitBreakerResetTimeout = circuitBreaker.resetTimeout;
+  }
+
+  return options;
+}
+
 module.exports = ServiceClient;
\ No newline at end of file
@@ -1,51 +1,112 @@
 /**
  * Service Discovery - Basic service discovery mechanism
  * v2: Service discovery for microservice architectures
+ * v5.9: Pluggable load balancing strategies and outlier ejection
  */
 
+const { createStrategy } = require('./load-balancing');
+
+const OUTLIER_DEFAULTS = {
+  consecutiveErrors: 5, // Eject after 5 failures in a row
+  errorRate: 0.5, // ...or when half the requests in a window fail
+  minRequests: 10, // Requests needed in a window before the error rate counts
+  interval: 10000, // Error rate window: 10 seconds
+  ejectionTime: 30000, // First ejection lasts 30 seconds, then grows with each ejection
+  maxEjectionTime: 300000, // 5 minutes
+  maxEjectionPercent: 50, // Never eject more than half of a service's endpoints
+};
+
 class ServiceDiscovery {
   constructor(options = {}) {
-    this.services = new Map(); // name -> { urls: [], currentIndex: 0, health: {} }
+    this.services = new Map(); // name -> { urls: [], endpoints: Map, strategy, health: {} }
     this.healthCheckInterval = options.healthCheckInterval || 30000; // 30 seconds
     this.healthCheckTimeout = options.healthCheckTimeout || 5000; // 5 seconds
     this.healthCheckPath = options.healthCheckPath || '/health';
     this.enabled = options.enabled !== false; // Enabled by default
+
+    // v5.9: Load balancing strategy and outlier ejection
+    this.strategy = options.strategy || 'round-robin';
+    this.outlierDetection = options.outlierDetection === false
+      ? null
+      : { ...OUTLIER_DEFAULTS, ...options.outlierDetection };
+
+    // v5.9: Providers that register services (see discovery-providers.js)
+    this.providers = [];
   }
 
   /**
-   * Register a service with multiple endpoints (for load balancing)
+   * Register a service with multiple endpoints (for load balancing).
+   * Registering an existing name replaces its endpoints but keeps the
+   * load and error state of the URLs that remain.
    * @param {string} name - Service name
-   * @param {string|Array} urls - Service URL(s)
-   */
-  register(name, urls) {
-    const urlArray = Array.isArray(urls) ? urls : [urls];
-    this.services.set(name, {
-      urls: urlArray,
-      currentIndex: 0,
-      health: {},
-    });
+   * @param {string|Object|Array} urls - Service URL(s), or { url, weight } objects
+   * @param {Object} options - v5.9: { strategy, replicas } for this service
+   */
+  register(name, urls, options = {}) {
+    const entries = (Array.isArray(urls) ? urls : [urls]).map(entry => (
+      typeof entry === 'string' ? { url: entry, weight: 1 } : { url: entry.url, weight: entry.weight || 1 }
+    ));
+
+    for (const entry of entries) {
+      if (!entry.url) {
+        throw new Error(`Service ${name} has an endpoint without a url`);
+      }
+      if (!(entry.weight > 0)) {
+        throw new Error(`Service ${name} endpoint ${entry.url} must have a positive weight`);
+      }
+    }
+
+    const existing = this.services.get(name);
+    const endpoints = new Map();
+    for (const entry of entries) {
+      const previous = existing && existing.endpoints.get(entry.url);
+      endpoints.set(entry.url, previous ? Object.assign(previous, { weight: entry.weight }) : createEndpoint(entry));
+    }
 
-    if (this.enabled) {
+    const service = {
+      urls: entries.map(entry => entry.url),
+      endpoints,
+      strategy: existing && !options.strategy
+        ? existing.strategy
+        : createStrategy(options.strategy || this.strategy, options),
+      health: existing ? existing.health : {},
+      healthTimer: existing ? existing.healthTimer : null,
+    };
+    this.services.set(name, service);
+
+    if (this.enabled && !existing) {
       this._startHealthCheck(name);
     }
   }
 
   /**
-   * Get next available service URL (round-robin)
+   * Get next service URL using the service's strategy. Only healthy,
+   * non-ejected endpoints are used; if there are none, all endpoints are.
    * @param {string} name - Service name
+   * @param {Object} context - v5.9: { key (for consistent hashing), exclude (URLs to avoid, e.g. already tried) }
    * @returns {string|null} - Service URL or null if not found
    */
-  getNext(name) {
+  getNext(name, context = {}) {
     const service = this.services.get(name);
     if (!service || service.urls.length === 0) {
       return null;
     }
 
-    // Simple round-robin
-    const url = service.urls[service.currentIndex];
-    service.currentIndex = (service.currentIndex + 1) % service.urls.length;
-    
-    return url;
+    const all = Array.from(service.endpoints.values());
+    const exclude = context.exclude || [];
+
+    let candidates = all.filter(endpoint => this._isAvailable(service, endpoint));
+    const untried = candidates.filter(endpoint => !exclude.includes(endpoint.url));
+    if (untried.length > 0) {
+      candidates = untried;
+    }
+    if (candidates.length === 0) {
+      // Everything is down or ejected: better to try than to fail outright
+      candidates = all;
+    }
+
+    const endpoint = service.strategy.select(candidates, { ...context, all, service: name });
+    return endpoint ? endpoint.url : null;
   }
 
   /**
@@ -95,6 +156,139 @@ class ServiceDiscovery {
     }
   }
 
+  /**
+   * Record that a request to an endpoint started (for least-outstanding balancing)
+   * @param {string} name - Service name
+   * @param {string} url - Service URL
+   */
+  startRequest(name, url) {
+    const endpoint = this._endpoint(name, url);
+    if (endpoint) {
+      endpoint.outstanding++;
+    }
+  }
+
+  /**
+   * Record the outcome of a request to an endpoint. Endpoints whose errors
+   * cross the outlier thresholds are ejected for a while.
+   * @param {string} name - Service name
+   * @param {string} url - Service URL
+   * @param {Object} result - { failed: boolean, cancelled: boolean (e.g. a hedged attempt that lost) }
+   */
+  endRequest(name, url, result = {}) {
+    const endpoint = this._endpoint(name, url);
+    if (!endpoint) {
+      return;
+    }
+
+    endpoint.outstanding = Math.max(0, endpoint.outstanding - 1);
+
+    const outlier = this.outlierDetection;
+    if (!outlier || result.cancelled) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now - endpoint.windowStart >= outlier.interval) {
+      if (endpoint.ejections > 0 && endpoint.ejectedUntil === 0) {
+        // A clean window after an ejection shortens the next one
+        endpoint.ejections--;
+      }
+      endpoint.windowStart = now;
+      endpoint.requests = 0;
+      endpoint.failures = 0;
+    }
+
+    endpoint.requests++;
+    if (result.failed) {
+      endpoint.failures++;
+      endpoint.consecutiveFailures++;
+    } else {
+      endpoint.consecutiveFailures = 0;
+    }
+
+    const isOutlier = endpoint.consecutiveFailures >= outlier.consecutiveErrors ||
+      (endpoint.requests >= outlier.minRequests && endpoint.failures / endpoint.requests >= outlier.errorRate);
+
+    if (isOutlier && endpoint.ejectedUntil <= now) {
+      this._eject(this.services.get(name), endpoint, now);
+    }
+  }
+
+  /**
+   * Per-endpoint load and health
+   * @param {string} name - Service name
+   * @returns {Array<Object>} - { url, weight, healthy, ejected, ejectedUntil, outstanding, requests, failures, errorRate }
+   */
+  getStats(name) {
+    const service = this.services.get(name);
+    if (!service) {
+      return [];
+    }
+
+    const healthy = new Set(this.getHealthy(name));
+    const now = Date.now();
+
+    return Array.from(service.endpoints.values()).map(endpoint => ({
+      url: endpoint.url,
+      weight: endpoint.weight,
+      healthy: healthy.has(endpoint.url),
+      ejected: endpoint.ejectedUntil > now,
+      ejectedUntil: endpoint.ejectedUntil > now ? endpoint.ejectedUntil : null,
+      outstanding: endpoint.outstanding,
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      errorRate: endpoint.requests > 0 ? endpoint.failures / endpoint.requests : 0,
+    }));
+  }
+
+  /**
+   * Find an endpoint's state
+   * @private
+   */
+  _endpoint(name, url) {
+    const service = this.services.get(name);
+    return service ? service.endpoints.get(url) || null : null;
+  }
+
+  /**
+   * Healthy and not ejected
+   * @private
+   */
+  _isAvailable(service, endpoint) {
+    if (endpoint.ejectedUntil > 0 && endpoint.ejectedUntil <= Date.now()) {
+      // Ejection is over: start with a clean slate
+      endpoint.ejectedUntil = 0;
+      endpoint.consecutiveFailures = 0;
+      endpoint.requests = 0;
+      endpoint.failures = 0;
+      endpoint.windowStart = Date.now();
+    }
+    if (endpoint.ejectedUntil > 0) {
+      return false;
+    }
+
+    const health = service.health[endpoint.url];
+    return !health || health.status === 'healthy' || Date.now() - health.lastCheck > this.healthCheckInterval * 2;
+  }
+
+  /**
+   * Eject an endpoint unless too many of the service's endpoints already are
+   * @private
+   */
+  _eject(service, endpoint, now) {
+    const outlier = this.outlierDetection;
+    const endpoints = Array.from(service.endpoints.values());
+    const ejected = endpoints.filter(other => other.ejectedUntil > now).length;
+
+    if (ejected + 1 > Math.floor(endpoints.length * outlier.maxEjectionPercent / 100)) {
+      return;
+    }
+
+    endpoint.ejections++;
+    endpoint.ejectedUntil = now + Math.min(outlier.ejectionTime * endpoint.ejections, outlier.maxEjectionTime);
+  }
+
   /**
    * Start health check for a service
    * @private
@@ -111,7 +305,7 @@ class ServiceDiscovery {
     });
 
     // Schedule next health check
-    setTimeout(() => {
+    service.healthTimer = setTimeout(() => {
       this._startHealthCheck(name);
     }, this.healthCheckInterval);
   }
@@ -168,9 +362,41 @@ class ServiceDiscovery {
    * @param {string} name - Service name
    */
   unregister(name) {
+    const service = this.services.get(name);
+    if (service && service.healthTimer) {
+      clearTimeout(service.healthTimer);
+    }
     this.services.delete(name);
   }
 
+  /**
+   * Keep services in sync from a provider (file, environment variables, DNS)
+   * @param {Object} provider - Discovery provider
+   * @returns {Promise<ServiceDiscovery>} - Resolves once the provider's first load is applied
+   */
+  async use(provider) {
+    this.providers.push(provider);
+    await provider.start(this);
+    return this;
+  }
+
+  /**
+   * Stop providers and health checks
+   */
+  close() {
+    for (const provider of this.providers) {
+      provider.stop();
+    }
+    this.providers = [];
+
+    for (const service of this.services.values()) {
+      if (service.healthTimer) {
+        clearTimeout(service.healthTimer);
+        service.healthTimer = null;
+      }
+    }
+  }
+
   /**
    * Get all registered services
    * @returns {Array} - Array of service names
@@ -180,5 +406,23 @@ class ServiceDiscovery {
   }
 }
 
+/**
+ * Initial state of an endpoint
+ * @private
+ */
+function createEndpoint(entry) {
+  return {
+    url: entry.url,
+    weight: entry.weight,
+    outstanding: 0,
+    requests: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    windowStart: Date.now(),
+    ejectedUntil: 0,
+    ejections: 0,
+  };
+}
+
 module.exports = ServiceDiscovery;
 
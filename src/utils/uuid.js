@@ -0,0 +1,28 @@
+/**
+ * UUID Utility
+ * v5.9: Random (version 4) UUIDs for message, event and request ids.
+ * crypto.randomUUID() only exists from Node.js 14.17, so older versions
+ * build one from crypto.randomBytes().
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a random UUID (version 4)
+ * @returns {string}
+ */
+function randomUUID() {
+  if (typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  const bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+module.exports = {
+  randomUUID,
+};
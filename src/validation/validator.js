@@ -75,7 +75,10 @@ function validate(schema) {
 
 /**
  * Validate object against schema
- * @private
+ * v5.9: Exported so other schemas (message payloads) share the same rules
+ * @param {Object} obj - Object to validate
+ * @param {Object} schema - Field name -> rules
+ * @returns {Array<Object>} - Errors ({ field, message, code })
  */
 function validateObject(obj, schema) {
   const errors = [];
@@ -296,6 +299,7 @@ function isValidUUID(uuid) {
 
 module.exports = {
   validate,
+  validateObject,
   ValidationError,
 };
 
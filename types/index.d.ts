@@ -14,16 +14,36 @@ export interface NavisRequest {
   headers: Record<string, string>;
   body?: any;
   query?: Record<string, string>;
-  params?: Record<string, string>;
+  params?: Record<string, any>;
+  rawBody?: Buffer;
+  originalPath?: string;
+  baseUrl?: string;
+  routePath?: string;
   event?: any;
   apiVersion?: string;
   files?: FileUpload[];
+  deadline?: number | null;
+  remainingTime?(): number;
 }
 
 export interface NavisResponse {
   statusCode: number;
   headers?: Record<string, string>;
   body?: any;
+  finished?: boolean;
+  headersSent?: boolean;
+  elapsedTime?: number;
+  status?: (code: number) => NavisResponse;
+  set?: (name: string | Record<string, string>, value?: string) => NavisResponse;
+  get?: (name: string) => string | undefined;
+  removeHeader?: (name: string) => NavisResponse;
+  type?: (contentType: string) => NavisResponse;
+  json?: (data: any) => NavisResponse;
+  send?: (data: any) => NavisResponse;
+  redirect?: (url: string, statusCode?: number) => NavisResponse;
+  stream?: (readable: NodeJS.ReadableStream, contentType?: string) => NavisResponse;
+  write?: (chunk: string | Buffer) => boolean;
+  toLambda?: () => Promise<LambdaResponse>;
   writeHead?: (statusCode: number, headers?: Record<string, string>) => void;
   setHeader?: (name: string, value: string) => void;
   end?: (body?: any) => void;
@@ -34,22 +54,132 @@ export interface NavisResponse {
   };
 }
 
+export interface LambdaResponse {
+  statusCode: number;
+  headers?: Record<string, string>;
+  multiValueHeaders?: Record<string, string[]>;
+  cookies?: string[];
+  statusDescription?: string;
+  body: string;
+  isBase64Encoded?: boolean;
+}
+
+export type LambdaEventSource = 'apigateway-v1' | 'apigateway-v2' | 'alb' | 'function-url';
+
+export interface NormalizedLambdaEvent {
+  source: LambdaEventSource;
+  method: string;
+  path: string;
+  headers: Record<string, string>;
+  query: Record<string, string | string[]>;
+  cookies: string[];
+  body: any;
+  isBase64Encoded: boolean;
+  multiValue: boolean;
+}
+
 export type Middleware = (req: NavisRequest, res: NavisResponse, next: () => Promise<void>) => Promise<void> | void;
 export type RouteHandler = (req: NavisRequest, res: NavisResponse) => Promise<void> | void | Promise<any> | any;
 
+export interface BodyParserTypeOptions {
+  type?: string | string[];
+  limit?: number | string;
+}
+
+export interface BodyParserOptions {
+  limit?: number | string;
+  defaultType?: string;
+  defaultCharset?: string;
+  inflate?: boolean;
+  json?: boolean | BodyParserTypeOptions;
+  urlencoded?: boolean | BodyParserTypeOptions;
+  text?: boolean | BodyParserTypeOptions;
+  raw?: boolean | BodyParserTypeOptions;
+  passthrough?: string | string[];
+}
+
 export interface NavisAppOptions {
   useAdvancedRouter?: boolean;
+  bodyParser?: false | BodyParserOptions;
+  deadlines?: false | DeadlineOptions;
+}
+
+export interface DeadlineOptions {
+  timeout?: number;
+}
+
+export interface RouteChain {
+  get(...handlers: (Middleware | RouteHandler)[]): RouteChain;
+  post(...handlers: (Middleware | RouteHandler)[]): RouteChain;
+  put(...handlers: (Middleware | RouteHandler)[]): RouteChain;
+  delete(...handlers: (Middleware | RouteHandler)[]): RouteChain;
+  patch(...handlers: (Middleware | RouteHandler)[]): RouteChain;
+  head(...handlers: (Middleware | RouteHandler)[]): RouteChain;
+  options(...handlers: (Middleware | RouteHandler)[]): RouteChain;
+  all(...handlers: (Middleware | RouteHandler)[]): RouteChain;
+  method(method: string, ...handlers: (Middleware | RouteHandler)[]): RouteChain;
+}
+
+export interface RouteGroup {
+  prefix: string;
+  middlewares: Middleware[];
+  use(...middlewares: Middleware[]): RouteGroup;
+  get(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): RouteGroup;
+  post(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): RouteGroup;
+  put(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): RouteGroup;
+  delete(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): RouteGroup;
+  patch(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): RouteGroup;
+  head(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): RouteGroup;
+  options(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): RouteGroup;
+  all(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): RouteGroup;
+  register(method: string, path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): RouteGroup;
+  route(path: string): RouteChain;
+  group(prefix: string, middlewares: Middleware[] | ((group: RouteGroup) => void), callback?: (group: RouteGroup) => void): RouteGroup;
+}
+
+export type LifecycleHookName = 'onRequest' | 'preHandler' | 'onSend' | 'onResponse' | 'onError';
+
+export type LifecycleHook = (req: NavisRequest, res: NavisResponse) => any | Promise<any>;
+
+export type ErrorHook = (err: any, req: NavisRequest, res: NavisResponse) => any | Promise<any>;
+
+export interface RouteHooks {
+  onRequest?: LifecycleHook | LifecycleHook[];
+  preHandler?: LifecycleHook | LifecycleHook[];
+  onSend?: LifecycleHook | LifecycleHook[];
+  onResponse?: LifecycleHook | LifecycleHook[];
+  onError?: ErrorHook | ErrorHook[];
+}
+
+export interface RouteInfo {
+  method: string;
+  path: string;
+  params: string[];
 }
 
 export interface NavisApp {
   use(fn: Middleware): void;
-  get(path: string, ...handlers: (Middleware | RouteHandler)[]): void;
-  post(path: string, ...handlers: (Middleware | RouteHandler)[]): void;
-  put(path: string, ...handlers: (Middleware | RouteHandler)[]): void;
-  delete(path: string, ...handlers: (Middleware | RouteHandler)[]): void;
-  patch(path: string, ...handlers: (Middleware | RouteHandler)[]): void;
+  get(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): void;
+  post(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): void;
+  put(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): void;
+  delete(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): void;
+  patch(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): void;
+  head(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): void;
+  options(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): void;
+  all(path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): void;
+  register(method: string, path: string, ...handlers: (Middleware | RouteHandler | RouteHooks)[]): void;
+  route(path: string): RouteChain;
+  group(prefix: string, middlewares: Middleware[] | ((group: RouteGroup) => void), callback?: (group: RouteGroup) => void): RouteGroup;
+  mount(prefix: string, app: NavisApp): NavisApp;
+  addHook(name: 'onError', fn: ErrorHook): NavisApp;
+  addHook(name: Exclude<LifecycleHookName, 'onError'>, fn: LifecycleHook): NavisApp;
+  getRoutes(): RouteInfo[];
+  setErrorHandler(handler: (err: any, req: NavisRequest, res: NavisResponse, next: () => void) => any): void;
   listen(port?: number, callback?: () => void): any;
-  handleLambda(event: any): Promise<any>;
+  handleLambda(event: any): Promise<LambdaResponse>;
+  handleEvent(event: any, context?: any): Promise<any>;
+  on(type: LambdaEventType, handler: LambdaEventHandler): NavisApp;
+  on(type: LambdaEventType, matcher: LambdaEventMatcher, handler: LambdaEventHandler, options?: { batchItemFailures?: boolean }): NavisApp;
   getServer(): any;
 }
 
@@ -64,6 +194,25 @@ export interface ServiceClientOptions {
   retryMaxDelay?: number;
   retryStatusCodes?: number[];
   circuitBreaker?: CircuitBreakerOptions;
+  idempotencyKeys?: boolean;
+  discovery?: ServiceDiscovery;
+  serviceName?: string;
+  circuitBreakerThreshold?: number;
+  circuitBreakerResetTimeout?: number;
+  headers?: Record<string, string>;
+  routingKey?: string;
+  hedge?: boolean | HedgeOptions;
+  deadline?: number | Date;
+}
+
+export interface HedgeOptions {
+  percentile?: number | null;
+  delay?: number;
+  minDelay?: number;
+  minSamples?: number;
+  sampleSize?: number;
+  maxAttempts?: number;
+  methods?: string[];
 }
 
 export interface CircuitBreakerOptions {
@@ -84,8 +233,8 @@ export interface ServiceClient {
   put(path: string, data?: any, options?: ServiceClientOptions): Promise<ServiceClientResponse>;
   delete(path: string, options?: ServiceClientOptions): Promise<ServiceClientResponse>;
   patch(path: string, data?: any, options?: ServiceClientOptions): Promise<ServiceClientResponse>;
-  getCircuitBreakerState(): string;
-  resetCircuitBreaker(): void;
+  getCircuitBreakerState(url?: string): any;
+  resetCircuitBreaker(url?: string): void;
 }
 
 // ============================================
@@ -147,14 +296,129 @@ export interface ServiceDiscoveryOptions {
   healthCheckInterval?: number;
   healthCheckTimeout?: number;
   healthCheckPath?: string;
+  enabled?: boolean;
+  strategy?: LoadBalancingStrategyOption;
+  outlierDetection?: OutlierDetectionOptions | false;
+}
+
+export type LoadBalancingStrategyName = 'round-robin' | 'weighted' | 'least-outstanding' | 'random-two-choices' | 'consistent-hash';
+
+export interface BalancedEndpoint {
+  url: string;
+  weight: number;
+  outstanding: number;
+}
+
+export interface LoadBalancingContext {
+  key?: string | number;
+  exclude?: string[];
+  all?: BalancedEndpoint[];
+  service?: string;
+}
+
+export interface LoadBalancingStrategy {
+  name?: string;
+  select(endpoints: BalancedEndpoint[], context: LoadBalancingContext): BalancedEndpoint;
+}
+
+export type LoadBalancingStrategyOption =
+  | LoadBalancingStrategyName
+  | LoadBalancingStrategy
+  | ((endpoints: BalancedEndpoint[], context: LoadBalancingContext) => BalancedEndpoint);
+
+export interface OutlierDetectionOptions {
+  consecutiveErrors?: number;
+  errorRate?: number;
+  minRequests?: number;
+  interval?: number;
+  ejectionTime?: number;
+  maxEjectionTime?: number;
+  maxEjectionPercent?: number;
+}
+
+export interface ServiceEndpoint {
+  url: string;
+  weight?: number;
+}
+
+export interface ServiceRegistrationOptions {
+  strategy?: LoadBalancingStrategyOption;
+  replicas?: number;
+}
+
+export interface EndpointStats {
+  url: string;
+  weight: number;
+  healthy: boolean;
+  ejected: boolean;
+  ejectedUntil: number | null;
+  outstanding: number;
+  requests: number;
+  failures: number;
+  errorRate: number;
 }
 
 export interface ServiceDiscovery {
-  register(name: string, urls: string[], options?: ServiceDiscoveryOptions): void;
-  getNext(name: string): string | null;
-  getAll(name: string): string[];
+  register(name: string, urls: string | ServiceEndpoint | Array<string | ServiceEndpoint>, options?: ServiceRegistrationOptions): void;
+  getNext(name: string, context?: LoadBalancingContext): string | null;
+  getHealthy(name: string): string[];
+  markHealthy(name: string, url: string): void;
+  markUnhealthy(name: string, url: string): void;
+  startRequest(name: string, url: string): void;
+  endRequest(name: string, url: string, result?: { failed?: boolean }): void;
+  getStats(name: string): EndpointStats[];
   unregister(name: string): void;
-  getHealthyUrls(name: string): string[];
+  list(): string[];
+  use(provider: DiscoveryProvider): Promise<ServiceDiscovery>;
+  close(): void;
+}
+
+export interface DiscoveryServiceConfig {
+  endpoints: Array<string | ServiceEndpoint>;
+  strategy?: LoadBalancingStrategyName;
+  replicas?: number;
+}
+
+export interface DiscoveryProvider {
+  start(discovery: ServiceDiscovery): Promise<DiscoveryProvider>;
+  stop(): void;
+  refresh(): Promise<void>;
+}
+
+export interface DiscoveryProviderOptions {
+  onError?: (error: Error, serviceName: string | null) => void;
+}
+
+export interface FileDiscoveryProviderOptions extends DiscoveryProviderOptions {
+  path: string;
+  format?: 'json' | 'yaml';
+  watch?: boolean;
+  debounce?: number;
+}
+
+export interface EnvDiscoveryProviderOptions extends DiscoveryProviderOptions {
+  prefix?: string;
+  env?: Record<string, string | undefined>;
+  interval?: number;
+}
+
+export interface DnsServiceSpec {
+  srv?: string;
+  host?: string;
+  port?: number;
+  protocol?: string;
+  strategy?: LoadBalancingStrategyName;
+  replicas?: number;
+}
+
+export interface DnsDiscoveryProviderOptions extends DiscoveryProviderOptions {
+  services: Record<string, DnsServiceSpec>;
+  servers?: string[];
+  resolver?: any;
+  protocol?: string;
+  minTtl?: number;
+  maxTtl?: number;
+  defaultTtl?: number;
 }
 
 // ============================================
@@ -181,6 +445,7 @@ export interface Metrics {
   gauge(name: string, value: number, labels?: Record<string, string>): void;
   histogram(name: string, value: number, labels?: Record<string, string>): void;
   recordRequest(method: string, path: string, duration: number, statusCode: number): void;
+  requestHook(): (req: NavisRequest, res: NavisResponse) => void;
   toPrometheus(): string;
   reset(): void;
 }
@@ -200,7 +465,85 @@ export interface Tracer {
 // Messaging Types
 // ============================================
 
-export interface SQSMessagingOptions {
+export interface MessagingRetryPolicy {
+  maxAttempts?: number;
+  initialDelay?: number;
+  multiplier?: number;
+  maxDelay?: number;
+  retryable?: (error: Error) => boolean;
+  deadLetter?: string;
+}
+
+export interface DeadLetterInfo {
+  destination: string;
+  deadLetter: string | null;
+  message: any;
+  error: Error;
+  attempts: number;
+  reason: 'max-attempts' | 'non-retryable' | 'parse-error' | 'schema-validation';
+  headers: Record<string, string>;
+  metadata: any;
+}
+
+export interface CloudEvent<T = any> {
+  specversion: string;
+  id: string;
+  source: string;
+  type: string;
+  time: string;
+  datacontenttype: string;
+  subject?: string;
+  traceparent?: string;
+  correlationid?: string;
+  dataversion?: number;
+  data: T;
+  [extension: string]: any;
+}
+
+export interface EnvelopeOptions {
+  type: string;
+  source: string;
+  id?: string;
+  time?: string | Date;
+  subject?: string;
+  traceparent?: string;
+  correlationId?: string;
+  version?: number;
+  datacontenttype?: string;
+  extensions?: Record<string, any>;
+}
+
+export interface MessagingEnvelopeOptions {
+  source?: string;
+  traceparent?: string | (() => string | null | undefined);
+}
+
+export type SchemaCompatibility = 'backward' | 'forward' | 'full' | 'none';
+
+export interface SchemaRegistryOptions {
+  compatibility?: SchemaCompatibility;
+  strict?: boolean;
+}
+
+export interface SchemaRegistry {
+  register(type: string, schema: Record<string, ValidationRule>, options?: { version?: number; compatibility?: SchemaCompatibility }): number;
+  checkCompatibility(type: string, schema: Record<string, ValidationRule>): string[];
+  get(type: string, version?: number | null): Record<string, ValidationRule> | null;
+  latestVersion(type: string): number | null;
+  validate(type: string, data: any, version?: number | null): Array<{ field: string; message: string; code: string }>;
+  assertValid(type: string, data: any, version?: number | null): void;
+  list(): Record<string, number[]>;
+}
+
+export interface MessagingPolicyOptions {
+  retry?: MessagingRetryPolicy;
+  deadLetter?: string;
+  onDeadLetter?: (info: DeadLetterInfo) => void | Promise<void>;
+  envelope?: boolean | MessagingEnvelopeOptions;
+  schemaRegistry?: SchemaRegistry;
+}
+
+export interface SQSMessagingOptions extends MessagingPolicyOptions {
   region?: string;
   queueUrl?: string;
 }
@@ -209,10 +552,11 @@ export interface SQSMessaging {
   connect(): Promise<void>;
   disconnect(): Promise<void>;
   publish(queueUrl: string, message: any, options?: any): Promise<void>;
-  subscribe(queueUrl: string, handler: (message: any, metadata: any) => Promise<void>): Promise<void>;
+  subscribe(queueUrl: string, handler: (message: any, metadata: any) => Promise<void>, options?: any): Promise<void>;
+  onDeadLetter(fn: (info: DeadLetterInfo) => void | Promise<void>): this;
 }
 
-export interface KafkaMessagingOptions {
+export interface KafkaMessagingOptions extends MessagingPolicyOptions {
   brokers: string[];
   clientId?: string;
   consumerGroupId?: string;
@@ -222,18 +566,119 @@ export interface KafkaMessaging {
   connect(): Promise<void>;
   disconnect(): Promise<void>;
   publish(topic: string, message: any, options?: any): Promise<void>;
-  subscribe(topic: string, handler: (message: any, metadata: any) => Promise<void>): Promise<void>;
+  subscribe(topic: string, handler: (message: any, metadata: any) => Promise<void>, options?: any): Promise<void>;
+  onDeadLetter(fn: (info: DeadLetterInfo) => void | Promise<void>): this;
 }
 
-export interface NATSMessagingOptions {
+export interface NATSMessagingOptions extends MessagingPolicyOptions {
   servers: string[];
 }
 
 export interface NATSMessaging {
   connect(): Promise<void>;
   disconnect(): Promise<void>;
-  publish(subject: string, message: any): Promise<void>;
-  subscribe(subject: string, handler: (message: any) => Promise<void>): Promise<void>;
+  publish(subject: string, message: any, options?: { headers?: Record<string, string> }): Promise<void>;
+  subscribe(subject: string, handler: (message: any, metadata?: any) => Promise<void>, options?: any): Promise<void>;
+  onDeadLetter(fn: (info: DeadLetterInfo) => void | Promise<void>): this;
+}
+
+export interface InMemoryMessagingOptions extends MessagingPolicyOptions {
+  mode?: 'queue' | 'topic' | 'subject';
+  visibilityTimeout?: number;
+  partitions?: number;
+  consumerGroupId?: string;
+}
+
+export interface InMemoryMessaging {
+  mode: 'queue' | 'topic' | 'subject';
+  connect(): Promise<InMemoryMessaging>;
+  disconnect(): Promise<void>;
+  publish(destination: string, message: any, options?: any): Promise<any>;
+  subscribe(destination: string, handler: (message: any, metadata: any) => any, options?: any): Promise<any>;
+  unsubscribe(destination: string, handler?: (message: any, metadata: any) => any): Promise<void>;
+  request(subject: string, message: any, options?: { timeout?: number }): Promise<any>;
+  deleteMessage(queue: string, receiptHandle: string): boolean;
+  changeMessageVisibility(queue: string, receiptHandle: string, seconds: number): boolean;
+  getQueueStats(queue: string): { visible: number; inFlight: number; delayed: number };
+  getOffsets(topic: string, groupId?: string): number[];
+  seek(topic: string, groupId: string, partition: number, offset: number): void;
+  drain(options?: { timeout?: number }): Promise<void>;
+  onDeadLetter(fn: (info: DeadLetterInfo) => void | Promise<void>): this;
+}
+
+export interface IdempotentConsumerOptions {
+  store?: IdempotencyBackend;
+  key?: (body: any, metadata: any) => string | null | Promise<string | null>;
+  namespace?: string;
+  ttl?: number;
+  lockTimeout?: number;
+  inFlight?: 'wait' | 'skip';
+  pollInterval?: number;
+  onDuplicate?: (info: { key: string; status: 'in-flight' | 'completed'; body: any; metadata: any }) => void;
+}
+
+export type MessagingAdapter = SQSMessaging | KafkaMessaging | NATSMessaging | InMemoryMessaging;
+
+export interface OutboxOptions {
+  table?: string;
+}
+
+export interface OutboxEventInput {
+  destination: string;
+  payload: any;
+  type?: string;
+  aggregateType?: string;
+  aggregateId?: string | number;
+  headers?: Record<string, string>;
+  id?: string;
+}
+
+export interface OutboxEvent {
+  rowId: number;
+  id: string;
+  destination: string;
+  type: string | null;
+  aggregateType: string | null;
+  aggregateId: string | null;
+  payload: any;
+  headers: Record<string, string>;
+  attempts: number;
+  createdAt: number;
+  availableAt: number;
+}
+
+export interface OutboxRelayOptions {
+  interval?: number;
+  batchSize?: number;
+  initialDelay?: number;
+  maxDelay?: number;
+  deleteOnSend?: boolean;
+  retention?: number;
+  cleanupInterval?: number;
+  onError?: (error: Error, event: OutboxEvent) => void;
+}
+
+export interface OutboxRelayStats {
+  sent: number;
+  failed: number;
+  deferred: number;
+  fetched: number;
+}
+
+export interface Outbox {
+  table: string;
+  add(db: DatabasePool | Transaction, event: OutboxEventInput): Promise<string>;
+  add(event: OutboxEventInput): Promise<string>;
+  pending(limit?: number, now?: number): Promise<OutboxEvent[]>;
+  cleanup(options?: { olderThan?: number }): Promise<void>;
+  relay(messaging: MessagingAdapter, options?: OutboxRelayOptions): OutboxRelay;
+  migration(): MigrationModule;
+}
+
+export interface OutboxRelay {
+  start(): OutboxRelay;
+  stop(): Promise<void>;
+  runOnce(): Promise<OutboxRelayStats>;
 }
 
 // ============================================
@@ -408,6 +853,28 @@ export interface AdvancedCache {
   flush(): Promise<void>;
 }
 
+export interface IdempotencyRecord {
+  status: 'in-flight' | 'completed';
+  data: any;
+  result: any;
+  createdAt: number;
+}
+
+export interface IdempotencyStore {
+  claim(key: string, ttl: number, data?: any): Promise<{ claimed: true } | { claimed: false; record: IdempotencyRecord }>;
+  complete(key: string, result: any, ttl: number): Promise<void>;
+  release(key: string): Promise<void>;
+  get(key: string): Promise<IdempotencyRecord | null>;
+}
+
+export interface SQLIdempotencyStore extends IdempotencyStore {
+  table: string;
+  cleanup(): Promise<void>;
+  migration(): MigrationModule;
+}
+
+export type IdempotencyBackend = Cache | RedisCache | AdvancedCache | DatabasePool | IdempotencyStore;
+
 export interface CacheMiddlewareOptions {
   cacheStore: Cache | RedisCache | AdvancedCache;
   ttl?: number;
@@ -416,6 +883,17 @@ export interface CacheMiddlewareOptions {
   vary?: string[];
 }
 
+export interface IdempotencyOptions {
+  store?: Cache | RedisCache | AdvancedCache | IdempotencyStore;
+  methods?: string[];
+  header?: string;
+  required?: boolean;
+  ttl?: number;
+  lockTimeout?: number;
+  caller?: (req: NavisRequest) => string;
+  fingerprint?: (req: NavisRequest) => string;
+}
+
 export interface CORSOptions {
   origin?: string | string[];
   methods?: string[];
@@ -480,10 +958,12 @@ export interface SwaggerOptions {
   uiPath?: string;
   servers?: Array<{ url: string; description?: string }>;
   tags?: Array<{ name: string; description?: string }>;
+  app?: NavisApp;
 }
 
 export interface SwaggerGenerator {
   addRoute(method: string, path: string, spec?: any): void;
+  addApp(app: NavisApp, specs?: Record<string, any>): SwaggerGenerator;
   addSchema(name: string, schema: any): void;
   addSecurityScheme(name: string, scheme: any): void;
   generate(): any;
@@ -544,8 +1024,33 @@ export interface TestApp {
   put(path: string, data?: any, options?: any): Promise<TestResponse>;
   delete(path: string, options?: any): Promise<TestResponse>;
   patch(path: string, data?: any, options?: any): Promise<TestResponse>;
+  head(path: string, options?: any): Promise<TestResponse>;
+  options(path: string, options?: any): Promise<TestResponse>;
+  invoke(event: any, context?: any): Promise<any>;
 }
 
+export interface MockEvents {
+  sqs(messages: any | any[], options?: { queue?: string; messageIds?: string[]; attributes?: Record<string, string>; messageAttributes?: Record<string, any> }): any;
+  sns(messages: any | any[], options?: { topic?: string; subject?: string; messageAttributes?: Record<string, any> }): any;
+  s3(bucket: string, keys: string | string[], options?: { eventName?: string; size?: number }): any;
+  dynamodb(table: string, changes: LambdaEventChange | LambdaEventChange[]): any;
+  eventBridge(source: string, detailType: string, detail?: any): any;
+  schedule(rule: string): any;
+}
+
+export interface LambdaEventChange {
+  eventName?: 'INSERT' | 'MODIFY' | 'REMOVE';
+  keys?: Record<string, any>;
+  newImage?: Record<string, any>;
+  oldImage?: Record<string, any>;
+}
+
+export type LambdaEventType = 'sqs' | 'sns' | 's3' | 'dynamodb' | 'eventbridge' | 'schedule';
+
+export type LambdaEventMatcher = string | RegExp | ((record: any, sources: string[]) => boolean);
+
+export type LambdaEventHandler = (payload: any, info: { event: any; record: any; context: any }) => any | Promise<any>;
+
 export interface TestResponse {
   statusCode: number;
   headers: Record<string, string>;
@@ -600,10 +1105,38 @@ export interface DatabasePool {
   getConnection(): Promise<any>;
   close(): Promise<void>;
   ping(): Promise<boolean>;
+  transaction<T>(fn: (trx: Transaction) => Promise<T>, options?: TransactionOptions): Promise<T>;
+  transaction(options?: TransactionOptions): Promise<Transaction>;
   type: string;
   db?: any;
 }
 
+// Transaction Types (v5.9)
+export type IsolationLevel = 'READ UNCOMMITTED' | 'READ COMMITTED' | 'REPEATABLE READ' | 'SERIALIZABLE' | 'SNAPSHOT';
+
+export interface TransactionOptions {
+  isolationLevel?: IsolationLevel | string;
+  readConcern?: { level: string };
+  writeConcern?: { w?: number | string; j?: boolean; wtimeout?: number };
+}
+
+export class Transaction {
+  readonly dbPool: DatabasePool;
+  readonly type: string;
+  readonly db?: any;
+  readonly connection: any;
+  readonly session: any;
+  readonly parent: Transaction | null;
+  readonly savepoint: string | null;
+  completed: 'committed' | 'rolled back' | null;
+  query(query: string, params?: any[]): Promise<any>;
+  transaction<T>(fn: (trx: Transaction) => Promise<T>): Promise<T>;
+  transaction(): Promise<Transaction>;
+  commit(): Promise<void>;
+  rollback(): Promise<void>;
+  isCompleted(): boolean;
+}
+
 // Query Builder Types (v5.6)
 export interface QueryBuilder {
   select(fields?: string | string[]): QueryBuilder;
@@ -676,12 +1209,28 @@ export interface MongoDBQueryBuilder {
 // Main Exports
 // ============================================
 
+export const lambdaEvents: {
+  EVENT_SOURCES: Record<'API_GATEWAY_V1' | 'API_GATEWAY_V2' | 'ALB' | 'FUNCTION_URL', LambdaEventSource>;
+  detectEventSource(event: any): LambdaEventSource;
+  normalizeEvent(event: any): NormalizedLambdaEvent;
+  formatResponse(request: NormalizedLambdaEvent, response: LambdaResponse): LambdaResponse;
+};
+export const NavisResponse: {
+  new (raw?: any): NavisResponse;
+  from(raw: any): NavisResponse;
+};
+
 export const NavisApp: {
   new (options?: NavisAppOptions): NavisApp;
 };
 
+export interface ServiceClientForOptions extends ServiceClientOptions {
+  config?: ServiceConfig;
+}
+
 export const ServiceClient: {
-  new (baseUrl: string, options?: ServiceClientOptions): ServiceClient;
+  new (baseUrl: string | null, options?: ServiceClientOptions): ServiceClient;
+  for(name: string, options?: ServiceClientForOptions): ServiceClient;
 };
 
 export const ServiceConfig: {
@@ -689,7 +1238,33 @@ export const ServiceConfig: {
 };
 
 export const ServiceDiscovery: {
-  new (): ServiceDiscovery;
+  new (options?: ServiceDiscoveryOptions): ServiceDiscovery;
+};
+
+export const DiscoveryProvider: {
+  new (options?: DiscoveryProviderOptions): DiscoveryProvider;
+};
+
+export const FileDiscoveryProvider: {
+  new (options: FileDiscoveryProviderOptions): DiscoveryProvider;
+};
+
+export const EnvDiscoveryProvider: {
+  new (options?: EnvDiscoveryProviderOptions): DiscoveryProvider;
+};
+
+export const DnsDiscoveryProvider: {
+  new (options: DnsDiscoveryProviderOptions): DiscoveryProvider;
+};
+
+export const loadBalancing: {
+  STRATEGIES: Record<LoadBalancingStrategyName, (options?: { replicas?: number }) => LoadBalancingStrategy>;
+  createStrategy(strategy?: LoadBalancingStrategyOption, options?: { replicas?: number }): LoadBalancingStrategy;
+  roundRobin(): LoadBalancingStrategy;
+  weighted(): LoadBalancingStrategy;
+  leastOutstanding(): LoadBalancingStrategy;
+  randomTwoChoices(): LoadBalancingStrategy;
+  consistentHash(options?: { replicas?: number }): LoadBalancingStrategy;
 };
 
 export const CircuitBreaker: {
@@ -719,6 +1294,33 @@ export const KafkaMessaging: {
 export const NATSMessaging: {
   new (options?: NATSMessagingOptions): NATSMessaging;
 };
+export const InMemoryMessaging: {
+  new (options?: InMemoryMessagingOptions): InMemoryMessaging;
+};
+export const Outbox: {
+  new (dbPool: DatabasePool, options?: OutboxOptions): Outbox;
+  HEADERS: Record<'id' | 'type' | 'aggregateType' | 'aggregateId' | 'createdAt', string>;
+};
+export const OutboxRelay: {
+  new (outbox: Outbox, messaging: MessagingAdapter, options?: OutboxRelayOptions): OutboxRelay;
+};
+export function createOutbox(dbPool: DatabasePool, options?: OutboxOptions): Outbox;
+export function idempotentConsumer<T = any>(
+  handler: (body: any, metadata: any) => T | Promise<T>,
+  options?: IdempotentConsumerOptions
+): (body: any, metadata: any) => Promise<T | undefined>;
+export function defaultMessageKey(body: any, metadata: any): string | null;
+export function createEnvelope<T = any>(data: T, options: EnvelopeOptions): CloudEvent<T>;
+export function isEnvelope(value: any): value is CloudEvent;
+export function createTraceparent(parent?: string | null): string;
+export const SchemaRegistry: {
+  new (options?: SchemaRegistryOptions): SchemaRegistry;
+};
+export class SchemaCompatibilityError extends Error {
+  issues: string[];
+  constructor(message: string, issues?: string[]);
+}
+export function createSchemaRegistry(options?: SchemaRegistryOptions): SchemaRegistry;
 
 export const ServiceClientPool: {
   new (): ServiceClientPool;
@@ -752,6 +1354,16 @@ export const AdvancedCache: {
   new (options?: AdvancedCacheOptions): AdvancedCache;
 };
 
+export const CacheIdempotencyStore: {
+  new (cache?: Cache | RedisCache | AdvancedCache, options?: { prefix?: string }): IdempotencyStore;
+};
+
+export const SQLIdempotencyStore: {
+  new (dbPool: DatabasePool, options?: { table?: string }): SQLIdempotencyStore;
+};
+
+export function createIdempotencyStore(backend?: IdempotencyBackend | null, options?: { prefix?: string; table?: string }): IdempotencyStore;
+
 export const HealthChecker: {
   new (options?: HealthCheckOptions): HealthChecker;
 };
@@ -910,6 +1522,7 @@ export function errorHandler(): Middleware;
 export function asyncHandler(fn: RouteHandler): RouteHandler;
 export function notFoundHandler(): RouteHandler;
 export function cache(options: CacheMiddlewareOptions): Middleware;
+export function idempotency(options?: IdempotencyOptions): Middleware;
 export function cors(options?: CORSOptions): Middleware;
 export function security(options?: SecurityOptions): Middleware;
 export function compress(options?: CompressionOptions): Middleware;
@@ -919,11 +1532,12 @@ export function headerVersioning(options?: HeaderVersioningOptions): Middleware;
 export function upload(options?: FileUploadOptions): Middleware;
 export function saveFile(file: FileUpload, dest: string, generateFilename?: (file: FileUpload) => string): Promise<string>;
 export function testApp(app: NavisApp): TestApp;
+export const mockEvents: MockEvents;
 export function sse(): Middleware;
 export function createSSEServer(): SSEServer;
 export function createPool(options?: DatabasePoolOptions): DatabasePool;
-export function queryBuilder(dbPool: DatabasePool, table?: string): QueryBuilder;
-export function mongoQueryBuilder(dbPool: DatabasePool, collection?: string): MongoDBQueryBuilder;
+export function queryBuilder(dbPool: DatabasePool | Transaction, table?: string): QueryBuilder;
+export function mongoQueryBuilder(dbPool: DatabasePool | Transaction, collection?: string): MongoDBQueryBuilder;
 
 // ORM-like Model Types (v5.7)
 export interface ModelFindOptions {
@@ -934,6 +1548,79 @@ export interface ModelFindOptions {
   offset?: number;
   sort?: string | Record<string, number>;
   skip?: number;
+  include?: ModelInclude;
+  withTrashed?: boolean;
+  onlyTrashed?: boolean;
+  transaction?: Transaction;
+}
+
+/** 'author', 'comments.user', ['author', { comments: ['user'] }] */
+export type ModelInclude = string | { [relation: string]: ModelInclude | true } | ModelInclude[];
+
+export interface ModelQueryOptions {
+  transaction?: Transaction;
+}
+
+export interface ModelDeleteOptions extends ModelQueryOptions {
+  force?: boolean;
+}
+
+export interface ModelTimestampColumns {
+  createdAt?: string | false;
+  updatedAt?: string | false;
+}
+
+/** Query methods returned by Model.withTrashed() / Model.onlyTrashed() */
+export interface ModelTrashedScope<T extends Model = Model> {
+  find(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelFindOptions): Promise<T[]>;
+  findOne(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelFindOptions): Promise<T | null>;
+  findById(id: any, options?: ModelFindOptions): Promise<T | null>;
+  count(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelFindOptions): Promise<number>;
+}
+
+export type ModelFieldType = 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'json' | 'object' | 'array';
+
+export interface ModelField extends Omit<ValidationRule, 'type'> {
+  type?: ModelFieldType;
+  default?: any | (() => any);
+  unique?: boolean;
+  hidden?: boolean;
+  validator?: (value: any) => boolean | string;
+}
+
+export interface ModelVirtualField {
+  virtual?: true;
+  hidden?: boolean;
+  get(this: any): any;
+  set?(this: any, value: any): void;
+}
+
+/** Field name -> definition, type name or virtual getter */
+export type ModelSchema = Record<string, ModelField | ModelVirtualField | ModelFieldType | ((this: any) => any)>;
+
+export interface BelongsToManyOptions {
+  through?: string;
+  foreignKey?: string;
+  otherKey?: string;
+  localKey?: string;
+  relatedKey?: string;
+}
+
+/** Id, instance, array of either, or { id: pivotAttributes } */
+export type PivotIds = any | Model | Array<any | Model> | Record<string, Record<string, any>> | Map<any, Record<string, any>>;
+
+export interface PivotOptions extends ModelQueryOptions {
+  pivot?: Record<string, any>;
+}
+
+export interface SyncOptions extends PivotOptions {
+  detaching?: boolean;
+}
+
+export interface SyncResult {
+  attached: any[];
+  detached: any[];
+  updated: any[];
 }
 
 export abstract class Model {
@@ -946,22 +1633,37 @@ export abstract class Model {
   
   static tableName: string;
   static primaryKey: string;
+  static schema?: ModelSchema;
+  static timestamps: boolean | ModelTimestampColumns;
+  static softDeletes: boolean | string;
+  static optimisticLocking: boolean | string;
+  static withTrashed(): ModelTrashedScope;
+  static onlyTrashed(): ModelTrashedScope;
   static setDatabase(dbPool: DatabasePool): void;
   static getDatabase(): DatabasePool | null;
   
   static find(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelFindOptions): Promise<Model[]>;
   static findOne(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelFindOptions): Promise<Model | null>;
-  static findById(id: any): Promise<Model | null>;
-  static count(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void)): Promise<number>;
-  static create(data: Record<string, any>): Promise<Model>;
+  static findById(id: any, options?: ModelFindOptions): Promise<Model | null>;
+  static count(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelQueryOptions): Promise<number>;
+  static create(data: Record<string, any>, options?: ModelQueryOptions): Promise<Model>;
+  static transaction<T>(fn: (trx: Transaction) => Promise<T>, options?: TransactionOptions): Promise<T>;
   
   static hasMany(name: string, ModelClass: typeof Model, foreignKey: string, localKey?: string): void;
   static belongsTo(name: string, ModelClass: typeof Model, foreignKey: string): void;
   static hasOne(name: string, ModelClass: typeof Model, foreignKey: string, localKey?: string): void;
-
-  save(): Promise<boolean>;
-  delete(): Promise<boolean>;
-  reload(): Promise<Model>;
+  static belongsToMany(name: string, ModelClass: typeof Model, options?: BelongsToManyOptions): void;
+
+  readonly pivot: Record<string, any> | null;
+  attach(name: string, ids: PivotIds, options?: PivotOptions): Promise<boolean>;
+  detach(name: string, ids?: PivotIds | null, options?: ModelQueryOptions): Promise<boolean>;
+  sync(name: string, ids: PivotIds, options?: SyncOptions): Promise<SyncResult>;
+  save(options?: ModelQueryOptions): Promise<boolean>;
+  delete(options?: ModelDeleteOptions): Promise<boolean>;
+  forceDelete(options?: ModelQueryOptions): Promise<boolean>;
+  restore(options?: ModelQueryOptions): Promise<boolean>;
+  isTrashed(): boolean;
+  reload(options?: ModelQueryOptions): Promise<Model>;
   toJSON(): Record<string, any>;
   isDirty(): boolean;
   getChanged(): Record<string, any>;
@@ -1013,16 +1715,24 @@ export const Model: {
   new (data?: Record<string, any>): Model;
   tableName: string;
   primaryKey: string;
+  schema?: ModelSchema;
+  timestamps: boolean | ModelTimestampColumns;
+  softDeletes: boolean | string;
+  optimisticLocking: boolean | string;
+  withTrashed(): ModelTrashedScope;
+  onlyTrashed(): ModelTrashedScope;
   setDatabase(dbPool: DatabasePool): void;
   getDatabase(): DatabasePool | null;
   find(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelFindOptions): Promise<Model[]>;
   findOne(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelFindOptions): Promise<Model | null>;
-  findById(id: any): Promise<Model | null>;
-  count(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void)): Promise<number>;
-  create(data: Record<string, any>): Promise<Model>;
+  findById(id: any, options?: ModelFindOptions): Promise<Model | null>;
+  count(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelQueryOptions): Promise<number>;
+  create(data: Record<string, any>, options?: ModelQueryOptions): Promise<Model>;
+  transaction<T>(fn: (trx: Transaction) => Promise<T>, options?: TransactionOptions): Promise<T>;
   hasMany(name: string, ModelClass: typeof Model, foreignKey: string, localKey?: string): void;
   belongsTo(name: string, ModelClass: typeof Model, foreignKey: string): void;
   hasOne(name: string, ModelClass: typeof Model, foreignKey: string, localKey?: string): void;
+  belongsToMany(name: string, ModelClass: typeof Model, options?: BelongsToManyOptions): void;
 };
 
 export const Migration: {
@@ -1044,6 +1754,10 @@ export interface ModelFindOptions {
   offset?: number;
   sort?: string | Record<string, number>;
   skip?: number;
+  include?: ModelInclude;
+  withTrashed?: boolean;
+  onlyTrashed?: boolean;
+  transaction?: Transaction;
 }
 
 export abstract class Model {
@@ -1056,22 +1770,37 @@ export abstract class Model {
   
   static tableName: string;
   static primaryKey: string;
+  static schema?: ModelSchema;
+  static timestamps: boolean | ModelTimestampColumns;
+  static softDeletes: boolean | string;
+  static optimisticLocking: boolean | string;
+  static withTrashed(): ModelTrashedScope;
+  static onlyTrashed(): ModelTrashedScope;
   static setDatabase(dbPool: DatabasePool): void;
   static getDatabase(): DatabasePool | null;
   
   static find(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelFindOptions): Promise<Model[]>;
   static findOne(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelFindOptions): Promise<Model | null>;
-  static findById(id: any): Promise<Model | null>;
-  static count(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void)): Promise<number>;
-  static create(data: Record<string, any>): Promise<Model>;
+  static findById(id: any, options?: ModelFindOptions): Promise<Model | null>;
+  static count(conditions?: Record<string, any> | ((qb: QueryBuilder | MongoDBQueryBuilder) => void), options?: ModelQueryOptions): Promise<number>;
+  static create(data: Record<string, any>, options?: ModelQueryOptions): Promise<Model>;
+  static transaction<T>(fn: (trx: Transaction) => Promise<T>, options?: TransactionOptions): Promise<T>;
   
   static hasMany(name: string, ModelClass: typeof Model, foreignKey: string, localKey?: string): void;
   static belongsTo(name: string, ModelClass: typeof Model, foreignKey: string): void;
   static hasOne(name: string, ModelClass: typeof Model, foreignKey: string, localKey?: string): void;
-
-  save(): Promise<boolean>;
-  delete(): Promise<boolean>;
-  reload(): Promise<Model>;
+  static belongsToMany(name: string, ModelClass: typeof Model, options?: BelongsToManyOptions): void;
+
+  readonly pivot: Record<string, any> | null;
+  attach(name: string, ids: PivotIds, options?: PivotOptions): Promise<boolean>;
+  detach(name: string, ids?: PivotIds | null, options?: ModelQueryOptions): Promise<boolean>;
+  sync(name: string, ids: PivotIds, options?: SyncOptions): Promise<SyncResult>;
+  save(options?: ModelQueryOptions): Promise<boolean>;
+  delete(options?: ModelDeleteOptions): Promise<boolean>;
+  forceDelete(options?: ModelQueryOptions): Promise<boolean>;
+  restore(options?: ModelQueryOptions): Promise<boolean>;
+  isTrashed(): boolean;
+  reload(options?: ModelQueryOptions): Promise<Model>;
   toJSON(): Record<string, any>;
   isDirty(): boolean;
   getChanged(): Record<string, any>;
@@ -1154,8 +1883,12 @@ export class NotFoundError extends AppError {}
 export class BadRequestError extends AppError {}
 export class UnauthorizedError extends AppError {}
 export class ForbiddenError extends AppError {}
+export class MethodNotAllowedError extends AppError {}
 export class ConflictError extends AppError {}
+export class PayloadTooLargeError extends AppError {}
+export class UnsupportedMediaTypeError extends AppError {}
 export class InternalServerError extends AppError {}
+export class GatewayTimeoutError extends AppError {}
 
 // Response and Retry helpers
 export const response: ResponseHelpers;